@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import AsyncStorage from '@react-native-async-storage/async-storage';
@@ -8,50 +8,84 @@ import * as Notifications from 'expo-notifications';
 
 // Screens
 import ActivationScreen from './src/screens/ActivationScreen';
+import ActivationConfirmScreen from './src/screens/ActivationConfirmScreen';
 import HomeScreen from './src/screens/HomeScreen';
 import LockScreen from './src/screens/LockScreen';
+import WipeCountdownScreen from './src/screens/WipeCountdownScreen';
+import DiagnosticsScreen from './src/screens/DiagnosticsScreen';
+import NagOverlay from './src/components/NagOverlay';
 
 // Services
 import {
   registerBackgroundFetch,
-  isDeviceLocked,
   requestNotificationPermissions,
   setupPushNotificationListener,
   getFCMToken,
   updateFCMToken,
 } from './src/services/deviceService';
+import { enforceSchedule } from './src/services/emiScheduleService';
+import { startOutboxSync } from './src/services/outbox';
+import { startRealtimeChannel } from './src/services/realtimeService';
+import { startTlsFailureMonitor } from './src/services/pinningService';
+import { getLockState } from './src/services/lockStateStore';
+import secureStorage from './src/services/secureStorage';
+import { reassertLockState } from './src/services/lockController';
 import {
+  getPendingWipe,
+  resumePendingWipe,
+  subscribe as subscribeToWipe,
+} from './src/services/wipeService';
+import { LockStateProvider, useLockState } from './src/context/LockStateContext';
+import { ThemeProvider, useTheme } from './src/context/ThemeContext';
+import { LanguageProvider, useTranslation } from './src/context/LanguageContext';
+import { loadLanguage, t } from './src/i18n';
+import {
+  LOCK_LEVELS,
   isDeviceAdmin,
   requestDeviceAdmin,
   hideAppFromLauncher,
-  enableFullLockdown,
-  disableFullLockdown,
+  startAdminEventSync,
 } from './src/services/kioskService';
 import { requestAllPermissions, verifyCriticalPermissions } from './src/utils/permissions';
 
 const Stack = createNativeStackNavigator();
 
 export default function App() {
+  return (
+    <LanguageProvider>
+      <ThemeProvider>
+        <LockStateProvider>
+          <AppContent />
+        </LockStateProvider>
+      </ThemeProvider>
+    </LanguageProvider>
+  );
+}
+
+function AppContent() {
   const [isActivated, setIsActivated] = useState(false);
-  const [isLocked, setIsLocked] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
+  const { isLocked, lockLevel, lockMessage, lockEventId } = useLockState();
+  const theme = useTheme();
+  useTranslation(); // re-render header titles when the language changes
+  const [pendingWipe, setPendingWipe] = useState(null);
+  const cleanups = useRef([]);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToWipe(setPendingWipe);
+    getPendingWipe().then(setPendingWipe);
+    return unsubscribe;
+  }, []);
 
   useEffect(() => {
     initializeApp();
-    
-    // Monitor lock status continuously
-    const lockCheckInterval = setInterval(async () => {
-      const locked = await isDeviceLocked();
-      if (locked !== isLocked) {
-        setIsLocked(locked);
-      }
-    }, 1000); // Check every second
 
-    // Prevent back button when locked
+    // Prevent back button when locked (reads the store directly, so never stale)
     const backHandler = BackHandler.addEventListener(
       'hardwareBackPress',
       () => {
-        if (isLocked) {
+        const lockState = getLockState();
+        if (lockState.isLocked && lockState.lockLevel !== LOCK_LEVELS.NAG) {
           return true; // Block back button when locked
         }
         return false;
@@ -59,13 +93,17 @@ export default function App() {
     );
 
     return () => {
-      clearInterval(lockCheckInterval);
       backHandler.remove();
+      cleanups.current.forEach((cleanup) => cleanup());
+      cleanups.current = [];
     };
-  }, [isLocked]);
+  }, []);
 
   const initializeApp = async () => {
     try {
+      // Permission dialogs and notifications use the customer's language
+      await loadLanguage();
+
       // Request all permissions first
       const permissionsResult = await requestAllPermissions();
       
@@ -76,7 +114,7 @@ export default function App() {
       // Setup Android notification channel for high-priority notifications
       if (Platform.OS === 'android') {
         await Notifications.setNotificationChannelAsync('devicelock-critical', {
-          name: 'Device Lock & Ring',
+          name: t('notifications.channelName'),
           importance: Notifications.AndroidImportance.MAX,
           vibrationPattern: [0, 250, 250, 250],
           sound: 'default',
@@ -93,7 +131,7 @@ export default function App() {
       await requestNotificationPermissions();
 
       // Check activation status
-      const key = await AsyncStorage.getItem('activationKey');
+      const key = await secureStorage.getItem('activationKey');
       setIsActivated(!!key);
 
       // If activated, check and request device admin if needed
@@ -113,41 +151,53 @@ export default function App() {
 
       // Check lock status
       if (key) {
-        const locked = await isDeviceLocked();
-        setIsLocked(locked);
-        
-        // Enable full lockdown if device is locked
-        if (locked) {
-          await enableFullLockdown();
-        }
+        // A wipe countdown carries on across restarts
+        await resumePendingWipe();
+
+        // Apply the offline EMI schedule, then make kiosk state match the lock state
+        await enforceSchedule();
+        await reassertLockState();
 
-        // Setup FCM push notification listener
-        const unsubscribe = setupPushNotificationListener(async (command, data) => {
-          console.log('📨 Command received via push:', command);
-          
-          // Update UI immediately based on command
-          if (command === 'lock') {
-            setIsLocked(true);
-            await enableFullLockdown();
-          } else if (command === 'unlock') {
-            setIsLocked(false);
-            await disableFullLockdown();
+        // Re-assert on every resume in case lockdown was lifted while we were away
+        const appStateSubscription = AppState.addEventListener('change', (nextState) => {
+          if (nextState === 'active') {
+            reassertLockState();
           }
         });
 
+        // Report certificate pin failures (someone intercepting the API connection)
+        const stopTlsFailureMonitor = startTlsFailureMonitor();
+
+        // Setup FCM push notification listener (lock side-effects run in the lock controller)
+        const unsubscribe = setupPushNotificationListener();
+
+        // Realtime channel (with polling fallback) for when push is blocked
+        const stopRealtime = startRealtimeChannel();
+
         // Get and update FCM token
         const fcmToken = await getFCMToken();
         if (fcmToken) {
           await updateFCMToken(key, fcmToken);
         }
 
+        // Replay queued reports whenever the network comes back
+        const stopOutboxSync = startOutboxSync();
+
+        // Report device admin changes (admin removed, failed unlocks, ...)
+        const stopAdminEventSync = startAdminEventSync();
+
         // Register background service
         await registerBackgroundFetch();
 
         // Cleanup on unmount
-        return () => {
-          if (unsubscribe) unsubscribe();
-        };
+        cleanups.current.push(
+          unsubscribe,
+          stopRealtime,
+          stopOutboxSync,
+          stopAdminEventSync,
+          stopTlsFailureMonitor,
+          () => appStateSubscription.remove()
+        );
       }
     } catch (error) {
       console.error('Initialization error:', error);
@@ -160,8 +210,14 @@ export default function App() {
     return null;
   }
 
-  // If device is locked, ONLY show lock screen - no navigation possible
-  if (isLocked) {
+  // A remote factory reset is counting down - nothing else is reachable
+  if (pendingWipe) {
+    return <WipeCountdownScreen executeAt={pendingWipe.executeAt} />;
+  }
+
+  // Soft/full lock: ONLY show lock screen - no navigation possible.
+  // A nag lock keeps the app usable behind a dismissable overlay.
+  if (isLocked && lockLevel !== LOCK_LEVELS.NAG) {
     return <LockScreen />;
   }
 
@@ -171,24 +227,38 @@ export default function App() {
       <NavigationContainer>
         <Stack.Navigator screenOptions={{ headerShown: false }}>
           {!isActivated ? (
-            <Stack.Screen 
-              name="Activation" 
-              component={ActivationScreen}
-              options={{ gestureEnabled: false }}
-            />
+            <>
+              <Stack.Screen 
+                name="Activation" 
+                component={ActivationScreen}
+                options={{ gestureEnabled: false }}
+              />
+              <Stack.Screen
+                name="ActivationConfirm"
+                component={ActivationConfirmScreen}
+              />
+            </>
           ) : (
-            <Stack.Screen 
-              name="Home" 
-              component={HomeScreen}
-              options={{ 
-                headerShown: true, 
-                title: 'DeviceLock',
-                gestureEnabled: false 
-              }}
-            />
+            <>
+              <Stack.Screen 
+                name="Home" 
+                component={HomeScreen}
+                options={{ 
+                  headerShown: true, 
+                  title: theme.storeName,
+                  gestureEnabled: false 
+                }}
+              />
+              <Stack.Screen
+                name="Diagnostics"
+                component={DiagnosticsScreen}
+                options={{ headerShown: true, title: t('diagnostics.title') }}
+              />
+            </>
           )}
         </Stack.Navigator>
       </NavigationContainer>
+      {isLocked && <NagOverlay message={lockMessage} eventId={lockEventId} />}
     </>
   );
 }
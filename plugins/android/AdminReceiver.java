@@ -0,0 +1,57 @@
+package __PACKAGE__;
+
+import android.app.admin.DevicePolicyManager;
+import android.content.Context;
+import android.content.Intent;
+
+import org.json.JSONException;
+import org.json.JSONObject;
+
+/**
+ * Generated by plugins/withDeviceAdmin.js - do not edit in android/.
+ * Forwards admin lifecycle events to JS (see DeviceAdminModule.recordAdminEvent).
+ */
+public class AdminReceiver extends android.app.admin.DeviceAdminReceiver {
+    @Override
+    public void onEnabled(Context context, Intent intent) {
+        super.onEnabled(context, intent);
+        DeviceAdminModule.recordAdminEvent(context, "admin_enabled", null);
+    }
+
+    @Override
+    public CharSequence onDisableRequested(Context context, Intent intent) {
+        DeviceAdminModule.recordAdminEvent(context, "admin_disable_requested", null);
+        return context.getString(R.string.admin_disable_warning);
+    }
+
+    @Override
+    public void onDisabled(Context context, Intent intent) {
+        super.onDisabled(context, intent);
+        DeviceAdminModule.recordAdminEvent(context, "admin_disabled", null);
+    }
+
+    // The two-argument form is the one called on every API level
+    @Override
+    @SuppressWarnings("deprecation")
+    public void onPasswordFailed(Context context, Intent intent) {
+        super.onPasswordFailed(context, intent);
+
+        JSONObject details = new JSONObject();
+        try {
+            DevicePolicyManager dpm = (DevicePolicyManager) context.getSystemService(Context.DEVICE_POLICY_SERVICE);
+            details.put("failedAttempts", dpm.getCurrentFailedPasswordAttempts());
+        } catch (SecurityException | JSONException e) {
+            // Count unavailable without the watch-login policy
+        }
+        DeviceAdminModule.recordAdminEvent(context, "password_failed", details);
+    }
+
+    // Before Android 12 the admin extras from the QR code only arrive here
+    @Override
+    public void onProfileProvisioningComplete(Context context, Intent intent) {
+        super.onProfileProvisioningComplete(context, intent);
+        DeviceAdminModule.saveProvisioningExtras(context,
+            intent.getParcelableExtra(DevicePolicyManager.EXTRA_PROVISIONING_ADMIN_EXTRAS_BUNDLE));
+        DeviceAdminModule.recordAdminEvent(context, "provisioning_complete", null);
+    }
+}
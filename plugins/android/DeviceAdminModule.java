@@ -0,0 +1,477 @@
+package __PACKAGE__;
+
+import android.Manifest;
+import android.app.Activity;
+import android.app.admin.DevicePolicyManager;
+import android.content.ComponentName;
+import android.content.Context;
+import android.content.Intent;
+import android.content.SharedPreferences;
+import android.content.pm.PackageManager;
+import android.graphics.Bitmap;
+import android.graphics.Canvas;
+import android.graphics.drawable.Drawable;
+import android.net.Uri;
+import android.os.Bundle;
+import android.os.Build;
+import android.os.PersistableBundle;
+import android.os.SystemClock;
+import android.os.UserManager;
+import android.provider.Settings;
+import android.telecom.TelecomManager;
+import android.util.Base64;
+
+import com.facebook.react.bridge.ActivityEventListener;
+import com.facebook.react.bridge.Arguments;
+import com.facebook.react.bridge.BaseActivityEventListener;
+import com.facebook.react.bridge.Promise;
+import com.facebook.react.bridge.ReactApplicationContext;
+import com.facebook.react.bridge.ReactContextBaseJavaModule;
+import com.facebook.react.bridge.ReactMethod;
+import com.facebook.react.bridge.ReadableArray;
+import com.facebook.react.bridge.WritableArray;
+import com.facebook.react.bridge.WritableMap;
+import com.facebook.react.modules.core.DeviceEventManagerModule;
+
+import org.json.JSONArray;
+import org.json.JSONException;
+import org.json.JSONObject;
+
+import java.io.ByteArrayOutputStream;
+import java.lang.ref.WeakReference;
+import java.util.Arrays;
+import java.util.LinkedHashSet;
+import java.util.Set;
+import java.util.UUID;
+
+/**
+ * Generated by plugins/withDeviceAdmin.js - do not edit in android/.
+ * Native side of src/services/kioskService.js. Every kiosk call except
+ * isDeviceAdmin/requestDeviceAdmin/wipeData needs the app to be device owner.
+ */
+public class DeviceAdminModule extends ReactContextBaseJavaModule {
+    private static final int REQUEST_DEVICE_ADMIN = 4201;
+    private static final int ICON_SIZE = 96;
+    private static final String LAUNCHER_ALIAS = ".LauncherAlias";
+
+    // Admin events are queued in SharedPreferences because the receiver often
+    // runs while JS isn't; JS is told to drain the queue when it is running
+    public static final String ADMIN_EVENT = "DeviceAdminEvent";
+    private static final String EVENTS_PREFS = "device_admin_events";
+    private static final String EVENTS_KEY = "pending";
+    private static final int MAX_PENDING_EVENTS = 100;
+
+    private static WeakReference<ReactApplicationContext> activeContext = new WeakReference<>(null);
+
+    // Admin extras bundle from the provisioning QR code (activation key, ...)
+    private static final String PROVISIONING_PREFS = "device_provisioning";
+    private static final String PROVISIONING_EXTRAS_KEY = "adminExtras";
+
+    // Restrictions applied while the device is locked
+    private static final String[] LOCK_RESTRICTIONS = {
+        UserManager.DISALLOW_FACTORY_RESET,
+        UserManager.DISALLOW_SAFE_BOOT,
+        UserManager.DISALLOW_ADD_USER,
+        UserManager.DISALLOW_MOUNT_PHYSICAL_MEDIA,
+        UserManager.DISALLOW_USB_FILE_TRANSFER,
+        UserManager.DISALLOW_DEBUGGING_FEATURES,
+        UserManager.DISALLOW_CONFIG_DATE_TIME,
+    };
+
+    private final DevicePolicyManager dpm;
+    private final ComponentName adminComponent;
+    private Promise adminRequestPromise;
+
+    private final ActivityEventListener activityEventListener = new BaseActivityEventListener() {
+        @Override
+        public void onActivityResult(Activity activity, int requestCode, int resultCode, Intent data) {
+            if (requestCode != REQUEST_DEVICE_ADMIN || adminRequestPromise == null) return;
+            adminRequestPromise.resolve(dpm.isAdminActive(adminComponent));
+            adminRequestPromise = null;
+        }
+    };
+
+    public DeviceAdminModule(ReactApplicationContext reactContext) {
+        super(reactContext);
+        dpm = (DevicePolicyManager) reactContext.getSystemService(Context.DEVICE_POLICY_SERVICE);
+        adminComponent = new ComponentName(reactContext, AdminReceiver.class);
+        reactContext.addActivityEventListener(activityEventListener);
+        activeContext = new WeakReference<>(reactContext);
+    }
+
+    // Called by AdminReceiver: queue the event and signal JS if it is running
+    static synchronized void recordAdminEvent(Context context, String type, JSONObject details) {
+        SharedPreferences prefs = context.getSharedPreferences(EVENTS_PREFS, Context.MODE_PRIVATE);
+        try {
+            JSONArray pending = new JSONArray(prefs.getString(EVENTS_KEY, "[]"));
+            JSONObject event = new JSONObject();
+            event.put("id", UUID.randomUUID().toString());
+            event.put("type", type);
+            event.put("occurredAt", System.currentTimeMillis());
+            if (details != null) event.put("details", details);
+            pending.put(event);
+
+            // Keep the newest events if JS hasn't drained for a long time
+            JSONArray trimmed = new JSONArray();
+            for (int i = Math.max(0, pending.length() - MAX_PENDING_EVENTS); i < pending.length(); i++) {
+                trimmed.put(pending.get(i));
+            }
+            prefs.edit().putString(EVENTS_KEY, trimmed.toString()).commit();
+        } catch (JSONException e) {
+            prefs.edit().remove(EVENTS_KEY).commit();
+        }
+
+        ReactApplicationContext reactContext = activeContext.get();
+        if (reactContext != null && reactContext.hasActiveReactInstance()) {
+            reactContext
+                .getJSModule(DeviceEventManagerModule.RCTDeviceEventEmitter.class)
+                .emit(ADMIN_EVENT, type);
+        }
+    }
+
+    // Called during provisioning: keep the admin extras for ActivationScreen
+    static void saveProvisioningExtras(Context context, PersistableBundle extras) {
+        if (extras == null) return;
+
+        JSONObject json = new JSONObject();
+        for (String key : extras.keySet()) {
+            Object value = extras.get(key);
+            try {
+                json.put(key, value == null ? JSONObject.NULL : value.toString());
+            } catch (JSONException e) {
+                // Skip values that can't be represented
+            }
+        }
+        context.getSharedPreferences(PROVISIONING_PREFS, Context.MODE_PRIVATE)
+            .edit()
+            .putString(PROVISIONING_EXTRAS_KEY, json.toString())
+            .commit();
+    }
+
+    // Provisioning admin extras as a JSON object string, or null if not provisioned by QR
+    @ReactMethod
+    public void getProvisioningExtras(Promise promise) {
+        promise.resolve(getReactApplicationContext()
+            .getSharedPreferences(PROVISIONING_PREFS, Context.MODE_PRIVATE)
+            .getString(PROVISIONING_EXTRAS_KEY, null));
+    }
+
+    @ReactMethod
+    public void clearProvisioningExtras(Promise promise) {
+        getReactApplicationContext()
+            .getSharedPreferences(PROVISIONING_PREFS, Context.MODE_PRIVATE)
+            .edit()
+            .remove(PROVISIONING_EXTRAS_KEY)
+            .commit();
+        promise.resolve(true);
+    }
+
+    // Return the queued admin events as a JSON array string and clear the queue
+    @ReactMethod
+    public void consumeAdminEvents(Promise promise) {
+        synchronized (DeviceAdminModule.class) {
+            SharedPreferences prefs = getReactApplicationContext().getSharedPreferences(EVENTS_PREFS, Context.MODE_PRIVATE);
+            String pending = prefs.getString(EVENTS_KEY, "[]");
+            prefs.edit().remove(EVENTS_KEY).commit();
+            promise.resolve(pending);
+        }
+    }
+
+    // Milliseconds since boot (counts deep sleep, unaffected by clock changes) and the boot number
+    @ReactMethod
+    public void getMonotonicClock(Promise promise) {
+        WritableMap clock = Arguments.createMap();
+        clock.putDouble("elapsedRealtime", SystemClock.elapsedRealtime());
+        clock.putInt("bootCount", Settings.Global.getInt(
+            getReactApplicationContext().getContentResolver(), Settings.Global.BOOT_COUNT, -1));
+        promise.resolve(clock);
+    }
+
+    @Override
+    public String getName() {
+        return "DeviceAdminModule";
+    }
+
+    private boolean isOwner() {
+        return dpm.isDeviceOwnerApp(getReactApplicationContext().getPackageName());
+    }
+
+    // Rejects the promise and returns false if the app isn't device owner
+    private boolean requireDeviceOwner(Promise promise) {
+        if (isOwner()) return true;
+        promise.reject("NOT_DEVICE_OWNER", "App is not the device owner");
+        return false;
+    }
+
+    private Activity requireActivity(Promise promise) {
+        Activity activity = getReactApplicationContext().getCurrentActivity();
+        if (activity == null) {
+            promise.reject("NO_ACTIVITY", "No foreground activity");
+        }
+        return activity;
+    }
+
+    private Set<String> toStringSet(ReadableArray values) {
+        Set<String> result = new LinkedHashSet<>();
+        for (int i = 0; i < values.size(); i++) {
+            String value = values.getString(i);
+            if (value != null) result.add(value);
+        }
+        return result;
+    }
+
+    @ReactMethod
+    public void isDeviceAdmin(Promise promise) {
+        promise.resolve(dpm.isAdminActive(adminComponent));
+    }
+
+    @ReactMethod
+    public void isDeviceOwner(Promise promise) {
+        promise.resolve(isOwner());
+    }
+
+    // Opens the system "activate device admin" screen; resolves with the outcome
+    @ReactMethod
+    public void requestDeviceAdmin(Promise promise) {
+        if (dpm.isAdminActive(adminComponent)) {
+            promise.resolve(true);
+            return;
+        }
+        Activity activity = requireActivity(promise);
+        if (activity == null) return;
+
+        if (adminRequestPromise != null) {
+            adminRequestPromise.reject("SUPERSEDED", "Another device admin request was started");
+        }
+        adminRequestPromise = promise;
+
+        Intent intent = new Intent(DevicePolicyManager.ACTION_ADD_DEVICE_ADMIN);
+        intent.putExtra(DevicePolicyManager.EXTRA_DEVICE_ADMIN, adminComponent);
+        intent.putExtra(DevicePolicyManager.EXTRA_ADD_EXPLANATION,
+            getReactApplicationContext().getString(R.string.admin_add_explanation));
+        activity.startActivityForResult(intent, REQUEST_DEVICE_ADMIN);
+    }
+
+    @ReactMethod
+    public void startLockTaskMode(Promise promise) {
+        if (!requireDeviceOwner(promise)) return;
+        Activity activity = requireActivity(promise);
+        if (activity == null) return;
+
+        // Make sure this app itself is always allowed to pin
+        String self = getReactApplicationContext().getPackageName();
+        Set<String> allowed = new LinkedHashSet<>(Arrays.asList(dpm.getLockTaskPackages(adminComponent)));
+        if (allowed.add(self)) {
+            dpm.setLockTaskPackages(adminComponent, allowed.toArray(new String[0]));
+        }
+
+        activity.runOnUiThread(() -> {
+            try {
+                activity.startLockTask();
+                promise.resolve(true);
+            } catch (Exception e) {
+                promise.reject("LOCK_TASK_FAILED", e);
+            }
+        });
+    }
+
+    @ReactMethod
+    public void stopLockTaskMode(Promise promise) {
+        Activity activity = requireActivity(promise);
+        if (activity == null) return;
+
+        activity.runOnUiThread(() -> {
+            try {
+                activity.stopLockTask();
+                promise.resolve(true);
+            } catch (Exception e) {
+                promise.reject("LOCK_TASK_FAILED", e);
+            }
+        });
+    }
+
+    @ReactMethod
+    public void setLockTaskPackages(ReadableArray packages, Promise promise) {
+        if (!requireDeviceOwner(promise)) return;
+
+        Set<String> allowed = toStringSet(packages);
+        allowed.add(getReactApplicationContext().getPackageName());
+        dpm.setLockTaskPackages(adminComponent, allowed.toArray(new String[0]));
+        promise.resolve(true);
+    }
+
+    @ReactMethod
+    public void setLockTaskFeatures(ReadableArray features, Promise promise) {
+        if (Build.VERSION.SDK_INT < Build.VERSION_CODES.P) {
+            promise.reject("UNSUPPORTED", "Lock task features need Android 9+");
+            return;
+        }
+        if (!requireDeviceOwner(promise)) return;
+
+        int flags = DevicePolicyManager.LOCK_TASK_FEATURE_NONE;
+        for (String feature : toStringSet(features)) {
+            switch (feature) {
+                case "systemInfo": flags |= DevicePolicyManager.LOCK_TASK_FEATURE_SYSTEM_INFO; break;
+                case "notifications": flags |= DevicePolicyManager.LOCK_TASK_FEATURE_NOTIFICATIONS; break;
+                case "home": flags |= DevicePolicyManager.LOCK_TASK_FEATURE_HOME; break;
+                case "overview": flags |= DevicePolicyManager.LOCK_TASK_FEATURE_OVERVIEW; break;
+                case "globalActions": flags |= DevicePolicyManager.LOCK_TASK_FEATURE_GLOBAL_ACTIONS; break;
+                case "keyguard": flags |= DevicePolicyManager.LOCK_TASK_FEATURE_KEYGUARD; break;
+                default: break;
+            }
+        }
+        // Overview and notifications are only honoured together with home
+        if ((flags & (DevicePolicyManager.LOCK_TASK_FEATURE_OVERVIEW | DevicePolicyManager.LOCK_TASK_FEATURE_NOTIFICATIONS)) != 0) {
+            flags |= DevicePolicyManager.LOCK_TASK_FEATURE_HOME;
+        }
+        dpm.setLockTaskFeatures(adminComponent, flags);
+        promise.resolve(true);
+    }
+
+    // Installed, launchable apps among the given packages: [{ packageName, label, icon }]
+    @ReactMethod
+    public void getLaunchableApps(ReadableArray packages, Promise promise) {
+        PackageManager pm = getReactApplicationContext().getPackageManager();
+        String self = getReactApplicationContext().getPackageName();
+        WritableArray apps = Arguments.createArray();
+
+        for (String packageName : toStringSet(packages)) {
+            if (packageName.equals(self) || pm.getLaunchIntentForPackage(packageName) == null) continue;
+            try {
+                WritableMap app = Arguments.createMap();
+                app.putString("packageName", packageName);
+                app.putString("label", pm.getApplicationLabel(pm.getApplicationInfo(packageName, 0)).toString());
+                app.putString("icon", encodeIcon(pm.getApplicationIcon(packageName)));
+                apps.pushMap(app);
+            } catch (PackageManager.NameNotFoundException e) {
+                // Uninstalled between the two lookups
+            }
+        }
+        promise.resolve(apps);
+    }
+
+    private String encodeIcon(Drawable drawable) {
+        Bitmap bitmap = Bitmap.createBitmap(ICON_SIZE, ICON_SIZE, Bitmap.Config.ARGB_8888);
+        Canvas canvas = new Canvas(bitmap);
+        drawable.setBounds(0, 0, ICON_SIZE, ICON_SIZE);
+        drawable.draw(canvas);
+
+        ByteArrayOutputStream out = new ByteArrayOutputStream();
+        bitmap.compress(Bitmap.CompressFormat.PNG, 100, out);
+        bitmap.recycle();
+        return Base64.encodeToString(out.toByteArray(), Base64.NO_WRAP);
+    }
+
+    // Only apps in the lock task allowlist can be opened, so this can't escape kiosk mode
+    @ReactMethod
+    public void launchApp(String packageName, Promise promise) {
+        if (!requireDeviceOwner(promise)) return;
+        if (!Arrays.asList(dpm.getLockTaskPackages(adminComponent)).contains(packageName)) {
+            promise.reject("NOT_ALLOWED", packageName + " is not in the lock task allowlist");
+            return;
+        }
+
+        Intent intent = getReactApplicationContext().getPackageManager().getLaunchIntentForPackage(packageName);
+        if (intent == null) {
+            promise.reject("NOT_LAUNCHABLE", packageName + " has no launcher activity");
+            return;
+        }
+        intent.addFlags(Intent.FLAG_ACTIVITY_NEW_TASK);
+        getReactApplicationContext().startActivity(intent);
+        promise.resolve(true);
+    }
+
+    // Place a call without opening a dialer app, so it works under every lock level
+    // (telecom's in-call screen is always allowed). The device owner grants itself CALL_PHONE.
+    @ReactMethod
+    public void placeCall(String number, Promise promise) {
+        Context context = getReactApplicationContext();
+        if (context.checkSelfPermission(Manifest.permission.CALL_PHONE) != PackageManager.PERMISSION_GRANTED
+            && !(isOwner() && dpm.setPermissionGrantState(adminComponent, context.getPackageName(),
+                Manifest.permission.CALL_PHONE, DevicePolicyManager.PERMISSION_GRANT_STATE_GRANTED))) {
+            promise.reject("NO_CALL_PERMISSION", "CALL_PHONE permission not granted");
+            return;
+        }
+
+        try {
+            TelecomManager telecom = (TelecomManager) context.getSystemService(Context.TELECOM_SERVICE);
+            telecom.placeCall(Uri.fromParts("tel", number, null), new Bundle());
+            promise.resolve(true);
+        } catch (SecurityException e) {
+            promise.reject("CALL_FAILED", e.getMessage());
+        }
+    }
+
+    // The launcher entry is an activity-alias, so hiding it leaves MainActivity usable
+    private void setLauncherAliasEnabled(boolean enabled) {
+        Context context = getReactApplicationContext();
+        ComponentName alias = new ComponentName(context, context.getPackageName() + LAUNCHER_ALIAS);
+        context.getPackageManager().setComponentEnabledSetting(
+            alias,
+            enabled
+                ? PackageManager.COMPONENT_ENABLED_STATE_ENABLED
+                : PackageManager.COMPONENT_ENABLED_STATE_DISABLED,
+            PackageManager.DONT_KILL_APP
+        );
+    }
+
+    @ReactMethod
+    public void hideAppFromLauncher(Promise promise) {
+        if (!requireDeviceOwner(promise)) return;
+        setLauncherAliasEnabled(false);
+        promise.resolve(true);
+    }
+
+    @ReactMethod
+    public void showAppInLauncher(Promise promise) {
+        setLauncherAliasEnabled(true);
+        promise.resolve(true);
+    }
+
+    @ReactMethod
+    public void disableStatusBar(Promise promise) {
+        if (!requireDeviceOwner(promise)) return;
+        promise.resolve(dpm.setStatusBarDisabled(adminComponent, true));
+    }
+
+    @ReactMethod
+    public void enableStatusBar(Promise promise) {
+        if (!requireDeviceOwner(promise)) return;
+        promise.resolve(dpm.setStatusBarDisabled(adminComponent, false));
+    }
+
+    @ReactMethod
+    public void setUserRestrictions(boolean enable, Promise promise) {
+        if (!requireDeviceOwner(promise)) return;
+
+        for (String restriction : LOCK_RESTRICTIONS) {
+            if (enable) {
+                dpm.addUserRestriction(adminComponent, restriction);
+            } else {
+                dpm.clearUserRestriction(adminComponent, restriction);
+            }
+        }
+        // The app itself can never be removed while it manages the device
+        dpm.setUninstallBlocked(adminComponent, getReactApplicationContext().getPackageName(), true);
+        promise.resolve(true);
+    }
+
+    // Factory reset. Needs the <wipe-data /> policy; device owners use wipeDevice on Android 14+
+    @ReactMethod
+    public void wipeData(Promise promise) {
+        if (!dpm.isAdminActive(adminComponent)) {
+            promise.reject("NOT_DEVICE_ADMIN", "Device admin is not active");
+            return;
+        }
+        try {
+            if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.UPSIDE_DOWN_CAKE && isOwner()) {
+                dpm.wipeDevice(DevicePolicyManager.WIPE_EXTERNAL_STORAGE);
+            } else {
+                dpm.wipeData(DevicePolicyManager.WIPE_EXTERNAL_STORAGE);
+            }
+            promise.resolve(true);
+        } catch (SecurityException e) {
+            promise.reject("WIPE_FAILED", e);
+        }
+    }
+}
@@ -0,0 +1,33 @@
+package __PACKAGE__;
+
+import android.app.Activity;
+import android.app.admin.DevicePolicyManager;
+import android.content.Intent;
+import android.os.Bundle;
+import android.os.PersistableBundle;
+
+/**
+ * Generated by plugins/withDeviceAdmin.js - do not edit in android/.
+ * Handles the Android 12+ provisioning handshake: GET_PROVISIONING_MODE asks
+ * which mode we want (always fully managed), ADMIN_POLICY_COMPLIANCE runs once
+ * we are device owner. Both carry the admin extras bundle from the QR code,
+ * which is saved for ActivationScreen.
+ */
+public class ProvisioningActivity extends Activity {
+    @Override
+    protected void onCreate(Bundle savedInstanceState) {
+        super.onCreate(savedInstanceState);
+
+        Intent intent = getIntent();
+        PersistableBundle extras = intent.getParcelableExtra(DevicePolicyManager.EXTRA_PROVISIONING_ADMIN_EXTRAS_BUNDLE);
+        DeviceAdminModule.saveProvisioningExtras(this, extras);
+
+        Intent result = new Intent();
+        if (DevicePolicyManager.ACTION_GET_PROVISIONING_MODE.equals(intent.getAction())) {
+            result.putExtra(DevicePolicyManager.EXTRA_PROVISIONING_MODE,
+                DevicePolicyManager.PROVISIONING_MODE_FULLY_MANAGED_DEVICE);
+        }
+        setResult(RESULT_OK, result);
+        finish();
+    }
+}
@@ -0,0 +1,146 @@
+const { withAndroidManifest, withDangerousMod } = require('@expo/config-plugins');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Certificate pinning (Android)
+ * Writes res/xml/network_security_config.xml with a <pin-set> per pinned API
+ * host of the build's environment (expo.extra.environments.<env>.pins) and
+ * points the manifest at it. The platform enforces it for every connection
+ * (axios/fetch and WebSockets), and user-installed CAs are never trusted.
+ *
+ *   "pins": { "api.example.com": ["<base64 SHA-256 of SPKI>", "<backup>"] }
+ *   "pinExpiration": "2027-06-30"   (optional - pins stop being enforced after it)
+ *
+ * Each host pins its own public key plus a backup key it can rotate to, so a
+ * key rotation can't lock devices out. CA root keys are refused: every site
+ * their CA issues for (every app on a shared host) would match them.
+ * "*.example.com" also covers subdomains. Every environment except dev must
+ * pin its hosts - the build fails otherwise.
+ */
+
+const ENVIRONMENTS = ['dev', 'staging', 'prod', 'tenant'];
+const CONFIG_FILE = 'network_security_config';
+const PIN_PATTERN = /^[A-Za-z0-9+/]{43}=$/;
+const MIN_PINS = 2;
+
+// Root keys of the public CAs common hosts issue from - not accepted as pins
+const CA_ROOT_PINS = {
+  'C5+lpZ7tcVwmwQIMcRtPbsQtWLABXhQzejna0wHFr8M=': 'ISRG Root X1',
+  'diGVwiVYbubAI3RW4hB9xU8e/CH2GnkuvVFZE8zmgzI=': 'ISRG Root X2',
+  'hxqRlPTu1bMS/0DITB1SSu0vd4u/8l8TjPgfaAp63Gc=': 'GTS Root R1',
+  'mEflZT5enoR1FuXLgYYGqnVEoZvmf9c2bVBpiOjYQ0c=': 'GTS Root R4',
+};
+
+// Same resolution as src/config/environment.js
+const resolveEnvironment = (config) => {
+  const name = process.env.EXPO_PUBLIC_APP_ENV || config.extra?.environment || 'prod';
+  return ENVIRONMENTS.includes(name) ? name : 'prod';
+};
+
+const escapeXml = (value) =>
+  String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Validate the environment's pins. Returns [{ domain, includeSubdomains, pins }]
+const readPinSets = (environment, profile) =>
+  Object.entries(profile.pins || {}).map(([pattern, pins]) => {
+    const list = (Array.isArray(pins) ? pins : []).map((pin) => String(pin).replace(/^sha256\//, ''));
+    if (list.length < MIN_PINS) {
+      throw new Error(
+        `[withCertificatePinning] ${environment}: "${pattern}" needs at least ${MIN_PINS} pins (the host's own key + a backup key)`
+      );
+    }
+    list.forEach((pin) => {
+      if (!PIN_PATTERN.test(pin)) {
+        throw new Error(`[withCertificatePinning] ${environment}: "${pin}" is not a base64 SHA-256 pin`);
+      }
+      if (CA_ROOT_PINS[pin]) {
+        throw new Error(
+          `[withCertificatePinning] ${environment}: "${pattern}" pins the ${CA_ROOT_PINS[pin]} CA root - pin the host's own key instead`
+        );
+      }
+    });
+
+    const includeSubdomains = pattern.startsWith('*.');
+    return { domain: includeSubdomains ? pattern.slice(2) : pattern, includeSubdomains, pins: list };
+  });
+
+const buildNetworkSecurityConfig = ({ pinSets, expiration, cleartextPermitted }) => {
+  const expirationAttr = expiration ? ` expiration="${escapeXml(expiration)}"` : '';
+  const domains = pinSets
+    .map(
+      ({ domain, includeSubdomains, pins }) => `    <domain-config cleartextTrafficPermitted="false">
+        <domain includeSubdomains="${includeSubdomains}">${escapeXml(domain)}</domain>
+        <pin-set${expirationAttr}>
+${pins.map((pin) => `            <pin digest="SHA-256">${escapeXml(pin)}</pin>`).join('\n')}
+        </pin-set>
+        <trust-anchors>
+            <certificates src="system" />
+        </trust-anchors>
+    </domain-config>`
+    )
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!-- Generated by plugins/withCertificatePinning.js - edit expo.extra.environments in app.json instead -->
+<network-security-config>
+    <base-config cleartextTrafficPermitted="${cleartextPermitted}">
+        <trust-anchors>
+            <certificates src="system" />
+        </trust-anchors>
+    </base-config>
+${domains}
+</network-security-config>
+`;
+};
+
+const withCertificatePinning = (config) => {
+  const environment = resolveEnvironment(config);
+  const profile = config.extra?.environments?.[environment] || {};
+  const pinSets = readPinSets(environment, profile);
+
+  // Only dev builds (local server over plain http) may ship without pins
+  if (pinSets.length === 0) {
+    if (environment !== 'dev') {
+      throw new Error(`[withCertificatePinning] ${environment}: no pins configured - every non-dev build must pin its API hosts`);
+    }
+    return config;
+  }
+
+  const apiHost = (String(profile.apiUrl || '').match(/^https?:\/\/([^/:]+)/) || [])[1];
+  const covers = ({ domain, includeSubdomains }) =>
+    apiHost === domain || (includeSubdomains && apiHost.endsWith(`.${domain}`));
+  if (apiHost && !pinSets.some(covers)) {
+    throw new Error(`[withCertificatePinning] ${environment}: apiUrl host "${apiHost}" has no pins`);
+  }
+
+  config = withAndroidManifest(config, (config) => {
+    const application = config.modResults.manifest.application[0];
+    application.$['android:networkSecurityConfig'] = `@xml/${CONFIG_FILE}`;
+    return config;
+  });
+
+  config = withDangerousMod(config, [
+    'android',
+    async (config) => {
+      const xmlDir = path.join(config.modRequest.platformProjectRoot, 'app', 'src', 'main', 'res', 'xml');
+      fs.mkdirSync(xmlDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(xmlDir, `${CONFIG_FILE}.xml`),
+        buildNetworkSecurityConfig({
+          pinSets,
+          expiration: profile.pinExpiration,
+          // Dev builds talk to Metro and a LAN server over plain http
+          cleartextPermitted: environment === 'dev',
+        }),
+        'utf8'
+      );
+      return config;
+    },
+  ]);
+
+  return config;
+};
+
+module.exports = withCertificatePinning;
+module.exports.buildNetworkSecurityConfig = buildNetworkSecurityConfig;
@@ -1,7 +1,141 @@
-const { withAndroidManifest, AndroidConfig, withDangerousMod } = require('@expo/config-plugins');
+const {
+  withAndroidManifest,
+  withMainApplication,
+  AndroidConfig,
+  withDangerousMod,
+} = require('@expo/config-plugins');
 const fs = require('fs');
 const path = require('path');
 
+// Java sources copied into the android project; __PACKAGE__ is replaced with the app package
+const JAVA_TEMPLATES = [
+  'AdminReceiver.java',
+  'DeviceAdminModule.java',
+  'DeviceAdminPackage.java',
+  'ProvisioningActivity.java',
+];
+const TEMPLATE_DIR = path.join(__dirname, 'android');
+
+const LAUNCHER_ALIAS = '.LauncherAlias';
+
+// Strings the system shows for the native code, per app language (src/i18n).
+// Written as Android string resources, so they follow the device language.
+const NATIVE_STRINGS = {
+  en: {
+    admin_add_explanation: 'Required to protect this financed device until the EMI is paid.',
+    admin_disable_warning: 'Removing device protection will be reported to your seller and may lock this device.',
+  },
+  hi: {
+    admin_add_explanation: 'EMI का भुगतान होने तक इस फ़ाइनेंस किए गए डिवाइस की सुरक्षा के लिए आवश्यक।',
+    admin_disable_warning: 'डिवाइस सुरक्षा हटाने की सूचना आपके विक्रेता को दी जाएगी और यह डिवाइस लॉक हो सकता है।',
+  },
+  ta: {
+    admin_add_explanation: 'EMI செலுத்தப்படும் வரை இந்த நிதியுதவி பெற்ற சாதனத்தைப் பாதுகாக்கத் தேவை.',
+    admin_disable_warning:
+      'சாதனப் பாதுகாப்பை அகற்றினால் அது உங்கள் விற்பனையாளருக்குத் தெரிவிக்கப்படும், மேலும் இந்தச் சாதனம் பூட்டப்படலாம்.',
+  },
+  te: {
+    admin_add_explanation: 'EMI చెల్లించే వరకు ఈ ఫైనాన్స్ చేసిన పరికరాన్ని రక్షించడానికి అవసరం.',
+    admin_disable_warning: 'పరికర రక్షణను తొలగిస్తే అది మీ విక్రేతకు తెలియజేయబడుతుంది మరియు ఈ పరికరం లాక్ కావచ్చు.',
+  },
+  mr: {
+    admin_add_explanation: 'EMI भरले जाईपर्यंत या फायनान्स केलेल्या डिव्हाइसच्या संरक्षणासाठी आवश्यक.',
+    admin_disable_warning: 'डिव्हाइस संरक्षण काढल्याची माहिती तुमच्या विक्रेत्याला दिली जाईल आणि हे डिव्हाइस लॉक होऊ शकते.',
+  },
+  bn: {
+    admin_add_explanation: 'EMI পরিশোধ না হওয়া পর্যন্ত এই ফাইন্যান্স করা ডিভাইসটি সুরক্ষিত রাখতে প্রয়োজন।',
+    admin_disable_warning: 'ডিভাইস সুরক্ষা সরালে তা আপনার বিক্রেতাকে জানানো হবে এবং এই ডিভাইসটি লক হয়ে যেতে পারে।',
+  },
+};
+const STRINGS_FILE = 'device_admin_strings.xml';
+
+const escapeAndroidString = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/'/g, "\\'")
+    .replace(/"/g, '\\"');
+
+const buildStringsXml = (strings) => `<?xml version="1.0" encoding="utf-8"?>
+<!-- Generated by plugins/withDeviceAdmin.js -->
+<resources>
+${Object.entries(strings)
+  .map(([name, value]) => `    <string name="${name}">${escapeAndroidString(value)}</string>`)
+  .join('\n')}
+</resources>
+`;
+
+const isLauncherFilter = (filter) =>
+  (filter.category || []).some((c) => c.$['android:name'] === 'android.intent.category.LAUNCHER');
+
+// Move the launcher entry from MainActivity to an activity-alias, so the
+// native module can hide the app icon without disabling MainActivity
+const addLauncherAlias = (application) => {
+  if ((application['activity-alias'] || []).some((a) => a.$['android:name'] === LAUNCHER_ALIAS)) {
+    return;
+  }
+
+  const mainActivity = (application.activity || []).find((a) => a.$['android:name'] === '.MainActivity');
+  if (!mainActivity) return;
+
+  mainActivity['intent-filter'] = (mainActivity['intent-filter'] || []).filter((f) => !isLauncherFilter(f));
+
+  if (!application['activity-alias']) application['activity-alias'] = [];
+  application['activity-alias'].push({
+    $: {
+      'android:name': LAUNCHER_ALIAS,
+      'android:targetActivity': '.MainActivity',
+      'android:exported': 'true',
+      'android:enabled': 'true',
+    },
+    'intent-filter': [
+      {
+        action: [{ $: { 'android:name': 'android.intent.action.MAIN' } }],
+        category: [{ $: { 'android:name': 'android.intent.category.LAUNCHER' } }],
+      },
+    ],
+  });
+};
+
+// Activity answering the Android 12+ provisioning intents (QR / zero-touch)
+const addProvisioningActivity = (application) => {
+  if (!application.activity) application.activity = [];
+  if (application.activity.some((a) => a.$['android:name'] === '.ProvisioningActivity')) {
+    return;
+  }
+
+  application.activity.push({
+    $: {
+      'android:name': '.ProvisioningActivity',
+      'android:permission': 'android.permission.BIND_DEVICE_ADMIN',
+      'android:exported': 'true',
+      'android:theme': '@android:style/Theme.Translucent.NoTitleBar',
+    },
+    'intent-filter': [
+      'android.app.action.GET_PROVISIONING_MODE',
+      'android.app.action.ADMIN_POLICY_COMPLIANCE',
+    ].map((action) => ({
+      action: [{ $: { 'android:name': action } }],
+      category: [{ $: { 'android:name': 'android.intent.category.DEFAULT' } }],
+    })),
+  });
+};
+
+// Add DeviceAdminPackage to MainApplication's package list (Kotlin or Java template)
+const registerPackage = (contents, language) => {
+  if (contents.includes('DeviceAdminPackage()')) return contents;
+
+  const [anchor, toLine] = language === 'kt'
+    ? [/^( *)PackageList\(this\)\.packages\.apply \{\n/m, (indent) => `${indent}  add(DeviceAdminPackage())\n`]
+    : [/^( *)List<ReactPackage> packages = new PackageList\(this\)\.getPackages\(\);\n/m, (indent) => `${indent}packages.add(new DeviceAdminPackage());\n`];
+
+  if (!anchor.test(contents)) {
+    throw new Error('withDeviceAdmin: could not find the package list in MainApplication to register DeviceAdminPackage');
+  }
+  return contents.replace(anchor, (match, indent) => match + toLine(indent));
+};
+
 const withDeviceAdmin = (config) => {
   // 1) Modify AndroidManifest
   config = withAndroidManifest(config, async (config) => {
@@ -18,6 +152,7 @@ const withDeviceAdmin = (config) => {
       'android.permission.DISABLE_KEYGUARD',
       'android.permission.REORDER_TASKS',
       'android.permission.FOREGROUND_SERVICE',
+      'android.permission.CALL_PHONE',
     ];
 
     permissions.forEach((permission) => {
@@ -26,7 +161,29 @@ const withDeviceAdmin = (config) => {
       }
     });
 
+    // Package visibility (Android 11+): needed to list and launch allowlisted
+    // apps from the lock screen grid
+    if (!manifest.queries) manifest.queries = [];
+    const hasLauncherQuery = manifest.queries.some((query) =>
+      (query.intent || []).some((intent) =>
+        (intent.category || []).some((c) => c.$['android:name'] === 'android.intent.category.LAUNCHER')
+      )
+    );
+    if (!hasLauncherQuery) {
+      manifest.queries.push({
+        intent: [
+          {
+            action: [{ $: { 'android:name': 'android.intent.action.MAIN' } }],
+            category: [{ $: { 'android:name': 'android.intent.category.LAUNCHER' } }],
+          },
+        ],
+      });
+    }
+
     const application = manifest.application[0];
+    addLauncherAlias(application);
+    addProvisioningActivity(application);
+
     if (!application.receiver) application.receiver = [];
 
     application.receiver.push({
@@ -39,14 +196,19 @@ const withDeviceAdmin = (config) => {
         { $: { 'android:name': 'android.app.device_admin', 'android:resource': '@xml/device_admin' } },
       ],
       'intent-filter': [
-        { action: [{ $: { 'android:name': 'android.app.action.DEVICE_ADMIN_ENABLED' } }] },
+        {
+          action: [
+            { $: { 'android:name': 'android.app.action.DEVICE_ADMIN_ENABLED' } },
+            { $: { 'android:name': 'android.app.action.PROFILE_PROVISIONING_COMPLETE' } },
+          ],
+        },
       ],
     });
 
     return config;
   });
 
-  // 2) Write required files into android project (res/xml + AdminReceiver.java)
+  // 2) Write required files into android project (res/xml, res/values + Java sources)
   config = withDangerousMod(config, [
     'android',
     async (config) => {
@@ -60,18 +222,34 @@ const withDeviceAdmin = (config) => {
       const xmlContent = `<?xml version="1.0" encoding="utf-8"?>\n<device-admin xmlns:android="http://schemas.android.com/apk/res/android">\n    <uses-policies>\n        <limit-password />\n        <watch-login />\n        <reset-password />\n        <force-lock />\n        <wipe-data />\n        <expire-password />\n        <encrypted-storage />\n        <disable-camera />\n    </uses-policies>\n</device-admin>\n`;
       fs.writeFileSync(xmlFile, xmlContent, 'utf8');
 
-      // Ensure AdminReceiver.java
-      const pkgPath = androidPackage ? androidPackage.split('.').join(path.sep) : path.join('com','devicelock','customer');
-      const javaDir = path.join(projectRoot, 'app', 'src', 'main', 'java', pkgPath);
-      const javaFile = path.join(javaDir, 'AdminReceiver.java');
+      // Translated native strings - English is the default resource
+      Object.entries(NATIVE_STRINGS).forEach(([language, strings]) => {
+        const valuesDir = path.join(
+          projectRoot, 'app', 'src', 'main', 'res', language === 'en' ? 'values' : `values-${language}`
+        );
+        fs.mkdirSync(valuesDir, { recursive: true });
+        fs.writeFileSync(path.join(valuesDir, STRINGS_FILE), buildStringsXml(strings), 'utf8');
+      });
+
+      // Copy the receiver and the native module/package sources
+      const pkg = androidPackage || 'com.devicelock.customer';
+      const javaDir = path.join(projectRoot, 'app', 'src', 'main', 'java', ...pkg.split('.'));
       fs.mkdirSync(javaDir, { recursive: true });
-      const javaContent = `package ${androidPackage || 'com.devicelock.customer'};\n\nimport android.content.Context;\nimport android.content.Intent;\n\npublic class AdminReceiver extends android.app.admin.DeviceAdminReceiver {\n    @Override\n    public void onEnabled(Context context, Intent intent) {\n        super.onEnabled(context, intent);\n    }\n\n    @Override\n    public void onDisabled(Context context, Intent intent) {\n        super.onDisabled(context, intent);\n    }\n}\n`;
-      fs.writeFileSync(javaFile, javaContent, 'utf8');
+      JAVA_TEMPLATES.forEach((file) => {
+        const source = fs.readFileSync(path.join(TEMPLATE_DIR, file), 'utf8');
+        fs.writeFileSync(path.join(javaDir, file), source.replace(/__PACKAGE__/g, pkg), 'utf8');
+      });
 
       return config;
     },
   ]);
 
+  // 3) Register the native module package in MainApplication
+  config = withMainApplication(config, (config) => {
+    config.modResults.contents = registerPackage(config.modResults.contents, config.modResults.language);
+    return config;
+  });
+
   return config;
 };
 
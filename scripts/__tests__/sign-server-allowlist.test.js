@@ -0,0 +1,106 @@
+import nacl from 'tweetnacl';
+import { encodeBase64 } from 'tweetnacl-util';
+import { canonicalize, verifySignature } from '../../src/utils/signature';
+import {
+  ALLOWLIST_SIGNED_FIELDS,
+  isAllowedServer,
+  saveServerAllowlist,
+} from '../../src/services/serverService';
+
+const { signServerAllowlist, SIGNED_FIELDS } = require('../sign-server-allowlist');
+
+const ALLOWLIST_KEY_SEED = new Uint8Array(32).fill(5);
+
+// A staging build without pins that trusts the test allowlist key (same seed -
+// the factory runs before this file's constants exist)
+jest.mock('expo-constants', () => {
+  const { keyPair } = require('tweetnacl').sign;
+  const { encodeBase64: encode } = require('tweetnacl-util');
+  return {
+    expoConfig: {
+      extra: {
+        environment: 'staging',
+        environments: { staging: { apiUrl: 'https://staging.example.com/api' } },
+        serverAllowlistPublicKey: encode(keyPair.fromSeed(new Uint8Array(32).fill(5)).publicKey),
+      },
+    },
+  };
+});
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('../../src/services/secureStorage', () => ({
+  __esModule: true,
+  default: {
+    getItem: jest.fn(async () => null),
+    setItem: jest.fn(async () => {}),
+    removeItem: jest.fn(async () => {}),
+  },
+}));
+
+const { publicKey, secretKey } = nacl.sign.keyPair.fromSeed(ALLOWLIST_KEY_SEED);
+const SECRET_KEY = encodeBase64(secretKey);
+const TENANT = 'https://tenant.example.com/api';
+
+describe('signServerAllowlist', () => {
+  it('signs the same fields the app verifies', () => {
+    expect(SIGNED_FIELDS).toEqual(ALLOWLIST_SIGNED_FIELDS);
+  });
+
+  it('produces a signature the app accepts', () => {
+    const allowlist = signServerAllowlist({ version: 3, servers: [`${TENANT}/`], secretKey: SECRET_KEY });
+
+    expect(allowlist.servers).toEqual([TENANT]);
+    expect(
+      verifySignature(canonicalize(allowlist, ALLOWLIST_SIGNED_FIELDS), allowlist.signature, encodeBase64(publicKey))
+    ).toBe(true);
+  });
+
+  it('rejects bad input', () => {
+    expect(() => signServerAllowlist({ version: 0, servers: [TENANT], secretKey: SECRET_KEY })).toThrow('version');
+    expect(() => signServerAllowlist({ version: 1, servers: [], secretKey: SECRET_KEY })).toThrow('server');
+    expect(() =>
+      signServerAllowlist({ version: 1, servers: ['http://tenant.example.com/api'], secretKey: SECRET_KEY })
+    ).toThrow('https://');
+    expect(() => signServerAllowlist({ version: 1, servers: [TENANT], secretKey: encodeBase64(publicKey) })).toThrow(
+      'secret key'
+    );
+  });
+});
+
+describe('serverService with a signed allowlist', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('keeps a newer signed allowlist and trusts its servers', async () => {
+    expect(isAllowedServer(TENANT)).toBe(false);
+
+    const allowlist = signServerAllowlist({ version: 2, servers: [TENANT], secretKey: SECRET_KEY });
+    await expect(saveServerAllowlist(allowlist)).resolves.toBe(true);
+    expect(isAllowedServer(TENANT)).toBe(true);
+    expect(isAllowedServer('https://other.example.com/api')).toBe(false);
+  });
+
+  it('ignores an older version', async () => {
+    const older = signServerAllowlist({ version: 1, servers: ['https://old.example.com/api'], secretKey: SECRET_KEY });
+    await expect(saveServerAllowlist(older)).resolves.toBe(false);
+    expect(isAllowedServer('https://old.example.com/api')).toBe(false);
+  });
+
+  it('rejects an allowlist edited after signing', async () => {
+    const edited = signServerAllowlist({ version: 5, servers: [TENANT], secretKey: SECRET_KEY });
+    edited.servers.push('https://evil.example.com/api');
+    await expect(saveServerAllowlist(edited)).resolves.toBe(false);
+    expect(isAllowedServer('https://evil.example.com/api')).toBe(false);
+  });
+
+  it('rejects an allowlist signed with another key', async () => {
+    const otherKey = encodeBase64(nacl.sign.keyPair.fromSeed(new Uint8Array(32).fill(6)).secretKey);
+    const foreign = signServerAllowlist({ version: 9, servers: ['https://evil.example.com/api'], secretKey: otherKey });
+    await expect(saveServerAllowlist(foreign)).resolves.toBe(false);
+  });
+});
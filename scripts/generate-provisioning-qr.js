@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * Generates the Android Enterprise provisioning QR payload for the customer app.
+ *
+ * Usage:
+ *   node scripts/generate-provisioning-qr.js --apk-url <url> (--apk <file.apk> | --checksum <sha256>)
+ *     [--activation-key <key>] [--server-url <url> [--server-allowlist <allowlist.json>]]
+ *     [--wifi-ssid <ssid> --wifi-password <password>] [--skip-encryption] [--out <file.json>]
+ *
+ * Encode the printed JSON as a QR code (e.g. `qrencode -o provisioning.png < provisioning.json`)
+ * and scan it after tapping the welcome screen of a factory-reset device six times.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const EXTRA = 'android.app.extra.';
+
+// Receiver class generated by plugins/withDeviceAdmin.js
+const ADMIN_RECEIVER = '.AdminReceiver';
+
+const readAppConfig = () => {
+  const appJson = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'app.json'), 'utf8'));
+  return appJson.expo;
+};
+
+// Provisioning expects the SHA-256 of the APK as URL-safe base64 without padding
+const apkChecksum = (apkPath) =>
+  crypto
+    .createHash('sha256')
+    .update(fs.readFileSync(apkPath))
+    .digest('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+/**
+ * Build the provisioning payload.
+ * options: { packageName, apkUrl, checksum, activationKey, serverUrl, serverAllowlist, wifi: { ssid, password }, skipEncryption }
+ * serverAllowlist: a signed allowlist object (see scripts/sign-server-allowlist.js)
+ * skipEncryption: opt in to skipping storage encryption, only for old test devices that can't encrypt
+ */
+function buildProvisioningPayload({
+  packageName,
+  apkUrl,
+  checksum,
+  activationKey,
+  serverUrl,
+  serverAllowlist,
+  wifi,
+  skipEncryption = false,
+}) {
+  if (!packageName) throw new Error('packageName is required (expo.android.package in app.json)');
+  if (!/^https:\/\//.test(apkUrl || '')) throw new Error('apkUrl must be an https:// URL');
+  if (!checksum) throw new Error('An APK checksum is required (--apk or --checksum)');
+  if (serverUrl && !/^https:\/\//.test(serverUrl)) throw new Error('serverUrl must be an https:// URL');
+
+  const payload = {
+    [`${EXTRA}PROVISIONING_DEVICE_ADMIN_COMPONENT_NAME`]: `${packageName}/${ADMIN_RECEIVER}`,
+    [`${EXTRA}PROVISIONING_DEVICE_ADMIN_PACKAGE_DOWNLOAD_LOCATION`]: apkUrl,
+    [`${EXTRA}PROVISIONING_DEVICE_ADMIN_PACKAGE_CHECKSUM`]: checksum,
+    [`${EXTRA}PROVISIONING_LEAVE_ALL_SYSTEM_APPS_ENABLED`]: true,
+  };
+  if (skipEncryption) {
+    payload[`${EXTRA}PROVISIONING_SKIP_ENCRYPTION`] = true;
+  }
+
+  // Read back by ActivationScreen for zero-touch activation. Bundle values must
+  // be strings, so the allowlist travels as JSON.
+  const adminExtras = {};
+  if (activationKey) adminExtras.activationKey = activationKey;
+  if (serverUrl) adminExtras.serverUrl = serverUrl;
+  if (serverAllowlist) adminExtras.serverAllowlist = JSON.stringify(serverAllowlist);
+  if (Object.keys(adminExtras).length > 0) {
+    payload[`${EXTRA}PROVISIONING_ADMIN_EXTRAS_BUNDLE`] = adminExtras;
+  }
+
+  if (wifi && wifi.ssid) {
+    payload[`${EXTRA}PROVISIONING_WIFI_SSID`] = wifi.ssid;
+    if (wifi.password) {
+      payload[`${EXTRA}PROVISIONING_WIFI_PASSWORD`] = wifi.password;
+      payload[`${EXTRA}PROVISIONING_WIFI_SECURITY_TYPE`] = 'WPA';
+    }
+  }
+
+  return payload;
+}
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    // A flag without a value (e.g. --skip-encryption) is true
+    if (i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+      args[argv[i].slice(2)] = true;
+      continue;
+    }
+    args[argv[i].slice(2)] = argv[i + 1];
+    i++;
+  }
+  return args;
+};
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const config = readAppConfig();
+
+  const payload = buildProvisioningPayload({
+    packageName: config.android && config.android.package,
+    apkUrl: args['apk-url'],
+    checksum: args.checksum || (args.apk && apkChecksum(args.apk)),
+    activationKey: args['activation-key'],
+    serverUrl: args['server-url'],
+    serverAllowlist: args['server-allowlist'] && JSON.parse(fs.readFileSync(args['server-allowlist'], 'utf8')),
+    wifi: { ssid: args['wifi-ssid'], password: args['wifi-password'] },
+    skipEncryption: args['skip-encryption'] === true,
+  });
+
+  const json = JSON.stringify(payload, null, 2);
+  if (args.out) {
+    fs.writeFileSync(args.out, `${json}\n`, 'utf8');
+    console.error(`Provisioning payload written to ${args.out}`);
+  } else {
+    console.log(json);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { buildProvisioningPayload, apkChecksum };
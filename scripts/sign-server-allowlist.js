@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * Signs the server allowlist: the API servers the customer app may be pointed
+ * at by an activation QR or the provisioning extras (see src/services/serverService.js).
+ *
+ * Usage:
+ *   node scripts/sign-server-allowlist.js --generate-key
+ *   SERVER_ALLOWLIST_SECRET_KEY=<base64> node scripts/sign-server-allowlist.js \
+ *     --version <n> --servers <url,url,...> [--out <file.json>]
+ *
+ * Put the public key in expo.extra.serverAllowlistPublicKey and the signed
+ * allowlist in expo.extra.serverAllowlist (or pass it to provisioning-qr with
+ * --server-allowlist). Bump --version for every change; devices keep the newest.
+ */
+const fs = require('fs');
+const nacl = require('tweetnacl');
+const { decodeBase64, encodeBase64, decodeUTF8 } = require('tweetnacl-util');
+
+// Must match ALLOWLIST_SIGNED_FIELDS in serverService
+const SIGNED_FIELDS = ['version', 'servers'];
+
+const canonicalize = (payload) =>
+  JSON.stringify(SIGNED_FIELDS.map((field) => (payload[field] === undefined ? null : payload[field])));
+
+/**
+ * Build and sign the allowlist.
+ * options: { version, servers: [url], secretKey: base64 Ed25519 secret key }
+ */
+function signServerAllowlist({ version, servers, secretKey }) {
+  if (!Number.isInteger(version) || version < 1) throw new Error('version must be a positive integer');
+  if (!Array.isArray(servers) || servers.length === 0) throw new Error('At least one server is required');
+  servers.forEach((server) => {
+    if (!/^https:\/\/[^\s/]+/.test(server)) throw new Error(`Not an https:// URL: ${server}`);
+  });
+
+  const key = decodeBase64(secretKey || '');
+  if (key.length !== nacl.sign.secretKeyLength) {
+    throw new Error('SERVER_ALLOWLIST_SECRET_KEY must be a base64 Ed25519 secret key');
+  }
+
+  const allowlist = { version, servers: servers.map((server) => server.replace(/\/+$/, '')) };
+  const signature = nacl.sign.detached(decodeUTF8(canonicalize(allowlist)), key);
+  return { ...allowlist, signature: encodeBase64(signature) };
+}
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[argv[i].slice(2)] = true;
+    } else {
+      args[argv[i].slice(2)] = next;
+      i++;
+    }
+  }
+  return args;
+};
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args['generate-key']) {
+    const { publicKey, secretKey } = nacl.sign.keyPair();
+    console.log(JSON.stringify({ publicKey: encodeBase64(publicKey), secretKey: encodeBase64(secretKey) }, null, 2));
+    return;
+  }
+
+  const allowlist = signServerAllowlist({
+    version: Number(args.version),
+    servers: typeof args.servers === 'string' ? args.servers.split(',').map((server) => server.trim()) : [],
+    secretKey: process.env.SERVER_ALLOWLIST_SECRET_KEY,
+  });
+
+  const json = JSON.stringify(allowlist, null, 2);
+  if (args.out) {
+    fs.writeFileSync(args.out, `${json}\n`, 'utf8');
+    console.error(`Signed server allowlist written to ${args.out}`);
+  } else {
+    console.log(json);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { signServerAllowlist, SIGNED_FIELDS };
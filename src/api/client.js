@@ -0,0 +1,131 @@
+import axios from 'axios';
+import { toApiError, NetworkError, ServerError, AuthError } from './errors';
+
+/**
+ * API Client
+ * axios instance with per-request timeouts, request IDs, device auth
+ * (with one transparent token refresh on 401) and retry with exponential
+ * back-off for idempotent calls.
+ *
+ * Per-request options (passed in the axios config):
+ *   timeout     - ms before the request is aborted (default 15s)
+ *   retries     - max retry attempts (default 3 for idempotent calls, 0 otherwise)
+ *   idempotent  - force retry behaviour for non-GET calls that are safe to repeat
+ *   skipAuth    - don't attach the Authorization header
+ */
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_RETRIES = 3;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+// Short random ID so client and server logs can be correlated
+export function generateRequestId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Full-jitter exponential back-off
+const backoffDelay = (attempt) =>
+  Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+
+const isRetryable = (error) => error instanceof NetworkError || error instanceof ServerError;
+
+const maxRetriesFor = (config) => {
+  if (typeof config.retries === 'number') return config.retries;
+  const idempotent = config.idempotent || IDEMPOTENT_METHODS.includes((config.method || 'get').toLowerCase());
+  return idempotent ? DEFAULT_RETRIES : 0;
+};
+
+/**
+ * baseURL                   - server base URL, or a function resolving to it per request
+ * auth.getAccessToken()     - current access token (or null)
+ * auth.refreshAccessToken() - obtain and store a new token pair; resolves to true on success
+ */
+export function createApiClient(baseURL, auth = {}) {
+  const { getAccessToken = async () => null, refreshAccessToken = null } = auth;
+  let refreshInFlight = null;
+
+  // Concurrent 401s share one refresh call
+  const refreshOnce = () => {
+    if (!refreshInFlight) {
+      refreshInFlight = Promise.resolve(refreshAccessToken())
+        .catch((error) => {
+          console.error('Token refresh failed:', error.message);
+          return false;
+        })
+        .finally(() => {
+          refreshInFlight = null;
+        });
+    }
+    return refreshInFlight;
+  };
+
+  const client = axios.create({
+    baseURL: typeof baseURL === 'function' ? undefined : baseURL,
+    timeout: DEFAULT_TIMEOUT_MS,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+  });
+
+  client.interceptors.request.use(async (config) => {
+    if (typeof baseURL === 'function') {
+      config.baseURL = await baseURL();
+    }
+    config.headers = config.headers || {};
+    // Keep the same request ID across retries
+    if (!config.headers['X-Request-ID']) {
+      config.headers['X-Request-ID'] = generateRequestId();
+    }
+
+    if (!config.skipAuth) {
+      const token = await getAccessToken();
+      if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+      }
+    }
+    return config;
+  });
+
+  client.interceptors.response.use(
+    (response) => response,
+    async (rawError) => {
+      const error = toApiError(rawError);
+      const config = rawError.config;
+      if (!config) throw error;
+
+      // Access token expired - refresh once and replay the request
+      if (
+        error instanceof AuthError &&
+        error.status === 401 &&
+        refreshAccessToken &&
+        !config.skipAuth &&
+        !config.authRetried
+      ) {
+        const refreshed = await refreshOnce();
+        if (refreshed) {
+          return client.request({ ...config, authRetried: true });
+        }
+        throw error;
+      }
+
+      const attempt = config.retryAttempt || 0;
+      if (isRetryable(error) && attempt < maxRetriesFor(config)) {
+        const delay = backoffDelay(attempt);
+        console.log(`🔁 Retrying ${config.method?.toUpperCase()} ${config.url} in ${Math.round(delay)}ms (attempt ${attempt + 1})`);
+        await sleep(delay);
+        return client.request({ ...config, retryAttempt: attempt + 1 });
+      }
+
+      throw error;
+    }
+  );
+
+  return client;
+}
+
+export default createApiClient;
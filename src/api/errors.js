@@ -0,0 +1,96 @@
+import { t } from '../i18n';
+
+/**
+ * Typed API errors
+ * Every failed request through the API client rejects with one of these,
+ * so callers can branch on the class instead of digging through axios internals.
+ */
+
+export class ApiError extends Error {
+  constructor(message, { status = null, code = null, data = null, requestId = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.data = data;
+    this.requestId = requestId;
+  }
+}
+
+// No response at all - offline, DNS failure, connection reset, TLS failure or timeout
+export class NetworkError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NetworkError';
+    this.isTimeout = details?.code === 'ECONNABORTED' || details?.code === 'ETIMEDOUT';
+    this.url = details?.url || null;
+    this.nativeMessage = details?.nativeMessage || null;
+  }
+}
+
+// 401 / 403 - missing, expired or revoked credentials
+export class AuthError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AuthError';
+  }
+}
+
+// 400 / 404 / 409 / 422 - the server rejected the request itself
+export class ValidationError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ValidationError';
+    this.fieldErrors = details?.data?.errors || null;
+  }
+}
+
+// 5xx / 429 - server-side failure, usually worth retrying
+export class ServerError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ServerError';
+  }
+}
+
+// Convert an axios error into one of the typed errors above
+export function toApiError(error) {
+  if (error instanceof ApiError) return error;
+
+  const requestId = error.config?.headers?.['X-Request-ID'] || null;
+  const { response } = error;
+
+  if (!response) {
+    // React Native's XHR keeps the native failure text (e.g. a TLS error) in _response
+    const nativeMessage = typeof error.request?._response === 'string' ? error.request._response : null;
+    const url = error.config ? `${error.config.baseURL || ''}${error.config.url || ''}` : null;
+    return new NetworkError(error.message || 'Network request failed', {
+      code: error.code,
+      requestId,
+      url,
+      nativeMessage,
+    });
+  }
+
+  const { status, data } = response;
+  const message = data?.message || error.message || `Request failed with status ${status}`;
+  const details = { status, code: data?.code || error.code, data, requestId };
+
+  if (status === 401 || status === 403) return new AuthError(message, details);
+  if (status === 429 || status >= 500) return new ServerError(message, details);
+  return new ValidationError(message, details);
+}
+
+// Message suitable for showing to the customer, in their language
+export function getErrorMessage(error, fallback = t('apiErrors.generic')) {
+  if (error instanceof NetworkError) {
+    return error.isTimeout ? t('apiErrors.timeout') : t('apiErrors.offline');
+  }
+  if (error instanceof ServerError) {
+    return t('apiErrors.serverUnavailable');
+  }
+  if (error instanceof ApiError) {
+    return error.message || fallback;
+  }
+  return error?.message || fallback;
+}
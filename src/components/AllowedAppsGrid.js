@@ -0,0 +1,127 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, Image, TouchableOpacity, StyleSheet, Linking } from 'react-native';
+import {
+  EMERGENCY_PACKAGES,
+  getLevelPackages,
+  getLaunchableApps,
+  launchApp,
+} from '../services/kioskService';
+import { useTranslation } from '../context/LanguageContext';
+
+const COLUMNS = 4;
+
+/**
+ * Launcher-style grid of the apps a lock level allows. Only installed apps
+ * that are also in the lock task allowlist are listed, so nothing opened
+ * from here can leave lock task mode.
+ */
+export default function AllowedAppsGrid({ level, accent }) {
+  const [apps, setApps] = useState(null);
+  const { t } = useTranslation();
+
+  useEffect(() => {
+    let cancelled = false;
+
+    (async () => {
+      const packages = await getLevelPackages(level);
+      const launchable = await getLaunchableApps([...EMERGENCY_PACKAGES, ...packages]);
+      if (!cancelled) setApps(launchable);
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [level]);
+
+  if (apps === null) return null;
+
+  // Native app listing unavailable - fall back to the dialer and messaging intents
+  if (apps.length === 0) {
+    return (
+      <View style={styles.fallbackRow}>
+        <TouchableOpacity style={styles.fallbackButton} onPress={() => Linking.openURL('tel:')} activeOpacity={0.7}>
+          <Text style={[styles.fallbackText, { color: accent }]}>{t('allowedApps.phone')}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.fallbackButton} onPress={() => Linking.openURL('sms:')} activeOpacity={0.7}>
+          <Text style={[styles.fallbackText, { color: accent }]}>{t('allowedApps.messages')}</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.grid}>
+      {apps.map((app) => (
+        <TouchableOpacity
+          key={app.packageName}
+          style={styles.appTile}
+          onPress={() => launchApp(app.packageName)}
+          activeOpacity={0.7}
+        >
+          {app.icon ? (
+            <Image source={{ uri: `data:image/png;base64,${app.icon}` }} style={styles.appIcon} />
+          ) : (
+            <View style={[styles.appIcon, styles.appIconPlaceholder]}>
+              <Text style={styles.appInitial}>{(app.label || '?').charAt(0)}</Text>
+            </View>
+          )}
+          <Text style={styles.appLabel} numberOfLines={1}>{app.label}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  grid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginBottom: 16,
+  },
+  appTile: {
+    width: `${100 / COLUMNS}%`,
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  appIcon: {
+    width: 48,
+    height: 48,
+    borderRadius: 12,
+    marginBottom: 6,
+  },
+  appIconPlaceholder: {
+    backgroundColor: 'rgba(255,255,255,0.3)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  appInitial: {
+    color: '#FFFFFF',
+    fontSize: 22,
+    fontWeight: '900',
+  },
+  appLabel: {
+    color: '#FFFFFF',
+    fontSize: 12,
+    fontWeight: '600',
+    textAlign: 'center',
+    paddingHorizontal: 4,
+  },
+  fallbackRow: {
+    flexDirection: 'row',
+    marginBottom: 16,
+  },
+  fallbackButton: {
+    backgroundColor: '#FFFFFF',
+    paddingHorizontal: 20,
+    paddingVertical: 14,
+    borderRadius: 16,
+    marginHorizontal: 8,
+    elevation: 8,
+  },
+  fallbackText: {
+    fontSize: 16,
+    fontWeight: '900',
+    letterSpacing: 1,
+  },
+});
@@ -0,0 +1,66 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { getIceContacts, openEmergencyDialer, callIceContact } from '../services/emergencyService';
+import { useTranslation } from '../context/LanguageContext';
+
+// Emergency dialer + ICE contacts, always shown on the lock screen
+export default function EmergencyActions() {
+  const [contacts, setContacts] = useState([]);
+  const { t } = useTranslation();
+
+  useEffect(() => {
+    getIceContacts().then(setContacts);
+  }, []);
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity style={styles.emergencyButton} onPress={openEmergencyDialer} activeOpacity={0.7}>
+        <Text style={styles.emergencyText}>{t('emergency.call')}</Text>
+      </TouchableOpacity>
+
+      {contacts.map((contact) => (
+        <TouchableOpacity
+          key={contact.phone}
+          style={styles.contactButton}
+          onPress={() => callIceContact(contact)}
+          activeOpacity={0.7}
+        >
+          <Text style={styles.contactText}>📞 {contact.name || contact.phone}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    alignItems: 'center',
+    marginTop: 24,
+  },
+  emergencyButton: {
+    borderWidth: 2,
+    borderColor: '#FFFFFF',
+    paddingHorizontal: 32,
+    paddingVertical: 12,
+    borderRadius: 12,
+    marginBottom: 12,
+  },
+  emergencyText: {
+    color: '#FFFFFF',
+    fontSize: 18,
+    fontWeight: '900',
+    letterSpacing: 2,
+  },
+  contactButton: {
+    backgroundColor: 'rgba(255,255,255,0.2)',
+    paddingHorizontal: 24,
+    paddingVertical: 10,
+    borderRadius: 12,
+    marginBottom: 8,
+  },
+  contactText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,179 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { useTranslation } from '../context/LanguageContext';
+import { getLocaleTag } from '../i18n';
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString(getLocaleTag(), { day: 'numeric', month: 'short', year: 'numeric' });
+
+export default function EmiSummaryCard({ summary, cachedAt, stale }) {
+  const { t } = useTranslation();
+  const {
+    totalInstallments = 0,
+    paidInstallments = 0,
+    totalAmount = 0,
+    paidAmount = 0,
+    nextDue,
+    overdueDays = 0,
+    payments = [],
+  } = summary;
+
+  const remainingInstallments = Math.max(0, totalInstallments - paidInstallments);
+  const progress = totalInstallments > 0 ? paidInstallments / totalInstallments : 0;
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>{t('emi.title')}</Text>
+
+      <View style={styles.progressTrack}>
+        <View style={[styles.progressFill, { width: `${Math.round(progress * 100)}%` }]} />
+      </View>
+      <Text style={styles.progressLabel}>
+        {t('emi.progress', { paid: paidInstallments, total: totalInstallments })}
+      </Text>
+
+      <View style={styles.infoRow}>
+        <Text style={styles.label}>{t('emi.paid')}</Text>
+        <Text style={styles.value}>{formatAmount(paidAmount)}</Text>
+      </View>
+
+      <View style={styles.infoRow}>
+        <Text style={styles.label}>{t('emi.remaining')}</Text>
+        <Text style={styles.value}>
+          {t('emi.remainingValue', { amount: formatAmount(totalAmount - paidAmount), count: remainingInstallments })}
+        </Text>
+      </View>
+
+      {nextDue && (
+        <View style={styles.infoRow}>
+          <Text style={styles.label}>{t('emi.nextDue')}</Text>
+          <Text style={styles.value}>
+            {t('emi.nextDueValue', { amount: formatAmount(nextDue.amount), date: formatDate(nextDue.dueDate) })}
+          </Text>
+        </View>
+      )}
+
+      {overdueDays > 0 && (
+        <View style={styles.overdueBanner}>
+          <Text style={styles.overdueText}>
+            {t('emi.overdue', { count: overdueDays })}
+          </Text>
+        </View>
+      )}
+
+      {payments.length > 0 && (
+        <>
+          <Text style={styles.historyTitle}>{t('emi.history')}</Text>
+          {payments.map((payment, index) => (
+            <View key={payment.id || index} style={styles.historyRow}>
+              <Text style={styles.historyDate}>{formatDate(payment.paidAt)}</Text>
+              <Text style={styles.historyMethod}>{payment.method || ''}</Text>
+              <Text style={styles.historyAmount}>{formatAmount(payment.amount)}</Text>
+            </View>
+          ))}
+        </>
+      )}
+
+      {stale && cachedAt && (
+        <Text style={styles.staleText}>
+          {t('emi.offline', { time: new Date(cachedAt).toLocaleString(getLocaleTag()) })}
+        </Text>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  section: {
+    backgroundColor: '#FFFFFF',
+    margin: 16,
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1F2937',
+    marginBottom: 16,
+  },
+  progressTrack: {
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: '#E5E7EB',
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    backgroundColor: '#10B981',
+  },
+  progressLabel: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 6,
+    marginBottom: 16,
+  },
+  infoRow: {
+    flexDirection: 'row',
+    marginBottom: 12,
+  },
+  label: {
+    fontSize: 14,
+    color: '#6B7280',
+    width: 120,
+  },
+  value: {
+    fontSize: 14,
+    color: '#1F2937',
+    flex: 1,
+    fontWeight: '500',
+  },
+  overdueBanner: {
+    backgroundColor: '#FEE2E2',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12,
+  },
+  overdueText: {
+    color: '#991B1B',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  historyTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  historyRow: {
+    flexDirection: 'row',
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#F3F4F6',
+  },
+  historyDate: {
+    fontSize: 14,
+    color: '#1F2937',
+    flex: 1,
+  },
+  historyMethod: {
+    fontSize: 14,
+    color: '#6B7280',
+    flex: 1,
+  },
+  historyAmount: {
+    fontSize: 14,
+    color: '#1F2937',
+    fontWeight: '600',
+  },
+  staleText: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    marginTop: 12,
+    textAlign: 'center',
+  },
+});
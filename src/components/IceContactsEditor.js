@@ -0,0 +1,126 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import {
+  MAX_ICE_CONTACTS,
+  isValidPhone,
+  getIceContacts,
+  saveIceContacts,
+} from '../services/emergencyService';
+import { useTranslation } from '../context/LanguageContext';
+
+const emptyContacts = () => Array.from({ length: MAX_ICE_CONTACTS }, () => ({ name: '', phone: '' }));
+
+// Configure the ICE contacts that stay callable while the device is locked
+export default function IceContactsEditor() {
+  const [contacts, setContacts] = useState(emptyContacts());
+  const { t } = useTranslation();
+
+  useEffect(() => {
+    getIceContacts().then((saved) => {
+      const filled = emptyContacts();
+      saved.forEach((contact, index) => {
+        filled[index] = contact;
+      });
+      setContacts(filled);
+    });
+  }, []);
+
+  const updateContact = (index, field, value) => {
+    setContacts((current) =>
+      current.map((contact, i) => (i === index ? { ...contact, [field]: value } : contact))
+    );
+  };
+
+  const handleSave = async () => {
+    const entered = contacts.filter((contact) => contact.phone.trim());
+    const invalid = entered.find((contact) => !isValidPhone(contact.phone));
+    if (invalid) {
+      Alert.alert(t('ice.invalidTitle'), t('ice.invalidBody', { phone: invalid.phone }));
+      return;
+    }
+
+    await saveIceContacts(entered);
+    Alert.alert(t('ice.savedTitle'), t('ice.savedBody'));
+  };
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>{t('ice.title')}</Text>
+      <Text style={styles.helpText}>{t('ice.help', { count: MAX_ICE_CONTACTS })}</Text>
+
+      {contacts.map((contact, index) => (
+        <View key={index} style={styles.contactRow}>
+          <TextInput
+            style={[styles.input, styles.nameInput]}
+            placeholder={t('ice.name')}
+            value={contact.name}
+            onChangeText={(value) => updateContact(index, 'name', value)}
+          />
+          <TextInput
+            style={[styles.input, styles.phoneInput]}
+            placeholder={t('ice.phone')}
+            value={contact.phone}
+            onChangeText={(value) => updateContact(index, 'phone', value)}
+            keyboardType="phone-pad"
+          />
+        </View>
+      ))}
+
+      <TouchableOpacity style={styles.saveButton} onPress={handleSave}>
+        <Text style={styles.saveButtonText}>{t('ice.save')}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  section: {
+    backgroundColor: '#FFFFFF',
+    margin: 16,
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1F2937',
+    marginBottom: 8,
+  },
+  helpText: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginBottom: 16,
+  },
+  contactRow: {
+    flexDirection: 'row',
+    marginBottom: 12,
+  },
+  input: {
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 14,
+  },
+  nameInput: {
+    flex: 1,
+    marginRight: 8,
+  },
+  phoneInput: {
+    flex: 1.2,
+  },
+  saveButton: {
+    backgroundColor: '#3B82F6',
+    borderRadius: 8,
+    padding: 12,
+    alignItems: 'center',
+  },
+  saveButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
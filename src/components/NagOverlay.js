@@ -0,0 +1,142 @@
+import React, { useEffect, useState } from 'react';
+import { Modal, View, Text, StyleSheet, TouchableOpacity, AppState } from 'react-native';
+import { usePayment } from '../hooks/usePayment';
+import { useTheme } from '../context/ThemeContext';
+import { useTranslation } from '../context/LanguageContext';
+
+/**
+ * Dismissable payment reminder shown over the normal app for a 'nag' lock.
+ * It comes back every time the app returns to the foreground and whenever
+ * the server sends a new nag.
+ */
+export default function NagOverlay({ message, eventId }) {
+  const [dismissed, setDismissed] = useState(false);
+  const { paymentStatus, payNow } = usePayment();
+  const theme = useTheme();
+  const { t } = useTranslation();
+
+  useEffect(() => {
+    setDismissed(false);
+  }, [eventId]);
+
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState === 'active') {
+        setDismissed(false);
+      }
+    });
+    return () => subscription.remove();
+  }, []);
+
+  return (
+    <Modal
+      visible={!dismissed}
+      transparent
+      animationType="fade"
+      onRequestClose={() => setDismissed(true)}
+    >
+      <View style={styles.backdrop}>
+        <View style={styles.card}>
+          <Text style={styles.icon}>⏰</Text>
+          <Text style={[styles.storeName, { color: theme.primaryColor }]}>{theme.storeName}</Text>
+          <Text style={styles.title}>{t('nag.title')}</Text>
+          <Text style={styles.message}>
+            {message || t('notifications.nagBody')}
+          </Text>
+
+          <TouchableOpacity
+            style={[styles.payButton, paymentStatus === 'pending' && styles.buttonDisabled]}
+            onPress={payNow}
+            disabled={paymentStatus === 'pending'}
+          >
+            <Text style={styles.payText}>{t('nag.payNow')}</Text>
+          </TouchableOpacity>
+
+          {paymentStatus && (
+            <Text style={styles.statusText}>{t(`payment.${paymentStatus}`)}</Text>
+          )}
+
+          {!!theme.supportText && <Text style={styles.supportText}>{theme.supportText}</Text>}
+
+          <TouchableOpacity style={styles.laterButton} onPress={() => setDismissed(true)}>
+            <Text style={styles.laterText}>{t('nag.remindLater')}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 24,
+    alignItems: 'center',
+    elevation: 8,
+  },
+  icon: {
+    fontSize: 48,
+    marginBottom: 12,
+  },
+  storeName: {
+    fontSize: 14,
+    fontWeight: '700',
+    marginBottom: 4,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#B45309',
+    marginBottom: 12,
+  },
+  message: {
+    fontSize: 16,
+    color: '#374151',
+    textAlign: 'center',
+    lineHeight: 24,
+    marginBottom: 24,
+  },
+  payButton: {
+    backgroundColor: '#10B981',
+    paddingVertical: 14,
+    borderRadius: 12,
+    alignSelf: 'stretch',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  payText: {
+    color: '#FFFFFF',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  statusText: {
+    fontSize: 14,
+    color: '#374151',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  supportText: {
+    fontSize: 13,
+    color: '#6B7280',
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  laterButton: {
+    paddingVertical: 10,
+  },
+  laterText: {
+    color: '#6B7280',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
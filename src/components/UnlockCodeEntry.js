@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { submitUnlockCode, CODE_LENGTH } from '../services/unlockCodeService';
+import { useTranslation } from '../context/LanguageContext';
+import { useLockState } from '../context/LockStateContext';
+
+const formatWait = (t, ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  return seconds >= 60
+    ? t('unlockCode.minutes', { count: Math.ceil(seconds / 60) })
+    : t('unlockCode.seconds', { count: seconds });
+};
+
+// Offline unlock: App.js swaps out the lock screen once the lock state store flips
+export default function UnlockCodeEntry() {
+  const [expanded, setExpanded] = useState(false);
+  const [code, setCode] = useState('');
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState(null);
+  const { t } = useTranslation();
+  // The seller needs it to derive the code for a local (EMI schedule) lock
+  const { lockEventId } = useLockState();
+
+  const handleSubmit = async () => {
+    if (code.length !== CODE_LENGTH || checking) return;
+
+    setChecking(true);
+    setError(null);
+    try {
+      const result = await submitUnlockCode(code);
+      if (result.success) return;
+
+      setCode('');
+      if (result.reason === 'unavailable') {
+        setError(t('unlockCode.unavailable'));
+      } else if (result.reason === 'rate_limited') {
+        setError(t('unlockCode.rateLimited', { wait: formatWait(t, result.retryAfterMs) }));
+      } else if (result.retryAfterMs > 0) {
+        setError(t('unlockCode.incorrectWait', { wait: formatWait(t, result.retryAfterMs) }));
+      } else {
+        setError(t('unlockCode.incorrect'));
+      }
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  if (!expanded) {
+    return (
+      <TouchableOpacity onPress={() => setExpanded(true)} activeOpacity={0.7}>
+        <Text style={styles.linkText}>{t('unlockCode.prompt')}</Text>
+      </TouchableOpacity>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <TextInput
+        style={styles.input}
+        value={code}
+        onChangeText={(text) => setCode(text.replace(/\D/g, '').slice(0, CODE_LENGTH))}
+        placeholder={'•'.repeat(CODE_LENGTH)}
+        placeholderTextColor="rgba(255,255,255,0.5)"
+        keyboardType="number-pad"
+        maxLength={CODE_LENGTH}
+        autoFocus
+      />
+      <TouchableOpacity
+        style={[styles.submitButton, (code.length !== CODE_LENGTH || checking) && styles.submitDisabled]}
+        onPress={handleSubmit}
+        disabled={code.length !== CODE_LENGTH || checking}
+        activeOpacity={0.7}
+      >
+        <Text style={styles.submitText}>{checking ? t('unlockCode.checking') : t('unlockCode.unlock')}</Text>
+      </TouchableOpacity>
+      {error && <Text style={styles.errorText}>{error}</Text>}
+      {lockEventId && <Text style={styles.referenceText}>{t('unlockCode.reference', { reference: lockEventId })}</Text>}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    alignItems: 'center',
+    marginBottom: 24,
+  },
+  linkText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+    textDecorationLine: 'underline',
+    marginBottom: 24,
+  },
+  input: {
+    width: 220,
+    borderWidth: 2,
+    borderColor: '#FFFFFF',
+    borderRadius: 12,
+    paddingVertical: 12,
+    color: '#FFFFFF',
+    fontSize: 28,
+    fontWeight: '700',
+    letterSpacing: 8,
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  submitButton: {
+    backgroundColor: '#FFFFFF',
+    paddingHorizontal: 40,
+    paddingVertical: 12,
+    borderRadius: 12,
+  },
+  submitDisabled: {
+    opacity: 0.5,
+  },
+  submitText: {
+    color: '#DC2626',
+    fontSize: 18,
+    fontWeight: '900',
+    letterSpacing: 2,
+  },
+  errorText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    marginTop: 12,
+    textAlign: 'center',
+    fontWeight: '600',
+  },
+  referenceText: {
+    color: 'rgba(255,255,255,0.7)',
+    fontSize: 12,
+    marginTop: 12,
+    textAlign: 'center',
+  },
+});
@@ -1,24 +1,36 @@
-import axios from 'axios';
-import Constants from 'expo-constants';
+import { createApiClient } from '../api/client';
+import { getAccessToken, getRefreshToken, saveTokens } from '../services/tokenStore';
+import { getServerUrl } from '../services/serverService';
 
-// API base URL from env or Expo config
-export const API_URL =
-  process.env.EXPO_PUBLIC_API_URL ||
-  (Constants?.expoConfig?.extra?.apiUrl ?? 'https://phonelock-server.onrender.com/api');
+// Exchange the refresh token for a new token pair
+const refreshAccessToken = async () => {
+  const refreshToken = await getRefreshToken();
+  if (!refreshToken) return false;
 
-const api = axios.create({
-  baseURL: API_URL,
-  headers: {
-    'Content-Type': 'application/json',
-  },
-});
+  const response = await api.post('/device/token/refresh', { refreshToken }, { skipAuth: true, retries: 1 });
+  await saveTokens(response.data.data);
+  console.log('🔑 Device access token refreshed');
+  return true;
+};
+
+// The server is resolved per request - it can change at activation (see serverService)
+const api = createApiClient(getServerUrl, { getAccessToken, refreshAccessToken });
 
-// Device APIs
+// Device APIs (GETs are retried automatically; acks are safe to repeat)
 export const deviceAPI = {
-  activateDevice: (data) => api.post('/device/activate', data),
-  getDeviceStatus: (key) => api.get(`/device/status/${key}`),
+  activateDevice: (data) => api.post('/device/activate', data, { timeout: 30000, skipAuth: true }),
+  getDeviceStatus: (key, options) => api.get(`/device/status/${key}`, options),
   updateDeviceInfo: (data) => api.post('/device/update', data),
-  acknowledgeCommand: (data) => api.post('/device/ack', data),
+  acknowledgeCommand: (data) => api.post('/device/ack', data, { idempotent: true }),
+  getEmiSummary: (key) => api.get(`/device/emi/${key}`),
+  initiatePayment: (data) => api.post('/device/payment/initiate', data),
+  getPaymentStatus: (paymentId) => api.get(`/device/payment/status/${paymentId}`, { retries: 0 }),
+  reportOfflineUnlock: (data) => api.post('/device/unlock-report', data, { idempotent: true }),
+  revokeTokens: (data) => api.post('/device/token/revoke', data, { idempotent: true }),
+  reportAdminEvent: (data) => api.post('/device/admin-event', data, { idempotent: true }),
+  reportTlsFailure: (data) => api.post('/device/tls-failure', data, { idempotent: true }),
 };
 
+export { getErrorMessage } from '../api/errors';
+
 export default api;
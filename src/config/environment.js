@@ -0,0 +1,50 @@
+import Constants from 'expo-constants';
+
+/**
+ * Environment Profiles
+ * Every build is made for one named profile: EXPO_PUBLIC_APP_ENV (set per
+ * EAS build profile in eas.json) or expo.extra.environment. The profile's
+ * apiUrl (expo.extra.environments) is the default API server; EXPO_PUBLIC_API_URL
+ * overrides it for local development.
+ *
+ * Tenant builds ship without a default server - the activation QR or the
+ * provisioning extras name it (see services/serverService).
+ *
+ * A profile may also pin the TLS keys of its API hosts (pins - see
+ * config/pinning).
+ */
+
+export const ENVIRONMENTS = ['dev', 'staging', 'prod', 'tenant'];
+
+const DEFAULT_ENVIRONMENT = 'prod';
+
+const extra = Constants?.expoConfig?.extra ?? {};
+
+const resolveEnvironment = () => {
+  const name = process.env.EXPO_PUBLIC_APP_ENV || extra.environment || DEFAULT_ENVIRONMENT;
+  if (ENVIRONMENTS.includes(name)) return name;
+
+  console.warn(`Unknown environment "${name}", using ${DEFAULT_ENVIRONMENT}`);
+  return DEFAULT_ENVIRONMENT;
+};
+
+export const APP_ENV = resolveEnvironment();
+
+const profile = extra.environments?.[APP_ENV] ?? {};
+
+export const ENVIRONMENT = {
+  name: APP_ENV,
+  apiUrl: process.env.EXPO_PUBLIC_API_URL || profile.apiUrl || null,
+  // Only dev builds may talk to a plain-http server (a laptop on the LAN)
+  allowInsecureServer: APP_ENV === 'dev',
+  pins: profile.pins ?? {},
+};
+
+export const APP_VERSION = Constants?.expoConfig?.version ?? 'unknown';
+
+export default {
+  ENVIRONMENTS,
+  APP_ENV,
+  ENVIRONMENT,
+  APP_VERSION,
+};
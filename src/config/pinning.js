@@ -0,0 +1,50 @@
+import { ENVIRONMENT } from './environment';
+
+/**
+ * Certificate Pinning
+ * The environment profile pins the public keys of its API hosts:
+ *
+ *   "pins": { "api.example.com": ["<base64 SHA-256 SPKI>", "<backup>"],
+ *             "*.tenants.example.com": [...] }
+ *
+ * Android enforces them for every connection from the app - axios and the
+ * realtime WebSocket alike - through the network_security_config generated by
+ * plugins/withCertificatePinning.js. This module only answers which hosts are
+ * covered, so runtime server selection can refuse unpinned hosts.
+ */
+
+const PIN_RULES = Object.entries(ENVIRONMENT.pins || {})
+  .filter(([, pins]) => Array.isArray(pins) && pins.length > 0)
+  .map(([pattern]) => {
+    const host = pattern.toLowerCase();
+    return host.startsWith('*.')
+      ? { domain: host.slice(2), includeSubdomains: true }
+      : { domain: host, includeSubdomains: false };
+  });
+
+export const PINNING_ENABLED = PIN_RULES.length > 0;
+
+export const PINNED_HOST_COUNT = PIN_RULES.length;
+
+// Lower-cased host name of a URL, or null
+export const hostOf = (url) => {
+  const match = typeof url === 'string' ? url.match(/^[a-z]+:\/\/([^/:?#\s]+)/i) : null;
+  return match ? match[1].toLowerCase() : null;
+};
+
+// Is the host of this URL covered by a pin-set?
+export function isPinnedUrl(url) {
+  const host = hostOf(url);
+  if (!host) return false;
+  return PIN_RULES.some(
+    ({ domain, includeSubdomains }) =>
+      host === domain || (includeSubdomains && host.endsWith(`.${domain}`))
+  );
+}
+
+export default {
+  PINNING_ENABLED,
+  PINNED_HOST_COUNT,
+  isPinnedUrl,
+  hostOf,
+};
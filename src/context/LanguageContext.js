@@ -0,0 +1,25 @@
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { getLanguage, loadLanguage, setLanguage, subscribe, t } from '../i18n';
+
+const LanguageContext = createContext(getLanguage());
+
+// Provides the current language to the tree and re-renders every screen when it changes
+export function LanguageProvider({ children }) {
+  const [language, setCurrentLanguage] = useState(getLanguage());
+
+  useEffect(() => {
+    const unsubscribe = subscribe(setCurrentLanguage);
+    loadLanguage().then(setCurrentLanguage);
+    return unsubscribe;
+  }, []);
+
+  return <LanguageContext.Provider value={language}>{children}</LanguageContext.Provider>;
+}
+
+// { t, language, setLanguage } - components re-render on language change
+export function useTranslation() {
+  const language = useContext(LanguageContext);
+  return { t, language, setLanguage };
+}
+
+export default LanguageContext;
@@ -0,0 +1,24 @@
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { getLockState, loadLockState, subscribe } from '../services/lockStateStore';
+
+const LockStateContext = createContext(getLockState());
+
+// Provides the current lock state to the tree and re-renders on every change
+export function LockStateProvider({ children }) {
+  const [lockState, setLockState] = useState(getLockState());
+
+  useEffect(() => {
+    const unsubscribe = subscribe(setLockState);
+    loadLockState().then(setLockState);
+    return unsubscribe;
+  }, []);
+
+  return <LockStateContext.Provider value={lockState}>{children}</LockStateContext.Provider>;
+}
+
+// { isLocked, lockMessage, lockLevel, lockSource, lockEventId }
+export function useLockState() {
+  return useContext(LockStateContext);
+}
+
+export default LockStateContext;
@@ -0,0 +1,44 @@
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { getBranding, loadBranding, subscribe } from '../services/brandingService';
+
+// Built-in look, used until (or where) the seller's branding doesn't override it
+export const DEFAULT_THEME = {
+  storeName: 'DeviceLock',
+  logoUri: null,
+  primaryColor: '#3B82F6',
+  lockColors: ['#DC2626', '#991B1B'],
+  softLockColors: ['#F59E0B', '#B45309'],
+  lockTitle: null,
+  supportText: null,
+  supportPhone: null,
+};
+
+// Seller branding on top of the defaults - missing fields keep the default value
+export function buildTheme(branding) {
+  if (!branding) return DEFAULT_THEME;
+  return Object.fromEntries(
+    Object.entries(DEFAULT_THEME).map(([key, value]) => [key, branding[key] ?? value])
+  );
+}
+
+const ThemeContext = createContext(buildTheme(getBranding()));
+
+// Provides the seller's theme to the tree and re-renders when branding changes
+export function ThemeProvider({ children }) {
+  const [theme, setTheme] = useState(() => buildTheme(getBranding()));
+
+  useEffect(() => {
+    const unsubscribe = subscribe((branding) => setTheme(buildTheme(branding)));
+    loadBranding().then((branding) => setTheme(buildTheme(branding)));
+    return unsubscribe;
+  }, []);
+
+  return <ThemeContext.Provider value={theme}>{children}</ThemeContext.Provider>;
+}
+
+// { storeName, logoUri, primaryColor, lockColors, softLockColors, lockTitle, supportText, supportPhone }
+export function useTheme() {
+  return useContext(ThemeContext);
+}
+
+export default ThemeContext;
@@ -0,0 +1,29 @@
+import { useEffect, useRef, useState } from 'react';
+import { startPayment, pollPaymentStatus } from '../services/paymentService';
+
+// Start a payment and track its status until the server confirms it.
+// Returns { paymentStatus, payNow }; show it with t(`payment.${paymentStatus}`).
+export function usePayment() {
+  const [paymentStatus, setPaymentStatus] = useState(null);
+  const stopPaymentPolling = useRef(null);
+
+  useEffect(() => () => stopPaymentPolling.current?.(), []);
+
+  const payNow = async () => {
+    if (paymentStatus === 'pending') return;
+
+    try {
+      setPaymentStatus('pending');
+      const payment = await startPayment();
+      stopPaymentPolling.current?.();
+      stopPaymentPolling.current = pollPaymentStatus(payment.paymentId, setPaymentStatus);
+    } catch (error) {
+      console.error('Payment error:', error);
+      setPaymentStatus('failed');
+    }
+  };
+
+  return { paymentStatus, payNow };
+}
+
+export default usePayment;
@@ -0,0 +1,143 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Localization from 'expo-localization';
+import en from './locales/en';
+import hi from './locales/hi';
+import ta from './locales/ta';
+import te from './locales/te';
+import mr from './locales/mr';
+import bn from './locales/bn';
+
+/**
+ * i18n
+ * Bundled translations for every customer-facing string. The language is the
+ * customer's choice from HomeScreen, or the device locale until they pick one.
+ *
+ *   t('lock.full.title')
+ *   t('emi.overdue', { count: 3 })   - uses 'emi.overdue_one' / 'emi.overdue_other'
+ *
+ * Missing keys fall back to English, then to the key itself.
+ */
+
+const LANGUAGE_KEY = 'language';
+export const DEFAULT_LANGUAGE = 'en';
+
+const TRANSLATIONS = { en, hi, ta, te, mr, bn };
+
+// Shown in the picker in their own script
+export const SUPPORTED_LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'hi', name: 'हिन्दी' },
+  { code: 'ta', name: 'தமிழ்' },
+  { code: 'te', name: 'తెలుగు' },
+  { code: 'mr', name: 'मराठी' },
+  { code: 'bn', name: 'বাংলা' },
+];
+
+const isSupported = (code) => Object.prototype.hasOwnProperty.call(TRANSLATIONS, code);
+
+// First supported language in the device's preferred locales
+export function detectLanguage() {
+  try {
+    const match = Localization.getLocales().find((locale) => isSupported(locale.languageCode));
+    return match ? match.languageCode : DEFAULT_LANGUAGE;
+  } catch (error) {
+    return DEFAULT_LANGUAGE;
+  }
+}
+
+let language = detectLanguage();
+let hydrated = null;
+const listeners = new Set();
+
+const notify = () => {
+  listeners.forEach((listener) => {
+    try {
+      listener(language);
+    } catch (error) {
+      console.error('Language listener error:', error);
+    }
+  });
+};
+
+// Load the customer's saved choice once per JS context (background tasks included)
+export function loadLanguage() {
+  if (!hydrated) {
+    hydrated = (async () => {
+      try {
+        const saved = await AsyncStorage.getItem(LANGUAGE_KEY);
+        if (saved && isSupported(saved) && saved !== language) {
+          language = saved;
+          notify();
+        }
+      } catch (error) {
+        console.error('Error loading language:', error);
+      }
+      return language;
+    })();
+  }
+  return hydrated;
+}
+
+export function getLanguage() {
+  return language;
+}
+
+// BCP 47 tag for date/number formatting, e.g. 'hi-IN'
+export function getLocaleTag() {
+  return `${language}-IN`;
+}
+
+/**
+ * Switch language and remember it. Returns true if it changed.
+ */
+export async function setLanguage(code) {
+  if (!isSupported(code)) {
+    throw new Error(`Unsupported language: ${code}`);
+  }
+  await loadLanguage();
+  if (code === language) return false;
+
+  language = code;
+  await AsyncStorage.setItem(LANGUAGE_KEY, code);
+  console.log('🌐 Language set to', code);
+  notify();
+  return true;
+}
+
+// Subscribe to language changes. Returns an unsubscribe function.
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+const lookup = (code, key) =>
+  key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), TRANSLATIONS[code]);
+
+const resolve = (code, key, count) => {
+  const candidates = typeof count === 'number'
+    ? [`${key}_${count === 1 ? 'one' : 'other'}`, `${key}_other`, key]
+    : [key];
+  for (const candidate of candidates) {
+    const value = lookup(code, candidate);
+    if (typeof value === 'string') return value;
+  }
+  return undefined;
+};
+
+// Translate a key, filling {{placeholders}} from params
+export function t(key, params = {}) {
+  const template = resolve(language, key, params.count) ?? resolve(DEFAULT_LANGUAGE, key, params.count) ?? key;
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+    (params[name] === undefined || params[name] === null ? match : String(params[name])));
+}
+
+export default {
+  SUPPORTED_LANGUAGES,
+  detectLanguage,
+  loadLanguage,
+  getLanguage,
+  getLocaleTag,
+  setLanguage,
+  subscribe,
+  t,
+};
@@ -0,0 +1,289 @@
+// Bengali
+export default {
+  common: {
+    ok: 'ঠিক আছে',
+    cancel: 'বাতিল',
+    error: 'ত্রুটি',
+    success: 'সফল',
+    later: 'পরে',
+    exit: 'বেরিয়ে যান',
+    openSettings: 'সেটিংস খুলুন',
+    info: 'তথ্য',
+    unknown: 'অজানা',
+    yes: 'হ্যাঁ',
+    no: 'না',
+    reopenApp: 'চালিয়ে যেতে অনুগ্রহ করে অ্যাপটি বন্ধ করে আবার খুলুন।',
+  },
+
+  permissions: {
+    explanationTitle: '🔐 নিরাপত্তা অনুমতি প্রয়োজন',
+    explanationBody:
+      'আপনার ডিভাইস সুরক্ষিত রাখতে এই অ্যাপের এই অনুমতিগুলি প্রয়োজন:\n\n' +
+      '📷 ক্যামেরা - ডিভাইস সক্রিয় করতে QR কোড স্ক্যান করা\n' +
+      '📍 লোকেশন (সবসময়) - নিরাপত্তা ও EMI মেনে চলার জন্য ডিভাইসের লোকেশন ট্র্যাক করা\n' +
+      '🔔 বিজ্ঞপ্তি - লক/আনলক নির্দেশ সঙ্গে সঙ্গে পাওয়া\n' +
+      '🔋 ব্যাটারি - রিয়েল-টাইম সুরক্ষার জন্য ব্যাকগ্রাউন্ডে চলা\n\n' +
+      '⚠️ ডিভাইস লক ব্যবস্থা ঠিকভাবে কাজ করার জন্য এই অনুমতিগুলি আবশ্যক।',
+    understand: 'আমি বুঝেছি',
+    backgroundTitle: '📍 ব্যাকগ্রাউন্ড লোকেশন প্রয়োজন',
+    backgroundBody:
+      'ব্যাকগ্রাউন্ড লোকেশন অ্যাক্সেস এগুলির জন্য খুবই গুরুত্বপূর্ণ:\n\n' +
+      '• নিরাপত্তার জন্য ডিভাইস ট্র্যাকিং\n' +
+      '• EMI মেনে চলা পর্যবেক্ষণ\n' +
+      '• চুরি প্রতিরোধ\n\n' +
+      'অনুগ্রহ করে পরের স্ক্রিনে "সবসময় অনুমতি দিন" বেছে নিন।',
+    batteryTitle: '🔋 ব্যাটারি অপ্টিমাইজেশন',
+    batteryBody:
+      'অ্যাপটি ব্যাকগ্রাউন্ডে ঠিকভাবে চলার জন্য অনুগ্রহ করে ব্যাটারি অপ্টিমাইজেশন বন্ধ করুন।\n\n' +
+      'এর ফলে অ্যাপটি:\n' +
+      '• লক/আনলক নির্দেশ সঙ্গে সঙ্গে পাবে\n' +
+      '• ডিভাইসের লোকেশন ক্রমাগত ট্র্যাক করবে\n' +
+      '• ব্যাকগ্রাউন্ডে নিরাপত্তা পরীক্ষা চালাবে',
+    deniedTitle: '⚠️ জরুরি অনুমতি পাওয়া যায়নি',
+    deniedBody:
+      'নিম্নলিখিত অনুমতিগুলি প্রয়োজন:\n\n{{permissions}}\n\n' +
+      '❌ এই অনুমতিগুলি ছাড়া অ্যাপটি কাজ করতে পারবে না।\n\n' +
+      'ডিভাইস সক্রিয় করতে অনুগ্রহ করে সেটিংসে এগুলি চালু করুন।',
+    requiredTitle: '⚠️ অনুমতি প্রয়োজন',
+    requiredBody: 'অ্যাপটি চালাতে সব অনুমতি প্রয়োজন। অনুগ্রহ করে সেটিংসে সব অনুমতি দিন।',
+    names: {
+      camera: 'ক্যামেরা',
+      location: 'লোকেশন',
+      locationBackground: 'ব্যাকগ্রাউন্ড লোকেশন',
+      notifications: 'বিজ্ঞপ্তি',
+    },
+  },
+
+  notifications: {
+    channelName: 'ডিভাইস লক ও রিং',
+    lockedTitle: 'ডিভাইস লক হয়েছে',
+    lockedBody: 'আপনার ডিভাইস লক করা হয়েছে',
+    nagTitle: 'পেমেন্ট বকেয়া',
+    nagBody: 'আপনার EMI পেমেন্ট বকেয়া আছে। ডিভাইস লক এড়াতে অনুগ্রহ করে পেমেন্ট করুন।',
+    unlockedTitle: 'ডিভাইস আনলক হয়েছে',
+    unlockedBody: 'আপনার ডিভাইস আনলক করা হয়েছে',
+    paidUnlockedBody: 'পেমেন্টের জন্য ধন্যবাদ। আপনার ডিভাইস আনলক করা হয়েছে।',
+    reminderTitle: 'EMI পেমেন্ট অনুস্মারক',
+    reminderBody: 'আপনার EMI পেমেন্টের সময় হয়েছে। ডিভাইস লক এড়াতে অনুগ্রহ করে পেমেন্ট করুন।',
+    dueReminderBody: 'আপনার {{amount}} EMI {{date}} তারিখে দিতে হবে।',
+    overdueTitle: 'EMI পেমেন্ট বকেয়া',
+    overdueBody_other: 'আপনার {{amount}} EMI বকেয়া আছে। পেমেন্ট না করলে {{count}} দিনের মধ্যে আপনার ডিভাইস লক হয়ে যাবে।',
+    scheduleLockMessage_other: '{{amount}} EMI {{count}} দিন ধরে বকেয়া। ডিভাইস আনলক করতে অনুগ্রহ করে পেমেন্ট করুন।',
+    findTitle: 'ডিভাইস খুঁজুন',
+    findBody: 'আপনার ডিভাইস বাজছে। থামাতে ট্যাপ করুন।',
+    completedTitle: 'EMI সম্পূর্ণ',
+    completedBody: 'অভিনন্দন! আপনার EMI সম্পূর্ণ হয়েছে। ডিভাইস লক স্বয়ংক্রিয়ভাবে সরিয়ে দেওয়া হবে।',
+    wipeTitle: 'ডিভাইস রিসেট নির্ধারিত',
+    wipeBody: 'আপনার বিক্রেতা ফ্যাক্টরি রিসেটের অনুরোধ করেছেন। ৫ মিনিটের মধ্যে এই ডিভাইসের সব ডেটা মুছে ফেলা হবে।',
+  },
+
+  payment: {
+    pending: 'পেমেন্ট নিশ্চিতকরণের অপেক্ষায়...',
+    success: 'পেমেন্ট পাওয়া গেছে। আপনার ডিভাইস আনলক হচ্ছে...',
+    failed: 'পেমেন্ট ব্যর্থ হয়েছে। অনুগ্রহ করে আবার চেষ্টা করুন।',
+    expired: 'পেমেন্ট এখনও নিশ্চিত হয়নি। আবার চেষ্টা করুন বা আপনার বিক্রেতাকে কল করুন।',
+  },
+
+  lock: {
+    payNow: '💳 এখনই পেমেন্ট করুন',
+    callSeller: '📞 বিক্রেতাকে কল করুন',
+    soft: {
+      title: 'পেমেন্ট বকেয়া',
+      warning: 'শুধুমাত্র এখানে দেখানো অ্যাপগুলি ব্যবহার করা যাবে\nপেমেন্ট না করা পর্যন্ত অন্য অ্যাপ বন্ধ থাকবে',
+    },
+    full: {
+      title: 'ডিভাইস লক করা',
+      warning: '⚠️ বিক্রেতা ডিভাইসটি লক করেছেন\nকোনো সুবিধা ব্যবহার করা যাবে না\nআনলক করতে বিক্রেতার সাথে যোগাযোগ করুন',
+    },
+    tampered: 'লক সেটিংস পরিবর্তন করায় ডিভাইসটি লক হয়ে গেছে\nআনলক করতে বিক্রেতার সাথে যোগাযোগ করুন',
+  },
+
+  nag: {
+    title: 'পেমেন্ট বকেয়া',
+    payNow: '💳 এখনই পেমেন্ট করুন',
+    remindLater: 'পরে মনে করিয়ে দিন',
+  },
+
+  wipe: {
+    title: 'ফ্যাক্টরি রিসেট',
+    resetting: 'রিসেট হচ্ছে...',
+    explanation:
+      'আপনার বিক্রেতা এই ডিভাইসের ফ্যাক্টরি রিসেটের অনুরোধ করেছেন। ' +
+      'কাউন্টডাউন শেষ হলে এই ফোনের সব অ্যাপ, ছবি, মেসেজ ও অ্যাকাউন্ট ' +
+      'চিরতরে মুছে যাবে এবং ফোনটি আবার চালু হবে।',
+    cannotStop:
+      'এটি ডিভাইস থেকে থামানো যাবে না। এটি ভুল মনে হলে ' +
+      'এখনই আপনার বিক্রেতার সাথে যোগাযোগ করুন।',
+  },
+
+  emergency: {
+    call: '🚨 জরুরি কল',
+  },
+
+  allowedApps: {
+    phone: '📞 ফোন',
+    messages: '💬 মেসেজ',
+  },
+
+  unlockCode: {
+    prompt: '🔑 আনলক কোড আছে?',
+    checking: 'যাচাই করা হচ্ছে...',
+    unlock: 'আনলক',
+    unavailable: 'এই ডিভাইসে অফলাইন আনলক উপলব্ধ নয়। অনুগ্রহ করে আপনার বিক্রেতাকে কল করুন।',
+    rateLimited: 'অনেকবার চেষ্টা করা হয়েছে। {{wait}} পরে আবার চেষ্টা করুন।',
+    incorrectWait: 'ভুল কোড। {{wait}} পরে আবার চেষ্টা করুন।',
+    incorrect: 'ভুল কোড। অনুগ্রহ করে আপনার বিক্রেতার কাছে যাচাই করুন।',
+    minutes: '{{count}} মিনিট',
+    seconds: '{{count}} সেকেন্ড',
+    reference: 'লক রেফারেন্স: {{reference}}',
+  },
+
+  emi: {
+    title: 'EMI বিবরণ',
+    progress: '{{total}}টি কিস্তির মধ্যে {{paid}}টি পরিশোধিত',
+    paid: 'পরিশোধিত:',
+    remaining: 'বাকি:',
+    remainingValue: '{{amount}} ({{count}}টি বাকি)',
+    nextDue: 'পরবর্তী কিস্তি:',
+    nextDueValue: '{{date}} তারিখে {{amount}}',
+    overdue_other: '⚠️ পেমেন্ট {{count}} দিন ধরে বকেয়া',
+    history: 'পেমেন্টের ইতিহাস',
+    offline: 'অফলাইন - শেষ আপডেট {{time}}',
+  },
+
+  ice: {
+    title: 'জরুরি যোগাযোগ',
+    help: 'ডিভাইস লক থাকলেও কল করা যাবে এমন সর্বোচ্চ {{count}} জন।',
+    name: 'নাম',
+    phone: 'ফোন',
+    save: 'যোগাযোগ সেভ করুন',
+    invalidTitle: 'অবৈধ নম্বর',
+    invalidBody: '"{{phone}}" সঠিক ফোন নম্বর নয়',
+    savedTitle: 'সেভ হয়েছে',
+    savedBody: 'জরুরি যোগাযোগ সেভ হয়েছে। ডিভাইস লক থাকলেও এঁদের কল করা যাবে।',
+  },
+
+  home: {
+    lockedBadge: '🔒 লক করা',
+    activeBadge: '✅ সক্রিয়',
+    lockedTitle: 'ডিভাইস লক করা',
+    lockedDefault: 'অনুগ্রহ করে আপনার বিক্রেতার সাথে যোগাযোগ করুন',
+    deviceInfo: 'ডিভাইসের তথ্য',
+    deviceName: 'ডিভাইসের নাম:',
+    osVersion: 'OS সংস্করণ:',
+    battery: 'ব্যাটারি:',
+    network: 'নেটওয়ার্ক:',
+    activationDetails: 'সক্রিয়করণের বিবরণ',
+    status: 'অবস্থা:',
+    activated: 'সক্রিয়',
+    seller: 'বিক্রেতা:',
+    contact: 'যোগাযোগ:',
+    support: 'সহায়তা',
+    language: 'ভাষা',
+    deactivate: 'ডিভাইস নিষ্ক্রিয় করুন',
+    deactivateConfirm: 'আপনি কি সত্যিই এই ডিভাইস নিষ্ক্রিয় করতে চান? আপনার নতুন সক্রিয়করণ কী লাগবে।',
+    deactivateAction: 'নিষ্ক্রিয় করুন',
+    deactivated: 'ডিভাইস নিষ্ক্রিয় হয়েছে। অনুগ্রহ করে অ্যাপটি বন্ধ করে আবার খুলুন।',
+    exitTitle: 'অ্যাপ থেকে বেরিয়ে যান',
+    exitConfirm: 'আপনি কি সত্যিই বেরিয়ে যেতে চান?',
+    diagnostics: 'ডায়াগনস্টিকস',
+    footer: 'ব্যাকগ্রাউন্ড পরিষেবা চলছে',
+  },
+
+  activation: {
+    subtitle: 'শুরু করতে আপনার সক্রিয়করণ কী লিখুন',
+    subtitleProvisioned: 'ডিভাইস সেটআপের কী দিয়ে সক্রিয় করা হচ্ছে...',
+    requestingCamera: 'ক্যামেরার অনুমতি চাওয়া হচ্ছে...',
+    cameraRequired: 'ক্যামেরার অনুমতি প্রয়োজন',
+    grantPermission: 'অনুমতি দিন',
+    scanQr: 'QR কোড স্ক্যান করুন',
+    closeScanner: 'স্ক্যানার বন্ধ করুন',
+    keyPlaceholder: 'সক্রিয়করণ কী লিখুন',
+    activate: 'ডিভাইস সক্রিয় করুন',
+    activating: 'সক্রিয় করা হচ্ছে...',
+    help: 'সক্রিয়করণ কী পেতে আপনার বিক্রেতার সাথে যোগাযোগ করুন',
+    enterKey: 'অনুগ্রহ করে সক্রিয়করণ কী লিখুন',
+    activated: 'ডিভাইস সফলভাবে সক্রিয় হয়েছে!',
+    failedTitle: 'সক্রিয়করণ ব্যর্থ',
+    invalidKey: 'অবৈধ সক্রিয়করণ কী',
+    failedRetry: 'ডিভাইস সক্রিয় করা যায়নি। অনুগ্রহ করে আবার চেষ্টা করুন।',
+    invalidQrTitle: 'অবৈধ QR কোড',
+  },
+
+  activationConfirm: {
+    title: 'সক্রিয়করণ নিশ্চিত করুন',
+    subtitle: 'সক্রিয় করার আগে অনুগ্রহ করে এই বিবরণগুলি আপনার বিক্রেতার সাথে মিলিয়ে নিন।',
+    seller: 'বিক্রেতা',
+    name: 'নাম',
+    phone: 'ফোন',
+    product: 'পণ্য',
+    model: 'মডেল',
+    price: 'দাম',
+    emiTerms: 'EMI শর্তাবলী',
+    installment: 'কিস্তি',
+    installmentValue: '{{amount}} / {{period}}',
+    installments: 'কিস্তির সংখ্যা',
+    totalPayable: 'মোট প্রদেয়',
+    firstDue: 'প্রথম কিস্তি',
+    activationKey: 'সক্রিয়করণ কী',
+    notice: 'পেমেন্ট বাদ পড়লে, পেমেন্ট না হওয়া পর্যন্ত বিক্রেতা এই ডিভাইস লক করে রাখতে পারেন।',
+    frequency: {
+      weekly: 'সপ্তাহ',
+      monthly: 'মাস',
+    },
+  },
+
+  qrErrors: {
+    not_activation_qr: 'এটি সক্রিয়করণ QR কোড নয়।',
+    unsupported_version: 'এই QR কোডের জন্য অ্যাপের অন্য সংস্করণ প্রয়োজন। অনুগ্রহ করে অ্যাপ আপডেট করে আবার চেষ্টা করুন।',
+    missing_field: 'QR কোডটি অসম্পূর্ণ। অনুগ্রহ করে বিক্রেতার কাছ থেকে নতুন একটি নিন।',
+    invalid_field: 'QR কোডে ভুল তথ্য আছে। অনুগ্রহ করে বিক্রেতার কাছ থেকে নতুন একটি নিন।',
+    wrong_server: 'এই QR কোডটি অন্য সার্ভারের জন্য।',
+    no_verification_key: 'অ্যাপের এই সংস্করণ সক্রিয়করণ QR কোড যাচাই করতে পারে না।',
+    bad_signature: 'এই QR কোডটি আপনার বিক্রেতা দেননি, অথবা এটি পরিবর্তন করা হয়েছে।',
+  },
+
+  diagnostics: {
+    title: 'ডায়াগনস্টিকস',
+    server: 'সার্ভার',
+    environment: 'এনভায়রনমেন্ট:',
+    serverUrl: 'সার্ভার URL:',
+    serverSource: 'কে বেছেছে:',
+    allowlistVersion: 'অনুমোদন তালিকা:',
+    pinning: 'সার্টিফিকেট পিনিং:',
+    pinned: 'চালু',
+    notPinned: 'পিন করা নেই',
+    pinningOff: 'বন্ধ',
+    serverSince: 'কবে থেকে:',
+    device: 'ডিভাইস',
+    appVersion: 'অ্যাপ সংস্করণ:',
+    activationKey: 'সক্রিয়করণ কী:',
+    deviceId: 'ডিভাইস ID:',
+    deviceOwner: 'ডিভাইস ওনার:',
+    language: 'ভাষা:',
+    sync: 'সিঙ্ক',
+    lastSync: 'শেষ সিঙ্ক:',
+    pendingReports: 'বাকি রিপোর্ট:',
+    lastError: 'শেষ ত্রুটি:',
+    lastTlsFailure: 'শেষ TLS ত্রুটি:',
+    never: 'কখনও না',
+    none: 'কিছু নেই',
+    sources: {
+      profile: 'অ্যাপ বিল্ড',
+      qr: 'সক্রিয়করণ QR',
+      provisioning: 'ডিভাইস সেটআপ',
+    },
+  },
+
+  serverErrors: {
+    not_configured: 'আপনার বিক্রেতার QR কোড দিয়ে এই অ্যাপটি সক্রিয় করতে হবে।',
+    not_allowed: 'এই ডিভাইসটি এমন একটি সার্ভারের জন্য সেট করা হয়েছে যাকে এই অ্যাপ বিশ্বাস করে না। অনুগ্রহ করে আপনার বিক্রেতার সাথে যোগাযোগ করুন।',
+  },
+
+  apiErrors: {
+    timeout: 'সার্ভার সাড়া দিতে অনেক সময় নিয়েছে। অনুগ্রহ করে আবার চেষ্টা করুন।',
+    offline: 'ইন্টারনেট সংযোগ নেই। অনুগ্রহ করে আপনার নেটওয়ার্ক পরীক্ষা করে আবার চেষ্টা করুন।',
+    serverUnavailable: 'সার্ভার সাময়িকভাবে অনুপলব্ধ। অনুগ্রহ করে পরে আবার চেষ্টা করুন।',
+    generic: 'কিছু ভুল হয়েছে। অনুগ্রহ করে আবার চেষ্টা করুন।',
+  },
+};
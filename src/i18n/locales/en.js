@@ -0,0 +1,292 @@
+// English - the reference translation; every key must exist here
+export default {
+  common: {
+    ok: 'OK',
+    cancel: 'Cancel',
+    error: 'Error',
+    success: 'Success',
+    later: 'Later',
+    exit: 'Exit',
+    openSettings: 'Open Settings',
+    info: 'Info',
+    unknown: 'Unknown',
+    yes: 'Yes',
+    no: 'No',
+    reopenApp: 'Please close and reopen the app to continue.',
+  },
+
+  permissions: {
+    explanationTitle: '🔐 Security Permissions Required',
+    explanationBody:
+      'This app needs these permissions to protect your device:\n\n' +
+      '📷 Camera - Scan QR code for device activation\n' +
+      '📍 Location (Always) - Track device location for security and EMI compliance\n' +
+      '🔔 Notifications - Receive lock/unlock commands instantly\n' +
+      '🔋 Battery - Run in background for real-time protection\n\n' +
+      '⚠️ These permissions are required for the device lock system to work properly.',
+    understand: 'I Understand',
+    backgroundTitle: '📍 Background Location Required',
+    backgroundBody:
+      'Background location access is critical for:\n\n' +
+      '• Device tracking for security\n' +
+      '• EMI compliance monitoring\n' +
+      '• Anti-theft protection\n\n' +
+      'Please select "Allow all the time" in the next screen.',
+    batteryTitle: '🔋 Battery Optimization',
+    batteryBody:
+      'To ensure the app works properly in the background, please disable battery optimization.\n\n' +
+      'This allows the app to:\n' +
+      '• Receive lock/unlock commands instantly\n' +
+      '• Track device location continuously\n' +
+      '• Run background security checks',
+    deniedTitle: '⚠️ Critical Permissions Missing',
+    deniedBody:
+      'The following permissions are required:\n\n{{permissions}}\n\n' +
+      '❌ The app cannot function without these permissions.\n\n' +
+      'Please enable them in Settings to activate your device.',
+    requiredTitle: '⚠️ Permissions Required',
+    requiredBody: 'The app requires all permissions to function. Please grant all permissions in Settings.',
+    names: {
+      camera: 'Camera',
+      location: 'Location',
+      locationBackground: 'Background Location',
+      notifications: 'Notifications',
+    },
+  },
+
+  notifications: {
+    channelName: 'Device Lock & Ring',
+    lockedTitle: 'Device Locked',
+    lockedBody: 'Your device has been locked',
+    nagTitle: 'Payment Overdue',
+    nagBody: 'Your EMI payment is overdue. Please pay to avoid device lock.',
+    unlockedTitle: 'Device Unlocked',
+    unlockedBody: 'Your device has been unlocked',
+    paidUnlockedBody: 'Thank you for your payment. Your device has been unlocked.',
+    reminderTitle: 'EMI Payment Reminder',
+    reminderBody: 'Your EMI payment is due. Please pay to avoid device lock.',
+    dueReminderBody: 'Your EMI of {{amount}} is due on {{date}}.',
+    overdueTitle: 'EMI Payment Overdue',
+    overdueBody_one: 'Your EMI of {{amount}} is overdue. Your device will be locked in {{count}} day unless you pay.',
+    overdueBody_other: 'Your EMI of {{amount}} is overdue. Your device will be locked in {{count}} days unless you pay.',
+    scheduleLockMessage_one: 'EMI of {{amount}} is {{count}} day overdue. Please pay to unlock your device.',
+    scheduleLockMessage_other: 'EMI of {{amount}} is {{count}} days overdue. Please pay to unlock your device.',
+    findTitle: 'Find Device',
+    findBody: 'Your device is ringing. Tap to stop.',
+    completedTitle: 'EMI Completed',
+    completedBody: 'Congratulations! Your EMI is complete. The device lock will be removed automatically.',
+    wipeTitle: 'Device Reset Scheduled',
+    wipeBody: 'Your seller has requested a factory reset. All data on this device will be erased in 5 minutes.',
+  },
+
+  payment: {
+    pending: 'Waiting for payment confirmation...',
+    success: 'Payment received. Unlocking your device...',
+    failed: 'Payment failed. Please try again.',
+    expired: 'Payment not confirmed yet. Please try again or call your seller.',
+  },
+
+  lock: {
+    payNow: '💳 PAY NOW',
+    callSeller: '📞 CALL SELLER',
+    soft: {
+      title: 'PAYMENT OVERDUE',
+      warning: 'Only the apps shown here can be used\nOther apps are blocked until you pay',
+    },
+    full: {
+      title: 'DEVICE LOCKED',
+      warning: '⚠️ Device locked by seller\nCannot access any features\nContact seller to unlock',
+    },
+    tampered: 'Device locked because its lock settings were changed\nContact seller to unlock',
+  },
+
+  nag: {
+    title: 'Payment Overdue',
+    payNow: '💳 Pay Now',
+    remindLater: 'Remind Me Later',
+  },
+
+  wipe: {
+    title: 'FACTORY RESET',
+    resetting: 'Resetting...',
+    explanation:
+      'Your seller has requested a factory reset of this device. ' +
+      'When the countdown ends, all apps, photos, messages and accounts on ' +
+      'this phone will be permanently erased and it will restart.',
+    cannotStop:
+      'This cannot be stopped from the device. If you think this is a ' +
+      'mistake, contact your seller immediately.',
+  },
+
+  emergency: {
+    call: '🚨 EMERGENCY CALL',
+  },
+
+  allowedApps: {
+    phone: '📞 PHONE',
+    messages: '💬 MESSAGES',
+  },
+
+  unlockCode: {
+    prompt: '🔑 Have an unlock code?',
+    checking: 'CHECKING...',
+    unlock: 'UNLOCK',
+    unavailable: 'Offline unlock is not available on this device. Please call your seller.',
+    rateLimited: 'Too many attempts. Try again in {{wait}}.',
+    incorrectWait: 'Incorrect code. Try again in {{wait}}.',
+    incorrect: 'Incorrect code. Please check with your seller.',
+    minutes: '{{count}} min',
+    seconds: '{{count}} sec',
+    reference: 'Lock reference: {{reference}}',
+  },
+
+  emi: {
+    title: 'EMI Details',
+    progress: '{{paid}} of {{total}} installments paid',
+    paid: 'Paid:',
+    remaining: 'Remaining:',
+    remainingValue: '{{amount}} ({{count}} left)',
+    nextDue: 'Next Due:',
+    nextDueValue: '{{amount}} on {{date}}',
+    overdue_one: '⚠️ Payment overdue by {{count}} day',
+    overdue_other: '⚠️ Payment overdue by {{count}} days',
+    history: 'Payment History',
+    offline: 'Offline - last updated {{time}}',
+  },
+
+  ice: {
+    title: 'Emergency Contacts',
+    help: 'Up to {{count}} people you can call even when the device is locked.',
+    name: 'Name',
+    phone: 'Phone',
+    save: 'Save Contacts',
+    invalidTitle: 'Invalid Number',
+    invalidBody: '"{{phone}}" is not a valid phone number',
+    savedTitle: 'Saved',
+    savedBody: 'Emergency contacts saved. They can be called even when the device is locked.',
+  },
+
+  home: {
+    lockedBadge: '🔒 Locked',
+    activeBadge: '✅ Active',
+    lockedTitle: 'Device Locked',
+    lockedDefault: 'Please contact your seller',
+    deviceInfo: 'Device Information',
+    deviceName: 'Device Name:',
+    osVersion: 'OS Version:',
+    battery: 'Battery:',
+    network: 'Network:',
+    activationDetails: 'Activation Details',
+    status: 'Status:',
+    activated: 'Activated',
+    seller: 'Seller:',
+    contact: 'Contact:',
+    support: 'Support',
+    language: 'Language',
+    deactivate: 'Deactivate Device',
+    deactivateConfirm: 'Are you sure you want to deactivate this device? You will need a new activation key.',
+    deactivateAction: 'Deactivate',
+    deactivated: 'Device deactivated. Please close and reopen the app.',
+    exitTitle: 'Exit App',
+    exitConfirm: 'Are you sure you want to exit?',
+    diagnostics: 'Diagnostics',
+    footer: 'Background service running',
+  },
+
+  activation: {
+    subtitle: 'Enter your activation key to get started',
+    subtitleProvisioned: 'Activating with the key from device setup...',
+    requestingCamera: 'Requesting camera permission...',
+    cameraRequired: 'Camera permission is required',
+    grantPermission: 'Grant Permission',
+    scanQr: 'Scan QR Code',
+    closeScanner: 'Close Scanner',
+    keyPlaceholder: 'Enter Activation Key',
+    activate: 'Activate Device',
+    activating: 'Activating...',
+    help: 'Contact your seller to get the activation key',
+    enterKey: 'Please enter activation key',
+    activated: 'Device activated successfully!',
+    failedTitle: 'Activation Failed',
+    invalidKey: 'Invalid activation key',
+    failedRetry: 'Failed to activate device. Please try again.',
+    invalidQrTitle: 'Invalid QR Code',
+  },
+
+  activationConfirm: {
+    title: 'Confirm Activation',
+    subtitle: 'Please check these details with your seller before activating.',
+    seller: 'Seller',
+    name: 'Name',
+    phone: 'Phone',
+    product: 'Product',
+    model: 'Model',
+    price: 'Price',
+    emiTerms: 'EMI Terms',
+    installment: 'Installment',
+    installmentValue: '{{amount}} / {{period}}',
+    installments: 'Installments',
+    totalPayable: 'Total Payable',
+    firstDue: 'First Due',
+    activationKey: 'Activation Key',
+    notice: 'If a payment is missed, this device can be locked by the seller until it is paid.',
+    frequency: {
+      weekly: 'week',
+      monthly: 'month',
+    },
+  },
+
+  qrErrors: {
+    not_activation_qr: 'This is not an activation QR code.',
+    unsupported_version: 'This QR code needs a different version of the app. Please update the app and try again.',
+    missing_field: 'The QR code is incomplete. Please ask your seller for a new one.',
+    invalid_field: 'The QR code has invalid details. Please ask your seller for a new one.',
+    wrong_server: 'This QR code is for a different server.',
+    no_verification_key: 'This app build cannot verify activation QR codes.',
+    bad_signature: "This QR code wasn't issued by your seller, or it has been altered.",
+  },
+
+  diagnostics: {
+    title: 'Diagnostics',
+    server: 'Server',
+    environment: 'Environment:',
+    serverUrl: 'Server URL:',
+    serverSource: 'Chosen by:',
+    allowlistVersion: 'Allowlist:',
+    pinning: 'Certificate pinning:',
+    pinned: 'On',
+    notPinned: 'Not pinned',
+    pinningOff: 'Off',
+    serverSince: 'Since:',
+    device: 'Device',
+    appVersion: 'App version:',
+    activationKey: 'Activation key:',
+    deviceId: 'Device ID:',
+    deviceOwner: 'Device owner:',
+    language: 'Language:',
+    sync: 'Sync',
+    lastSync: 'Last sync:',
+    pendingReports: 'Pending reports:',
+    lastError: 'Last error:',
+    lastTlsFailure: 'Last TLS failure:',
+    never: 'Never',
+    none: 'None',
+    sources: {
+      profile: 'App build',
+      qr: 'Activation QR',
+      provisioning: 'Device setup',
+    },
+  },
+
+  serverErrors: {
+    not_configured: 'This app needs to be activated with a QR code from your seller.',
+    not_allowed: "This device was set up for a server this app doesn't trust. Please contact your seller.",
+  },
+
+  apiErrors: {
+    timeout: 'The server took too long to respond. Please try again.',
+    offline: 'No internet connection. Please check your network and try again.',
+    serverUnavailable: 'Server is temporarily unavailable. Please try again later.',
+    generic: 'Something went wrong. Please try again.',
+  },
+};
@@ -0,0 +1,289 @@
+// Hindi
+export default {
+  common: {
+    ok: 'ठीक है',
+    cancel: 'रद्द करें',
+    error: 'त्रुटि',
+    success: 'सफल',
+    later: 'बाद में',
+    exit: 'बाहर निकलें',
+    openSettings: 'सेटिंग्स खोलें',
+    info: 'जानकारी',
+    unknown: 'अज्ञात',
+    yes: 'हाँ',
+    no: 'नहीं',
+    reopenApp: 'जारी रखने के लिए कृपया ऐप बंद करके फिर से खोलें।',
+  },
+
+  permissions: {
+    explanationTitle: '🔐 सुरक्षा अनुमतियाँ आवश्यक हैं',
+    explanationBody:
+      'आपके डिवाइस की सुरक्षा के लिए इस ऐप को ये अनुमतियाँ चाहिए:\n\n' +
+      '📷 कैमरा - डिवाइस सक्रिय करने के लिए QR कोड स्कैन करना\n' +
+      '📍 लोकेशन (हमेशा) - सुरक्षा और EMI अनुपालन के लिए डिवाइस की लोकेशन ट्रैक करना\n' +
+      '🔔 सूचनाएँ - लॉक/अनलॉक आदेश तुरंत प्राप्त करना\n' +
+      '🔋 बैटरी - रियल-टाइम सुरक्षा के लिए बैकग्राउंड में चलना\n\n' +
+      '⚠️ डिवाइस लॉक सिस्टम के सही से काम करने के लिए ये अनुमतियाँ ज़रूरी हैं।',
+    understand: 'मैं समझ गया',
+    backgroundTitle: '📍 बैकग्राउंड लोकेशन आवश्यक है',
+    backgroundBody:
+      'बैकग्राउंड लोकेशन इनके लिए बहुत ज़रूरी है:\n\n' +
+      '• सुरक्षा के लिए डिवाइस ट्रैकिंग\n' +
+      '• EMI अनुपालन की निगरानी\n' +
+      '• चोरी से सुरक्षा\n\n' +
+      'कृपया अगली स्क्रीन पर "हर समय अनुमति दें" चुनें।',
+    batteryTitle: '🔋 बैटरी ऑप्टिमाइज़ेशन',
+    batteryBody:
+      'ऐप बैकग्राउंड में सही से काम करे, इसके लिए कृपया बैटरी ऑप्टिमाइज़ेशन बंद करें।\n\n' +
+      'इससे ऐप:\n' +
+      '• लॉक/अनलॉक आदेश तुरंत प्राप्त कर सकता है\n' +
+      '• डिवाइस की लोकेशन लगातार ट्रैक कर सकता है\n' +
+      '• बैकग्राउंड सुरक्षा जाँच चला सकता है',
+    deniedTitle: '⚠️ ज़रूरी अनुमतियाँ नहीं मिलीं',
+    deniedBody:
+      'ये अनुमतियाँ आवश्यक हैं:\n\n{{permissions}}\n\n' +
+      '❌ इन अनुमतियों के बिना ऐप काम नहीं कर सकता।\n\n' +
+      'डिवाइस सक्रिय करने के लिए कृपया इन्हें सेटिंग्स में चालू करें।',
+    requiredTitle: '⚠️ अनुमतियाँ आवश्यक हैं',
+    requiredBody: 'ऐप को काम करने के लिए सभी अनुमतियाँ चाहिए। कृपया सेटिंग्स में सभी अनुमतियाँ दें।',
+    names: {
+      camera: 'कैमरा',
+      location: 'लोकेशन',
+      locationBackground: 'बैकग्राउंड लोकेशन',
+      notifications: 'सूचनाएँ',
+    },
+  },
+
+  notifications: {
+    channelName: 'डिवाइस लॉक और रिंग',
+    lockedTitle: 'डिवाइस लॉक हो गया',
+    lockedBody: 'आपका डिवाइस लॉक कर दिया गया है',
+    nagTitle: 'भुगतान बकाया है',
+    nagBody: 'आपकी EMI का भुगतान बकाया है। डिवाइस लॉक होने से बचने के लिए कृपया भुगतान करें।',
+    unlockedTitle: 'डिवाइस अनलॉक हो गया',
+    unlockedBody: 'आपका डिवाइस अनलॉक कर दिया गया है',
+    paidUnlockedBody: 'भुगतान के लिए धन्यवाद। आपका डिवाइस अनलॉक कर दिया गया है।',
+    reminderTitle: 'EMI भुगतान अनुस्मारक',
+    reminderBody: 'आपकी EMI का भुगतान देय है। डिवाइस लॉक होने से बचने के लिए कृपया भुगतान करें।',
+    dueReminderBody: 'आपकी {{amount}} की EMI {{date}} को देय है।',
+    overdueTitle: 'EMI भुगतान बकाया',
+    overdueBody_other: 'आपकी {{amount}} की EMI बकाया है। भुगतान न करने पर आपका डिवाइस {{count}} दिन में लॉक हो जाएगा।',
+    scheduleLockMessage_other: '{{amount}} की EMI {{count}} दिन से बकाया है। डिवाइस अनलॉक करने के लिए कृपया भुगतान करें।',
+    findTitle: 'डिवाइस खोजें',
+    findBody: 'आपका डिवाइस बज रहा है। रोकने के लिए टैप करें।',
+    completedTitle: 'EMI पूरी हुई',
+    completedBody: 'बधाई हो! आपकी EMI पूरी हो गई है। डिवाइस लॉक अपने आप हट जाएगा।',
+    wipeTitle: 'डिवाइस रीसेट निर्धारित',
+    wipeBody: 'आपके विक्रेता ने फ़ैक्टरी रीसेट का अनुरोध किया है। 5 मिनट में इस डिवाइस का सारा डेटा मिटा दिया जाएगा।',
+  },
+
+  payment: {
+    pending: 'भुगतान की पुष्टि की प्रतीक्षा है...',
+    success: 'भुगतान प्राप्त हुआ। आपका डिवाइस अनलॉक हो रहा है...',
+    failed: 'भुगतान विफल रहा। कृपया फिर से प्रयास करें।',
+    expired: 'भुगतान की अभी पुष्टि नहीं हुई। कृपया फिर से प्रयास करें या अपने विक्रेता को कॉल करें।',
+  },
+
+  lock: {
+    payNow: '💳 अभी भुगतान करें',
+    callSeller: '📞 विक्रेता को कॉल करें',
+    soft: {
+      title: 'भुगतान बकाया है',
+      warning: 'केवल यहाँ दिखाए गए ऐप ही इस्तेमाल किए जा सकते हैं\nभुगतान होने तक बाकी ऐप बंद रहेंगे',
+    },
+    full: {
+      title: 'डिवाइस लॉक है',
+      warning: '⚠️ विक्रेता ने डिवाइस लॉक किया है\nकोई भी सुविधा उपलब्ध नहीं है\nअनलॉक करने के लिए विक्रेता से संपर्क करें',
+    },
+    tampered: 'लॉक सेटिंग्स बदले जाने के कारण यह डिवाइस लॉक हो गया है\nअनलॉक करने के लिए विक्रेता से संपर्क करें',
+  },
+
+  nag: {
+    title: 'भुगतान बकाया है',
+    payNow: '💳 अभी भुगतान करें',
+    remindLater: 'बाद में याद दिलाएँ',
+  },
+
+  wipe: {
+    title: 'फ़ैक्टरी रीसेट',
+    resetting: 'रीसेट हो रहा है...',
+    explanation:
+      'आपके विक्रेता ने इस डिवाइस के फ़ैक्टरी रीसेट का अनुरोध किया है। ' +
+      'उलटी गिनती खत्म होने पर इस फ़ोन के सभी ऐप, फ़ोटो, संदेश और अकाउंट ' +
+      'हमेशा के लिए मिटा दिए जाएँगे और फ़ोन फिर से शुरू होगा।',
+    cannotStop:
+      'इसे डिवाइस से रोका नहीं जा सकता। अगर आपको लगता है कि यह गलती है, ' +
+      'तो तुरंत अपने विक्रेता से संपर्क करें।',
+  },
+
+  emergency: {
+    call: '🚨 आपातकालीन कॉल',
+  },
+
+  allowedApps: {
+    phone: '📞 फ़ोन',
+    messages: '💬 संदेश',
+  },
+
+  unlockCode: {
+    prompt: '🔑 क्या आपके पास अनलॉक कोड है?',
+    checking: 'जाँच हो रही है...',
+    unlock: 'अनलॉक करें',
+    unavailable: 'इस डिवाइस पर ऑफ़लाइन अनलॉक उपलब्ध नहीं है। कृपया अपने विक्रेता को कॉल करें।',
+    rateLimited: 'बहुत अधिक प्रयास। {{wait}} बाद फिर से प्रयास करें।',
+    incorrectWait: 'गलत कोड। {{wait}} बाद फिर से प्रयास करें।',
+    incorrect: 'गलत कोड। कृपया अपने विक्रेता से जाँच करें।',
+    minutes: '{{count}} मिनट',
+    seconds: '{{count}} सेकंड',
+    reference: 'लॉक संदर्भ: {{reference}}',
+  },
+
+  emi: {
+    title: 'EMI विवरण',
+    progress: '{{total}} में से {{paid}} किस्तें चुकाई गईं',
+    paid: 'चुकाया:',
+    remaining: 'बाकी:',
+    remainingValue: '{{amount}} ({{count}} बाकी)',
+    nextDue: 'अगली देय:',
+    nextDueValue: '{{date}} को {{amount}}',
+    overdue_other: '⚠️ भुगतान {{count}} दिन से बकाया है',
+    history: 'भुगतान इतिहास',
+    offline: 'ऑफ़लाइन - अंतिम अपडेट {{time}}',
+  },
+
+  ice: {
+    title: 'आपातकालीन संपर्क',
+    help: 'अधिकतम {{count}} लोग, जिन्हें डिवाइस लॉक होने पर भी कॉल किया जा सकता है।',
+    name: 'नाम',
+    phone: 'फ़ोन',
+    save: 'संपर्क सेव करें',
+    invalidTitle: 'अमान्य नंबर',
+    invalidBody: '"{{phone}}" मान्य फ़ोन नंबर नहीं है',
+    savedTitle: 'सेव हो गया',
+    savedBody: 'आपातकालीन संपर्क सेव हो गए। डिवाइस लॉक होने पर भी इन्हें कॉल किया जा सकता है।',
+  },
+
+  home: {
+    lockedBadge: '🔒 लॉक है',
+    activeBadge: '✅ सक्रिय',
+    lockedTitle: 'डिवाइस लॉक है',
+    lockedDefault: 'कृपया अपने विक्रेता से संपर्क करें',
+    deviceInfo: 'डिवाइस जानकारी',
+    deviceName: 'डिवाइस का नाम:',
+    osVersion: 'OS संस्करण:',
+    battery: 'बैटरी:',
+    network: 'नेटवर्क:',
+    activationDetails: 'सक्रियण विवरण',
+    status: 'स्थिति:',
+    activated: 'सक्रिय',
+    seller: 'विक्रेता:',
+    contact: 'संपर्क:',
+    support: 'सहायता',
+    language: 'भाषा',
+    deactivate: 'डिवाइस निष्क्रिय करें',
+    deactivateConfirm: 'क्या आप वाकई इस डिवाइस को निष्क्रिय करना चाहते हैं? आपको नई सक्रियण कुंजी की ज़रूरत होगी।',
+    deactivateAction: 'निष्क्रिय करें',
+    deactivated: 'डिवाइस निष्क्रिय हो गया। कृपया ऐप बंद करके फिर से खोलें।',
+    exitTitle: 'ऐप से बाहर निकलें',
+    exitConfirm: 'क्या आप वाकई बाहर निकलना चाहते हैं?',
+    diagnostics: 'डायग्नोस्टिक्स',
+    footer: 'बैकग्राउंड सेवा चल रही है',
+  },
+
+  activation: {
+    subtitle: 'शुरू करने के लिए अपनी सक्रियण कुंजी दर्ज करें',
+    subtitleProvisioned: 'डिवाइस सेटअप की कुंजी से सक्रिय किया जा रहा है...',
+    requestingCamera: 'कैमरा अनुमति माँगी जा रही है...',
+    cameraRequired: 'कैमरा अनुमति आवश्यक है',
+    grantPermission: 'अनुमति दें',
+    scanQr: 'QR कोड स्कैन करें',
+    closeScanner: 'स्कैनर बंद करें',
+    keyPlaceholder: 'सक्रियण कुंजी दर्ज करें',
+    activate: 'डिवाइस सक्रिय करें',
+    activating: 'सक्रिय किया जा रहा है...',
+    help: 'सक्रियण कुंजी के लिए अपने विक्रेता से संपर्क करें',
+    enterKey: 'कृपया सक्रियण कुंजी दर्ज करें',
+    activated: 'डिवाइस सफलतापूर्वक सक्रिय हो गया!',
+    failedTitle: 'सक्रियण विफल',
+    invalidKey: 'अमान्य सक्रियण कुंजी',
+    failedRetry: 'डिवाइस सक्रिय नहीं हो सका। कृपया फिर से प्रयास करें।',
+    invalidQrTitle: 'अमान्य QR कोड',
+  },
+
+  activationConfirm: {
+    title: 'सक्रियण की पुष्टि करें',
+    subtitle: 'सक्रिय करने से पहले कृपया ये विवरण अपने विक्रेता के साथ जाँच लें।',
+    seller: 'विक्रेता',
+    name: 'नाम',
+    phone: 'फ़ोन',
+    product: 'उत्पाद',
+    model: 'मॉडल',
+    price: 'कीमत',
+    emiTerms: 'EMI शर्तें',
+    installment: 'किस्त',
+    installmentValue: '{{amount}} / {{period}}',
+    installments: 'किस्तों की संख्या',
+    totalPayable: 'कुल देय राशि',
+    firstDue: 'पहली देय तिथि',
+    activationKey: 'सक्रियण कुंजी',
+    notice: 'भुगतान छूटने पर विक्रेता भुगतान होने तक इस डिवाइस को लॉक कर सकता है।',
+    frequency: {
+      weekly: 'सप्ताह',
+      monthly: 'महीना',
+    },
+  },
+
+  qrErrors: {
+    not_activation_qr: 'यह सक्रियण QR कोड नहीं है।',
+    unsupported_version: 'इस QR कोड के लिए ऐप का दूसरा संस्करण चाहिए। कृपया ऐप अपडेट करके फिर से प्रयास करें।',
+    missing_field: 'QR कोड अधूरा है। कृपया अपने विक्रेता से नया QR कोड लें।',
+    invalid_field: 'QR कोड में गलत जानकारी है। कृपया अपने विक्रेता से नया QR कोड लें।',
+    wrong_server: 'यह QR कोड किसी दूसरे सर्वर के लिए है।',
+    no_verification_key: 'ऐप का यह संस्करण सक्रियण QR कोड की जाँच नहीं कर सकता।',
+    bad_signature: 'यह QR कोड आपके विक्रेता ने जारी नहीं किया है, या इसमें बदलाव किया गया है।',
+  },
+
+  diagnostics: {
+    title: 'डायग्नोस्टिक्स',
+    server: 'सर्वर',
+    environment: 'एनवायरनमेंट:',
+    serverUrl: 'सर्वर URL:',
+    serverSource: 'किसने चुना:',
+    allowlistVersion: 'अनुमति सूची:',
+    pinning: 'सर्टिफिकेट पिनिंग:',
+    pinned: 'चालू',
+    notPinned: 'पिन नहीं है',
+    pinningOff: 'बंद',
+    serverSince: 'कब से:',
+    device: 'डिवाइस',
+    appVersion: 'ऐप वर्ज़न:',
+    activationKey: 'सक्रियण कुंजी:',
+    deviceId: 'डिवाइस ID:',
+    deviceOwner: 'डिवाइस ओनर:',
+    language: 'भाषा:',
+    sync: 'सिंक',
+    lastSync: 'आखिरी सिंक:',
+    pendingReports: 'बाकी रिपोर्ट:',
+    lastError: 'आखिरी त्रुटि:',
+    lastTlsFailure: 'आखिरी TLS त्रुटि:',
+    never: 'कभी नहीं',
+    none: 'कोई नहीं',
+    sources: {
+      profile: 'ऐप बिल्ड',
+      qr: 'सक्रियण QR',
+      provisioning: 'डिवाइस सेटअप',
+    },
+  },
+
+  serverErrors: {
+    not_configured: 'इस ऐप को आपके विक्रेता के QR कोड से सक्रिय करना होगा।',
+    not_allowed: 'यह डिवाइस ऐसे सर्वर के लिए सेट किया गया है जिस पर यह ऐप भरोसा नहीं करता। कृपया अपने विक्रेता से संपर्क करें।',
+  },
+
+  apiErrors: {
+    timeout: 'सर्वर ने जवाब देने में बहुत समय लिया। कृपया फिर से प्रयास करें।',
+    offline: 'इंटरनेट कनेक्शन नहीं है। कृपया अपना नेटवर्क जाँचें और फिर से प्रयास करें।',
+    serverUnavailable: 'सर्वर अभी उपलब्ध नहीं है। कृपया कुछ देर बाद फिर से प्रयास करें।',
+    generic: 'कुछ गलत हो गया। कृपया फिर से प्रयास करें।',
+  },
+};
@@ -0,0 +1,289 @@
+// Marathi
+export default {
+  common: {
+    ok: 'ठीक आहे',
+    cancel: 'रद्द करा',
+    error: 'त्रुटी',
+    success: 'यशस्वी',
+    later: 'नंतर',
+    exit: 'बाहेर पडा',
+    openSettings: 'सेटिंग्ज उघडा',
+    info: 'माहिती',
+    unknown: 'अज्ञात',
+    yes: 'होय',
+    no: 'नाही',
+    reopenApp: 'पुढे जाण्यासाठी कृपया अ‍ॅप बंद करून पुन्हा उघडा.',
+  },
+
+  permissions: {
+    explanationTitle: '🔐 सुरक्षा परवानग्या आवश्यक',
+    explanationBody:
+      'तुमच्या डिव्हाइसच्या सुरक्षेसाठी या अ‍ॅपला या परवानग्या हव्या आहेत:\n\n' +
+      '📷 कॅमेरा - डिव्हाइस सक्रिय करण्यासाठी QR कोड स्कॅन करणे\n' +
+      '📍 स्थान (नेहमी) - सुरक्षा आणि EMI पालनासाठी डिव्हाइसचे स्थान ट्रॅक करणे\n' +
+      '🔔 सूचना - लॉक/अनलॉक आदेश त्वरित मिळवणे\n' +
+      '🔋 बॅटरी - रिअल-टाइम सुरक्षेसाठी पार्श्वभूमीत चालणे\n\n' +
+      '⚠️ डिव्हाइस लॉक प्रणाली नीट चालण्यासाठी या परवानग्या आवश्यक आहेत.',
+    understand: 'मला समजले',
+    backgroundTitle: '📍 पार्श्वभूमी स्थान आवश्यक',
+    backgroundBody:
+      'पार्श्वभूमी स्थान प्रवेश यासाठी अत्यंत महत्त्वाचा आहे:\n\n' +
+      '• सुरक्षेसाठी डिव्हाइस ट्रॅकिंग\n' +
+      '• EMI पालनावर लक्ष ठेवणे\n' +
+      '• चोरीपासून संरक्षण\n\n' +
+      'कृपया पुढील स्क्रीनवर "नेहमी परवानगी द्या" निवडा.',
+    batteryTitle: '🔋 बॅटरी ऑप्टिमायझेशन',
+    batteryBody:
+      'अ‍ॅप पार्श्वभूमीत नीट चालावे यासाठी कृपया बॅटरी ऑप्टिमायझेशन बंद करा.\n\n' +
+      'यामुळे अ‍ॅप:\n' +
+      '• लॉक/अनलॉक आदेश त्वरित मिळवू शकते\n' +
+      '• डिव्हाइसचे स्थान सतत ट्रॅक करू शकते\n' +
+      '• पार्श्वभूमीत सुरक्षा तपासण्या चालवू शकते',
+    deniedTitle: '⚠️ महत्त्वाच्या परवानग्या नाहीत',
+    deniedBody:
+      'खालील परवानग्या आवश्यक आहेत:\n\n{{permissions}}\n\n' +
+      '❌ या परवानग्यांशिवाय अ‍ॅप काम करू शकत नाही.\n\n' +
+      'डिव्हाइस सक्रिय करण्यासाठी कृपया त्या सेटिंग्जमध्ये सुरू करा.',
+    requiredTitle: '⚠️ परवानग्या आवश्यक',
+    requiredBody: 'अ‍ॅप चालण्यासाठी सर्व परवानग्या आवश्यक आहेत. कृपया सेटिंग्जमध्ये सर्व परवानग्या द्या.',
+    names: {
+      camera: 'कॅमेरा',
+      location: 'स्थान',
+      locationBackground: 'पार्श्वभूमी स्थान',
+      notifications: 'सूचना',
+    },
+  },
+
+  notifications: {
+    channelName: 'डिव्हाइस लॉक आणि रिंग',
+    lockedTitle: 'डिव्हाइस लॉक झाले',
+    lockedBody: 'तुमचे डिव्हाइस लॉक करण्यात आले आहे',
+    nagTitle: 'पेमेंट थकीत आहे',
+    nagBody: 'तुमचा EMI हप्ता थकीत आहे. डिव्हाइस लॉक होऊ नये म्हणून कृपया पेमेंट करा.',
+    unlockedTitle: 'डिव्हाइस अनलॉक झाले',
+    unlockedBody: 'तुमचे डिव्हाइस अनलॉक करण्यात आले आहे',
+    paidUnlockedBody: 'पेमेंटसाठी धन्यवाद. तुमचे डिव्हाइस अनलॉक करण्यात आले आहे.',
+    reminderTitle: 'EMI पेमेंट स्मरणपत्र',
+    reminderBody: 'तुमचा EMI हप्ता देय आहे. डिव्हाइस लॉक होऊ नये म्हणून कृपया पेमेंट करा.',
+    dueReminderBody: 'तुमचा {{amount}} चा EMI हप्ता {{date}} रोजी देय आहे.',
+    overdueTitle: 'EMI पेमेंट थकीत',
+    overdueBody_other: 'तुमचा {{amount}} चा EMI हप्ता थकीत आहे. पेमेंट न केल्यास तुमचे डिव्हाइस {{count}} दिवसांत लॉक होईल.',
+    scheduleLockMessage_other: '{{amount}} चा EMI हप्ता {{count}} दिवसांपासून थकीत आहे. डिव्हाइस अनलॉक करण्यासाठी कृपया पेमेंट करा.',
+    findTitle: 'डिव्हाइस शोधा',
+    findBody: 'तुमचे डिव्हाइस वाजत आहे. थांबवण्यासाठी टॅप करा.',
+    completedTitle: 'EMI पूर्ण झाले',
+    completedBody: 'अभिनंदन! तुमचे EMI पूर्ण झाले आहे. डिव्हाइस लॉक आपोआप काढला जाईल.',
+    wipeTitle: 'डिव्हाइस रीसेट नियोजित',
+    wipeBody: 'तुमच्या विक्रेत्याने फॅक्टरी रीसेटची विनंती केली आहे. 5 मिनिटांत या डिव्हाइसवरील सर्व डेटा पुसला जाईल.',
+  },
+
+  payment: {
+    pending: 'पेमेंटच्या पुष्टीची वाट पाहत आहे...',
+    success: 'पेमेंट मिळाले. तुमचे डिव्हाइस अनलॉक होत आहे...',
+    failed: 'पेमेंट अयशस्वी झाले. कृपया पुन्हा प्रयत्न करा.',
+    expired: 'पेमेंटची अद्याप पुष्टी झालेली नाही. कृपया पुन्हा प्रयत्न करा किंवा तुमच्या विक्रेत्याला कॉल करा.',
+  },
+
+  lock: {
+    payNow: '💳 आत्ता पेमेंट करा',
+    callSeller: '📞 विक्रेत्याला कॉल करा',
+    soft: {
+      title: 'पेमेंट थकीत',
+      warning: 'फक्त येथे दाखवलेली अ‍ॅप्स वापरता येतील\nपेमेंट होईपर्यंत इतर अ‍ॅप्स बंद राहतील',
+    },
+    full: {
+      title: 'डिव्हाइस लॉक आहे',
+      warning: '⚠️ विक्रेत्याने डिव्हाइस लॉक केले आहे\nकोणतीही सुविधा वापरता येणार नाही\nअनलॉकसाठी विक्रेत्याशी संपर्क साधा',
+    },
+    tampered: 'लॉक सेटिंग्ज बदलल्यामुळे हे डिव्हाइस लॉक झाले आहे\nअनलॉकसाठी विक्रेत्याशी संपर्क साधा',
+  },
+
+  nag: {
+    title: 'पेमेंट थकीत आहे',
+    payNow: '💳 आत्ता पेमेंट करा',
+    remindLater: 'नंतर आठवण करून द्या',
+  },
+
+  wipe: {
+    title: 'फॅक्टरी रीसेट',
+    resetting: 'रीसेट होत आहे...',
+    explanation:
+      'तुमच्या विक्रेत्याने या डिव्हाइसच्या फॅक्टरी रीसेटची विनंती केली आहे. ' +
+      'काउंटडाउन संपल्यावर या फोनवरील सर्व अ‍ॅप्स, फोटो, संदेश आणि खाती ' +
+      'कायमची पुसली जातील आणि फोन पुन्हा सुरू होईल.',
+    cannotStop:
+      'हे डिव्हाइसवरून थांबवता येणार नाही. ही चूक आहे असे वाटत असल्यास, ' +
+      'त्वरित तुमच्या विक्रेत्याशी संपर्क साधा.',
+  },
+
+  emergency: {
+    call: '🚨 आपत्कालीन कॉल',
+  },
+
+  allowedApps: {
+    phone: '📞 फोन',
+    messages: '💬 संदेश',
+  },
+
+  unlockCode: {
+    prompt: '🔑 तुमच्याकडे अनलॉक कोड आहे का?',
+    checking: 'तपासत आहे...',
+    unlock: 'अनलॉक करा',
+    unavailable: 'या डिव्हाइसवर ऑफलाइन अनलॉक उपलब्ध नाही. कृपया तुमच्या विक्रेत्याला कॉल करा.',
+    rateLimited: 'खूप जास्त प्रयत्न. {{wait}} नंतर पुन्हा प्रयत्न करा.',
+    incorrectWait: 'चुकीचा कोड. {{wait}} नंतर पुन्हा प्रयत्न करा.',
+    incorrect: 'चुकीचा कोड. कृपया तुमच्या विक्रेत्याकडे तपासा.',
+    minutes: '{{count}} मिनिटे',
+    seconds: '{{count}} सेकंद',
+    reference: 'लॉक संदर्भ: {{reference}}',
+  },
+
+  emi: {
+    title: 'EMI तपशील',
+    progress: '{{total}} पैकी {{paid}} हप्ते भरले',
+    paid: 'भरलेले:',
+    remaining: 'उरलेले:',
+    remainingValue: '{{amount}} ({{count}} उरले)',
+    nextDue: 'पुढील हप्ता:',
+    nextDueValue: '{{date}} रोजी {{amount}}',
+    overdue_other: '⚠️ पेमेंट {{count}} दिवसांपासून थकीत आहे',
+    history: 'पेमेंट इतिहास',
+    offline: 'ऑफलाइन - शेवटचे अपडेट {{time}}',
+  },
+
+  ice: {
+    title: 'आपत्कालीन संपर्क',
+    help: 'डिव्हाइस लॉक असतानाही कॉल करता येतील असे जास्तीत जास्त {{count}} लोक.',
+    name: 'नाव',
+    phone: 'फोन',
+    save: 'संपर्क सेव्ह करा',
+    invalidTitle: 'अवैध नंबर',
+    invalidBody: '"{{phone}}" हा वैध फोन नंबर नाही',
+    savedTitle: 'सेव्ह झाले',
+    savedBody: 'आपत्कालीन संपर्क सेव्ह झाले. डिव्हाइस लॉक असतानाही त्यांना कॉल करता येईल.',
+  },
+
+  home: {
+    lockedBadge: '🔒 लॉक आहे',
+    activeBadge: '✅ सक्रिय',
+    lockedTitle: 'डिव्हाइस लॉक आहे',
+    lockedDefault: 'कृपया तुमच्या विक्रेत्याशी संपर्क साधा',
+    deviceInfo: 'डिव्हाइस माहिती',
+    deviceName: 'डिव्हाइसचे नाव:',
+    osVersion: 'OS आवृत्ती:',
+    battery: 'बॅटरी:',
+    network: 'नेटवर्क:',
+    activationDetails: 'सक्रियकरण तपशील',
+    status: 'स्थिती:',
+    activated: 'सक्रिय',
+    seller: 'विक्रेता:',
+    contact: 'संपर्क:',
+    support: 'मदत',
+    language: 'भाषा',
+    deactivate: 'डिव्हाइस निष्क्रिय करा',
+    deactivateConfirm: 'तुम्हाला खरोखर हे डिव्हाइस निष्क्रिय करायचे आहे का? तुम्हाला नवीन सक्रियकरण की लागेल.',
+    deactivateAction: 'निष्क्रिय करा',
+    deactivated: 'डिव्हाइस निष्क्रिय झाले. कृपया अ‍ॅप बंद करून पुन्हा उघडा.',
+    exitTitle: 'अ‍ॅपमधून बाहेर पडा',
+    exitConfirm: 'तुम्हाला खरोखर बाहेर पडायचे आहे का?',
+    diagnostics: 'डायग्नोस्टिक्स',
+    footer: 'पार्श्वभूमी सेवा चालू आहे',
+  },
+
+  activation: {
+    subtitle: 'सुरू करण्यासाठी तुमची सक्रियकरण की टाका',
+    subtitleProvisioned: 'डिव्हाइस सेटअपमधील कीने सक्रिय करत आहे...',
+    requestingCamera: 'कॅमेरा परवानगी मागत आहे...',
+    cameraRequired: 'कॅमेरा परवानगी आवश्यक आहे',
+    grantPermission: 'परवानगी द्या',
+    scanQr: 'QR कोड स्कॅन करा',
+    closeScanner: 'स्कॅनर बंद करा',
+    keyPlaceholder: 'सक्रियकरण की टाका',
+    activate: 'डिव्हाइस सक्रिय करा',
+    activating: 'सक्रिय करत आहे...',
+    help: 'सक्रियकरण की मिळवण्यासाठी तुमच्या विक्रेत्याशी संपर्क साधा',
+    enterKey: 'कृपया सक्रियकरण की टाका',
+    activated: 'डिव्हाइस यशस्वीरित्या सक्रिय झाले!',
+    failedTitle: 'सक्रियकरण अयशस्वी',
+    invalidKey: 'अवैध सक्रियकरण की',
+    failedRetry: 'डिव्हाइस सक्रिय करता आले नाही. कृपया पुन्हा प्रयत्न करा.',
+    invalidQrTitle: 'अवैध QR कोड',
+  },
+
+  activationConfirm: {
+    title: 'सक्रियकरणाची पुष्टी करा',
+    subtitle: 'सक्रिय करण्यापूर्वी कृपया हे तपशील तुमच्या विक्रेत्यासोबत तपासा.',
+    seller: 'विक्रेता',
+    name: 'नाव',
+    phone: 'फोन',
+    product: 'उत्पादन',
+    model: 'मॉडेल',
+    price: 'किंमत',
+    emiTerms: 'EMI अटी',
+    installment: 'हप्ता',
+    installmentValue: '{{amount}} / {{period}}',
+    installments: 'हप्त्यांची संख्या',
+    totalPayable: 'एकूण देय रक्कम',
+    firstDue: 'पहिला हप्ता',
+    activationKey: 'सक्रियकरण की',
+    notice: 'पेमेंट चुकल्यास, पेमेंट होईपर्यंत विक्रेता हे डिव्हाइस लॉक करू शकतो.',
+    frequency: {
+      weekly: 'आठवडा',
+      monthly: 'महिना',
+    },
+  },
+
+  qrErrors: {
+    not_activation_qr: 'हा सक्रियकरण QR कोड नाही.',
+    unsupported_version: 'या QR कोडसाठी अ‍ॅपची वेगळी आवृत्ती लागते. कृपया अ‍ॅप अपडेट करून पुन्हा प्रयत्न करा.',
+    missing_field: 'QR कोड अपूर्ण आहे. कृपया तुमच्या विक्रेत्याकडून नवीन घ्या.',
+    invalid_field: 'QR कोडमध्ये चुकीचे तपशील आहेत. कृपया तुमच्या विक्रेत्याकडून नवीन घ्या.',
+    wrong_server: 'हा QR कोड दुसऱ्या सर्व्हरसाठी आहे.',
+    no_verification_key: 'अ‍ॅपची ही आवृत्ती सक्रियकरण QR कोड तपासू शकत नाही.',
+    bad_signature: 'हा QR कोड तुमच्या विक्रेत्याने दिलेला नाही, किंवा त्यात बदल केला आहे.',
+  },
+
+  diagnostics: {
+    title: 'डायग्नोस्टिक्स',
+    server: 'सर्व्हर',
+    environment: 'एन्व्हायर्नमेंट:',
+    serverUrl: 'सर्व्हर URL:',
+    serverSource: 'कोणी निवडले:',
+    allowlistVersion: 'परवानगी यादी:',
+    pinning: 'सर्टिफिकेट पिनिंग:',
+    pinned: 'चालू',
+    notPinned: 'पिन केलेले नाही',
+    pinningOff: 'बंद',
+    serverSince: 'केव्हापासून:',
+    device: 'डिव्हाइस',
+    appVersion: 'ॲप आवृत्ती:',
+    activationKey: 'सक्रियकरण की:',
+    deviceId: 'डिव्हाइस ID:',
+    deviceOwner: 'डिव्हाइस ओनर:',
+    language: 'भाषा:',
+    sync: 'सिंक',
+    lastSync: 'शेवटचे सिंक:',
+    pendingReports: 'बाकी अहवाल:',
+    lastError: 'शेवटची त्रुटी:',
+    lastTlsFailure: 'शेवटची TLS त्रुटी:',
+    never: 'कधीच नाही',
+    none: 'काहीही नाही',
+    sources: {
+      profile: 'ॲप बिल्ड',
+      qr: 'सक्रियकरण QR',
+      provisioning: 'डिव्हाइस सेटअप',
+    },
+  },
+
+  serverErrors: {
+    not_configured: 'हे ॲप तुमच्या विक्रेत्याच्या QR कोडने सक्रिय करावे लागेल.',
+    not_allowed: 'हे डिव्हाइस अशा सर्व्हरसाठी सेट केले आहे ज्यावर हे ॲप विश्वास ठेवत नाही. कृपया तुमच्या विक्रेत्याशी संपर्क साधा.',
+  },
+
+  apiErrors: {
+    timeout: 'सर्व्हरने उत्तर देण्यास खूप वेळ घेतला. कृपया पुन्हा प्रयत्न करा.',
+    offline: 'इंटरनेट कनेक्शन नाही. कृपया तुमचे नेटवर्क तपासा आणि पुन्हा प्रयत्न करा.',
+    serverUnavailable: 'सर्व्हर सध्या उपलब्ध नाही. कृपया थोड्या वेळाने पुन्हा प्रयत्न करा.',
+    generic: 'काहीतरी चूक झाली. कृपया पुन्हा प्रयत्न करा.',
+  },
+};
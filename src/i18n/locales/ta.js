@@ -0,0 +1,289 @@
+// Tamil
+export default {
+  common: {
+    ok: 'சரி',
+    cancel: 'ரத்து செய்',
+    error: 'பிழை',
+    success: 'வெற்றி',
+    later: 'பிறகு',
+    exit: 'வெளியேறு',
+    openSettings: 'அமைப்புகளைத் திற',
+    info: 'தகவல்',
+    unknown: 'தெரியவில்லை',
+    yes: 'ஆம்',
+    no: 'இல்லை',
+    reopenApp: 'தொடர, ஆப்பை மூடி மீண்டும் திறக்கவும்.',
+  },
+
+  permissions: {
+    explanationTitle: '🔐 பாதுகாப்பு அனுமதிகள் தேவை',
+    explanationBody:
+      'உங்கள் சாதனத்தைப் பாதுகாக்க இந்த ஆப்புக்கு இந்த அனுமதிகள் தேவை:\n\n' +
+      '📷 கேமரா - சாதனத்தைச் செயல்படுத்த QR குறியீட்டை ஸ்கேன் செய்ய\n' +
+      '📍 இருப்பிடம் (எப்போதும்) - பாதுகாப்பு மற்றும் EMI இணக்கத்திற்காக சாதனத்தின் இருப்பிடத்தைக் கண்காணிக்க\n' +
+      '🔔 அறிவிப்புகள் - பூட்டு/திறப்பு கட்டளைகளை உடனே பெற\n' +
+      '🔋 பேட்டரி - நிகழ்நேரப் பாதுகாப்பிற்காகப் பின்னணியில் இயங்க\n\n' +
+      '⚠️ சாதனப் பூட்டு அமைப்பு சரியாக வேலை செய்ய இந்த அனுமதிகள் அவசியம்.',
+    understand: 'புரிந்தது',
+    backgroundTitle: '📍 பின்னணி இருப்பிடம் தேவை',
+    backgroundBody:
+      'பின்னணி இருப்பிட அணுகல் இவற்றுக்கு மிக முக்கியம்:\n\n' +
+      '• பாதுகாப்பிற்காகச் சாதனத்தைக் கண்காணித்தல்\n' +
+      '• EMI இணக்கக் கண்காணிப்பு\n' +
+      '• திருட்டுத் தடுப்பு\n\n' +
+      'அடுத்த திரையில் "எப்போதும் அனுமதி" என்பதைத் தேர்ந்தெடுக்கவும்.',
+    batteryTitle: '🔋 பேட்டரி மேம்படுத்தல்',
+    batteryBody:
+      'ஆப் பின்னணியில் சரியாக இயங்க, பேட்டரி மேம்படுத்தலை முடக்கவும்.\n\n' +
+      'இதனால் ஆப்:\n' +
+      '• பூட்டு/திறப்பு கட்டளைகளை உடனே பெறும்\n' +
+      '• சாதனத்தின் இருப்பிடத்தைத் தொடர்ந்து கண்காணிக்கும்\n' +
+      '• பின்னணிப் பாதுகாப்புச் சோதனைகளை இயக்கும்',
+    deniedTitle: '⚠️ முக்கிய அனுமதிகள் இல்லை',
+    deniedBody:
+      'பின்வரும் அனுமதிகள் தேவை:\n\n{{permissions}}\n\n' +
+      '❌ இந்த அனுமதிகள் இல்லாமல் ஆப் இயங்காது.\n\n' +
+      'சாதனத்தைச் செயல்படுத்த, அமைப்புகளில் இவற்றை இயக்கவும்.',
+    requiredTitle: '⚠️ அனுமதிகள் தேவை',
+    requiredBody: 'ஆப் இயங்க எல்லா அனுமதிகளும் தேவை. அமைப்புகளில் எல்லா அனுமதிகளையும் வழங்கவும்.',
+    names: {
+      camera: 'கேமரா',
+      location: 'இருப்பிடம்',
+      locationBackground: 'பின்னணி இருப்பிடம்',
+      notifications: 'அறிவிப்புகள்',
+    },
+  },
+
+  notifications: {
+    channelName: 'சாதனப் பூட்டு & ஒலி',
+    lockedTitle: 'சாதனம் பூட்டப்பட்டது',
+    lockedBody: 'உங்கள் சாதனம் பூட்டப்பட்டுள்ளது',
+    nagTitle: 'கட்டணம் நிலுவையில் உள்ளது',
+    nagBody: 'உங்கள் EMI கட்டணம் நிலுவையில் உள்ளது. சாதனம் பூட்டப்படாமல் இருக்க கட்டணம் செலுத்தவும்.',
+    unlockedTitle: 'சாதனம் திறக்கப்பட்டது',
+    unlockedBody: 'உங்கள் சாதனம் திறக்கப்பட்டுள்ளது',
+    paidUnlockedBody: 'கட்டணம் செலுத்தியதற்கு நன்றி. உங்கள் சாதனம் திறக்கப்பட்டுள்ளது.',
+    reminderTitle: 'EMI கட்டண நினைவூட்டல்',
+    reminderBody: 'உங்கள் EMI கட்டணம் செலுத்த வேண்டிய நேரம். சாதனம் பூட்டப்படாமல் இருக்க கட்டணம் செலுத்தவும்.',
+    dueReminderBody: 'உங்கள் {{amount}} EMI {{date}} அன்று செலுத்த வேண்டும்.',
+    overdueTitle: 'EMI கட்டணம் நிலுவையில்',
+    overdueBody_other: 'உங்கள் {{amount}} EMI நிலுவையில் உள்ளது. கட்டணம் செலுத்தாவிட்டால் {{count}} நாளில் உங்கள் சாதனம் பூட்டப்படும்.',
+    scheduleLockMessage_other: '{{amount}} EMI {{count}} நாட்களாக நிலுவையில் உள்ளது. சாதனத்தைத் திறக்க கட்டணம் செலுத்தவும்.',
+    findTitle: 'சாதனத்தைக் கண்டுபிடி',
+    findBody: 'உங்கள் சாதனம் ஒலிக்கிறது. நிறுத்த தட்டவும்.',
+    completedTitle: 'EMI முடிந்தது',
+    completedBody: 'வாழ்த்துகள்! உங்கள் EMI முடிந்தது. சாதனப் பூட்டு தானாக நீக்கப்படும்.',
+    wipeTitle: 'சாதன ரீசெட் திட்டமிடப்பட்டது',
+    wipeBody: 'உங்கள் விற்பனையாளர் ஃபேக்டரி ரீசெட் கோரியுள்ளார். 5 நிமிடங்களில் இந்தச் சாதனத்தின் எல்லா தரவும் அழிக்கப்படும்.',
+  },
+
+  payment: {
+    pending: 'கட்டண உறுதிப்படுத்தலுக்காகக் காத்திருக்கிறது...',
+    success: 'கட்டணம் பெறப்பட்டது. உங்கள் சாதனம் திறக்கப்படுகிறது...',
+    failed: 'கட்டணம் தோல்வியடைந்தது. மீண்டும் முயற்சிக்கவும்.',
+    expired: 'கட்டணம் இன்னும் உறுதிப்படுத்தப்படவில்லை. மீண்டும் முயற்சிக்கவும் அல்லது விற்பனையாளரை அழைக்கவும்.',
+  },
+
+  lock: {
+    payNow: '💳 இப்போது செலுத்து',
+    callSeller: '📞 விற்பனையாளரை அழை',
+    soft: {
+      title: 'கட்டணம் நிலுவையில்',
+      warning: 'இங்கே காட்டப்படும் ஆப்புகளை மட்டுமே பயன்படுத்த முடியும்\nகட்டணம் செலுத்தும் வரை பிற ஆப்புகள் தடுக்கப்படும்',
+    },
+    full: {
+      title: 'சாதனம் பூட்டப்பட்டது',
+      warning: '⚠️ விற்பனையாளரால் சாதனம் பூட்டப்பட்டது\nஎந்த அம்சத்தையும் பயன்படுத்த முடியாது\nதிறக்க விற்பனையாளரைத் தொடர்பு கொள்ளவும்',
+    },
+    tampered: 'பூட்டு அமைப்புகள் மாற்றப்பட்டதால் இந்தச் சாதனம் பூட்டப்பட்டது\nதிறக்க விற்பனையாளரைத் தொடர்பு கொள்ளவும்',
+  },
+
+  nag: {
+    title: 'கட்டணம் நிலுவையில் உள்ளது',
+    payNow: '💳 இப்போது செலுத்து',
+    remindLater: 'பிறகு நினைவூட்டு',
+  },
+
+  wipe: {
+    title: 'ஃபேக்டரி ரீசெட்',
+    resetting: 'ரீசெட் செய்யப்படுகிறது...',
+    explanation:
+      'உங்கள் விற்பனையாளர் இந்தச் சாதனத்தை ஃபேக்டரி ரீசெட் செய்யக் கோரியுள்ளார். ' +
+      'கவுண்ட்டவுன் முடிந்ததும், இந்த ஃபோனில் உள்ள எல்லா ஆப்புகள், புகைப்படங்கள், செய்திகள் மற்றும் கணக்குகள் ' +
+      'நிரந்தரமாக அழிக்கப்பட்டு ஃபோன் மீண்டும் தொடங்கும்.',
+    cannotStop:
+      'இதைச் சாதனத்திலிருந்து நிறுத்த முடியாது. இது தவறு என்று நீங்கள் நினைத்தால், ' +
+      'உடனே உங்கள் விற்பனையாளரைத் தொடர்பு கொள்ளவும்.',
+  },
+
+  emergency: {
+    call: '🚨 அவசர அழைப்பு',
+  },
+
+  allowedApps: {
+    phone: '📞 ஃபோன்',
+    messages: '💬 செய்திகள்',
+  },
+
+  unlockCode: {
+    prompt: '🔑 திறப்புக் குறியீடு உள்ளதா?',
+    checking: 'சரிபார்க்கிறது...',
+    unlock: 'திற',
+    unavailable: 'இந்தச் சாதனத்தில் ஆஃப்லைன் திறப்பு இல்லை. உங்கள் விற்பனையாளரை அழைக்கவும்.',
+    rateLimited: 'அதிக முயற்சிகள். {{wait}} கழித்து மீண்டும் முயற்சிக்கவும்.',
+    incorrectWait: 'தவறான குறியீடு. {{wait}} கழித்து மீண்டும் முயற்சிக்கவும்.',
+    incorrect: 'தவறான குறியீடு. உங்கள் விற்பனையாளரிடம் சரிபார்க்கவும்.',
+    minutes: '{{count}} நிமிடம்',
+    seconds: '{{count}} விநாடி',
+    reference: 'பூட்டு குறிப்பு: {{reference}}',
+  },
+
+  emi: {
+    title: 'EMI விவரங்கள்',
+    progress: '{{total}} தவணைகளில் {{paid}} செலுத்தப்பட்டது',
+    paid: 'செலுத்தியது:',
+    remaining: 'மீதம்:',
+    remainingValue: '{{amount}} ({{count}} மீதம்)',
+    nextDue: 'அடுத்த தவணை:',
+    nextDueValue: '{{date}} அன்று {{amount}}',
+    overdue_other: '⚠️ கட்டணம் {{count}} நாட்களாக நிலுவையில் உள்ளது',
+    history: 'கட்டண வரலாறு',
+    offline: 'ஆஃப்லைன் - கடைசியாகப் புதுப்பித்தது {{time}}',
+  },
+
+  ice: {
+    title: 'அவசரத் தொடர்புகள்',
+    help: 'சாதனம் பூட்டப்பட்டிருந்தாலும் அழைக்கக்கூடிய அதிகபட்சம் {{count}} நபர்கள்.',
+    name: 'பெயர்',
+    phone: 'ஃபோன்',
+    save: 'தொடர்புகளைச் சேமி',
+    invalidTitle: 'தவறான எண்',
+    invalidBody: '"{{phone}}" சரியான ஃபோன் எண் அல்ல',
+    savedTitle: 'சேமிக்கப்பட்டது',
+    savedBody: 'அவசரத் தொடர்புகள் சேமிக்கப்பட்டன. சாதனம் பூட்டப்பட்டிருந்தாலும் இவர்களை அழைக்கலாம்.',
+  },
+
+  home: {
+    lockedBadge: '🔒 பூட்டப்பட்டது',
+    activeBadge: '✅ செயலில்',
+    lockedTitle: 'சாதனம் பூட்டப்பட்டது',
+    lockedDefault: 'உங்கள் விற்பனையாளரைத் தொடர்பு கொள்ளவும்',
+    deviceInfo: 'சாதனத் தகவல்',
+    deviceName: 'சாதனப் பெயர்:',
+    osVersion: 'OS பதிப்பு:',
+    battery: 'பேட்டரி:',
+    network: 'நெட்வொர்க்:',
+    activationDetails: 'செயல்படுத்தல் விவரங்கள்',
+    status: 'நிலை:',
+    activated: 'செயல்படுத்தப்பட்டது',
+    seller: 'விற்பனையாளர்:',
+    contact: 'தொடர்பு:',
+    support: 'உதவி',
+    language: 'மொழி',
+    deactivate: 'சாதனத்தைச் செயலிழக்கச் செய்',
+    deactivateConfirm: 'இந்தச் சாதனத்தைச் செயலிழக்கச் செய்ய விரும்புகிறீர்களா? உங்களுக்குப் புதிய செயல்படுத்தல் விசை தேவைப்படும்.',
+    deactivateAction: 'செயலிழக்கச் செய்',
+    deactivated: 'சாதனம் செயலிழக்கப்பட்டது. ஆப்பை மூடி மீண்டும் திறக்கவும்.',
+    exitTitle: 'ஆப்பிலிருந்து வெளியேறு',
+    exitConfirm: 'நிச்சயமாக வெளியேற விரும்புகிறீர்களா?',
+    diagnostics: 'கண்டறிதல்',
+    footer: 'பின்னணிச் சேவை இயங்குகிறது',
+  },
+
+  activation: {
+    subtitle: 'தொடங்க உங்கள் செயல்படுத்தல் விசையை உள்ளிடவும்',
+    subtitleProvisioned: 'சாதன அமைப்பின் விசையுடன் செயல்படுத்தப்படுகிறது...',
+    requestingCamera: 'கேமரா அனுமதி கோரப்படுகிறது...',
+    cameraRequired: 'கேமரா அனுமதி தேவை',
+    grantPermission: 'அனுமதி வழங்கு',
+    scanQr: 'QR குறியீட்டை ஸ்கேன் செய்',
+    closeScanner: 'ஸ்கேனரை மூடு',
+    keyPlaceholder: 'செயல்படுத்தல் விசையை உள்ளிடவும்',
+    activate: 'சாதனத்தைச் செயல்படுத்து',
+    activating: 'செயல்படுத்தப்படுகிறது...',
+    help: 'செயல்படுத்தல் விசையைப் பெற உங்கள் விற்பனையாளரைத் தொடர்பு கொள்ளவும்',
+    enterKey: 'செயல்படுத்தல் விசையை உள்ளிடவும்',
+    activated: 'சாதனம் வெற்றிகரமாகச் செயல்படுத்தப்பட்டது!',
+    failedTitle: 'செயல்படுத்தல் தோல்வி',
+    invalidKey: 'தவறான செயல்படுத்தல் விசை',
+    failedRetry: 'சாதனத்தைச் செயல்படுத்த முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+    invalidQrTitle: 'தவறான QR குறியீடு',
+  },
+
+  activationConfirm: {
+    title: 'செயல்படுத்தலை உறுதிப்படுத்து',
+    subtitle: 'செயல்படுத்தும் முன் இந்த விவரங்களை உங்கள் விற்பனையாளருடன் சரிபார்க்கவும்.',
+    seller: 'விற்பனையாளர்',
+    name: 'பெயர்',
+    phone: 'ஃபோன்',
+    product: 'தயாரிப்பு',
+    model: 'மாடல்',
+    price: 'விலை',
+    emiTerms: 'EMI விதிமுறைகள்',
+    installment: 'தவணை',
+    installmentValue: '{{amount}} / {{period}}',
+    installments: 'தவணைகள்',
+    totalPayable: 'மொத்தம் செலுத்த வேண்டியது',
+    firstDue: 'முதல் தவணை',
+    activationKey: 'செயல்படுத்தல் விசை',
+    notice: 'கட்டணம் தவறினால், செலுத்தும் வரை விற்பனையாளர் இந்தச் சாதனத்தைப் பூட்டலாம்.',
+    frequency: {
+      weekly: 'வாரம்',
+      monthly: 'மாதம்',
+    },
+  },
+
+  qrErrors: {
+    not_activation_qr: 'இது செயல்படுத்தல் QR குறியீடு அல்ல.',
+    unsupported_version: 'இந்த QR குறியீட்டுக்கு ஆப்பின் வேறு பதிப்பு தேவை. ஆப்பைப் புதுப்பித்து மீண்டும் முயற்சிக்கவும்.',
+    missing_field: 'QR குறியீடு முழுமையாக இல்லை. உங்கள் விற்பனையாளரிடம் புதியதைக் கேட்கவும்.',
+    invalid_field: 'QR குறியீட்டில் தவறான விவரங்கள் உள்ளன. உங்கள் விற்பனையாளரிடம் புதியதைக் கேட்கவும்.',
+    wrong_server: 'இந்த QR குறியீடு வேறொரு சர்வருக்கானது.',
+    no_verification_key: 'இந்த ஆப் பதிப்பால் செயல்படுத்தல் QR குறியீடுகளைச் சரிபார்க்க முடியாது.',
+    bad_signature: 'இந்த QR குறியீடு உங்கள் விற்பனையாளரால் வழங்கப்படவில்லை, அல்லது மாற்றப்பட்டுள்ளது.',
+  },
+
+  diagnostics: {
+    title: 'கண்டறிதல்',
+    server: 'சர்வர்',
+    environment: 'சூழல்:',
+    serverUrl: 'சர்வர் URL:',
+    serverSource: 'தேர்வு செய்தது:',
+    allowlistVersion: 'அனுமதி பட்டியல்:',
+    pinning: 'சான்றிதழ் பின்னிங்:',
+    pinned: 'இயக்கத்தில்',
+    notPinned: 'பின் செய்யப்படவில்லை',
+    pinningOff: 'முடக்கம்',
+    serverSince: 'முதல்:',
+    device: 'சாதனம்',
+    appVersion: 'ஆப் பதிப்பு:',
+    activationKey: 'செயல்படுத்தல் விசை:',
+    deviceId: 'சாதன ID:',
+    deviceOwner: 'சாதன உரிமையாளர்:',
+    language: 'மொழி:',
+    sync: 'ஒத்திசைவு',
+    lastSync: 'கடைசி ஒத்திசைவு:',
+    pendingReports: 'நிலுவை அறிக்கைகள்:',
+    lastError: 'கடைசி பிழை:',
+    lastTlsFailure: 'கடைசி TLS பிழை:',
+    never: 'இதுவரை இல்லை',
+    none: 'ஏதுமில்லை',
+    sources: {
+      profile: 'ஆப் பில்ட்',
+      qr: 'செயல்படுத்தல் QR',
+      provisioning: 'சாதன அமைப்பு',
+    },
+  },
+
+  serverErrors: {
+    not_configured: 'உங்கள் விற்பனையாளரின் QR குறியீட்டைக் கொண்டு இந்த ஆப்பைச் செயல்படுத்த வேண்டும்.',
+    not_allowed: 'இந்த ஆப் நம்பாத ஒரு சர்வருக்காக இந்தச் சாதனம் அமைக்கப்பட்டுள்ளது. உங்கள் விற்பனையாளரைத் தொடர்பு கொள்ளவும்.',
+  },
+
+  apiErrors: {
+    timeout: 'சர்வர் பதிலளிக்க அதிக நேரம் எடுத்தது. மீண்டும் முயற்சிக்கவும்.',
+    offline: 'இணைய இணைப்பு இல்லை. உங்கள் நெட்வொர்க்கைச் சரிபார்த்து மீண்டும் முயற்சிக்கவும்.',
+    serverUnavailable: 'சர்வர் தற்காலிகமாகக் கிடைக்கவில்லை. பின்னர் மீண்டும் முயற்சிக்கவும்.',
+    generic: 'ஏதோ தவறு நடந்தது. மீண்டும் முயற்சிக்கவும்.',
+  },
+};
@@ -0,0 +1,289 @@
+// Telugu
+export default {
+  common: {
+    ok: 'సరే',
+    cancel: 'రద్దు చేయి',
+    error: 'లోపం',
+    success: 'విజయవంతం',
+    later: 'తర్వాత',
+    exit: 'నిష్క్రమించు',
+    openSettings: 'సెట్టింగ్‌లు తెరవండి',
+    info: 'సమాచారం',
+    unknown: 'తెలియదు',
+    yes: 'అవును',
+    no: 'కాదు',
+    reopenApp: 'కొనసాగించడానికి యాప్‌ను మూసివేసి మళ్లీ తెరవండి.',
+  },
+
+  permissions: {
+    explanationTitle: '🔐 భద్రతా అనుమతులు అవసరం',
+    explanationBody:
+      'మీ పరికరాన్ని రక్షించడానికి ఈ యాప్‌కు ఈ అనుమతులు అవసరం:\n\n' +
+      '📷 కెమెరా - పరికరాన్ని యాక్టివేట్ చేయడానికి QR కోడ్ స్కాన్ చేయడం\n' +
+      '📍 లొకేషన్ (ఎల్లప్పుడూ) - భద్రత మరియు EMI అనుసరణ కోసం పరికరం లొకేషన్‌ను ట్రాక్ చేయడం\n' +
+      '🔔 నోటిఫికేషన్‌లు - లాక్/అన్‌లాక్ ఆదేశాలను వెంటనే పొందడం\n' +
+      '🔋 బ్యాటరీ - రియల్-టైమ్ రక్షణ కోసం బ్యాక్‌గ్రౌండ్‌లో పనిచేయడం\n\n' +
+      '⚠️ పరికర లాక్ సిస్టమ్ సరిగ్గా పనిచేయడానికి ఈ అనుమతులు తప్పనిసరి.',
+    understand: 'అర్థమైంది',
+    backgroundTitle: '📍 బ్యాక్‌గ్రౌండ్ లొకేషన్ అవసరం',
+    backgroundBody:
+      'బ్యాక్‌గ్రౌండ్ లొకేషన్ యాక్సెస్ వీటికి చాలా ముఖ్యం:\n\n' +
+      '• భద్రత కోసం పరికరం ట్రాకింగ్\n' +
+      '• EMI అనుసరణ పర్యవేక్షణ\n' +
+      '• దొంగతనం నుండి రక్షణ\n\n' +
+      'తదుపరి స్క్రీన్‌లో "ఎల్లప్పుడూ అనుమతించు" ఎంచుకోండి.',
+    batteryTitle: '🔋 బ్యాటరీ ఆప్టిమైజేషన్',
+    batteryBody:
+      'యాప్ బ్యాక్‌గ్రౌండ్‌లో సరిగ్గా పనిచేయడానికి, బ్యాటరీ ఆప్టిమైజేషన్‌ను ఆపివేయండి.\n\n' +
+      'దీని వల్ల యాప్:\n' +
+      '• లాక్/అన్‌లాక్ ఆదేశాలను వెంటనే పొందగలదు\n' +
+      '• పరికరం లొకేషన్‌ను నిరంతరం ట్రాక్ చేయగలదు\n' +
+      '• బ్యాక్‌గ్రౌండ్ భద్రతా తనిఖీలు చేయగలదు',
+    deniedTitle: '⚠️ ముఖ్యమైన అనుమతులు లేవు',
+    deniedBody:
+      'ఈ అనుమతులు అవసరం:\n\n{{permissions}}\n\n' +
+      '❌ ఈ అనుమతులు లేకుండా యాప్ పనిచేయదు.\n\n' +
+      'పరికరాన్ని యాక్టివేట్ చేయడానికి సెట్టింగ్‌లలో వీటిని ఆన్ చేయండి.',
+    requiredTitle: '⚠️ అనుమతులు అవసరం',
+    requiredBody: 'యాప్ పనిచేయడానికి అన్ని అనుమతులు అవసరం. సెట్టింగ్‌లలో అన్ని అనుమతులు ఇవ్వండి.',
+    names: {
+      camera: 'కెమెరా',
+      location: 'లొకేషన్',
+      locationBackground: 'బ్యాక్‌గ్రౌండ్ లొకేషన్',
+      notifications: 'నోటిఫికేషన్‌లు',
+    },
+  },
+
+  notifications: {
+    channelName: 'పరికర లాక్ & రింగ్',
+    lockedTitle: 'పరికరం లాక్ అయింది',
+    lockedBody: 'మీ పరికరం లాక్ చేయబడింది',
+    nagTitle: 'చెల్లింపు బకాయి ఉంది',
+    nagBody: 'మీ EMI చెల్లింపు బకాయి ఉంది. పరికరం లాక్ కాకుండా ఉండటానికి చెల్లించండి.',
+    unlockedTitle: 'పరికరం అన్‌లాక్ అయింది',
+    unlockedBody: 'మీ పరికరం అన్‌లాక్ చేయబడింది',
+    paidUnlockedBody: 'చెల్లించినందుకు ధన్యవాదాలు. మీ పరికరం అన్‌లాక్ చేయబడింది.',
+    reminderTitle: 'EMI చెల్లింపు రిమైండర్',
+    reminderBody: 'మీ EMI చెల్లింపు గడువు వచ్చింది. పరికరం లాక్ కాకుండా ఉండటానికి చెల్లించండి.',
+    dueReminderBody: 'మీ {{amount}} EMI {{date}}న చెల్లించాలి.',
+    overdueTitle: 'EMI చెల్లింపు బకాయి',
+    overdueBody_other: 'మీ {{amount}} EMI బకాయి ఉంది. చెల్లించకపోతే {{count}} రోజుల్లో మీ పరికరం లాక్ అవుతుంది.',
+    scheduleLockMessage_other: '{{amount}} EMI {{count}} రోజులుగా బకాయి ఉంది. పరికరాన్ని అన్‌లాక్ చేయడానికి చెల్లించండి.',
+    findTitle: 'పరికరాన్ని కనుగొను',
+    findBody: 'మీ పరికరం మోగుతోంది. ఆపడానికి నొక్కండి.',
+    completedTitle: 'EMI పూర్తయింది',
+    completedBody: 'అభినందనలు! మీ EMI పూర్తయింది. పరికర లాక్ ఆటోమేటిక్‌గా తొలగించబడుతుంది.',
+    wipeTitle: 'పరికర రీసెట్ షెడ్యూల్ చేయబడింది',
+    wipeBody: 'మీ విక్రేత ఫ్యాక్టరీ రీసెట్ కోరారు. 5 నిమిషాల్లో ఈ పరికరంలోని మొత్తం డేటా తొలగించబడుతుంది.',
+  },
+
+  payment: {
+    pending: 'చెల్లింపు నిర్ధారణ కోసం వేచి ఉంది...',
+    success: 'చెల్లింపు అందింది. మీ పరికరం అన్‌లాక్ అవుతోంది...',
+    failed: 'చెల్లింపు విఫలమైంది. మళ్లీ ప్రయత్నించండి.',
+    expired: 'చెల్లింపు ఇంకా నిర్ధారించబడలేదు. మళ్లీ ప్రయత్నించండి లేదా మీ విక్రేతకు కాల్ చేయండి.',
+  },
+
+  lock: {
+    payNow: '💳 ఇప్పుడే చెల్లించండి',
+    callSeller: '📞 విక్రేతకు కాల్ చేయండి',
+    soft: {
+      title: 'చెల్లింపు బకాయి',
+      warning: 'ఇక్కడ చూపిన యాప్‌లను మాత్రమే ఉపయోగించవచ్చు\nచెల్లించే వరకు ఇతర యాప్‌లు బ్లాక్ చేయబడతాయి',
+    },
+    full: {
+      title: 'పరికరం లాక్ అయింది',
+      warning: '⚠️ విక్రేత పరికరాన్ని లాక్ చేశారు\nఏ ఫీచర్‌ను ఉపయోగించలేరు\nఅన్‌లాక్ కోసం విక్రేతను సంప్రదించండి',
+    },
+    tampered: 'లాక్ సెట్టింగ్‌లు మార్చబడినందున ఈ పరికరం లాక్ అయింది\nఅన్‌లాక్ కోసం విక్రేతను సంప్రదించండి',
+  },
+
+  nag: {
+    title: 'చెల్లింపు బకాయి ఉంది',
+    payNow: '💳 ఇప్పుడే చెల్లించండి',
+    remindLater: 'తర్వాత గుర్తుచేయి',
+  },
+
+  wipe: {
+    title: 'ఫ్యాక్టరీ రీసెట్',
+    resetting: 'రీసెట్ అవుతోంది...',
+    explanation:
+      'మీ విక్రేత ఈ పరికరాన్ని ఫ్యాక్టరీ రీసెట్ చేయమని కోరారు. ' +
+      'కౌంట్‌డౌన్ ముగిసినప్పుడు, ఈ ఫోన్‌లోని అన్ని యాప్‌లు, ఫోటోలు, సందేశాలు మరియు ఖాతాలు ' +
+      'శాశ్వతంగా తొలగించబడి ఫోన్ పునఃప్రారంభమవుతుంది.',
+    cannotStop:
+      'దీన్ని పరికరం నుండి ఆపలేరు. ఇది పొరపాటు అని మీరు భావిస్తే, ' +
+      'వెంటనే మీ విక్రేతను సంప్రదించండి.',
+  },
+
+  emergency: {
+    call: '🚨 అత్యవసర కాల్',
+  },
+
+  allowedApps: {
+    phone: '📞 ఫోన్',
+    messages: '💬 సందేశాలు',
+  },
+
+  unlockCode: {
+    prompt: '🔑 అన్‌లాక్ కోడ్ ఉందా?',
+    checking: 'తనిఖీ చేస్తోంది...',
+    unlock: 'అన్‌లాక్',
+    unavailable: 'ఈ పరికరంలో ఆఫ్‌లైన్ అన్‌లాక్ అందుబాటులో లేదు. మీ విక్రేతకు కాల్ చేయండి.',
+    rateLimited: 'చాలా ఎక్కువ ప్రయత్నాలు. {{wait}} తర్వాత మళ్లీ ప్రయత్నించండి.',
+    incorrectWait: 'తప్పు కోడ్. {{wait}} తర్వాత మళ్లీ ప్రయత్నించండి.',
+    incorrect: 'తప్పు కోడ్. మీ విక్రేతతో తనిఖీ చేయండి.',
+    minutes: '{{count}} నిమి',
+    seconds: '{{count}} సెక',
+    reference: 'లాక్ రిఫరెన్స్: {{reference}}',
+  },
+
+  emi: {
+    title: 'EMI వివరాలు',
+    progress: '{{total}} వాయిదాలలో {{paid}} చెల్లించబడ్డాయి',
+    paid: 'చెల్లించినది:',
+    remaining: 'మిగిలినది:',
+    remainingValue: '{{amount}} ({{count}} మిగిలాయి)',
+    nextDue: 'తదుపరి గడువు:',
+    nextDueValue: '{{date}}న {{amount}}',
+    overdue_other: '⚠️ చెల్లింపు {{count}} రోజులుగా బకాయి ఉంది',
+    history: 'చెల్లింపు చరిత్ర',
+    offline: 'ఆఫ్‌లైన్ - చివరిగా నవీకరించినది {{time}}',
+  },
+
+  ice: {
+    title: 'అత్యవసర పరిచయాలు',
+    help: 'పరికరం లాక్ అయినా కాల్ చేయగలిగే గరిష్టంగా {{count}} మంది.',
+    name: 'పేరు',
+    phone: 'ఫోన్',
+    save: 'పరిచయాలను సేవ్ చేయి',
+    invalidTitle: 'చెల్లని నంబర్',
+    invalidBody: '"{{phone}}" సరైన ఫోన్ నంబర్ కాదు',
+    savedTitle: 'సేవ్ అయింది',
+    savedBody: 'అత్యవసర పరిచయాలు సేవ్ అయ్యాయి. పరికరం లాక్ అయినా వీరికి కాల్ చేయవచ్చు.',
+  },
+
+  home: {
+    lockedBadge: '🔒 లాక్ అయింది',
+    activeBadge: '✅ యాక్టివ్',
+    lockedTitle: 'పరికరం లాక్ అయింది',
+    lockedDefault: 'దయచేసి మీ విక్రేతను సంప్రదించండి',
+    deviceInfo: 'పరికర సమాచారం',
+    deviceName: 'పరికరం పేరు:',
+    osVersion: 'OS వెర్షన్:',
+    battery: 'బ్యాటరీ:',
+    network: 'నెట్‌వర్క్:',
+    activationDetails: 'యాక్టివేషన్ వివరాలు',
+    status: 'స్థితి:',
+    activated: 'యాక్టివేట్ అయింది',
+    seller: 'విక్రేత:',
+    contact: 'సంప్రదింపు:',
+    support: 'సహాయం',
+    language: 'భాష',
+    deactivate: 'పరికరాన్ని డీయాక్టివేట్ చేయి',
+    deactivateConfirm: 'ఈ పరికరాన్ని డీయాక్టివేట్ చేయాలనుకుంటున్నారా? మీకు కొత్త యాక్టివేషన్ కీ అవసరం అవుతుంది.',
+    deactivateAction: 'డీయాక్టివేట్',
+    deactivated: 'పరికరం డీయాక్టివేట్ అయింది. యాప్‌ను మూసివేసి మళ్లీ తెరవండి.',
+    exitTitle: 'యాప్ నుండి నిష్క్రమించు',
+    exitConfirm: 'మీరు ఖచ్చితంగా నిష్క్రమించాలనుకుంటున్నారా?',
+    diagnostics: 'డయాగ్నస్టిక్స్',
+    footer: 'బ్యాక్‌గ్రౌండ్ సేవ నడుస్తోంది',
+  },
+
+  activation: {
+    subtitle: 'ప్రారంభించడానికి మీ యాక్టివేషన్ కీని నమోదు చేయండి',
+    subtitleProvisioned: 'పరికర సెటప్ నుండి వచ్చిన కీతో యాక్టివేట్ చేస్తోంది...',
+    requestingCamera: 'కెమెరా అనుమతి అడుగుతోంది...',
+    cameraRequired: 'కెమెరా అనుమతి అవసరం',
+    grantPermission: 'అనుమతి ఇవ్వండి',
+    scanQr: 'QR కోడ్ స్కాన్ చేయి',
+    closeScanner: 'స్కానర్ మూసివేయి',
+    keyPlaceholder: 'యాక్టివేషన్ కీని నమోదు చేయండి',
+    activate: 'పరికరాన్ని యాక్టివేట్ చేయి',
+    activating: 'యాక్టివేట్ చేస్తోంది...',
+    help: 'యాక్టివేషన్ కీ కోసం మీ విక్రేతను సంప్రదించండి',
+    enterKey: 'దయచేసి యాక్టివేషన్ కీని నమోదు చేయండి',
+    activated: 'పరికరం విజయవంతంగా యాక్టివేట్ అయింది!',
+    failedTitle: 'యాక్టివేషన్ విఫలమైంది',
+    invalidKey: 'చెల్లని యాక్టివేషన్ కీ',
+    failedRetry: 'పరికరాన్ని యాక్టివేట్ చేయడం విఫలమైంది. మళ్లీ ప్రయత్నించండి.',
+    invalidQrTitle: 'చెల్లని QR కోడ్',
+  },
+
+  activationConfirm: {
+    title: 'యాక్టివేషన్‌ను నిర్ధారించండి',
+    subtitle: 'యాక్టివేట్ చేసే ముందు ఈ వివరాలను మీ విక్రేతతో తనిఖీ చేయండి.',
+    seller: 'విక్రేత',
+    name: 'పేరు',
+    phone: 'ఫోన్',
+    product: 'ఉత్పత్తి',
+    model: 'మోడల్',
+    price: 'ధర',
+    emiTerms: 'EMI నిబంధనలు',
+    installment: 'వాయిదా',
+    installmentValue: '{{amount}} / {{period}}',
+    installments: 'వాయిదాలు',
+    totalPayable: 'మొత్తం చెల్లించాల్సినది',
+    firstDue: 'మొదటి గడువు',
+    activationKey: 'యాక్టివేషన్ కీ',
+    notice: 'చెల్లింపు తప్పితే, చెల్లించే వరకు విక్రేత ఈ పరికరాన్ని లాక్ చేయవచ్చు.',
+    frequency: {
+      weekly: 'వారం',
+      monthly: 'నెల',
+    },
+  },
+
+  qrErrors: {
+    not_activation_qr: 'ఇది యాక్టివేషన్ QR కోడ్ కాదు.',
+    unsupported_version: 'ఈ QR కోడ్‌కు యాప్ యొక్క వేరే వెర్షన్ అవసరం. యాప్‌ను అప్‌డేట్ చేసి మళ్లీ ప్రయత్నించండి.',
+    missing_field: 'QR కోడ్ అసంపూర్ణంగా ఉంది. మీ విక్రేతను కొత్తది అడగండి.',
+    invalid_field: 'QR కోడ్‌లో చెల్లని వివరాలు ఉన్నాయి. మీ విక్రేతను కొత్తది అడగండి.',
+    wrong_server: 'ఈ QR కోడ్ వేరే సర్వర్ కోసం.',
+    no_verification_key: 'ఈ యాప్ వెర్షన్ యాక్టివేషన్ QR కోడ్‌లను ధృవీకరించలేదు.',
+    bad_signature: 'ఈ QR కోడ్ మీ విక్రేత జారీ చేసినది కాదు, లేదా మార్చబడింది.',
+  },
+
+  diagnostics: {
+    title: 'డయాగ్నస్టిక్స్',
+    server: 'సర్వర్',
+    environment: 'ఎన్విరాన్‌మెంట్:',
+    serverUrl: 'సర్వర్ URL:',
+    serverSource: 'ఎంచుకున్నది:',
+    allowlistVersion: 'అనుమతి జాబితా:',
+    pinning: 'సర్టిఫికేట్ పిన్నింగ్:',
+    pinned: 'ఆన్',
+    notPinned: 'పిన్ చేయలేదు',
+    pinningOff: 'ఆఫ్',
+    serverSince: 'ఎప్పటి నుండి:',
+    device: 'పరికరం',
+    appVersion: 'యాప్ వెర్షన్:',
+    activationKey: 'యాక్టివేషన్ కీ:',
+    deviceId: 'పరికర ID:',
+    deviceOwner: 'డివైస్ ఓనర్:',
+    language: 'భాష:',
+    sync: 'సింక్',
+    lastSync: 'చివరి సింక్:',
+    pendingReports: 'పెండింగ్ నివేదికలు:',
+    lastError: 'చివరి లోపం:',
+    lastTlsFailure: 'చివరి TLS లోపం:',
+    never: 'ఎప్పుడూ లేదు',
+    none: 'ఏదీ లేదు',
+    sources: {
+      profile: 'యాప్ బిల్డ్',
+      qr: 'యాక్టివేషన్ QR',
+      provisioning: 'పరికర సెటప్',
+    },
+  },
+
+  serverErrors: {
+    not_configured: 'ఈ యాప్‌ను మీ విక్రేత ఇచ్చిన QR కోడ్‌తో యాక్టివేట్ చేయాలి.',
+    not_allowed: 'ఈ యాప్ విశ్వసించని సర్వర్ కోసం ఈ పరికరం సెటప్ చేయబడింది. దయచేసి మీ విక్రేతను సంప్రదించండి.',
+  },
+
+  apiErrors: {
+    timeout: 'సర్వర్ స్పందించడానికి చాలా సమయం తీసుకుంది. దయచేసి మళ్లీ ప్రయత్నించండి.',
+    offline: 'ఇంటర్నెట్ కనెక్షన్ లేదు. దయచేసి మీ నెట్‌వర్క్‌ను తనిఖీ చేసి మళ్లీ ప్రయత్నించండి.',
+    serverUnavailable: 'సర్వర్ తాత్కాలికంగా అందుబాటులో లేదు. దయచేసి తర్వాత మళ్లీ ప్రయత్నించండి.',
+    generic: 'ఏదో తప్పు జరిగింది. దయచేసి మళ్లీ ప్రయత్నించండి.',
+  },
+};
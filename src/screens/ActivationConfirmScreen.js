@@ -0,0 +1,199 @@
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert, ScrollView } from 'react-native';
+import { getErrorMessage } from '../config/api';
+import { activateDevice } from '../services/activationService';
+import { ServerSelectionError } from '../services/serverService';
+import { useTheme } from '../context/ThemeContext';
+import { useTranslation } from '../context/LanguageContext';
+import { getLocaleTag } from '../i18n';
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString(getLocaleTag(), { day: 'numeric', month: 'short', year: 'numeric' });
+
+// Shows the terms decoded from a verified activation QR before activating
+export default function ActivationConfirmScreen({ navigation, route }) {
+  const { qr } = route.params;
+  const { seller, product, emi } = qr;
+  const [loading, setLoading] = useState(false);
+  const theme = useTheme();
+  const { t } = useTranslation();
+
+  const handleConfirm = async () => {
+    setLoading(true);
+    try {
+      await activateDevice({ keyId: qr.keyId, activationQr: qr });
+
+      Alert.alert(
+        t('common.success'),
+        t('activation.activated'),
+        [
+          {
+            text: t('common.ok'),
+            onPress: () => {
+              Alert.alert(t('common.info'), t('common.reopenApp'));
+            },
+          },
+        ]
+      );
+    } catch (error) {
+      console.error('❌ Activation error:', error);
+      Alert.alert(
+        t('activation.failedTitle'),
+        error instanceof ServerSelectionError
+          ? t(`serverErrors.${error.code}`)
+          : getErrorMessage(error, t('activation.failedRetry'))
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Text style={styles.title}>{t('activationConfirm.title')}</Text>
+      <Text style={styles.subtitle}>{t('activationConfirm.subtitle')}</Text>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{t('activationConfirm.seller')}</Text>
+        <Row label={t('activationConfirm.name')} value={seller.name} />
+        <Row label={t('activationConfirm.phone')} value={seller.phone} />
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{t('activationConfirm.product')}</Text>
+        <Row label={t('activationConfirm.model')} value={product.name} />
+        <Row label={t('activationConfirm.price')} value={formatAmount(product.price)} />
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{t('activationConfirm.emiTerms')}</Text>
+        <Row
+          label={t('activationConfirm.installment')}
+          value={t('activationConfirm.installmentValue', {
+            amount: formatAmount(emi.amount),
+            period: t(`activationConfirm.frequency.${emi.frequency}`),
+          })}
+        />
+        <Row label={t('activationConfirm.installments')} value={String(emi.installments)} />
+        <Row label={t('activationConfirm.totalPayable')} value={formatAmount(emi.amount * emi.installments)} />
+        <Row label={t('activationConfirm.firstDue')} value={formatDate(emi.firstDueDate)} />
+        <Row label={t('activationConfirm.activationKey')} value={qr.keyId} />
+      </View>
+
+      <Text style={styles.notice}>{t('activationConfirm.notice')}</Text>
+
+      <TouchableOpacity
+        style={[styles.button, { backgroundColor: theme.primaryColor }, loading && styles.buttonDisabled]}
+        onPress={handleConfirm}
+        disabled={loading}
+      >
+        <Text style={styles.buttonText}>{loading ? t('activation.activating') : t('activation.activate')}</Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity
+        style={styles.secondaryButton}
+        onPress={() => navigation.goBack()}
+        disabled={loading}
+      >
+        <Text style={styles.secondaryButtonText}>{t('common.cancel')}</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+}
+
+function Row({ label, value }) {
+  return (
+    <View style={styles.infoRow}>
+      <Text style={styles.label}>{label}:</Text>
+      <Text style={styles.value}>{value}</Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F3F4F6',
+  },
+  content: {
+    padding: 20,
+    paddingTop: 60,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#1F2937',
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#6B7280',
+    marginBottom: 24,
+    textAlign: 'center',
+  },
+  section: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1F2937',
+    marginBottom: 12,
+  },
+  infoRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+  },
+  label: {
+    fontSize: 14,
+    color: '#6B7280',
+  },
+  value: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1F2937',
+    flexShrink: 1,
+    textAlign: 'right',
+    marginLeft: 12,
+  },
+  notice: {
+    fontSize: 14,
+    color: '#B45309',
+    textAlign: 'center',
+    marginBottom: 16,
+    lineHeight: 20,
+  },
+  button: {
+    backgroundColor: '#3B82F6',
+    borderRadius: 8,
+    padding: 16,
+    alignItems: 'center',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    backgroundColor: '#E5E7EB',
+    borderRadius: 8,
+    padding: 12,
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  secondaryButtonText: {
+    color: '#111827',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
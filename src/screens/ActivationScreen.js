@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -9,11 +9,19 @@ import {
   KeyboardAvoidingView,
   Platform,
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import * as Device from 'expo-device';
-import * as Notifications from 'expo-notifications';
 import { CameraView, useCameraPermissions } from 'expo-camera';
-import { deviceAPI } from '../config/api';
+import { getErrorMessage } from '../config/api';
+import { getProvisioningExtras } from '../services/kioskService';
+import { activateDevice } from '../services/activationService';
+import {
+  ServerSelectionError,
+  isAllowedServer,
+  loadServerConfig,
+  saveServerAllowlist,
+} from '../services/serverService';
+import { parseActivationQr } from '../utils/activationQr';
+import { useTheme } from '../context/ThemeContext';
+import { useTranslation } from '../context/LanguageContext';
 
 export default function ActivationScreen({ navigation }) {
   const [activationKey, setActivationKey] = useState('');
@@ -21,6 +29,31 @@ export default function ActivationScreen({ navigation }) {
   const [showScanner, setShowScanner] = useState(false);
   const [permission, requestPermission] = useCameraPermissions();
   const [scanning, setScanning] = useState(false);
+  const [provisioned, setProvisioned] = useState(false);
+  const theme = useTheme();
+  const { t } = useTranslation();
+  const autoActivated = useRef(false);
+  const provisioning = useRef(null);
+
+  // Zero-touch: a device provisioned from our QR code carries its activation key,
+  // and may name its server and bring a newer signed server allowlist
+  useEffect(() => {
+    loadServerConfig();
+    getProvisioningExtras().then(async (extras) => {
+      provisioning.current = extras;
+      if (extras?.serverAllowlist) {
+        await saveServerAllowlist(extras.serverAllowlist);
+      }
+
+      const key = extras?.activationKey;
+      if (!key || autoActivated.current) return;
+
+      autoActivated.current = true;
+      setProvisioned(true);
+      setActivationKey(key.toUpperCase());
+      handleActivate(key.toUpperCase());
+    });
+  }, []);
 
   useEffect(() => {
     if (showScanner && !permission?.granted) {
@@ -28,98 +61,45 @@ export default function ActivationScreen({ navigation }) {
     }
   }, [showScanner, permission]);
 
-  const handleBarCodeScanned = ({ type, data }) => {
+  // Only signed activation QR codes are accepted; the terms are confirmed on the next screen
+  const handleBarCodeScanned = async ({ data }) => {
     if (scanning) return;
     setScanning(true);
     try {
-      let key = data;
-      try {
-        const parsed = JSON.parse(data);
-        key = parsed.keyId || parsed.key || data;
-      } catch (_) {}
-      if (typeof key === 'string' && key.length > 0) {
-        setActivationKey(key.toUpperCase());
-        Alert.alert('QR Scanned', `Activation Key: ${key}`);
-      } else {
-        Alert.alert('Scan Failed', 'Invalid QR code content');
-      }
+      // isAllowedServer needs the saved allowlist
+      await loadServerConfig();
+      const qr = parseActivationQr(data, { isAllowedServer });
+      navigation.navigate('ActivationConfirm', { qr });
+    } catch (error) {
+      Alert.alert(
+        t('activation.invalidQrTitle'),
+        error.code ? t(`qrErrors.${error.code}`) : error.message
+      );
     } finally {
       setShowScanner(false);
       setScanning(false);
     }
   };
 
-  const handleActivate = async () => {
-    if (!activationKey.trim()) {
-      Alert.alert('Error', 'Please enter activation key');
+  const handleActivate = async (key = activationKey) => {
+    const keyId = key.trim();
+    if (!keyId) {
+      Alert.alert(t('common.error'), t('activation.enterKey'));
       return;
     }
 
     setLoading(true);
     try {
-      // Get push token for notifications (prefer device FCM/APNs, fallback to Expo token in Expo Go)
-      let fcmToken = null;
-      try {
-        const { status } = await Notifications.requestPermissionsAsync();
-        if (status === 'granted') {
-          try {
-            const deviceToken = await Notifications.getDevicePushTokenAsync();
-            fcmToken = deviceToken?.data || null;
-            if (fcmToken) {
-              console.log('📱 Device push token obtained');
-            }
-          } catch (deviceTokenErr) {
-            console.warn('ℹ️ Device push token not available (likely Expo Go). Falling back to Expo push token.');
-          }
-          // Fallback: Expo push token for development in Expo Go
-          if (!fcmToken) {
-            try {
-              const expoToken = await Notifications.getExpoPushTokenAsync();
-              fcmToken = expoToken?.data || null;
-              if (fcmToken) {
-                console.log('📨 Expo push token obtained (development)');
-              }
-            } catch (expoTokenErr) {
-              console.warn('⚠️ Failed to get Expo push token:', expoTokenErr);
-            }
-          }
-        }
-      } catch (tokenError) {
-        console.warn('⚠️ Push permission/token error:', tokenError);
-      }
-
-      const deviceInfo = {
-        keyId: activationKey.trim(), // Changed from 'key' to 'keyId'
-        deviceId: Device.osInternalBuildId || 'unknown',
-        model: Device.modelName || Device.deviceName || 'Unknown Device', // Changed from deviceName
-        manufacturer: Device.manufacturer || 'Unknown',
-        osVersion: Device.osVersion || 'Unknown',
-        appVersion: '1.0.0', // Add app version
-        fcmToken: fcmToken, // Add FCM token
-      };
-
-      console.log('🚀 Activating device with:', { ...deviceInfo, fcmToken: fcmToken ? '***' : null });
-
-      const response = await deviceAPI.activateDevice(deviceInfo);
-      
-      // Store keyId (not 'key')
-      await AsyncStorage.setItem('keyId', activationKey.trim());
-      await AsyncStorage.setItem('activationKey', activationKey.trim()); // Keep for backward compatibility
-      await AsyncStorage.setItem('deviceId', deviceInfo.deviceId); // Store deviceId for FCM updates
-      await AsyncStorage.setItem('deviceInfo', JSON.stringify(response.data.data));
-      
-      if (fcmToken) {
-        await AsyncStorage.setItem('fcmToken', fcmToken);
-      }
+      await activateDevice({ keyId, serverUrl: provisioning.current?.serverUrl ?? null });
 
       Alert.alert(
-        'Success',
-        'Device activated successfully!',
+        t('common.success'),
+        t('activation.activated'),
         [
           {
-            text: 'OK',
+            text: t('common.ok'),
             onPress: () => {
-              Alert.alert('Info', 'Please close and reopen the app to continue.');
+              Alert.alert(t('common.info'), t('common.reopenApp'));
             },
           },
         ]
@@ -127,8 +107,10 @@ export default function ActivationScreen({ navigation }) {
     } catch (error) {
       console.error('❌ Activation error:', error);
       Alert.alert(
-        'Activation Failed',
-        error.response?.data?.message || 'Invalid activation key'
+        t('activation.failedTitle'),
+        error instanceof ServerSelectionError
+          ? t(`serverErrors.${error.code}`)
+          : getErrorMessage(error, t('activation.invalidKey'))
       );
     } finally {
       setLoading(false);
@@ -142,20 +124,24 @@ export default function ActivationScreen({ navigation }) {
     >
       <View style={styles.content}>
         <Text style={styles.logo}>🔒</Text>
-        <Text style={styles.title}>DeviceLock</Text>
-        <Text style={styles.subtitle}>Enter your activation key to get started</Text>
+        <Text style={styles.title}>{theme.storeName}</Text>
+        <Text style={styles.subtitle}>
+          {provisioned
+            ? t('activation.subtitleProvisioned')
+            : t('activation.subtitle')}
+        </Text>
 
         <View style={styles.form}>
           {showScanner && (
             <View style={styles.scannerWrapper}>
               {!permission && (
-                <View style={styles.scannerStatus}><Text>Requesting camera permission...</Text></View>
+                <View style={styles.scannerStatus}><Text>{t('activation.requestingCamera')}</Text></View>
               )}
               {permission && !permission.granted && (
                 <View style={styles.scannerStatus}>
-                  <Text style={styles.errorText}>Camera permission is required</Text>
+                  <Text style={styles.errorText}>{t('activation.cameraRequired')}</Text>
                   <TouchableOpacity style={styles.secondaryButton} onPress={requestPermission}>
-                    <Text style={styles.secondaryButtonText}>Grant Permission</Text>
+                    <Text style={styles.secondaryButtonText}>{t('activation.grantPermission')}</Text>
                   </TouchableOpacity>
                 </View>
               )}
@@ -175,12 +161,12 @@ export default function ActivationScreen({ navigation }) {
             style={styles.secondaryButton}
             onPress={() => setShowScanner((v) => !v)}
           >
-            <Text style={styles.secondaryButtonText}>{showScanner ? 'Close Scanner' : 'Scan QR Code'}</Text>
+            <Text style={styles.secondaryButtonText}>{showScanner ? t('activation.closeScanner') : t('activation.scanQr')}</Text>
           </TouchableOpacity>
 
           <TextInput
             style={styles.input}
-            placeholder="Enter Activation Key"
+            placeholder={t('activation.keyPlaceholder')}
             value={activationKey}
             onChangeText={setActivationKey}
             autoCapitalize="characters"
@@ -188,18 +174,16 @@ export default function ActivationScreen({ navigation }) {
           />
 
           <TouchableOpacity
-            style={[styles.button, loading && styles.buttonDisabled]}
-            onPress={handleActivate}
+            style={[styles.button, { backgroundColor: theme.primaryColor }, loading && styles.buttonDisabled]}
+            onPress={() => handleActivate()}
             disabled={loading}
           >
             <Text style={styles.buttonText}>
-              {loading ? 'Activating...' : 'Activate Device'}
+              {loading ? t('activation.activating') : t('activation.activate')}
             </Text>
           </TouchableOpacity>
 
-          <Text style={styles.helpText}>
-            Contact your seller to get the activation key
-          </Text>
+          <Text style={styles.helpText}>{t('activation.help')}</Text>
         </View>
       </View>
     </KeyboardAvoidingView>
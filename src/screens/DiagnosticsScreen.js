@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, ScrollView, RefreshControl } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import secureStorage from '../services/secureStorage';
+import { APP_VERSION } from '../config/environment';
+import { PINNING_ENABLED, isPinnedUrl } from '../config/pinning';
+import { loadServerConfig } from '../services/serverService';
+import { getPendingCount } from '../services/outbox';
+import { getTlsFailures } from '../services/pinningService';
+import { isDeviceOwner } from '../services/kioskService';
+import { useTranslation } from '../context/LanguageContext';
+import { getLocaleTag } from '../i18n';
+
+const formatTime = (timestamp) =>
+  new Date(Number(timestamp)).toLocaleString(getLocaleTag(), {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+// What support staff ask for on a call: build, server and sync health
+export default function DiagnosticsScreen() {
+  const [info, setInfo] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+  const { t, language } = useTranslation();
+
+  useEffect(() => {
+    loadDiagnostics();
+  }, []);
+
+  const loadDiagnostics = async () => {
+    const [
+      server,
+      keyId,
+      deviceId,
+      lastSyncTime,
+      lastSyncError,
+      pendingReports,
+      deviceOwner,
+      tlsFailures,
+    ] = await Promise.all([
+      loadServerConfig(),
+      secureStorage.getItem('keyId'),
+      secureStorage.getItem('deviceId'),
+      AsyncStorage.getItem('lastSyncTime'),
+      AsyncStorage.getItem('lastSyncError'),
+      getPendingCount().catch(() => null),
+      isDeviceOwner(),
+      getTlsFailures(),
+    ]);
+
+    let syncError = null;
+    try {
+      syncError = lastSyncError ? JSON.parse(lastSyncError) : null;
+    } catch (error) {
+      syncError = null;
+    }
+
+    setInfo({
+      server,
+      keyId,
+      deviceId,
+      lastSyncTime,
+      syncError,
+      pendingReports,
+      deviceOwner,
+      tlsFailure: tlsFailures[0] || null,
+    });
+  };
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await loadDiagnostics();
+    setRefreshing(false);
+  };
+
+  if (!info) {
+    return null;
+  }
+
+  const { server, syncError, tlsFailure } = info;
+  const unknown = t('common.unknown');
+
+  let pinning = t('diagnostics.pinningOff');
+  if (PINNING_ENABLED) {
+    pinning = isPinnedUrl(server.url) ? t('diagnostics.pinned') : t('diagnostics.notPinned');
+  }
+
+  return (
+    <ScrollView
+      style={styles.container}
+      refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+    >
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{t('diagnostics.server')}</Text>
+        <Row label={t('diagnostics.environment')} value={server.environment} />
+        <Row label={t('diagnostics.serverUrl')} value={server.url || unknown} />
+        <Row label={t('diagnostics.serverSource')} value={t(`diagnostics.sources.${server.source}`)} />
+        <Row
+          label={t('diagnostics.allowlistVersion')}
+          value={server.allowlistVersion !== null ? `v${server.allowlistVersion}` : t('diagnostics.none')}
+        />
+        <Row label={t('diagnostics.pinning')} value={pinning} />
+        <Row
+          label={t('diagnostics.serverSince')}
+          value={server.selectedAt ? formatTime(server.selectedAt) : unknown}
+        />
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{t('diagnostics.device')}</Text>
+        <Row label={t('diagnostics.appVersion')} value={APP_VERSION} />
+        <Row label={t('diagnostics.activationKey')} value={info.keyId || unknown} />
+        <Row label={t('diagnostics.deviceId')} value={info.deviceId || unknown} />
+        <Row label={t('diagnostics.deviceOwner')} value={info.deviceOwner ? t('common.yes') : t('common.no')} />
+        <Row label={t('diagnostics.language')} value={language} />
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{t('diagnostics.sync')}</Text>
+        <Row
+          label={t('diagnostics.lastSync')}
+          value={info.lastSyncTime ? formatTime(info.lastSyncTime) : t('diagnostics.never')}
+        />
+        <Row
+          label={t('diagnostics.pendingReports')}
+          value={info.pendingReports !== null ? String(info.pendingReports) : unknown}
+        />
+        {syncError && (
+          <Row
+            label={t('diagnostics.lastError')}
+            value={`${syncError.error} (${formatTime(syncError.timestamp)})`}
+            error
+          />
+        )}
+        {tlsFailure && (
+          <Row
+            label={t('diagnostics.lastTlsFailure')}
+            value={`${tlsFailure.reason} - ${tlsFailure.host} (${formatTime(tlsFailure.occurredAt)})`}
+            error
+          />
+        )}
+      </View>
+    </ScrollView>
+  );
+}
+
+function Row({ label, value, error = false }) {
+  return (
+    <View style={styles.infoRow}>
+      <Text style={styles.label}>{label}</Text>
+      <Text style={[styles.value, error && styles.errorText]} selectable>
+        {value}
+      </Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F3F4F6',
+  },
+  section: {
+    backgroundColor: '#FFFFFF',
+    margin: 16,
+    marginBottom: 0,
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1F2937',
+    marginBottom: 16,
+  },
+  infoRow: {
+    flexDirection: 'row',
+    marginBottom: 12,
+  },
+  label: {
+    fontSize: 14,
+    color: '#6B7280',
+    width: 130,
+  },
+  value: {
+    fontSize: 14,
+    color: '#1F2937',
+    flex: 1,
+    fontWeight: '500',
+  },
+  errorText: {
+    color: '#DC2626',
+  },
+});
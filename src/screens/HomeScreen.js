@@ -8,13 +8,23 @@ import {
   TouchableOpacity,
   Alert,
   BackHandler,
+  Image,
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import secureStorage from '../services/secureStorage';
 import { deviceAPI } from '../config/api';
 import * as Device from 'expo-device';
 import * as Battery from 'expo-battery';
 import * as Network from 'expo-network';
-import { isDeviceLocked } from '../services/deviceService';
+import { fetchEmiSummary, getCachedEmiSummary } from '../services/emiService';
+import EmiSummaryCard from '../components/EmiSummaryCard';
+import IceContactsEditor from '../components/IceContactsEditor';
+import { getRefreshToken, clearTokens } from '../services/tokenStore';
+import { sendOrQueue } from '../services/outbox';
+import { clearServerSelection } from '../services/serverService';
+import { APP_VERSION } from '../config/environment';
+import { useTheme } from '../context/ThemeContext';
+import { useTranslation } from '../context/LanguageContext';
+import { SUPPORTED_LANGUAGES } from '../i18n';
 
 export default function HomeScreen({ navigation }) {
   const [deviceInfo, setDeviceInfo] = useState(null);
@@ -22,31 +32,26 @@ export default function HomeScreen({ navigation }) {
   const [refreshing, setRefreshing] = useState(false);
   const [batteryLevel, setBatteryLevel] = useState(null);
   const [networkType, setNetworkType] = useState(null);
+  const [emi, setEmi] = useState(null);
+  const theme = useTheme();
+  const { t, language, setLanguage } = useTranslation();
 
   useEffect(() => {
     loadDeviceInfo();
+    loadCachedEmi();
     checkStatus();
     loadDeviceStats();
     
-    // Continuously check if device gets locked
-    const lockCheckInterval = setInterval(async () => {
-      const locked = await isDeviceLocked();
-      if (locked) {
-        // Device was locked, App.js will handle navigation
-        console.log('🔒 Device locked - HomeScreen will be replaced');
-      }
-    }, 1000);
-    
     // Prevent back button from exiting app
     const backHandler = BackHandler.addEventListener(
       'hardwareBackPress',
       () => {
         Alert.alert(
-          'Exit App',
-          'Are you sure you want to exit?',
+          t('home.exitTitle'),
+          t('home.exitConfirm'),
           [
-            { text: 'Cancel', style: 'cancel' },
-            { text: 'Exit', onPress: () => BackHandler.exitApp() },
+            { text: t('common.cancel'), style: 'cancel' },
+            { text: t('common.exit'), onPress: () => BackHandler.exitApp() },
           ]
         );
         return true;
@@ -54,18 +59,24 @@ export default function HomeScreen({ navigation }) {
     );
 
     return () => {
-      clearInterval(lockCheckInterval);
       backHandler.remove();
     };
   }, []);
 
   const loadDeviceInfo = async () => {
-    const info = await AsyncStorage.getItem('deviceInfo');
+    const info = await secureStorage.getItem('deviceInfo');
     if (info) {
       setDeviceInfo(JSON.parse(info));
     }
   };
 
+  const loadCachedEmi = async () => {
+    const cached = await getCachedEmiSummary();
+    if (cached) {
+      setEmi({ ...cached, stale: true });
+    }
+  };
+
   const loadDeviceStats = async () => {
     try {
       const battery = await Battery.getBatteryLevelAsync();
@@ -80,19 +91,22 @@ export default function HomeScreen({ navigation }) {
 
   const checkStatus = async () => {
     try {
-      const key = await AsyncStorage.getItem('activationKey');
+      const key = await secureStorage.getItem('activationKey');
       if (!key) return;
 
+      fetchEmiSummary(key).then((result) => result && setEmi(result));
+
       const response = await deviceAPI.getDeviceStatus(key);
       setStatus(response.data.data);
 
-      // Send device update
-      await deviceAPI.updateDeviceInfo({
+      // Send device update (latest snapshot replaces any queued one)
+      await sendOrQueue('deviceUpdate', {
         key,
         batteryLevel: batteryLevel,
         networkType: networkType,
+        language,
         lastSync: new Date().toISOString(),
-      });
+      }, { coalesceKey: 'telemetry' });
     } catch (error) {
       console.log('Failed to check status');
     }
@@ -105,19 +119,39 @@ export default function HomeScreen({ navigation }) {
     setRefreshing(false);
   };
 
+  // The server uses the customer's language for lock messages and reminders
+  const handleLanguageChange = async (code) => {
+    if (!(await setLanguage(code))) return;
+
+    const key = await secureStorage.getItem('activationKey');
+    if (key) {
+      await sendOrQueue('deviceUpdate', { key, language: code }, { coalesceKey: 'language' });
+    }
+  };
+
   const handleDeactivate = () => {
     Alert.alert(
-      'Deactivate Device',
-      'Are you sure you want to deactivate this device? You will need a new activation key.',
+      t('home.deactivate'),
+      t('home.deactivateConfirm'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Deactivate',
+          text: t('home.deactivateAction'),
           style: 'destructive',
           onPress: async () => {
-            await AsyncStorage.removeItem('activationKey');
-            await AsyncStorage.removeItem('deviceInfo');
-            Alert.alert('Success', 'Device deactivated. Please close and reopen the app.');
+            // Revoke device tokens on the server before forgetting them locally
+            try {
+              const refreshToken = await getRefreshToken();
+              if (refreshToken) {
+                await deviceAPI.revokeTokens({ refreshToken });
+              }
+            } catch (error) {
+              console.log('Failed to revoke tokens:', error.message);
+            }
+            await clearTokens();
+            await secureStorage.multiRemove(['activationKey', 'deviceInfo']);
+            await clearServerSelection();
+            Alert.alert(t('common.success'), t('home.deactivated'));
           },
         },
       ]
@@ -131,11 +165,16 @@ export default function HomeScreen({ navigation }) {
         <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
       }
     >
-      <View style={styles.header}>
-        <Text style={styles.title}>DeviceLock</Text>
+      <View style={[styles.header, { borderTopColor: theme.primaryColor }]}>
+        <View style={styles.titleRow}>
+          {theme.logoUri && (
+            <Image source={{ uri: theme.logoUri }} style={styles.logo} resizeMode="contain" />
+          )}
+          <Text style={styles.title}>{theme.storeName}</Text>
+        </View>
         <View style={[styles.statusBadge, status?.status === 'locked' && styles.lockedBadge]}>
           <Text style={styles.statusText}>
-            {status?.status === 'locked' ? '🔒 Locked' : '✅ Active'}
+            {status?.status === 'locked' ? t('home.lockedBadge') : t('home.activeBadge')}
           </Text>
         </View>
       </View>
@@ -144,70 +183,112 @@ export default function HomeScreen({ navigation }) {
         <View style={styles.alertCard}>
           <Text style={styles.alertIcon}>⚠️</Text>
           <View style={styles.alertContent}>
-            <Text style={styles.alertTitle}>Device Locked</Text>
+            <Text style={styles.alertTitle}>{t('home.lockedTitle')}</Text>
             <Text style={styles.alertText}>
-              {status.lockMessage || 'Please contact your seller'}
+              {status.lockMessage || t('home.lockedDefault')}
             </Text>
           </View>
         </View>
       )}
 
+      {emi?.summary && (
+        <EmiSummaryCard summary={emi.summary} cachedAt={emi.cachedAt} stale={emi.stale} />
+      )}
+
       <View style={styles.section}>
-        <Text style={styles.sectionTitle}>Device Information</Text>
+        <Text style={styles.sectionTitle}>{t('home.deviceInfo')}</Text>
         
         <View style={styles.infoRow}>
-          <Text style={styles.label}>Device Name:</Text>
-          <Text style={styles.value}>{Device.deviceName || 'Unknown'}</Text>
+          <Text style={styles.label}>{t('home.deviceName')}</Text>
+          <Text style={styles.value}>{Device.deviceName || t('common.unknown')}</Text>
         </View>
 
         <View style={styles.infoRow}>
-          <Text style={styles.label}>OS Version:</Text>
-          <Text style={styles.value}>{Device.osVersion || 'Unknown'}</Text>
+          <Text style={styles.label}>{t('home.osVersion')}</Text>
+          <Text style={styles.value}>{Device.osVersion || t('common.unknown')}</Text>
         </View>
 
         <View style={styles.infoRow}>
-          <Text style={styles.label}>Battery:</Text>
-          <Text style={styles.value}>{batteryLevel ? `${batteryLevel}%` : 'Unknown'}</Text>
+          <Text style={styles.label}>{t('home.battery')}</Text>
+          <Text style={styles.value}>{batteryLevel ? `${batteryLevel}%` : t('common.unknown')}</Text>
         </View>
 
         <View style={styles.infoRow}>
-          <Text style={styles.label}>Network:</Text>
-          <Text style={styles.value}>{networkType || 'Unknown'}</Text>
+          <Text style={styles.label}>{t('home.network')}</Text>
+          <Text style={styles.value}>{networkType || t('common.unknown')}</Text>
         </View>
       </View>
 
       {deviceInfo && (
         <View style={styles.section}>
-          <Text style={styles.sectionTitle}>Activation Details</Text>
+          <Text style={styles.sectionTitle}>{t('home.activationDetails')}</Text>
           
           <View style={styles.infoRow}>
-            <Text style={styles.label}>Status:</Text>
-            <Text style={[styles.value, styles.activeText]}>Activated</Text>
+            <Text style={styles.label}>{t('home.status')}</Text>
+            <Text style={[styles.value, styles.activeText]}>{t('home.activated')}</Text>
           </View>
 
           {deviceInfo.sellerName && (
             <View style={styles.infoRow}>
-              <Text style={styles.label}>Seller:</Text>
+              <Text style={styles.label}>{t('home.seller')}</Text>
               <Text style={styles.value}>{deviceInfo.sellerName}</Text>
             </View>
           )}
 
           {deviceInfo.sellerPhone && (
             <View style={styles.infoRow}>
-              <Text style={styles.label}>Contact:</Text>
+              <Text style={styles.label}>{t('home.contact')}</Text>
               <Text style={styles.value}>{deviceInfo.sellerPhone}</Text>
             </View>
           )}
         </View>
       )}
 
+      {!!theme.supportText && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>{t('home.support')}</Text>
+          <Text style={styles.supportText}>{theme.supportText}</Text>
+          {theme.supportPhone && (
+            <Text style={[styles.supportPhone, { color: theme.primaryColor }]}>
+              📞 {theme.supportPhone}
+            </Text>
+          )}
+        </View>
+      )}
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>{t('home.language')}</Text>
+        <View style={styles.languageRow}>
+          {SUPPORTED_LANGUAGES.map(({ code, name }) => (
+            <TouchableOpacity
+              key={code}
+              style={[
+                styles.languageChip,
+                code === language && { backgroundColor: theme.primaryColor, borderColor: theme.primaryColor },
+              ]}
+              onPress={() => handleLanguageChange(code)}
+            >
+              <Text style={[styles.languageText, code === language && styles.languageTextSelected]}>
+                {name}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+
+      <IceContactsEditor />
+
+      <TouchableOpacity style={styles.diagnosticsButton} onPress={() => navigation.navigate('Diagnostics')}>
+        <Text style={styles.diagnosticsButtonText}>{t('home.diagnostics')}</Text>
+      </TouchableOpacity>
+
       <TouchableOpacity style={styles.deactivateButton} onPress={handleDeactivate}>
-        <Text style={styles.deactivateButtonText}>Deactivate Device</Text>
+        <Text style={styles.deactivateButtonText}>{t('home.deactivate')}</Text>
       </TouchableOpacity>
 
       <Text style={styles.footer}>
-        DeviceLock v1.0.0 {'\n'}
-        Background service running
+        DeviceLock v{APP_VERSION} {'\n'}
+        {t('home.footer')}
       </Text>
     </ScrollView>
   );
@@ -223,12 +304,23 @@ const styles = StyleSheet.create({
     padding: 20,
     borderBottomWidth: 1,
     borderBottomColor: '#E5E7EB',
+    borderTopWidth: 4,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  logo: {
+    width: 40,
+    height: 40,
+    marginRight: 12,
   },
   title: {
     fontSize: 24,
     fontWeight: 'bold',
     color: '#1F2937',
-    marginBottom: 12,
+    flexShrink: 1,
   },
   statusBadge: {
     backgroundColor: '#10B981',
@@ -304,6 +396,50 @@ const styles = StyleSheet.create({
     color: '#10B981',
     fontWeight: '600',
   },
+  supportText: {
+    fontSize: 14,
+    color: '#374151',
+    lineHeight: 20,
+  },
+  supportPhone: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginTop: 8,
+  },
+  languageRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  languageChip: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 16,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  languageText: {
+    fontSize: 14,
+    color: '#1F2937',
+  },
+  languageTextSelected: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  diagnosticsButton: {
+    backgroundColor: '#E5E7EB',
+    marginHorizontal: 16,
+    marginTop: 16,
+    padding: 16,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  diagnosticsButtonText: {
+    color: '#111827',
+    fontSize: 16,
+    fontWeight: '600',
+  },
   deactivateButton: {
     backgroundColor: '#EF4444',
     margin: 16,
@@ -4,25 +4,62 @@ import {
   Text,
   StyleSheet,
   TouchableOpacity,
-  Linking,
   StatusBar,
   BackHandler,
   Platform,
   AppState,
   Dimensions,
   PanResponder,
+  Image,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as ScreenOrientation from 'expo-screen-orientation';
 import { activateKeepAwake, deactivateKeepAwake } from 'expo-keep-awake';
 import * as NavigationBar from 'expo-navigation-bar';
 import * as ScreenCapture from 'expo-screen-capture';
+import secureStorage from '../services/secureStorage';
+import { usePayment } from '../hooks/usePayment';
+import { LOCK_LEVELS } from '../services/kioskService';
+import { callSeller } from '../services/emergencyService';
+import UnlockCodeEntry from '../components/UnlockCodeEntry';
+import EmergencyActions from '../components/EmergencyActions';
+import AllowedAppsGrid from '../components/AllowedAppsGrid';
+import { useLockState } from '../context/LockStateContext';
+import { useTheme } from '../context/ThemeContext';
+import { useTranslation } from '../context/LanguageContext';
+
+// Look of the lock screen for each kiosk lock level (nag locks use NagOverlay).
+// Colors come from the seller's theme; accentStop picks the gradient stop used for accents.
+// title/warning are translation keys.
+const VARIANTS = {
+  [LOCK_LEVELS.SOFT]: {
+    themeColors: 'softLockColors',
+    accentStop: 1,
+    icon: '⚠️',
+    title: 'lock.soft.title',
+    warning: 'lock.soft.warning',
+  },
+  [LOCK_LEVELS.FULL]: {
+    themeColors: 'lockColors',
+    accentStop: 0,
+    icon: '🔒',
+    title: 'lock.full.title',
+    warning: 'lock.full.warning',
+  },
+};
 
 export default function LockScreen() {
-  const [lockMessage, setLockMessage] = useState('');
+  const { lockMessage, lockLevel, lockSource } = useLockState();
   const [sellerInfo, setSellerInfo] = useState(null);
+  const { paymentStatus, payNow } = usePayment();
   const appState = useRef(AppState.currentState);
+  const theme = useTheme();
+  const { t } = useTranslation();
+  const variant = VARIANTS[lockLevel] || VARIANTS[LOCK_LEVELS.FULL];
+  const colors = theme[variant.themeColors];
+  const accent = colors[variant.accentStop];
+  const isSoftLock = lockLevel === LOCK_LEVELS.SOFT;
+  const sellerPhone = theme.supportPhone || sellerInfo?.sellerPhone;
   
   // Block all gestures
   const panResponder = useRef(
@@ -70,20 +107,10 @@ export default function LockScreen() {
       appState.current = nextAppState;
     });
 
-    // Continuous lock check
-    const lockCheck = setInterval(async () => {
-      const stillLocked = await AsyncStorage.getItem('isLocked');
-      if (stillLocked !== 'true') {
-        // Device was unlocked, cleanup
-        clearInterval(lockCheck);
-      }
-    }, 2000);
-
     return () => {
       backHandler.remove();
       subscription?.remove();
       deactivateKeepAwake();
-      clearInterval(lockCheck);
       ScreenCapture.allowScreenCaptureAsync();
       if (Platform.OS === 'android') {
         NavigationBar.setVisibilityAsync('visible');
@@ -93,9 +120,6 @@ export default function LockScreen() {
 
   const initializeDeviceLock = async () => {
     try {
-      // Set device to locked state
-      await AsyncStorage.setItem('device_locked', 'true');
-      
       // Disable all gestures and interactions
       if (Platform.OS === 'android') {
         // On Android, this prevents home button, recent apps, notifications
@@ -107,16 +131,14 @@ export default function LockScreen() {
   };
 
   const loadLockInfo = async () => {
-    const message = await AsyncStorage.getItem('lockMessage');
-    const seller = await AsyncStorage.getItem('deviceInfo');
+    const seller = await secureStorage.getItem('deviceInfo');
     
-    if (message) setLockMessage(message);
     if (seller) setSellerInfo(JSON.parse(seller));
   };
 
   const handleCallSeller = () => {
-    if (sellerInfo?.sellerPhone) {
-      Linking.openURL(`tel:${sellerInfo.sellerPhone}`);
+    if (sellerPhone) {
+      callSeller(sellerPhone);
     }
   };
 
@@ -128,32 +150,58 @@ export default function LockScreen() {
         hidden={true}
       />
       <LinearGradient
-        colors={['#DC2626', '#991B1B']}
+        colors={colors}
         style={styles.gradient}
       >
         <View style={styles.lockContent}>
-          <Text style={styles.lockIcon}>🔒</Text>
-          <Text style={styles.lockTitle}>DEVICE LOCKED</Text>
+          {theme.logoUri ? (
+            <Image source={{ uri: theme.logoUri }} style={styles.logo} resizeMode="contain" />
+          ) : (
+            <Text style={styles.lockIcon}>{variant.icon}</Text>
+          )}
+          <Text style={styles.storeName}>{theme.storeName}</Text>
+          <Text style={styles.lockTitle}>{(isSoftLock ? null : theme.lockTitle) || t(variant.title)}</Text>
           
-          {lockMessage && (
+          {lockSource === 'integrity' ? (
+            <Text style={styles.lockMessage}>{t('lock.tampered')}</Text>
+          ) : !!lockMessage && (
             <Text style={styles.lockMessage}>{lockMessage}</Text>
           )}
 
-          {sellerInfo?.sellerPhone && (
+          <TouchableOpacity
+            style={[styles.payButton, paymentStatus === 'pending' && styles.payButtonDisabled]}
+            onPress={payNow}
+            disabled={paymentStatus === 'pending'}
+            activeOpacity={0.7}
+          >
+            <Text style={styles.payText}>{t('lock.payNow')}</Text>
+          </TouchableOpacity>
+
+          {paymentStatus && (
+            <Text style={styles.paymentStatusText}>{t(`payment.${paymentStatus}`)}</Text>
+          )}
+
+          <UnlockCodeEntry />
+
+          {isSoftLock && <AllowedAppsGrid level={lockLevel} accent={accent} />}
+
+          {sellerPhone && (
             <TouchableOpacity 
               style={styles.emergencyButton} 
               onPress={handleCallSeller}
               activeOpacity={0.7}
             >
-              <Text style={styles.emergencyText}>📞 CALL SELLER</Text>
+              <Text style={[styles.emergencyText, { color: accent }]}>{t('lock.callSeller')}</Text>
             </TouchableOpacity>
           )}
+
+          <EmergencyActions />
           
-          <Text style={styles.warningText}>
-            ⚠️ Device locked by seller{'\n'}
-            Cannot access any features{'\n'}
-            Contact seller to unlock
-          </Text>
+          <Text style={styles.warningText}>{t(variant.warning)}</Text>
+
+          {!!theme.supportText && (
+            <Text style={styles.supportText}>{theme.supportText}</Text>
+          )}
         </View>
       </LinearGradient>
     </View>
@@ -187,7 +235,20 @@ const styles = StyleSheet.create({
   },
   lockIcon: {
     fontSize: 120,
-    marginBottom: 40,
+    marginBottom: 24,
+  },
+  logo: {
+    width: 120,
+    height: 120,
+    marginBottom: 24,
+  },
+  storeName: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#FFFFFF',
+    opacity: 0.9,
+    marginBottom: 16,
+    textAlign: 'center',
   },
   lockTitle: {
     fontSize: 42,
@@ -205,6 +266,30 @@ const styles = StyleSheet.create({
     lineHeight: 32,
     fontWeight: '600',
   },
+  payButton: {
+    backgroundColor: '#10B981',
+    paddingHorizontal: 48,
+    paddingVertical: 20,
+    borderRadius: 16,
+    marginBottom: 16,
+    elevation: 12,
+  },
+  payButtonDisabled: {
+    opacity: 0.6,
+  },
+  payText: {
+    color: '#FFFFFF',
+    fontSize: 22,
+    fontWeight: '900',
+    letterSpacing: 2,
+  },
+  paymentStatusText: {
+    fontSize: 16,
+    color: '#FFFFFF',
+    textAlign: 'center',
+    marginBottom: 24,
+    fontWeight: '600',
+  },
   emergencyButton: {
     backgroundColor: '#FFFFFF',
     paddingHorizontal: 48,
@@ -217,7 +302,6 @@ const styles = StyleSheet.create({
     elevation: 12,
   },
   emergencyText: {
-    color: '#DC2626',
     fontSize: 22,
     fontWeight: '900',
     letterSpacing: 2,
@@ -231,4 +315,12 @@ const styles = StyleSheet.create({
     opacity: 0.9,
     fontWeight: '600',
   },
+  supportText: {
+    marginTop: 16,
+    fontSize: 14,
+    color: '#FFFFFF',
+    textAlign: 'center',
+    lineHeight: 22,
+    opacity: 0.85,
+  },
 });
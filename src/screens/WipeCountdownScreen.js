@@ -0,0 +1,102 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, StatusBar, BackHandler } from 'react-native';
+import { activateKeepAwake, deactivateKeepAwake } from 'expo-keep-awake';
+import EmergencyActions from '../components/EmergencyActions';
+import { getTrustedNow } from '../utils/trustedClock';
+import { useTheme } from '../context/ThemeContext';
+import { useTranslation } from '../context/LanguageContext';
+
+const formatRemaining = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
+
+// Shown while a remote factory reset counts down
+export default function WipeCountdownScreen({ executeAt }) {
+  const [remaining, setRemaining] = useState(executeAt - Date.now());
+  // executeAt is trusted time - offset the device clock so the display matches
+  const [clockOffset, setClockOffset] = useState(0);
+  const theme = useTheme();
+  const { t } = useTranslation();
+
+  useEffect(() => {
+    getTrustedNow().then((now) => setClockOffset(now - Date.now()));
+  }, []);
+
+  useEffect(() => {
+    const tick = () => setRemaining(executeAt - (Date.now() + clockOffset));
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [executeAt, clockOffset]);
+
+  useEffect(() => {
+    const backHandler = BackHandler.addEventListener('hardwareBackPress', () => true);
+    activateKeepAwake();
+    return () => {
+      backHandler.remove();
+      deactivateKeepAwake();
+    };
+  }, []);
+
+  return (
+    <View style={styles.container}>
+      <StatusBar barStyle="light-content" backgroundColor="#111827" hidden={true} />
+      <Text style={styles.icon}>⚠️</Text>
+      <Text style={styles.storeName}>{theme.storeName}</Text>
+      <Text style={styles.title}>{t('wipe.title')}</Text>
+      <Text style={styles.countdown}>
+        {remaining > 0 ? formatRemaining(remaining) : t('wipe.resetting')}
+      </Text>
+      <Text style={styles.message}>{t('wipe.explanation')}</Text>
+      <Text style={styles.message}>{t('wipe.cannotStop')}</Text>
+      {!!theme.supportText && <Text style={styles.message}>{theme.supportText}</Text>}
+      <EmergencyActions />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#111827',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 32,
+  },
+  icon: {
+    fontSize: 80,
+    marginBottom: 24,
+  },
+  storeName: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#9CA3AF',
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  title: {
+    fontSize: 32,
+    fontWeight: '900',
+    color: '#F87171',
+    letterSpacing: 3,
+    marginBottom: 24,
+    textAlign: 'center',
+  },
+  countdown: {
+    fontSize: 64,
+    fontWeight: '900',
+    color: '#FFFFFF',
+    marginBottom: 32,
+    fontVariant: ['tabular-nums'],
+  },
+  message: {
+    fontSize: 16,
+    color: '#E5E7EB',
+    textAlign: 'center',
+    lineHeight: 24,
+    marginBottom: 16,
+  },
+});
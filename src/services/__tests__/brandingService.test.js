@@ -0,0 +1,68 @@
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// Downloads fail until a test says otherwise
+jest.mock('expo-file-system/legacy', () => ({
+  documentDirectory: 'file:///data/',
+  makeDirectoryAsync: jest.fn(async () => {}),
+  downloadAsync: jest.fn(async () => ({ status: 404, uri: null })),
+  deleteAsync: jest.fn(async () => {}),
+  readDirectoryAsync: jest.fn(async () => []),
+}));
+
+jest.mock('../../utils/activationQr', () => ({
+  PHONE_PATTERN: /^\+?\d{7,15}$/,
+}));
+
+const BRANDING = { version: 3, storeName: 'Sharma Mobiles', logoUrl: 'https://cdn.example.com/logo.png' };
+const MINUTE = 60 * 1000;
+
+let FileSystem;
+let brandingService;
+
+beforeEach(() => {
+  jest.resetModules();
+  FileSystem = require('expo-file-system/legacy');
+  brandingService = require('../brandingService');
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('logo download', () => {
+  it('is not retried on every sync after a failure', async () => {
+    await brandingService.saveBranding(BRANDING);
+    await brandingService.saveBranding(BRANDING);
+    await brandingService.saveBranding(BRANDING);
+
+    expect(FileSystem.downloadAsync).toHaveBeenCalledTimes(1);
+    expect(brandingService.getBranding()).toMatchObject({ logoUri: null, logoFailure: { failures: 1 } });
+  });
+
+  it('is retried once the back-off is over, waiting longer after each failure', async () => {
+    const start = Date.now();
+    const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+    await brandingService.saveBranding(BRANDING);
+
+    now.mockReturnValue(start + 2 * MINUTE);
+    await brandingService.saveBranding(BRANDING);
+    expect(FileSystem.downloadAsync).toHaveBeenCalledTimes(2);
+    expect(brandingService.getBranding().logoFailure).toMatchObject({ failures: 2, retryAt: start + 4 * MINUTE });
+
+    now.mockReturnValue(start + 3 * MINUTE);
+    await brandingService.saveBranding(BRANDING);
+    expect(FileSystem.downloadAsync).toHaveBeenCalledTimes(2);
+  });
+
+  it('is tried straight away for a new logo', async () => {
+    await brandingService.saveBranding(BRANDING);
+    FileSystem.downloadAsync.mockResolvedValueOnce({ status: 200, uri: 'file:///data/branding/logo-4.png' });
+    await brandingService.saveBranding({ ...BRANDING, version: 4, logoUrl: 'https://cdn.example.com/logo-new.png' });
+
+    expect(brandingService.getBranding()).toMatchObject({ logoUri: 'file:///data/branding/logo-4.png', logoFailure: null });
+  });
+});
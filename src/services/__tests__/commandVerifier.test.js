@@ -0,0 +1,155 @@
+import nacl from 'tweetnacl';
+import { decodeUTF8, encodeBase64 } from 'tweetnacl-util';
+import { canonicalize } from '../../utils/signature';
+import { SIGNED_FIELDS, verifyCommand } from '../commandVerifier';
+import { COMMAND_STATES, recordReceived, updateState } from '../commandJournal';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// Activation details as stored by activationService
+jest.mock('../secureStorage', () => {
+  const values = {};
+  return {
+    __esModule: true,
+    default: {
+      getItem: jest.fn(async (key) => values[key] ?? null),
+      setItem: jest.fn(async (key, value) => {
+        values[key] = value;
+      }),
+    },
+  };
+});
+
+// Trusted time from the last server sync (see utils/trustedClock)
+jest.mock('../../utils/trustedClock', () => ({
+  getTrustedTime: jest.fn(),
+}));
+
+const secureStorage = require('../secureStorage').default;
+const { getTrustedTime } = require('../../utils/trustedClock');
+
+const { publicKey, secretKey } = nacl.sign.keyPair.fromSeed(new Uint8Array(32).fill(4));
+const MINUTE = 60 * 1000;
+
+const sign = (command, key = secretKey) => ({
+  ...command,
+  signature: encodeBase64(nacl.sign.detached(decodeUTF8(canonicalize(command, SIGNED_FIELDS)), key)),
+});
+
+const lockCommand = (overrides = {}) => ({
+  commandId: 'cmd-1',
+  keyId: 'ABCD-1234',
+  deviceId: 'device-1',
+  command: 'lock',
+  issuedAt: new Date(Date.now() - MINUTE).toISOString(),
+  expiresAt: new Date(Date.now() + 60 * MINUTE).toISOString(),
+  lockLevel: 'full',
+  ...overrides,
+});
+
+beforeAll(async () => {
+  await secureStorage.setItem('commandPublicKey', encodeBase64(publicKey));
+  await secureStorage.setItem('keyId', 'ABCD-1234');
+  await secureStorage.setItem('deviceId', 'device-1');
+});
+
+beforeEach(() => {
+  getTrustedTime.mockImplementation(async () => ({ now: Date.now(), trusted: true, tampered: false }));
+});
+
+describe('verifyCommand', () => {
+  it('accepts a correctly signed command for this device', async () => {
+    expect(await verifyCommand(sign(lockCommand()))).toEqual({ valid: true });
+  });
+
+  it('lets commands that do not change lock state through unsigned', async () => {
+    expect(await verifyCommand({ command: 'ring' })).toEqual({ valid: true });
+  });
+
+  it('rejects an unsigned lock command', async () => {
+    expect(await verifyCommand(lockCommand())).toEqual({ valid: false, reason: 'unsigned' });
+  });
+
+  it('rejects a command altered after signing', async () => {
+    const command = sign(lockCommand());
+    command.lockLevel = 'nag';
+    expect(await verifyCommand(command)).toEqual({ valid: false, reason: 'bad_signature' });
+  });
+
+  it('rejects a command signed with another key', async () => {
+    const otherKey = nacl.sign.keyPair.fromSeed(new Uint8Array(32).fill(8)).secretKey;
+    expect(await verifyCommand(sign(lockCommand(), otherKey))).toEqual({ valid: false, reason: 'bad_signature' });
+  });
+
+  it('rejects a command for another device', async () => {
+    expect(await verifyCommand(sign(lockCommand({ deviceId: 'device-2' })))).toEqual({
+      valid: false,
+      reason: 'wrong_device',
+    });
+    expect(await verifyCommand(sign(lockCommand({ keyId: 'WXYZ-9876' })))).toEqual({
+      valid: false,
+      reason: 'wrong_device',
+    });
+  });
+
+  it('rejects an expired command', async () => {
+    const expired = lockCommand({
+      issuedAt: new Date(Date.now() - 120 * MINUTE).toISOString(),
+      expiresAt: new Date(Date.now() - 60 * MINUTE).toISOString(),
+    });
+    expect(await verifyCommand(sign(expired))).toEqual({ valid: false, reason: 'expired' });
+  });
+
+  it('rejects a command issued in the future', async () => {
+    const early = lockCommand({
+      issuedAt: new Date(Date.now() + 60 * MINUTE).toISOString(),
+      expiresAt: new Date(Date.now() + 120 * MINUTE).toISOString(),
+    });
+    expect(await verifyCommand(sign(early))).toEqual({ valid: false, reason: 'not_yet_valid' });
+  });
+
+  it('judges expiry by trusted time, not a device clock that was wound back', async () => {
+    const command = sign(lockCommand());
+    const realNow = Date.now();
+    const dateNow = jest.spyOn(Date, 'now').mockReturnValue(realNow - 24 * 60 * MINUTE);
+    getTrustedTime.mockResolvedValue({ now: realNow + 24 * 60 * MINUTE, trusted: true, tampered: false });
+
+    expect(await verifyCommand(command)).toEqual({ valid: false, reason: 'expired' });
+    dateNow.mockRestore();
+  });
+
+  it('defers lock-changing commands until there is a trusted time', async () => {
+    getTrustedTime.mockResolvedValue({ now: Date.now(), trusted: false, tampered: false });
+
+    expect(await verifyCommand(sign(lockCommand()))).toEqual({ valid: false, reason: 'no_trusted_time', retry: true });
+  });
+});
+
+describe('replayed commands', () => {
+  it('are refused by the journal once executed', async () => {
+    expect(await recordReceived('cmd-replay', 'unlock', 'poll')).toBe(true);
+    await updateState('cmd-replay', COMMAND_STATES.EXECUTED);
+
+    expect(await recordReceived('cmd-replay', 'unlock', 'push')).toBe(false);
+  });
+
+  it('are not verified or acknowledged again once rejected', async () => {
+    expect(await recordReceived('cmd-rejected', 'unlock', 'poll')).toBe(true);
+    await updateState('cmd-rejected', COMMAND_STATES.REJECTED, { reason: 'expired' });
+
+    expect(await recordReceived('cmd-rejected', 'unlock', 'poll')).toBe(false);
+  });
+
+  it('are retried after a failure, up to a limit', async () => {
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+      const isNew = await recordReceived('cmd-failing', 'lock', 'poll');
+      results.push(isNew);
+      if (isNew) await updateState('cmd-failing', COMMAND_STATES.FAILED, { error: 'boom' });
+    }
+
+    expect(results).toEqual([true, true, true, false]);
+  });
+});
@@ -0,0 +1,114 @@
+import nacl from 'tweetnacl';
+import { decodeUTF8, encodeBase64 } from 'tweetnacl-util';
+import { canonicalize } from '../../utils/signature';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// Activation details as stored by activationService
+jest.mock('../secureStorage', () => {
+  const values = {};
+  return {
+    __esModule: true,
+    default: {
+      getItem: jest.fn(async (key) => values[key] ?? null),
+      setItem: jest.fn(async (key, value) => {
+        values[key] = value;
+      }),
+    },
+  };
+});
+
+jest.mock('../outbox', () => ({
+  sendOrQueue: jest.fn(async () => ({ sent: true })),
+}));
+
+jest.mock('../commandVerifier', () => ({
+  PUBLIC_KEY_STORAGE_KEY: 'commandPublicKey',
+}));
+
+// Device owner with every native call succeeding
+jest.mock('react-native', () => ({
+  Platform: { OS: 'android' },
+  DeviceEventEmitter: { addListener: jest.fn(() => ({ remove: jest.fn() })) },
+  NativeModules: {
+    DeviceAdminModule: {
+      isDeviceAdmin: jest.fn(async () => true),
+      setLockTaskPackages: jest.fn(async () => true),
+      setLockTaskFeatures: jest.fn(async () => true),
+      startLockTaskMode: jest.fn(async () => true),
+      hideAppFromLauncher: jest.fn(async () => true),
+      disableStatusBar: jest.fn(async () => true),
+      setUserRestrictions: jest.fn(async () => true),
+    },
+  },
+}));
+
+const { secretKey, publicKey } = nacl.sign.keyPair.fromSeed(new Uint8Array(32).fill(9));
+
+const secureStorage = require('../secureStorage').default;
+const { DeviceAdminModule } = require('react-native').NativeModules;
+const kioskService = require('../kioskService');
+
+const signAllowlist = (allowlist) => ({
+  ...allowlist,
+  signature: encodeBase64(
+    nacl.sign.detached(decodeUTF8(canonicalize(allowlist, kioskService.ALLOWLIST_SIGNED_FIELDS)), secretKey)
+  ),
+});
+
+const ALLOWLIST = signAllowlist({
+  keyId: 'ABCD-1234',
+  deviceId: 'device-1',
+  version: 1,
+  issuedAt: '2026-10-01T10:00:00.000Z',
+  packages: ['com.sbi.lotusintouch'],
+  features: ['globalActions'],
+});
+
+beforeAll(async () => {
+  await secureStorage.setItem('commandPublicKey', encodeBase64(publicKey));
+  await secureStorage.setItem('keyId', 'ABCD-1234');
+  await secureStorage.setItem('deviceId', 'device-1');
+  await kioskService.saveAllowlist(ALLOWLIST);
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('server allowlist', () => {
+  it('replaces the built-in apps of a soft lock', async () => {
+    const packages = await kioskService.getLevelPackages('soft');
+
+    expect(packages).toEqual(expect.arrayContaining([...kioskService.DIALER_PACKAGES, 'com.sbi.lotusintouch']));
+    expect(packages).not.toContain(kioskService.SMS_PACKAGES[0]);
+  });
+
+  it('is ignored by a full lock', async () => {
+    expect(await kioskService.getLevelPackages('full')).toEqual([]);
+  });
+
+  it('sets its lock task features only for a soft lock', async () => {
+    await kioskService.enableLockdown('soft');
+    expect(DeviceAdminModule.setLockTaskFeatures).toHaveBeenLastCalledWith(['globalActions']);
+
+    await kioskService.enableLockdown('full');
+    expect(DeviceAdminModule.setLockTaskFeatures).toHaveBeenLastCalledWith([]);
+    expect(DeviceAdminModule.setLockTaskPackages).toHaveBeenLastCalledWith(kioskService.EMERGENCY_PACKAGES);
+  });
+
+  it('is refused when altered after signing', async () => {
+    const forged = { ...ALLOWLIST, version: 2, packages: ['com.android.chrome'] };
+
+    expect(await kioskService.saveAllowlist(forged)).toBe(false);
+    expect((await kioskService.getAllowlist()).packages).toEqual(['com.sbi.lotusintouch']);
+  });
+});
@@ -0,0 +1,105 @@
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// Keystore stand-in: a plain in-memory map
+jest.mock('expo-secure-store', () => {
+  const store = new Map();
+  return {
+    AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY: 'AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY',
+    getItemAsync: jest.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+    setItemAsync: jest.fn(async (key, value) => {
+      store.set(key, value);
+    }),
+    deleteItemAsync: jest.fn(async (key) => {
+      store.delete(key);
+    }),
+  };
+});
+
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: (length) => new Uint8Array(require('crypto').randomBytes(length)),
+}));
+
+// Kiosk steps always succeed
+jest.mock('../kioskService', () => ({
+  LOCK_LEVELS: { NAG: 'nag', SOFT: 'soft', FULL: 'full' },
+  normalizeLockLevel: (level) => (['nag', 'soft', 'full'].includes(level) ? level : 'full'),
+  getLockProfile: (level) => ({ kiosk: level !== 'nag' }),
+  enableLockdown: jest.fn(async () => ({
+    deviceAdmin: true,
+    kioskMode: true,
+    appHidden: true,
+    statusBarDisabled: true,
+    restrictionsSet: true,
+  })),
+  disableFullLockdown: jest.fn(async () => ({
+    kioskModeStopped: true,
+    appShown: true,
+    statusBarEnabled: true,
+    restrictionsCleared: true,
+  })),
+}));
+
+jest.mock('../outbox', () => ({
+  sendOrQueue: jest.fn(async () => ({ sent: true })),
+}));
+
+let AsyncStorage;
+let kioskService;
+let lockStateStore;
+let lockController;
+
+beforeEach(async () => {
+  jest.resetModules();
+  AsyncStorage = require('@react-native-async-storage/async-storage');
+  kioskService = require('../kioskService');
+  lockStateStore = require('../lockStateStore');
+  lockController = require('../lockController');
+  await lockStateStore.initializeLockState();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('lock phase', () => {
+  it('is kept in the signed lock record', async () => {
+    await lockController.lockDevice({ message: 'Pay your EMI', level: 'full', source: 'server' });
+
+    expect(await lockController.getLockPhase()).toBe('locked');
+    expect(await lockStateStore.loadLockState()).toMatchObject({ isLocked: true, phase: 'locked' });
+
+    await lockController.unlockDevice();
+
+    expect(await lockController.getLockPhase()).toBe('unlocked');
+  });
+});
+
+describe('reassertLockState', () => {
+  it('keeps a locked device locked whatever plain storage says', async () => {
+    await lockController.lockDevice({ level: 'full', source: 'server' });
+    kioskService.disableFullLockdown.mockClear();
+    await AsyncStorage.setItem('lockPhase', 'unlocking');
+
+    await lockController.reassertLockState();
+
+    expect(kioskService.disableFullLockdown).not.toHaveBeenCalled();
+    expect(kioskService.enableLockdown).toHaveBeenLastCalledWith('full');
+    expect(await lockStateStore.loadLockState()).toMatchObject({ isLocked: true, phase: 'locked' });
+  });
+
+  it('finishes an unlock the signed record already holds', async () => {
+    await lockController.lockDevice({ level: 'full', source: 'server' });
+    // Interrupted after the record was written, before lockdown was released
+    await lockStateStore.setUnlocked({ phase: 'unlocking' });
+    kioskService.disableFullLockdown.mockClear();
+
+    await lockController.reassertLockState();
+
+    expect(kioskService.disableFullLockdown).toHaveBeenCalledTimes(1);
+    expect(await lockController.getLockPhase()).toBe('unlocked');
+  });
+});
@@ -0,0 +1,106 @@
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// Keystore stand-in: a plain in-memory map
+jest.mock('expo-secure-store', () => {
+  const store = new Map();
+  return {
+    AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY: 'AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY',
+    getItemAsync: jest.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+    setItemAsync: jest.fn(async (key, value) => {
+      store.set(key, value);
+    }),
+    deleteItemAsync: jest.fn(async (key) => {
+      store.delete(key);
+    }),
+  };
+});
+
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: (length) => new Uint8Array(require('crypto').randomBytes(length)),
+}));
+
+jest.mock('../kioskService', () => ({
+  LOCK_LEVELS: { NAG: 'nag', SOFT: 'soft', FULL: 'full' },
+  normalizeLockLevel: (level) => (['nag', 'soft', 'full'].includes(level) ? level : 'full'),
+}));
+
+jest.mock('../outbox', () => ({
+  sendOrQueue: jest.fn(async () => ({ sent: true })),
+}));
+
+const UNLOCKED = { isLocked: false, lockMessage: '', lockLevel: null, lockSource: null, lockEventId: null };
+
+// The tampering report is sent in the background
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+let AsyncStorage;
+let SecureStore;
+let secureStorage;
+
+// What activation leaves behind: an unlocked lock record, then the keyId
+async function activate() {
+  await secureStorage.setSignedItem('lockState', UNLOCKED);
+  await secureStorage.setItem('keyId', 'ABCD-1234');
+}
+
+// Fresh storage for every test; lockStateStore is required after the storage is set up
+beforeEach(() => {
+  jest.resetModules();
+  AsyncStorage = require('@react-native-async-storage/async-storage');
+  SecureStore = require('expo-secure-store');
+  secureStorage = require('../secureStorage');
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('loadLockState', () => {
+  it('starts unlocked on a device that was never activated', async () => {
+    const { loadLockState } = require('../lockStateStore');
+
+    expect(await loadLockState()).toMatchObject({ isLocked: false, lockSource: null });
+  });
+
+  it('stays unlocked after activation', async () => {
+    await activate();
+    const { loadLockState } = require('../lockStateStore');
+
+    expect(await loadLockState()).toMatchObject({ isLocked: false });
+  });
+
+  it('locks when the record and its counter are both deleted on an activated device', async () => {
+    await activate();
+    await AsyncStorage.removeItem('signed:lockState');
+    await SecureStore.deleteItemAsync('lockState.seq');
+    const { loadLockState } = require('../lockStateStore');
+
+    expect(await loadLockState()).toMatchObject({ isLocked: true, lockLevel: 'full', lockSource: 'integrity' });
+    await flushPromises();
+    expect(require('../outbox').sendOrQueue).toHaveBeenCalledWith(
+      'adminEvent',
+      expect.objectContaining({ type: 'lock_state_tampered', keyId: 'ABCD-1234' })
+    );
+  });
+
+  it('locks when an older unlocked copy is put back', async () => {
+    await activate();
+    const unlockedCopy = await AsyncStorage.getItem('signed:lockState');
+    await secureStorage.setSignedItem('lockState', { ...UNLOCKED, isLocked: true, lockLevel: 'soft' });
+    await AsyncStorage.setItem('signed:lockState', unlockedCopy);
+    const { loadLockState } = require('../lockStateStore');
+
+    expect(await loadLockState()).toMatchObject({ isLocked: true, lockSource: 'integrity' });
+  });
+
+  it('writes an unlocked record at activation', async () => {
+    const { initializeLockState, loadLockState } = require('../lockStateStore');
+    await initializeLockState();
+
+    expect((await secureStorage.getSignedItem('lockState')).value).toMatchObject({ isLocked: false });
+    expect(await loadLockState()).toMatchObject({ isLocked: false });
+  });
+});
@@ -0,0 +1,64 @@
+// No access token, so the channel stays on the fallback poll
+jest.mock('../tokenStore', () => ({
+  getAccessToken: jest.fn(async () => null),
+}));
+
+jest.mock('../serverService', () => ({
+  getServerUrl: jest.fn(async () => 'https://api.example.com/api'),
+}));
+
+jest.mock('../pinningService', () => ({
+  getTlsFailureReason: jest.fn(() => null),
+  reportTlsFailure: jest.fn(async () => false),
+}));
+
+jest.mock('../deviceService', () => ({
+  processCommand: jest.fn(async () => ({ executed: false })),
+  syncDeviceStatus: jest.fn(async () => ({ status: {}, commandResult: { executed: false } })),
+  checkForCommand: jest.fn(async () => ({ status: {}, commandResult: { executed: false } })),
+  isDeviceLocked: jest.fn(async () => true),
+}));
+
+jest.mock('react-native', () => ({
+  AppState: {
+    currentState: 'active',
+    addEventListener: jest.fn(() => ({ remove: jest.fn() })),
+  },
+}));
+
+// React Native's global; never constructed here since there is no token
+global.WebSocket = { OPEN: 1 };
+
+let deviceService;
+let stopChannel;
+
+beforeEach(() => {
+  jest.resetModules();
+  jest.useFakeTimers();
+  deviceService = require('../deviceService');
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  stopChannel = require('../realtimeService').startRealtimeChannel(jest.fn());
+});
+
+afterEach(() => {
+  stopChannel();
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('fallback poll while locked', () => {
+  it('only checks for a command between full syncs', async () => {
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+
+    expect(deviceService.syncDeviceStatus).toHaveBeenCalledTimes(2);
+    expect(deviceService.checkForCommand.mock.calls.length).toBeGreaterThanOrEqual(8);
+  });
+
+  it('does a full sync every poll once unlocked', async () => {
+    deviceService.isDeviceLocked.mockResolvedValue(false);
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+
+    expect(deviceService.checkForCommand).not.toHaveBeenCalled();
+    expect(deviceService.syncDeviceStatus).toHaveBeenCalled();
+  });
+});
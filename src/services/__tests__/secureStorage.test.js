@@ -0,0 +1,140 @@
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// Keystore stand-in: a plain in-memory map
+jest.mock('expo-secure-store', () => {
+  const store = new Map();
+  return {
+    AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY: 'AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY',
+    getItemAsync: jest.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+    setItemAsync: jest.fn(async (key, value) => {
+      store.set(key, value);
+    }),
+    deleteItemAsync: jest.fn(async (key) => {
+      store.delete(key);
+    }),
+  };
+});
+
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: (length) => new Uint8Array(require('crypto').randomBytes(length)),
+}));
+
+const RECORD = 'signed:lockState';
+const LOCKED = { isLocked: true, lockLevel: 'full', lockMessage: 'Pay your EMI' };
+const UNLOCKED = { isLocked: false, lockLevel: null, lockMessage: '' };
+
+let AsyncStorage;
+let SecureStore;
+let secureStorage;
+
+// Fresh storage and module state for every test
+beforeEach(() => {
+  jest.resetModules();
+  AsyncStorage = require('@react-native-async-storage/async-storage');
+  SecureStore = require('expo-secure-store');
+  secureStorage = require('../secureStorage');
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('encrypted items', () => {
+  it('round-trip without leaving plaintext behind', async () => {
+    await secureStorage.setItem('keyId', 'ABCD-1234');
+
+    expect(await secureStorage.getItem('keyId')).toBe('ABCD-1234');
+    expect(await AsyncStorage.getItem('secure:keyId')).not.toContain('ABCD-1234');
+  });
+
+  it('ignore a ciphertext moved to another key', async () => {
+    await secureStorage.setItem('keyId', 'ABCD-1234');
+    await AsyncStorage.setItem('secure:deviceId', await AsyncStorage.getItem('secure:keyId'));
+
+    expect(await secureStorage.getItem('deviceId')).toBeNull();
+  });
+});
+
+describe('signed items', () => {
+  it('were never written: no value, not tampered', async () => {
+    expect(await secureStorage.getSignedItem('lockState')).toEqual({ value: null, tampered: false });
+  });
+
+  it('read back what was written', async () => {
+    await secureStorage.setSignedItem('lockState', LOCKED);
+
+    expect(await secureStorage.getSignedItem('lockState')).toEqual({ value: LOCKED, tampered: false });
+  });
+
+  it('detect an edited record', async () => {
+    await secureStorage.setSignedItem('lockState', LOCKED);
+    const record = JSON.parse(await AsyncStorage.getItem(RECORD));
+    expect(record.payload).toContain('"isLocked":true');
+    record.payload = record.payload.replace('"isLocked":true', '"isLocked":false');
+    await AsyncStorage.setItem(RECORD, JSON.stringify(record));
+
+    expect(await secureStorage.getSignedItem('lockState')).toEqual({ value: null, tampered: true });
+  });
+
+  it('detect a deleted record', async () => {
+    await secureStorage.setSignedItem('lockState', LOCKED);
+    await AsyncStorage.removeItem(RECORD);
+
+    expect((await secureStorage.getSignedItem('lockState')).tampered).toBe(true);
+  });
+
+  it('detect a record copied from another key', async () => {
+    await secureStorage.setSignedItem('lockState', LOCKED);
+    await secureStorage.setSignedItem('otherState', UNLOCKED);
+    await AsyncStorage.setItem(RECORD, await AsyncStorage.getItem('signed:otherState'));
+
+    expect((await secureStorage.getSignedItem('lockState')).tampered).toBe(true);
+  });
+
+  it('detect an older copy put back (rollback)', async () => {
+    await secureStorage.setSignedItem('lockState', UNLOCKED);
+    const unlockedCopy = await AsyncStorage.getItem(RECORD);
+    await secureStorage.setSignedItem('lockState', LOCKED);
+    await AsyncStorage.setItem(RECORD, unlockedCopy);
+
+    expect(await secureStorage.getSignedItem('lockState')).toEqual({ value: null, tampered: true });
+  });
+
+  it('accept a record one write ahead of its counter (crash between the two writes)', async () => {
+    await secureStorage.setSignedItem('lockState', UNLOCKED);
+    await secureStorage.setSignedItem('lockState', LOCKED);
+    await SecureStore.setItemAsync('lockState.seq', '1');
+
+    expect(await secureStorage.getSignedItem('lockState')).toEqual({ value: LOCKED, tampered: false });
+  });
+
+  it('keep the record and counter in step under concurrent writes', async () => {
+    await Promise.all([
+      secureStorage.setSignedItem('lockState', UNLOCKED),
+      secureStorage.setSignedItem('lockState', LOCKED),
+      secureStorage.setSignedItem('lockState', UNLOCKED),
+    ]);
+
+    expect(await SecureStore.getItemAsync('lockState.seq')).toBe('3');
+    expect(await secureStorage.getSignedItem('lockState')).toEqual({ value: UNLOCKED, tampered: false });
+  });
+});
+
+describe('migration from plain AsyncStorage', () => {
+  it('moves secrets and lock state over once', async () => {
+    await AsyncStorage.multiSet([
+      ['keyId', 'ABCD-1234'],
+      ['isLocked', 'true'],
+      ['lockLevel', 'soft'],
+    ]);
+
+    expect(await secureStorage.getItem('keyId')).toBe('ABCD-1234');
+    expect(await AsyncStorage.getItem('keyId')).toBeNull();
+    expect(await AsyncStorage.getItem('isLocked')).toBeNull();
+    expect((await secureStorage.getSignedItem('lockState')).value).toMatchObject({ isLocked: true, lockLevel: 'soft' });
+  });
+});
@@ -0,0 +1,125 @@
+import { encodeBase64 } from 'tweetnacl-util';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// Keystore stand-in: a plain in-memory map
+jest.mock('expo-secure-store', () => {
+  const store = new Map();
+  return {
+    AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY: 'AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY',
+    getItemAsync: jest.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+    setItemAsync: jest.fn(async (key, value) => {
+      store.set(key, value);
+    }),
+    deleteItemAsync: jest.fn(async (key) => {
+      store.delete(key);
+    }),
+  };
+});
+
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: (length) => new Uint8Array(require('crypto').randomBytes(length)),
+}));
+
+jest.mock('../../utils/trustedClock', () => ({
+  getTrustedNow: jest.fn(async () => Date.now()),
+}));
+
+jest.mock('../lockStateStore', () => ({
+  loadLockState: jest.fn(),
+}));
+
+jest.mock('../lockController', () => ({
+  unlockDevice: jest.fn(async () => ({})),
+  lockForTampering: jest.fn(async () => {}),
+}));
+
+jest.mock('../emiScheduleService', () => ({
+  waiveCurrentInstallment: jest.fn(async () => {}),
+}));
+
+jest.mock('../outbox', () => ({
+  sendOrQueue: jest.fn(async () => ({ sent: true })),
+}));
+
+const SECRET = new Uint8Array(32).fill(5);
+const LOCK_EVENT = 'schedule:sched-1:3:0a1b2c3d';
+
+let AsyncStorage;
+let secureStorage;
+let lockController;
+let unlockCodeService;
+
+const codeFor = (lockEventId) => unlockCodeService.deriveUnlockCode(SECRET, 'device-1', lockEventId);
+
+beforeEach(async () => {
+  jest.resetModules();
+  AsyncStorage = require('@react-native-async-storage/async-storage');
+  secureStorage = require('../secureStorage');
+  lockController = require('../lockController');
+  unlockCodeService = require('../unlockCodeService');
+  require('../lockStateStore').loadLockState.mockResolvedValue({ isLocked: true, lockEventId: LOCK_EVENT });
+  await secureStorage.setItem('unlockSecret', encodeBase64(SECRET));
+  await secureStorage.setItem('deviceId', 'device-1');
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('submitUnlockCode', () => {
+  it('unlocks with the code for the current lock', async () => {
+    expect(await unlockCodeService.submitUnlockCode(codeFor(LOCK_EVENT))).toEqual({ success: true });
+    expect(lockController.unlockDevice).toHaveBeenCalled();
+  });
+
+  it('accepts each code once', async () => {
+    await unlockCodeService.submitUnlockCode(codeFor(LOCK_EVENT));
+
+    expect(await unlockCodeService.submitUnlockCode(codeFor(LOCK_EVENT))).toMatchObject({
+      success: false,
+      reason: 'invalid',
+    });
+  });
+
+  it('backs off after repeated wrong codes', async () => {
+    const wrong = codeFor('another-lock');
+    await unlockCodeService.submitUnlockCode(wrong);
+    await unlockCodeService.submitUnlockCode(wrong);
+    const third = await unlockCodeService.submitUnlockCode(wrong);
+
+    expect(third.retryAfterMs).toBeGreaterThan(0);
+    expect(await unlockCodeService.submitUnlockCode(codeFor(LOCK_EVENT))).toMatchObject({ reason: 'rate_limited' });
+  });
+});
+
+describe('stored attempt state', () => {
+  it('keeps the back-off when the counter is deleted', async () => {
+    const wrong = codeFor('another-lock');
+    for (let i = 0; i < 3; i++) {
+      await unlockCodeService.submitUnlockCode(wrong);
+    }
+    await AsyncStorage.removeItem('signed:unlockCodeAttempts');
+
+    expect(await unlockCodeService.getRetryDelay()).toBeGreaterThan(0);
+  });
+
+  it('locks for tampering when the used codes are deleted', async () => {
+    await unlockCodeService.submitUnlockCode(codeFor(LOCK_EVENT));
+    await AsyncStorage.removeItem('signed:usedUnlockEvents');
+
+    expect(await unlockCodeService.submitUnlockCode(codeFor(LOCK_EVENT))).toMatchObject({ success: false });
+    expect(lockController.lockForTampering).toHaveBeenCalledWith('unlock_codes_tampered');
+  });
+
+  it('moves used codes over from older versions', async () => {
+    await AsyncStorage.setItem('usedUnlockEvents', JSON.stringify([LOCK_EVENT]));
+
+    expect(await unlockCodeService.submitUnlockCode(codeFor(LOCK_EVENT))).toMatchObject({ success: false });
+    expect(await AsyncStorage.getItem('usedUnlockEvents')).toBeNull();
+  });
+});
@@ -0,0 +1,120 @@
+import { decodeBase64, encodeBase64 } from 'tweetnacl-util';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// Keystore stand-in: a plain in-memory map
+jest.mock('expo-secure-store', () => {
+  const store = new Map();
+  return {
+    AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY: 'AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY',
+    getItemAsync: jest.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+    setItemAsync: jest.fn(async (key, value) => {
+      store.set(key, value);
+    }),
+    deleteItemAsync: jest.fn(async (key) => {
+      store.delete(key);
+    }),
+  };
+});
+
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: (length) => new Uint8Array(require('crypto').randomBytes(length)),
+}));
+
+jest.mock('../../utils/trustedClock', () => ({
+  getTrustedNow: jest.fn(async () => Date.now()),
+}));
+
+jest.mock('../../utils/notifications', () => ({
+  sendLocalNotification: jest.fn(async () => {}),
+}));
+
+jest.mock('../../i18n', () => ({
+  t: (key) => key,
+}));
+
+jest.mock('../unlockCodeService', () => ({
+  UNLOCK_SECRET_KEY: 'unlockSecret',
+}));
+
+jest.mock('../kioskService', () => ({
+  wipeData: jest.fn(async () => true),
+}));
+
+jest.mock('../lockController', () => ({
+  lockForTampering: jest.fn(async () => {}),
+}));
+
+jest.mock('../outbox', () => ({
+  sendOrQueue: jest.fn(async () => ({ sent: true, queued: false })),
+  flushOutbox: jest.fn(async () => {}),
+  getPendingCount: jest.fn(async () => 0),
+}));
+
+const SECRET = encodeBase64(new Uint8Array(32).fill(6));
+
+let AsyncStorage;
+let lockController;
+let wipeService;
+
+const resetCommand = (overrides = {}) => ({
+  commandId: 'cmd-reset',
+  confirmationToken: wipeService.deriveConfirmationToken(decodeBase64(SECRET), 'device-1', 'cmd-reset'),
+  ...overrides,
+});
+
+beforeEach(async () => {
+  jest.resetModules();
+  jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+  AsyncStorage = require('@react-native-async-storage/async-storage');
+  lockController = require('../lockController');
+  wipeService = require('../wipeService');
+  const secureStorage = require('../secureStorage');
+  await secureStorage.setItem('unlockSecret', SECRET);
+  await secureStorage.setItem('deviceId', 'device-1');
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('scheduleWipe', () => {
+  it('starts a countdown for a reset with a valid confirmation token', async () => {
+    const wipe = await wipeService.scheduleWipe(resetCommand());
+
+    expect(wipe).toMatchObject({ commandId: 'cmd-reset' });
+    expect(require('../kioskService').wipeData).not.toHaveBeenCalled();
+  });
+
+  it('rejects a reset with a wrong confirmation token for good', async () => {
+    const attempt = wipeService.scheduleWipe(resetCommand({ confirmationToken: 'forged' }));
+
+    await expect(attempt).rejects.toBeInstanceOf(wipeService.WipeRejectedError);
+    await expect(attempt).rejects.toMatchObject({ code: 'invalid_confirmation_token' });
+    expect(await wipeService.getPendingWipe()).toBeNull();
+  });
+});
+
+describe('pending wipe', () => {
+  it('locks the device when the stored countdown is deleted', async () => {
+    // Stored by an earlier run of the app
+    await require('../secureStorage').setSignedItem('pendingWipe', { commandId: 'cmd-reset', executeAt: Date.now() });
+    await AsyncStorage.removeItem('signed:pendingWipe');
+
+    expect(await wipeService.getPendingWipe()).toBeNull();
+    expect(lockController.lockForTampering).toHaveBeenCalledWith('pending_wipe_tampered');
+  });
+
+  it('moves a plaintext countdown from older versions over', async () => {
+    const stored = { commandId: 'cmd-old', executeAt: Date.now() + 60 * 1000 };
+    await AsyncStorage.setItem('pendingWipe', JSON.stringify(stored));
+
+    expect(await wipeService.getPendingWipe()).toEqual(stored);
+    expect(await AsyncStorage.getItem('pendingWipe')).toBeNull();
+  });
+});
@@ -0,0 +1,133 @@
+import * as Device from 'expo-device';
+import * as Notifications from 'expo-notifications';
+import secureStorage from './secureStorage';
+import { deviceAPI } from '../config/api';
+import { PUBLIC_KEY_STORAGE_KEY } from './commandVerifier';
+import { isValidPublicKey } from '../utils/signature';
+import { saveSchedule } from './emiScheduleService';
+import { UNLOCK_SECRET_KEY } from './unlockCodeService';
+import { saveTokens } from './tokenStore';
+import { initializeLockState } from './lockStateStore';
+import { clearProvisioningExtras } from './kioskService';
+import { saveBranding } from './brandingService';
+import { SERVER_SOURCES, selectServer, saveServerSelection } from './serverService';
+import { getLanguage } from '../i18n';
+import { recordServerTime, getServerTimeFromResponse } from '../utils/trustedClock';
+
+/**
+ * Activation Service
+ * The one place a device gets activated - from a typed key, a scanned
+ * activation QR (see utils/activationQr) or provisioning extras.
+ */
+
+// Get push token for notifications (prefer device FCM/APNs, fallback to Expo token in Expo Go)
+async function getPushToken() {
+  let fcmToken = null;
+  try {
+    const { status } = await Notifications.requestPermissionsAsync();
+    if (status === 'granted') {
+      try {
+        const deviceToken = await Notifications.getDevicePushTokenAsync();
+        fcmToken = deviceToken?.data || null;
+        if (fcmToken) {
+          console.log('📱 Device push token obtained');
+        }
+      } catch (deviceTokenErr) {
+        console.warn('ℹ️ Device push token not available (likely Expo Go). Falling back to Expo push token.');
+      }
+      // Fallback: Expo push token for development in Expo Go
+      if (!fcmToken) {
+        try {
+          const expoToken = await Notifications.getExpoPushTokenAsync();
+          fcmToken = expoToken?.data || null;
+          if (fcmToken) {
+            console.log('📨 Expo push token obtained (development)');
+          }
+        } catch (expoTokenErr) {
+          console.warn('⚠️ Failed to get Expo push token:', expoTokenErr);
+        }
+      }
+    }
+  } catch (tokenError) {
+    console.warn('⚠️ Push permission/token error:', tokenError);
+  }
+  return fcmToken;
+}
+
+/**
+ * Activate this device with the server and store everything it hands back.
+ * activationQr: the validated QR payload, if the key came from a QR code.
+ * serverUrl: the server named in the provisioning extras, if any.
+ */
+export async function activateDevice({ keyId, activationQr = null, serverUrl = null }) {
+  // Talk to the server the QR or provisioning names (only if it's on the signed allowlist)
+  if (activationQr) {
+    await selectServer(activationQr.serverUrl, SERVER_SOURCES.QR);
+  } else {
+    await selectServer(serverUrl, serverUrl ? SERVER_SOURCES.PROVISIONING : SERVER_SOURCES.PROFILE);
+  }
+
+  const fcmToken = await getPushToken();
+
+  const deviceInfo = {
+    keyId, // Changed from 'key' to 'keyId'
+    deviceId: Device.osInternalBuildId || 'unknown',
+    model: Device.modelName || Device.deviceName || 'Unknown Device', // Changed from deviceName
+    manufacturer: Device.manufacturer || 'Unknown',
+    osVersion: Device.osVersion || 'Unknown',
+    appVersion: '1.0.0', // Add app version
+    fcmToken: fcmToken, // Add FCM token
+    language: getLanguage(), // Server sends lock messages and reminders in this language
+  };
+
+  console.log('🚀 Activating device with:', { ...deviceInfo, fcmToken: fcmToken ? '***' : null });
+
+  // The signed QR (if any) goes along so the server can check the terms the customer confirmed
+  const response = await deviceAPI.activateDevice({ ...deviceInfo, activationQr });
+
+  // Pin the server's command signing key - lock/unlock/reset are rejected without it
+  const { commandPublicKey } = response.data.data || {};
+  if (!commandPublicKey || !isValidPublicKey(commandPublicKey)) {
+    throw new Error('Server did not provide a valid command signing key');
+  }
+  await secureStorage.setItem(PUBLIC_KEY_STORAGE_KEY, commandPublicKey);
+
+  // Secrets are stored separately and kept out of deviceInfo below
+  const { unlockSecret, accessToken, refreshToken, branding, ...activationInfo } = response.data.data;
+  if (unlockSecret) {
+    await secureStorage.setItem(UNLOCK_SECRET_KEY, unlockSecret);
+  }
+
+  // Device tokens for authenticated API calls
+  await saveTokens({ accessToken, refreshToken });
+  
+  // The lock record has to exist before the keyId marks the device as activated
+  await initializeLockState();
+
+  // Store keyId (not 'key')
+  await secureStorage.setItem('keyId', keyId);
+  await secureStorage.setItem('activationKey', keyId); // Keep for backward compatibility
+  await secureStorage.setItem('deviceId', deviceInfo.deviceId); // Store deviceId for FCM updates
+  await secureStorage.setItem('deviceInfo', JSON.stringify(activationInfo));
+  await saveServerSelection(keyId);
+
+  // Keep a signed copy of the EMI schedule for offline enforcement
+  await recordServerTime(getServerTimeFromResponse(response));
+  await saveSchedule(activationInfo.emiSchedule);
+  
+  if (fcmToken) {
+    await secureStorage.setItem('fcmToken', fcmToken);
+  }
+
+  // Seller's store name, logo and colors (cached for offline use)
+  await saveBranding(branding);
+
+  // The provisioning key is single-use - don't auto-activate again after a deactivation
+  await clearProvisioningExtras();
+
+  return activationInfo;
+}
+
+export default {
+  activateDevice,
+};
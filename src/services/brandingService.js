@@ -0,0 +1,189 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system/legacy';
+import nacl from 'tweetnacl';
+import { decodeUTF8, encodeBase64 } from 'tweetnacl-util';
+import { PHONE_PATTERN } from '../utils/activationQr';
+
+/**
+ * Branding Service
+ * Sellers can show their own store name, logo, colors and support text.
+ * The branding payload comes with the activation response and every status
+ * sync; it is cached, together with a local copy of the logo, so the lock
+ * screen looks right while offline. A logo that can't be downloaded is
+ * retried with a growing back-off, not on every sync.
+ *
+ * Payload: { version, storeName, logoUrl, primaryColor, lockColors: [from, to],
+ *            softLockColors: [from, to], lockTitle, supportText, supportPhone }
+ */
+
+const BRANDING_KEY = 'branding';
+const BRANDING_DIR = `${FileSystem.documentDirectory}branding/`;
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const MAX_TEXT_LENGTH = 200;
+const LOGO_RETRY_BASE_MS = 60 * 1000;
+const LOGO_RETRY_MAX_MS = 24 * 60 * 60 * 1000;
+
+let branding = null;
+let hydrated = null;
+const listeners = new Set();
+
+const notify = () => {
+  listeners.forEach((listener) => {
+    try {
+      listener(branding);
+    } catch (error) {
+      console.error('Branding listener error:', error);
+    }
+  });
+};
+
+const text = (value) =>
+  (typeof value === 'string' && value.trim() ? value.trim().slice(0, MAX_TEXT_LENGTH) : null);
+
+const color = (value) => (typeof value === 'string' && COLOR_PATTERN.test(value) ? value : null);
+
+// Only a plain number may go into a tel: link - never dialer codes like *#06#
+const phone = (value) => {
+  const digits = typeof value === 'string' ? value.replace(/[\s-]/g, '') : '';
+  return PHONE_PATTERN.test(digits) ? digits : null;
+};
+
+const gradient = (value) =>
+  (Array.isArray(value) && value.length === 2 && value.every(color) ? value : null);
+
+// Keep only well-formed fields - anything else falls back to the default theme
+function sanitize(payload) {
+  return {
+    version: payload.version ?? null,
+    storeName: text(payload.storeName),
+    logoUrl: typeof payload.logoUrl === 'string' && /^https:\/\//.test(payload.logoUrl) ? payload.logoUrl : null,
+    primaryColor: color(payload.primaryColor),
+    lockColors: gradient(payload.lockColors),
+    softLockColors: gradient(payload.softLockColors),
+    lockTitle: text(payload.lockTitle),
+    supportText: text(payload.supportText),
+    supportPhone: phone(payload.supportPhone),
+  };
+}
+
+// Identifies the branding a logo download failed for
+const hashOf = (value) => encodeBase64(nacl.hash(decodeUTF8(JSON.stringify(value)))).slice(0, 24);
+
+// { url, hash, failures, retryAt } after another failed download of the same logo
+function nextLogoFailure(previous, url, hash) {
+  const failures = previous && previous.url === url && previous.hash === hash ? previous.failures + 1 : 1;
+  const delay = Math.min(LOGO_RETRY_BASE_MS * 2 ** (failures - 1), LOGO_RETRY_MAX_MS);
+  return { url, hash, failures, retryAt: Date.now() + delay };
+}
+
+// Download the logo next to the cached branding; null if it can't be fetched
+async function cacheLogo(logoUrl, version) {
+  try {
+    await FileSystem.makeDirectoryAsync(BRANDING_DIR, { intermediates: true });
+    const extension = (logoUrl.split('?')[0].match(/\.(png|jpe?g|webp)$/i) || [, 'png'])[1];
+    const target = `${BRANDING_DIR}logo-${encodeURIComponent(String(version))}.${extension}`;
+    const { status, uri } = await FileSystem.downloadAsync(logoUrl, target);
+    if (status !== 200) {
+      await FileSystem.deleteAsync(target, { idempotent: true });
+      return null;
+    }
+    return uri;
+  } catch (error) {
+    console.error('Error caching branding logo:', error);
+    return null;
+  }
+}
+
+// Remove logos from earlier branding versions
+async function pruneLogos(keepUri) {
+  try {
+    const files = await FileSystem.readDirectoryAsync(BRANDING_DIR);
+    await Promise.all(
+      files
+        .filter((file) => `${BRANDING_DIR}${file}` !== keepUri)
+        .map((file) => FileSystem.deleteAsync(`${BRANDING_DIR}${file}`, { idempotent: true }))
+    );
+  } catch (error) {
+    // Directory doesn't exist yet - nothing to prune
+  }
+}
+
+// Load the cached branding once per JS context
+export function loadBranding() {
+  if (!hydrated) {
+    hydrated = (async () => {
+      try {
+        const stored = await AsyncStorage.getItem(BRANDING_KEY);
+        const parsed = stored ? JSON.parse(stored) : null;
+        // Re-sanitized so a cache written by an older version can't bring back bad fields
+        branding = parsed
+          ? { ...sanitize(parsed), logoUri: parsed.logoUri ?? null, logoFailure: parsed.logoFailure ?? null }
+          : null;
+      } catch (error) {
+        console.error('Error loading branding:', error);
+        branding = null;
+      }
+      notify();
+      return branding;
+    })();
+  }
+  return hydrated;
+}
+
+// Cached branding (synchronous - call loadBranding first at startup)
+export function getBranding() {
+  return branding;
+}
+
+// Same branding as the cached one? By version, or by content when the server sends no version
+function isUnchanged(next) {
+  if (!branding) return false;
+  if (next.version !== null) return branding.version === next.version;
+
+  const { logoUri, logoFailure, ...current } = branding;
+  return JSON.stringify(current) === JSON.stringify(next);
+}
+
+/**
+ * Store branding from the server. Re-downloads the logo only when the
+ * branding changes, or once the back-off after a failed download is over.
+ * Returns true if changed.
+ */
+export async function saveBranding(payload) {
+  if (!payload || typeof payload !== 'object') return false;
+  await loadBranding();
+
+  const next = sanitize(payload);
+  const hash = hashOf(next);
+  if (isUnchanged(next)) {
+    const failure = branding.logoFailure;
+    const waiting = failure && failure.url === next.logoUrl && failure.hash === hash && Date.now() < failure.retryAt;
+    if (branding.logoUri || !next.logoUrl || waiting) {
+      return false;
+    }
+  }
+
+  next.logoUri = next.logoUrl ? await cacheLogo(next.logoUrl, next.version ?? Date.now()) : null;
+  next.logoFailure = next.logoUrl && !next.logoUri ? nextLogoFailure(branding?.logoFailure, next.logoUrl, hash) : null;
+  await pruneLogos(next.logoUri);
+
+  branding = next;
+  await AsyncStorage.setItem(BRANDING_KEY, JSON.stringify(branding));
+  console.log('🎨 Branding updated:', branding.storeName || '(default)');
+  notify();
+  return true;
+}
+
+// Subscribe to branding changes. Returns an unsubscribe function.
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export default {
+  loadBranding,
+  getBranding,
+  saveBranding,
+  subscribe,
+};
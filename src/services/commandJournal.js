@@ -0,0 +1,112 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const JOURNAL_KEY = 'commandJournal';
+const MAX_ENTRIES = 200;
+// A command that failed this many times is not run again
+const MAX_FAILED_ATTEMPTS = 3;
+
+/**
+ * Command Journal
+ * Durable record of every server command seen on this device, keyed by commandId.
+ * Lifecycle: received → executing → executed → acked (or failed at any step)
+ * Commands that fail signature checks end up as rejected and never execute.
+ * A failed command is retried when it is seen again, up to MAX_FAILED_ATTEMPTS.
+ */
+
+export const COMMAND_STATES = {
+  RECEIVED: 'received',
+  EXECUTING: 'executing',
+  EXECUTED: 'executed',
+  ACKED: 'acked',
+  FAILED: 'failed',
+  REJECTED: 'rejected',
+};
+
+// States after which a command must never run (or be acknowledged) again
+const COMPLETED_STATES = [COMMAND_STATES.EXECUTED, COMMAND_STATES.ACKED, COMMAND_STATES.REJECTED];
+
+const isCompleted = (entry) =>
+  COMPLETED_STATES.includes(entry.state) ||
+  (entry.state === COMMAND_STATES.FAILED && entry.attempts >= MAX_FAILED_ATTEMPTS);
+
+// Serialize read-modify-write cycles so concurrent listeners don't clobber each other
+let writeQueue = Promise.resolve();
+
+const withJournal = (mutate) => {
+  const run = writeQueue.then(async () => {
+    const journal = await readJournal();
+    const result = await mutate(journal);
+    await AsyncStorage.setItem(JOURNAL_KEY, JSON.stringify(trimJournal(journal)));
+    return result;
+  });
+  writeQueue = run.catch(() => {});
+  return run;
+};
+
+const readJournal = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(JOURNAL_KEY);
+    return raw ? JSON.parse(raw) : {};
+  } catch (error) {
+    console.error('Error reading command journal:', error);
+    return {};
+  }
+};
+
+// Keep only the newest entries so the journal can't grow without bound
+const trimJournal = (journal) => {
+  const ids = Object.keys(journal);
+  if (ids.length <= MAX_ENTRIES) return journal;
+
+  ids
+    .sort((a, b) => journal[a].receivedAt - journal[b].receivedAt)
+    .slice(0, ids.length - MAX_ENTRIES)
+    .forEach((id) => delete journal[id]);
+  return journal;
+};
+
+// Record a newly received command. Returns false if it was already completed (or gave up on).
+export const recordReceived = (commandId, command, source) =>
+  withJournal((journal) => {
+    const existing = journal[commandId];
+    if (existing && isCompleted(existing)) {
+      return false;
+    }
+
+    journal[commandId] = {
+      commandId,
+      command,
+      state: COMMAND_STATES.RECEIVED,
+      sources: [...(existing?.sources || []), source],
+      // Only failures count towards the limit
+      attempts: existing?.state === COMMAND_STATES.FAILED ? (existing.attempts || 1) + 1 : 1,
+      receivedAt: existing?.receivedAt || Date.now(),
+      updatedAt: Date.now(),
+    };
+    return true;
+  });
+
+// Move a command to a new lifecycle state, merging any extra details (error, result)
+export const updateState = (commandId, state, details = {}) =>
+  withJournal((journal) => {
+    if (!journal[commandId]) return;
+    journal[commandId] = {
+      ...journal[commandId],
+      ...details,
+      state,
+      updatedAt: Date.now(),
+    };
+  });
+
+// Journal entries, newest first (for diagnostics)
+export const getJournal = async () => {
+  const journal = await readJournal();
+  return Object.values(journal).sort((a, b) => b.receivedAt - a.receivedAt);
+};
+
+export default {
+  COMMAND_STATES,
+  recordReceived,
+  updateState,
+  getJournal,
+};
@@ -0,0 +1,89 @@
+import secureStorage from './secureStorage';
+import { canonicalize, verifySignature } from '../utils/signature';
+import { getTrustedTime } from '../utils/trustedClock';
+
+/**
+ * Command Verifier
+ * Lock-affecting commands must be signed by the server with the Ed25519 key
+ * pinned at activation. Signed fields, in order:
+ *   [commandId, keyId, deviceId, command, issuedAt, expiresAt, lockLevel]
+ * lockLevel is signed so a lock can't be downgraded in transit; it is null
+ * for commands other than lock.
+ *
+ * Validity is checked against the trusted clock, never the device clock,
+ * which the user can wind back to revive an expired command.
+ */
+
+// Commands that change lock state or wipe the device
+export const SIGNED_COMMANDS = ['lock', 'unlock', 'reset', 'expired'];
+
+export const SIGNED_FIELDS = ['commandId', 'keyId', 'deviceId', 'command', 'issuedAt', 'expiresAt', 'lockLevel'];
+
+export const PUBLIC_KEY_STORAGE_KEY = 'commandPublicKey';
+
+// Tolerated difference between server and device clocks
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const toMillis = (value) => (typeof value === 'number' ? value : Date.parse(value));
+
+/**
+ * Check a command payload before execution.
+ * Returns { valid: true } or { valid: false, reason, retry }. retry is true
+ * when the command may pass later (no trusted time yet) rather than never.
+ * Replays of already-executed IDs are caught by the command journal; expiry
+ * covers replays older than the journal's retention.
+ */
+export async function verifyCommand(data) {
+  if (!SIGNED_COMMANDS.includes(data.command)) {
+    return { valid: true };
+  }
+
+  if (!data.signature || !data.commandId) {
+    return { valid: false, reason: 'unsigned' };
+  }
+
+  const [publicKey, keyId, activationKey, deviceId] = await Promise.all([
+    secureStorage.getItem(PUBLIC_KEY_STORAGE_KEY),
+    secureStorage.getItem('keyId'),
+    secureStorage.getItem('activationKey'),
+    secureStorage.getItem('deviceId'),
+  ]);
+
+  if (!publicKey) {
+    return { valid: false, reason: 'no_pinned_key' };
+  }
+
+  if (data.keyId !== (keyId || activationKey) || data.deviceId !== deviceId) {
+    return { valid: false, reason: 'wrong_device' };
+  }
+
+  const issuedAt = toMillis(data.issuedAt);
+  const expiresAt = toMillis(data.expiresAt);
+  if (Number.isNaN(issuedAt) || Number.isNaN(expiresAt)) {
+    return { valid: false, reason: 'invalid_timestamps' };
+  }
+
+  const { now, trusted } = await getTrustedTime();
+  if (!trusted) {
+    return { valid: false, reason: 'no_trusted_time', retry: true };
+  }
+  if (issuedAt - CLOCK_SKEW_MS > now) {
+    return { valid: false, reason: 'not_yet_valid' };
+  }
+  if (expiresAt + CLOCK_SKEW_MS < now) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  if (!verifySignature(canonicalize(data, SIGNED_FIELDS), data.signature, publicKey)) {
+    return { valid: false, reason: 'bad_signature' };
+  }
+
+  return { valid: true };
+}
+
+export default {
+  SIGNED_COMMANDS,
+  SIGNED_FIELDS,
+  PUBLIC_KEY_STORAGE_KEY,
+  verifyCommand,
+};
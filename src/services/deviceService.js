@@ -1,7 +1,24 @@
 import * as TaskManager from 'expo-task-manager';
 import * as BackgroundFetch from 'expo-background-fetch';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { deviceAPI } from '../config/api';
+import nacl from 'tweetnacl';
+import { decodeUTF8 } from 'tweetnacl-util';
+import secureStorage from './secureStorage';
+import { deviceAPI, getErrorMessage } from '../config/api';
+import { COMMAND_STATES, recordReceived, updateState } from './commandJournal';
+import { verifyCommand } from './commandVerifier';
+import { reconcileSchedule, enforceSchedule, waiveCurrentInstallment } from './emiScheduleService';
+import { recordServerTime, getServerTimeFromResponse } from '../utils/trustedClock';
+import { canonicalize } from '../utils/signature';
+import { sendLocalNotification } from '../utils/notifications';
+import { sendOrQueue, flushOutbox } from './outbox';
+import { loadLockState } from './lockStateStore';
+import { lockDevice, unlockDevice, reassertLockState } from './lockController';
+import { LOCK_LEVELS, normalizeLockLevel, saveAllowlist, syncAdminEvents } from './kioskService';
+import { scheduleWipe, resumePendingWipe, WipeRejectedError } from './wipeService';
+import { saveBranding } from './brandingService';
+import { t, loadLanguage } from '../i18n';
+import { startTlsFailureMonitor } from './pinningService';
 import * as Notifications from 'expo-notifications';
 import { Vibration, Platform } from 'react-native';
 
@@ -20,54 +37,31 @@ Notifications.setNotificationHandler({
 TaskManager.defineTask(BACKGROUND_FETCH_TASK, async () => {
   const startTime = Date.now();
   console.log('🔄 Background task started at:', new Date().toISOString());
+
+  // Report pin failures seen by this run (it may run without the app open)
+  const stopTlsFailureMonitor = startTlsFailureMonitor();
   
   try {
-    const key = await AsyncStorage.getItem('activationKey');
-    if (!key) {
+    // Notifications from this run use the customer's chosen language
+    await loadLanguage();
+
+    // Finish a wipe whose countdown ran out while the app wasn't running
+    await resumePendingWipe();
+
+    // Also runs at boot (startOnBoot) - make kiosk state match the lock state first
+    await reassertLockState();
+
+    // Check device status with timeout (no retries - the OS gives background tasks ~30s)
+    const sync = await syncDeviceStatus('poll', { timeout: 25000, retries: 0 });
+    if (!sync) {
       console.log('⚠️ No activation key found');
       return BackgroundFetch.BackgroundFetchResult.NoData;
     }
 
-    // Check device status with timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 25000); // 25 second timeout
-
-    try {
-      const response = await deviceAPI.getDeviceStatus(key);
-      clearTimeout(timeoutId);
-      
-      const status = response.data.data;
-      console.log('✅ Status received:', status.status, 'Command:', status.command);
-
-      // Handle different commands
-      if (status.command && status.command !== 'none') {
-        console.log('🎯 Executing command:', status.command);
-        await handleCommand(status.command, status);
-        
-        // Acknowledge command
-        try {
-          await deviceAPI.acknowledgeCommand({
-            keyId: key, // Changed from 'key' to 'keyId'
-            command: status.command,
-          });
-          console.log('✅ Command acknowledged');
-        } catch (ackError) {
-          console.error('⚠️ Failed to acknowledge command:', ackError);
-        }
-      }
-
-      // Update device status
-      await AsyncStorage.setItem('deviceStatus', JSON.stringify(status));
-      await AsyncStorage.setItem('lastSyncTime', Date.now().toString());
-
-      const duration = Date.now() - startTime;
-      console.log(`✅ Background task completed in ${duration}ms`);
-      
-      return BackgroundFetch.BackgroundFetchResult.NewData;
-    } catch (fetchError) {
-      clearTimeout(timeoutId);
-      throw fetchError;
-    }
+    const duration = Date.now() - startTime;
+    console.log(`✅ Background task completed in ${duration}ms`);
+    
+    return BackgroundFetch.BackgroundFetchResult.NewData;
   } catch (error) {
     const duration = Date.now() - startTime;
     console.error(`❌ Background fetch error after ${duration}ms:`, error.message);
@@ -75,38 +69,220 @@ TaskManager.defineTask(BACKGROUND_FETCH_TASK, async () => {
     // Store error for debugging
     await AsyncStorage.setItem('lastSyncError', JSON.stringify({
       error: error.message,
+      type: error.name,
       timestamp: Date.now(),
     }));
     
     return BackgroundFetch.BackgroundFetchResult.Failed;
+  } finally {
+    stopTlsFailureMonitor();
   }
 });
 
+/**
+ * Fetch device status and apply it: run any pending command, reconcile the
+ * EMI schedule and flush the outbox. Shared by the background task and the
+ * foreground fallback poller. Returns null if the device isn't activated.
+ */
+export async function syncDeviceStatus(source = 'poll', requestOptions) {
+  const key = await secureStorage.getItem('activationKey');
+  if (!key) return null;
+
+  try {
+    const response = await deviceAPI.getDeviceStatus(key, requestOptions);
+
+    const status = response.data.data;
+    console.log('✅ Status received:', status.status, 'Command:', status.command);
+
+    // Anchor the trusted clock first - commands are checked against it
+    await recordServerTime(getServerTimeFromResponse(response));
+
+    // Handle different commands
+    let commandResult = { executed: false };
+    if (status.command && status.command !== 'none') {
+      commandResult = await processCommand(status, source);
+    }
+
+    // Reconcile the offline EMI schedule with the server's copy
+    await reconcileSchedule(status.emiSchedule);
+
+    // Apply a changed server-managed allowlist to the current lock right away
+    if (await saveAllowlist(status.allowlist)) {
+      await reassertLockState();
+    }
+
+    // Pick up seller branding changes (the provider re-renders on change)
+    await saveBranding(status.branding);
+
+    // Queue admin events the receiver recorded while the app wasn't running,
+    // then replay anything that couldn't be reported while offline
+    await syncAdminEvents();
+    await flushOutbox();
+
+    // Update device status
+    await AsyncStorage.setItem('deviceStatus', JSON.stringify(status));
+    await AsyncStorage.setItem('lastSyncTime', Date.now().toString());
+
+    return { status, commandResult };
+  } catch (fetchError) {
+    // Server unreachable - keep enforcing the stored schedule locally
+    await enforceSchedule();
+    throw fetchError;
+  }
+}
+
+/**
+ * Light version of syncDeviceStatus for the fast poll while locked: only runs
+ * a pending command (a payment unlock, say), leaving the schedule, allowlist,
+ * branding and outbox to the next full sync. Returns null if not activated.
+ */
+export async function checkForCommand(source = 'poll', requestOptions) {
+  const key = await secureStorage.getItem('activationKey');
+  if (!key) return null;
+
+  const response = await deviceAPI.getDeviceStatus(key, requestOptions);
+  const status = response.data.data;
+  await recordServerTime(getServerTimeFromResponse(response));
+
+  let commandResult = { executed: false };
+  if (status.command && status.command !== 'none') {
+    commandResult = await processCommand(status, source);
+  }
+  return { status, commandResult };
+}
+
+// Commands currently being processed in this JS context (guards against
+// the received + tapped listeners racing on the same notification)
+const inFlightCommands = new Set();
+
+// Fields that tell one id-less command apart from another (not serverTime, which changes every poll)
+const LEGACY_COMMAND_FIELDS = ['command', 'lockEventId', 'issuedAt', 'expiresAt', 'lockLevel', 'lockMessage'];
+
+// Server commands should carry a commandId; older payloads fall back to the
+// notification identifier (shared by received/tapped events) or an ID derived
+// from the command itself, so the same command seen on every poll runs once
+function resolveCommandId(data, fallbackId) {
+  if (data.commandId || fallbackId) {
+    return data.commandId || fallbackId;
+  }
+  const digest = nacl.hash(decodeUTF8(canonicalize(data, LEGACY_COMMAND_FIELDS)));
+  const hex = Array.from(digest.slice(0, 12), (byte) => byte.toString(16).padStart(2, '0')).join('');
+  return `local-${data.command}-${hex}`;
+}
+
+// Single pipeline for every command source: journal, dedupe, verify, execute, acknowledge
+export async function processCommand(data, source, fallbackId) {
+  const { command } = data;
+  if (!command || command === 'none') {
+    return { executed: false };
+  }
+
+  const commandId = resolveCommandId(data, fallbackId);
+  if (inFlightCommands.has(commandId)) {
+    console.log(`⏭️ Command ${commandId} already in progress, skipping (${source})`);
+    return { executed: false, duplicate: true, command, commandId };
+  }
+  inFlightCommands.add(commandId);
+
+  try {
+    const isNew = await recordReceived(commandId, command, source);
+    if (!isNew) {
+      console.log(`⏭️ Command ${commandId} already executed, skipping (${source})`);
+      return { executed: false, duplicate: true, command, commandId };
+    }
+
+    const verification = await verifyCommand(data);
+    if (!verification.valid && verification.retry) {
+      // Not decidable yet (no trusted time) - left to run when it is seen again, without an ack
+      console.warn(`⏳ Deferred command ${command} [${commandId}] from ${source}: ${verification.reason}`);
+      await updateState(commandId, COMMAND_STATES.RECEIVED, { reason: verification.reason });
+      return { executed: false, deferred: true, command, commandId };
+    }
+    if (!verification.valid) {
+      console.warn(`🚫 Rejected command ${command} [${commandId}] from ${source}: ${verification.reason}`);
+      await updateState(commandId, COMMAND_STATES.REJECTED, { reason: verification.reason });
+      await acknowledgeCommand(commandId, command, COMMAND_STATES.REJECTED, verification.reason);
+      return { executed: false, rejected: true, command, commandId };
+    }
+
+    console.log(`🎯 Executing command ${command} [${commandId}] from ${source}`);
+    await updateState(commandId, COMMAND_STATES.EXECUTING);
+
+    let result = COMMAND_STATES.EXECUTED;
+    let errorMessage = null;
+    try {
+      await handleCommand(command, data);
+      await updateState(commandId, COMMAND_STATES.EXECUTED);
+    } catch (error) {
+      // A reset with a bad confirmation token can never succeed - rejected, not retried
+      result = error instanceof WipeRejectedError ? COMMAND_STATES.REJECTED : COMMAND_STATES.FAILED;
+      errorMessage = error.message;
+      console.error(`❌ Command ${commandId} failed:`, error);
+      await updateState(commandId, result, { error: errorMessage });
+    }
+
+    await acknowledgeCommand(commandId, command, result, errorMessage);
+
+    return { executed: result === COMMAND_STATES.EXECUTED, command, commandId };
+  } finally {
+    inFlightCommands.delete(commandId);
+  }
+}
+
+// Report the outcome of a command back to the server (queued in the outbox if offline;
+// the outbox marks the journal entry acked once delivered)
+async function acknowledgeCommand(commandId, command, result, errorMessage) {
+  try {
+    const keyId = await secureStorage.getItem('keyId') || await secureStorage.getItem('activationKey');
+    if (!keyId) return;
+
+    const { sent } = await sendOrQueue('ack', {
+      keyId,
+      commandId,
+      command,
+      result,
+      error: errorMessage,
+      executedAt: new Date().toISOString(),
+    });
+    console.log(sent
+      ? `✅ Command ${commandId} acknowledged (${result})`
+      : `📥 Ack for ${commandId} queued (${result})`);
+  } catch (ackError) {
+    console.error(`⚠️ Failed to acknowledge command ${commandId}:`, ackError.message);
+  }
+}
+
 // Handle different commands
 async function handleCommand(command, status) {
   switch (command) {
-    case 'lock':
-      await AsyncStorage.setItem('isLocked', 'true');
-      await AsyncStorage.setItem('lockMessage', status.lockMessage || '');
+    case 'lock': {
+      const level = normalizeLockLevel(status.lockLevel);
+      await lockDevice({
+        message: status.lockMessage || '',
+        level,
+        source: 'server',
+        eventId: status.commandId || null,
+      });
       await sendLocalNotification(
-        'Device Locked',
-        status.lockMessage || 'Your device has been locked'
+        t(level === LOCK_LEVELS.NAG ? 'notifications.nagTitle' : 'notifications.lockedTitle'),
+        status.lockMessage || t(level === LOCK_LEVELS.NAG ? 'notifications.nagBody' : 'notifications.lockedBody')
       );
       break;
+    }
 
     case 'unlock':
-      await AsyncStorage.setItem('isLocked', 'false');
-      await AsyncStorage.removeItem('lockMessage');
+      await unlockDevice();
+      await waiveCurrentInstallment();
       await sendLocalNotification(
-        'Device Unlocked',
-        'Your device has been unlocked'
+        t('notifications.unlockedTitle'),
+        t('notifications.unlockedBody')
       );
       break;
 
     case 'reminder':
       await sendLocalNotification(
-        'EMI Payment Reminder',
-        `Your EMI payment is due. Please pay to avoid device lock.`
+        t('notifications.reminderTitle'),
+        t('notifications.reminderBody')
       );
       break;
 
@@ -115,30 +291,23 @@ async function handleCommand(command, status) {
       // Ring device - play sound and vibrate
       await ringDevice();
       await sendLocalNotification(
-        'Find Device',
-        'Your device is ringing. Tap to stop.'
+        t('notifications.findTitle'),
+        t('notifications.findBody')
       );
       break;
 
     case 'expired':
-      await AsyncStorage.setItem('isLocked', 'false');
-      await AsyncStorage.removeItem('lockMessage');
+      await unlockDevice();
       await sendLocalNotification(
-        'EMI Completed',
-        'Congratulations! Your EMI is complete. The device lock will be removed automatically.'
+        t('notifications.completedTitle'),
+        t('notifications.completedBody')
       );
       break;
 
     case 'reset':
-      // Factory reset device - WARNING: This will erase all data!
-      await sendLocalNotification(
-        'Device Reset Initiated',
-        'Your device will be reset in 10 seconds. All data will be erased.'
-      );
-      // Wait 10 seconds before reset
-      setTimeout(async () => {
-        await performFactoryReset();
-      }, 10000);
+      // Factory reset - needs a confirmation token on top of the signature,
+      // then wipes after a persisted countdown (see wipeService)
+      await scheduleWipe(status);
       break;
 
     default:
@@ -146,33 +315,6 @@ async function handleCommand(command, status) {
   }
 }
 
-// Perform factory reset
-async function performFactoryReset() {
-  try {
-    // Clear all app data
-    await AsyncStorage.clear();
-    
-    // On Android, this would trigger a factory reset
-    // Requires device admin permissions
-    if (Platform.OS === 'android') {
-      // Note: Actual factory reset requires native module
-      // This is a placeholder for the reset logic
-      console.log('Factory reset initiated');
-      
-      // In production, you would use a native module like:
-      // NativeModules.DeviceAdmin.factoryReset();
-    }
-    
-    // On iOS, factory reset is not possible from app
-    // Can only clear app data
-    if (Platform.OS === 'ios') {
-      console.log('App data cleared (iOS)');
-    }
-  } catch (error) {
-    console.error('Factory reset error:', error);
-  }
-}
-
 // Ring device function
 async function ringDevice() {
   try {
@@ -187,20 +329,6 @@ async function ringDevice() {
   }
 }
 
-// Send notification with Android channel
-async function sendLocalNotification(title, body) {
-  await Notifications.scheduleNotificationAsync({
-    content: {
-      title,
-      body,
-      sound: true,
-      priority: Notifications.AndroidNotificationPriority.MAX,
-      ...(Platform.OS === 'android' && { channelId: 'devicelock-critical' }),
-    },
-    trigger: null,
-  });
-}
-
 // Register background fetch
 export async function registerBackgroundFetch() {
   try {
@@ -252,8 +380,8 @@ export async function unregisterBackgroundFetch() {
 
 // Check if device is locked
 export async function isDeviceLocked() {
-  const locked = await AsyncStorage.getItem('isLocked');
-  return locked === 'true';
+  const { isLocked } = await loadLockState();
+  return isLocked;
 }
 
 // Request notification permissions
@@ -264,50 +392,28 @@ export async function requestNotificationPermissions() {
 
 // Setup FCM push notification listener
 export function setupPushNotificationListener(onCommandReceived) {
+  const handleNotification = async (notification, source) => {
+    const data = notification.request.content.data || {};
+    if (!data.command) return;
+
+    const result = await processCommand(data, source, notification.request.identifier);
+
+    // Callback for UI updates
+    if (result.executed && onCommandReceived) {
+      onCommandReceived(data.command, data);
+    }
+  };
+
   // Listener for notifications received while app is in foreground
-  const foregroundSubscription = Notifications.addNotificationReceivedListener(async (notification) => {
+  const foregroundSubscription = Notifications.addNotificationReceivedListener((notification) => {
     console.log('📨 Notification received (foreground):', notification);
-    
-    const { command, lockMessage, keyId } = notification.request.content.data;
-    
-    if (command) {
-      console.log('🎯 Executing command from push:', command);
-      
-      // Execute command immediately
-      await handleCommand(command, { lockMessage, keyId });
-      
-      // Callback for UI updates
-      if (onCommandReceived) {
-        onCommandReceived(command, { lockMessage, keyId });
-      }
-      
-      // Acknowledge command
-      try {
-        const keyId = await AsyncStorage.getItem('keyId') || await AsyncStorage.getItem('activationKey');
-        if (keyId) {
-          const { deviceAPI } = require('../config/api');
-          await deviceAPI.acknowledgeCommand({ keyId, command }); // Changed from 'key' to 'keyId'
-          console.log('✅ Command acknowledged via push');
-        }
-      } catch (error) {
-        console.error('⚠️ Failed to acknowledge push command:', error);
-      }
-    }
+    handleNotification(notification, 'push');
   });
 
   // Listener for notifications that opened the app
-  const responseSubscription = Notifications.addNotificationResponseReceivedListener(async (response) => {
+  const responseSubscription = Notifications.addNotificationResponseReceivedListener((response) => {
     console.log('📨 Notification response:', response);
-    
-    const { command, lockMessage, keyId } = response.notification.request.content.data;
-    
-    if (command) {
-      await handleCommand(command, { lockMessage, keyId });
-      
-      if (onCommandReceived) {
-        onCommandReceived(command, { lockMessage, keyId });
-      }
-    }
+    handleNotification(response.notification, 'push-tap');
   });
 
   // Return cleanup function
@@ -333,20 +439,17 @@ export async function getFCMToken() {
 // Update FCM token on backend
 export async function updateFCMToken(keyId, fcmToken) {
   try {
-    const { deviceAPI } = require('../config/api');
-    const deviceId = await AsyncStorage.getItem('deviceId');
+    const deviceId = await secureStorage.getItem('deviceId');
     
     if (!deviceId) {
       console.warn('⚠️ No deviceId found, skipping FCM token update');
       return;
     }
     
-    await deviceAPI.updateDeviceInfo({
-      deviceId,
-      fcmToken,
-    });
-    console.log('✅ FCM token updated on backend');
+    // Only the latest token matters, so older queued updates are replaced
+    const { sent } = await sendOrQueue('deviceUpdate', { deviceId, fcmToken }, { coalesceKey: 'fcmToken' });
+    console.log(sent ? '✅ FCM token updated on backend' : '📥 FCM token update queued');
   } catch (error) {
-    console.error('❌ Failed to update FCM token:', error.response?.data?.message || error.message);
+    console.error('❌ Failed to update FCM token:', getErrorMessage(error));
   }
 }
@@ -0,0 +1,102 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Linking, Platform } from 'react-native';
+import secureStorage from './secureStorage';
+import { placeCall } from './kioskService';
+
+/**
+ * Emergency Service
+ * Emergency calls, the seller and the customer's ICE (In Case of Emergency)
+ * contacts must stay reachable no matter how the device is locked. On Android
+ * these calls are placed directly (kioskService.placeCall), since a full lock
+ * doesn't allow the phone apps. The ICE contacts are a signed item (see
+ * secureStorage), so no other number can be slipped into the list.
+ */
+
+const ICE_CONTACTS_KEY = 'iceContacts';
+export const MAX_ICE_CONTACTS = 2;
+
+// National emergency number (India) - used if the system emergency dialer is unavailable
+const EMERGENCY_NUMBER = '112';
+
+const normalizePhone = (phone) => String(phone || '').replace(/[^\d+]/g, '');
+
+export const isValidPhone = (phone) => /^\+?\d{7,15}$/.test(normalizePhone(phone));
+
+// Saved ICE contacts: [{ name, phone }], moving a plaintext list from older versions over once
+export async function getIceContacts() {
+  try {
+    const { value, tampered } = await secureStorage.getSignedItem(ICE_CONTACTS_KEY);
+    if (tampered) {
+      console.warn('⚠️ ICE contacts failed verification - ignoring');
+      return [];
+    }
+    if (value) return value;
+
+    const legacy = await AsyncStorage.getItem(ICE_CONTACTS_KEY);
+    if (!legacy) return [];
+    const contacts = JSON.parse(legacy);
+    await secureStorage.setSignedItem(ICE_CONTACTS_KEY, contacts);
+    await AsyncStorage.removeItem(ICE_CONTACTS_KEY);
+    return contacts;
+  } catch (error) {
+    console.error('Error loading ICE contacts:', error);
+    return [];
+  }
+}
+
+// Save ICE contacts - only valid numbers are kept, at most MAX_ICE_CONTACTS
+export async function saveIceContacts(contacts) {
+  const cleaned = contacts
+    .filter((contact) => isValidPhone(contact.phone))
+    .slice(0, MAX_ICE_CONTACTS)
+    .map((contact) => ({ name: String(contact.name || '').trim(), phone: normalizePhone(contact.phone) }));
+
+  await secureStorage.setSignedItem(ICE_CONTACTS_KEY, cleaned);
+  return cleaned;
+}
+
+// Place the call directly on Android; elsewhere (no kiosk mode) hand it to the dialer
+async function call(phone) {
+  if (Platform.OS === 'android' && (await placeCall(phone))) return;
+  await Linking.openURL(`tel:${phone}`);
+}
+
+// Open the system emergency dialer, which can only place emergency calls
+export async function openEmergencyDialer() {
+  if (Platform.OS === 'android') {
+    try {
+      await Linking.sendIntent('com.android.phone.EmergencyDialer.DIAL');
+      return;
+    } catch (error) {
+      console.warn('Emergency dialer intent unavailable, calling directly:', error.message);
+    }
+  }
+  await call(EMERGENCY_NUMBER);
+}
+
+// Call one of the saved ICE contacts
+export async function callIceContact(contact) {
+  const contacts = await getIceContacts();
+  // Only dial numbers that were saved while the device was unlocked
+  if (!contacts.some((saved) => saved.phone === normalizePhone(contact.phone))) {
+    console.warn('🚫 Refusing to dial a number that is not a saved ICE contact');
+    return;
+  }
+  await call(normalizePhone(contact.phone));
+}
+
+// Call the seller from the lock screen
+export async function callSeller(phone) {
+  if (!isValidPhone(phone)) return;
+  await call(normalizePhone(phone));
+}
+
+export default {
+  MAX_ICE_CONTACTS,
+  isValidPhone,
+  getIceContacts,
+  saveIceContacts,
+  openEmergencyDialer,
+  callIceContact,
+  callSeller,
+};
@@ -0,0 +1,305 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
+import secureStorage from './secureStorage';
+import { canonicalize, verifySignature } from '../utils/signature';
+import { getTrustedNow, getTrustedTime } from '../utils/trustedClock';
+import { sendLocalNotification } from '../utils/notifications';
+import { PUBLIC_KEY_STORAGE_KEY } from './commandVerifier';
+import { loadLockState } from './lockStateStore';
+import { lockDevice, unlockDevice, lockForTampering } from './lockController';
+import { LOCK_LEVELS } from './kioskService';
+import { t, getLocaleTag } from '../i18n';
+
+/**
+ * EMI Schedule Service
+ * Keeps a server-signed copy of the payment schedule and decides lock state
+ * locally, so enforcement keeps working while the device is offline.
+ *
+ * Schedule payload (activation + status responses):
+ *   { scheduleId, keyId, deviceId, version, issuedAt, graceDays, reminderDays,
+ *     installments: [{ number, dueDate, amount, paid }], signature }
+ *
+ * The schedule and the waived installment are signed items (see secureStorage):
+ * deleting either, or writing a waiver, locks the device instead of turning
+ * enforcement off.
+ */
+
+const SCHEDULE_KEY = 'emiSchedule';
+const NOTIFIED_KEY = 'emiNotified';
+const WAIVED_KEY = 'emiWaivedInstallment';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A new id for every local lock, so an unlock code used for an earlier lock can't be replayed
+const newLockEventId = (schedule, installment) => {
+  const nonce = Array.from(Crypto.getRandomBytes(4), (byte) => byte.toString(16).padStart(2, '0')).join('');
+  return `schedule:${schedule.scheduleId}:${installment.number}:${nonce}`;
+};
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString(getLocaleTag(), { day: 'numeric', month: 'short', year: 'numeric' });
+
+export const EMI_STAGES = {
+  NONE: 'none',
+  REMINDER: 'reminder',
+  WARNING: 'warning',
+  LOCK: 'lock',
+  COMPLETED: 'completed',
+};
+
+const SCHEDULE_FIELDS = [
+  'scheduleId',
+  'keyId',
+  'deviceId',
+  'version',
+  'issuedAt',
+  'graceDays',
+  'reminderDays',
+  'installments',
+];
+
+// Installments are signed as positional arrays so key order inside objects doesn't matter
+const toSignedPayload = (schedule) => ({
+  ...schedule,
+  installments: (schedule.installments || []).map((item) => [
+    item.number,
+    item.dueDate,
+    item.amount,
+    !!item.paid,
+  ]),
+});
+
+// Verify the schedule was issued by the server for this device
+async function isScheduleAuthentic(schedule) {
+  if (!schedule?.signature || !Array.isArray(schedule.installments)) {
+    return false;
+  }
+
+  const [publicKey, keyId, deviceId] = await Promise.all([
+    secureStorage.getItem(PUBLIC_KEY_STORAGE_KEY),
+    secureStorage.getItem('keyId'),
+    secureStorage.getItem('deviceId'),
+  ]);
+  if (!publicKey || schedule.keyId !== keyId || schedule.deviceId !== deviceId) {
+    return false;
+  }
+
+  return verifySignature(
+    canonicalize(toSignedPayload(schedule), SCHEDULE_FIELDS),
+    schedule.signature,
+    publicKey
+  );
+}
+
+// Stored schedule as { schedule, tampered }, moving a plaintext copy from older versions over once
+async function readStoredSchedule() {
+  const { value, tampered } = await secureStorage.getSignedItem(SCHEDULE_KEY);
+  if (value || tampered) {
+    return { schedule: value, tampered };
+  }
+
+  const legacy = await AsyncStorage.getItem(SCHEDULE_KEY);
+  if (!legacy) return { schedule: null, tampered: false };
+
+  // Still checked against the server signature below; an old plaintext waiver is dropped
+  const schedule = JSON.parse(legacy);
+  await secureStorage.setSignedItem(SCHEDULE_KEY, schedule);
+  await AsyncStorage.multiRemove([SCHEDULE_KEY, WAIVED_KEY]);
+  return { schedule, tampered: false };
+}
+
+// Load the stored schedule, re-verifying it so local edits are ignored
+export async function getSchedule() {
+  try {
+    const { schedule } = await readStoredSchedule();
+    if (!schedule) return null;
+
+    if (!(await isScheduleAuthentic(schedule))) {
+      console.warn('⚠️ Stored EMI schedule failed verification - ignoring');
+      return null;
+    }
+    return schedule;
+  } catch (error) {
+    console.error('Error loading EMI schedule:', error);
+    return null;
+  }
+}
+
+// Installment number the server waived, or null (a tampered waiver counts as none)
+async function getWaivedInstallment() {
+  const { value } = await secureStorage.getSignedItem(WAIVED_KEY);
+  return value ?? null;
+}
+
+// Store a schedule received from the server. Older versions never replace newer ones.
+export async function saveSchedule(schedule) {
+  if (!schedule) return false;
+
+  if (!(await isScheduleAuthentic(schedule))) {
+    console.warn('🚫 Rejected EMI schedule with invalid signature');
+    return false;
+  }
+
+  const current = await getSchedule();
+  if (current && schedule.version < current.version) {
+    console.warn(`🚫 Rejected stale EMI schedule v${schedule.version} (have v${current.version})`);
+    return false;
+  }
+
+  await secureStorage.setSignedItem(SCHEDULE_KEY, schedule);
+  if (!current || schedule.version > current.version) {
+    // Cleared rather than deleted - a missing signed item reads as tampered
+    await secureStorage.setSignedItem(WAIVED_KEY, null);
+  }
+  console.log(`✅ EMI schedule v${schedule.version} stored`);
+  return true;
+}
+
+/**
+ * Work out where the customer stands against the schedule at a given time.
+ * Pure function - no storage access.
+ */
+export function evaluateSchedule(schedule, now) {
+  const unpaid = schedule.installments
+    .filter((item) => !item.paid)
+    .sort((a, b) => Date.parse(a.dueDate) - Date.parse(b.dueDate));
+
+  if (unpaid.length === 0) {
+    return { stage: EMI_STAGES.COMPLETED, installment: null, overdueDays: 0 };
+  }
+
+  const installment = unpaid[0];
+  const dueAt = Date.parse(installment.dueDate);
+  const graceMs = (schedule.graceDays || 0) * DAY_MS;
+  const reminderMs = (schedule.reminderDays || 0) * DAY_MS;
+  const overdueDays = Math.max(0, Math.floor((now - dueAt) / DAY_MS));
+
+  let stage = EMI_STAGES.NONE;
+  if (now > dueAt + graceMs) {
+    stage = EMI_STAGES.LOCK;
+  } else if (now > dueAt) {
+    stage = EMI_STAGES.WARNING;
+  } else if (now >= dueAt - reminderMs) {
+    stage = EMI_STAGES.REMINDER;
+  }
+
+  return { stage, installment, overdueDays, graceEndsAt: dueAt + graceMs };
+}
+
+// Notify once per installment per stage
+async function notifyOnce(installment, stage, title, body) {
+  const raw = await AsyncStorage.getItem(NOTIFIED_KEY);
+  const notified = raw ? JSON.parse(raw) : {};
+  const marker = `${installment.number}:${stage}`;
+  if (notified[marker]) return;
+
+  await sendLocalNotification(title, body);
+  notified[marker] = Date.now();
+  await AsyncStorage.setItem(NOTIFIED_KEY, JSON.stringify(notified));
+}
+
+/**
+ * Apply the schedule to local lock state.
+ * Only undoes locks that the schedule itself applied - a lock sent by the
+ * server stays until the server unlocks it.
+ */
+export async function enforceSchedule() {
+  const [stored, time] = await Promise.all([readStoredSchedule(), getTrustedTime()]);
+  if (stored.tampered || time.tampered) {
+    await lockForTampering(stored.tampered ? 'emi_schedule_tampered' : 'trusted_clock_tampered');
+    return null;
+  }
+
+  const schedule = await getSchedule();
+  if (!schedule) return null;
+
+  const { now, trusted } = time;
+  const result = evaluateSchedule(schedule, now);
+  const { stage, installment, overdueDays, graceEndsAt } = result;
+
+  const [{ isLocked, lockLevel, lockSource }, waived] = await Promise.all([
+    loadLockState(),
+    getWaivedInstallment(),
+  ]);
+
+  if (stage === EMI_STAGES.LOCK && waived !== installment.number) {
+    // A server nag doesn't stop the schedule from escalating to a full lock
+    if (!isLocked || lockLevel === LOCK_LEVELS.NAG) {
+      const message = t('notifications.scheduleLockMessage', {
+        amount: formatAmount(installment.amount),
+        count: overdueDays,
+      });
+      console.log('🔒 EMI grace period over - locking device locally');
+      await lockDevice({
+        message,
+        level: LOCK_LEVELS.FULL,
+        source: 'schedule',
+        eventId: newLockEventId(schedule, installment),
+      });
+      await sendLocalNotification(t('notifications.lockedTitle'), message);
+    }
+    return result;
+  }
+
+  // Device time (before the first sync) may lock but never unlock
+  if (isLocked && lockSource === 'schedule' && trusted) {
+    console.log('🔓 EMI schedule no longer overdue - removing local lock');
+    await unlockDevice();
+    await sendLocalNotification(t('notifications.unlockedTitle'), t('notifications.paidUnlockedBody'));
+  }
+
+  if (stage === EMI_STAGES.WARNING) {
+    const daysLeft = Math.max(1, Math.ceil((graceEndsAt - now) / DAY_MS));
+    await notifyOnce(
+      installment,
+      stage,
+      t('notifications.overdueTitle'),
+      t('notifications.overdueBody', { amount: formatAmount(installment.amount), count: daysLeft })
+    );
+  } else if (stage === EMI_STAGES.REMINDER) {
+    await notifyOnce(
+      installment,
+      stage,
+      t('notifications.reminderTitle'),
+      t('notifications.dueReminderBody', {
+        amount: formatAmount(installment.amount),
+        date: formatDate(installment.dueDate),
+      })
+    );
+  }
+
+  return result;
+}
+
+/**
+ * The server unlocked the device - don't re-lock for the installment that is
+ * currently overdue until a newer schedule arrives (it was likely just paid)
+ */
+export async function waiveCurrentInstallment() {
+  const schedule = await getSchedule();
+  if (!schedule) return;
+
+  const { installment } = evaluateSchedule(schedule, await getTrustedNow());
+  if (installment) {
+    await secureStorage.setSignedItem(WAIVED_KEY, installment.number);
+  }
+}
+
+// Merge a fresh server schedule (if any) and re-evaluate - called after every successful sync
+export async function reconcileSchedule(serverSchedule) {
+  if (serverSchedule) {
+    await saveSchedule(serverSchedule);
+  }
+  return enforceSchedule();
+}
+
+export default {
+  EMI_STAGES,
+  getSchedule,
+  saveSchedule,
+  evaluateSchedule,
+  enforceSchedule,
+  waiveCurrentInstallment,
+  reconcileSchedule,
+};
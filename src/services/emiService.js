@@ -0,0 +1,48 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { deviceAPI } from '../config/api';
+
+const SUMMARY_KEY = 'emiSummary';
+
+/**
+ * EMI Summary Service
+ * Customer-facing loan summary (installments, next due, payment history),
+ * cached so the dashboard still works offline.
+ *
+ * Summary payload (GET /device/emi/:key):
+ *   { totalInstallments, paidInstallments, totalAmount, paidAmount,
+ *     nextDue: { dueDate, amount } | null, overdueDays,
+ *     payments: [{ id, paidAt, amount, method, reference }] }
+ */
+
+// Last cached summary, or null if never fetched
+export async function getCachedEmiSummary() {
+  try {
+    const raw = await AsyncStorage.getItem(SUMMARY_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.error('Error reading cached EMI summary:', error);
+    return null;
+  }
+}
+
+/**
+ * Fetch a fresh summary from the server and cache it.
+ * Falls back to the cached copy (flagged as stale) when offline.
+ */
+export async function fetchEmiSummary(key) {
+  try {
+    const response = await deviceAPI.getEmiSummary(key);
+    const cached = { summary: response.data.data, cachedAt: Date.now(), stale: false };
+    await AsyncStorage.setItem(SUMMARY_KEY, JSON.stringify(cached));
+    return cached;
+  } catch (error) {
+    console.log('Failed to fetch EMI summary, using cache');
+    const cached = await getCachedEmiSummary();
+    return cached ? { ...cached, stale: true } : null;
+  }
+}
+
+export default {
+  getCachedEmiSummary,
+  fetchEmiSummary,
+};
@@ -1,8 +1,179 @@
-import { NativeModules, Platform } from 'react-native';
+import { NativeModules, DeviceEventEmitter, Platform } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import secureStorage from './secureStorage';
+import { sendOrQueue } from './outbox';
+import { PUBLIC_KEY_STORAGE_KEY } from './commandVerifier';
+import { canonicalize, verifySignature } from '../utils/signature';
 
 const { DeviceAdminModule } = NativeModules;
 
+// Always allowed in lock task mode: the system emergency dialer (it lives in
+// com.android.phone and can only call emergency numbers) and telecom, which
+// shows the in-call screen. The full phone apps can dial anyone, so they are
+// not on this list.
+export const EMERGENCY_PACKAGES = [
+  'com.android.phone',
+  'com.android.server.telecom',
+];
+
+// Full phone apps - part of a soft lock (under a full lock calls are placed by placeCall)
+export const DIALER_PACKAGES = [
+  'com.android.dialer',
+  'com.google.android.dialer',
+  'com.samsung.android.dialer',
+];
+
+// Messaging apps allowed under a soft lock
+export const SMS_PACKAGES = [
+  'com.google.android.apps.messaging',
+  'com.android.mms',
+  'com.samsung.android.messaging',
+];
+
+// Common UPI apps - usable under a soft lock so the customer can pay
+export const UPI_PACKAGES = [
+  'com.google.android.apps.nbu.paisa.user', // Google Pay
+  'com.phonepe.app',
+  'net.one97.paytm',
+  'in.org.npci.upiapp', // BHIM
+];
+
+// Apps that may open while a payment is in progress (granted only for the payment window)
+export const PAYMENT_PACKAGES = [
+  ...UPI_PACKAGES,
+  'in.amazon.mShop.android.shopping',
+  'com.android.chrome',
+];
+
+// Graduated enforcement, from a dismissable reminder to a full brick
+export const LOCK_LEVELS = {
+  NAG: 'nag',
+  SOFT: 'soft',
+  FULL: 'full',
+};
+
+// What each lock level enforces: whether kiosk mode is used, whether the
+// phone apps stay usable, which extra apps may run inside it and whether the
+// server-managed allowlist applies (it replaces the built-in packages when the
+// server has sent one). The allowlist is for soft locks only - a full lock
+// ignores its packages and features, whatever the server sends.
+const LOCK_PROFILES = {
+  [LOCK_LEVELS.NAG]: { kiosk: false, dialer: false, packages: [], allowlist: false },
+  [LOCK_LEVELS.SOFT]: { kiosk: true, dialer: true, packages: [...SMS_PACKAGES, ...UPI_PACKAGES], allowlist: true },
+  [LOCK_LEVELS.FULL]: { kiosk: true, dialer: false, packages: [], allowlist: false },
+};
+
+// System UI that may stay available in lock task mode
+// (DevicePolicyManager.LOCK_TASK_FEATURE_*, mapped natively by name)
+export const LOCK_TASK_FEATURES = [
+  'systemInfo',
+  'notifications',
+  'home',
+  'overview',
+  'globalActions',
+  'keyguard',
+];
+
+const ALLOWLIST_KEY = 'lockAllowlist';
+const PACKAGE_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*(\.[a-zA-Z][a-zA-Z0-9_]*)+$/;
+
+// Signed like commands and the EMI schedule, with the key pinned at activation
+export const ALLOWLIST_SIGNED_FIELDS = ['keyId', 'deviceId', 'version', 'issuedAt', 'packages', 'features'];
+
+// Unknown levels fall back to the strictest profile
+export const normalizeLockLevel = (level) =>
+  (LOCK_PROFILES[level] ? level : LOCK_LEVELS.FULL);
+
+export const getLockProfile = (level) => LOCK_PROFILES[normalizeLockLevel(level)];
+
+// Apps allowed by the current lock level, kept when temporary allowances end
+let levelPackages = [];
+let temporaryPackages = [];
+
+// Verify the allowlist was signed by the server for this device
+const isAllowlistAuthentic = async (allowlist) => {
+  if (!allowlist?.signature || !Number.isInteger(allowlist.version) || !Array.isArray(allowlist.packages)) {
+    return false;
+  }
+
+  const [publicKey, keyId, deviceId] = await Promise.all([
+    secureStorage.getItem(PUBLIC_KEY_STORAGE_KEY),
+    secureStorage.getItem('keyId'),
+    secureStorage.getItem('deviceId'),
+  ]);
+  if (!publicKey || allowlist.keyId !== keyId || allowlist.deviceId !== deviceId) {
+    return false;
+  }
+
+  return verifySignature(
+    canonicalize({ ...allowlist, features: allowlist.features || [] }, ALLOWLIST_SIGNED_FIELDS),
+    allowlist.signature,
+    publicKey
+  );
+};
+
+const readStoredAllowlist = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(ALLOWLIST_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Store the signed allowlist delivered with the device status:
+ * { keyId, deviceId, version, issuedAt, packages: ['com.example.app', ...],
+ *   features: ['globalActions', ...], signature }
+ * Unsigned, foreign or older allowlists are rejected.
+ * Returns true if the stored allowlist changed.
+ */
+export const saveAllowlist = async (allowlist) => {
+  if (!allowlist) return false;
+
+  if (!(await isAllowlistAuthentic(allowlist))) {
+    console.warn('🚫 Rejected lock allowlist with invalid signature');
+    return false;
+  }
+
+  const previous = await readStoredAllowlist();
+  if (previous && previous.version >= allowlist.version) return false;
+
+  await AsyncStorage.setItem(ALLOWLIST_KEY, JSON.stringify(allowlist));
+  console.log(`📋 Lock allowlist v${allowlist.version} saved`);
+  return true;
+};
+
+/**
+ * The stored server allowlist as { packages, features }, or null if the
+ * server hasn't sent one. Re-verified on every read so local edits are ignored;
+ * invalid package names and unknown features are dropped.
+ */
+export const getAllowlist = async () => {
+  const stored = await readStoredAllowlist();
+  if (!stored) return null;
+
+  if (!(await isAllowlistAuthentic(stored))) {
+    console.warn('⚠️ Stored lock allowlist failed verification - ignoring');
+    return null;
+  }
+
+  return {
+    packages: [...new Set(stored.packages.filter((name) => PACKAGE_NAME_PATTERN.test(name)))],
+    features: (stored.features || []).filter((feature) => LOCK_TASK_FEATURES.includes(feature)),
+  };
+};
+
+// Packages (besides this app and the emergency dialer) a lock level lets the user open
+export const getLevelPackages = async (level) => {
+  const profile = getLockProfile(level);
+  if (!profile.kiosk) return [];
+
+  const allowlist = profile.allowlist ? await getAllowlist() : null;
+  const packages = allowlist ? allowlist.packages : profile.packages;
+  return profile.dialer ? [...new Set([...DIALER_PACKAGES, ...packages])] : packages;
+};
+
 /**
  * Kiosk Mode Service
  * Handles device lockdown, app hiding, and kiosk mode operations
@@ -21,6 +192,19 @@ export const isDeviceAdmin = async () => {
   }
 };
 
+// Check if this app is the device owner (required for kiosk mode and restrictions)
+export const isDeviceOwner = async () => {
+  if (Platform.OS !== 'android' || !DeviceAdminModule) {
+    return false;
+  }
+  try {
+    return await DeviceAdminModule.isDeviceOwner();
+  } catch (error) {
+    console.error('Error checking device owner:', error);
+    return false;
+  }
+};
+
 // Request device admin privileges
 export const requestDeviceAdmin = async () => {
   if (Platform.OS !== 'android' || !DeviceAdminModule) {
@@ -68,6 +252,109 @@ export const stopLockTaskMode = async () => {
   }
 };
 
+// Set which other apps may run while lock task mode is active
+// (the native module always keeps this app in the list; the emergency dialer
+// and the current lock level's apps are always added)
+export const setLockTaskPackages = async (packages = []) => {
+  if (Platform.OS !== 'android' || !DeviceAdminModule) {
+    return false;
+  }
+  try {
+    const allowed = [...new Set([...EMERGENCY_PACKAGES, ...levelPackages, ...temporaryPackages, ...packages])];
+    await DeviceAdminModule.setLockTaskPackages(allowed);
+    console.log('✅ Lock task packages set:', allowed);
+    return true;
+  } catch (error) {
+    console.error('Error setting lock task packages:', error);
+    return false;
+  }
+};
+
+// Set which system UI stays available in lock task mode (see LOCK_TASK_FEATURES)
+export const setLockTaskFeatures = async (features = []) => {
+  if (Platform.OS !== 'android' || !DeviceAdminModule) {
+    return false;
+  }
+  try {
+    await DeviceAdminModule.setLockTaskFeatures(features);
+    console.log('✅ Lock task features set:', features);
+    return true;
+  } catch (error) {
+    console.error('Error setting lock task features:', error);
+    return false;
+  }
+};
+
+let temporaryAllowTimer = null;
+
+// Allow extra apps (e.g. UPI apps during payment) for a limited time, then revert
+export const allowPackagesTemporarily = async (packages, durationMs = 10 * 60 * 1000) => {
+  if (temporaryAllowTimer) clearTimeout(temporaryAllowTimer);
+
+  temporaryPackages = packages;
+  const allowed = await setLockTaskPackages();
+  temporaryAllowTimer = setTimeout(() => {
+    temporaryAllowTimer = null;
+    temporaryPackages = [];
+    setLockTaskPackages();
+  }, durationMs);
+  return allowed;
+};
+
+// Revoke any temporary allowance immediately
+export const revokeTemporaryPackages = async () => {
+  if (temporaryAllowTimer) {
+    clearTimeout(temporaryAllowTimer);
+    temporaryAllowTimer = null;
+  }
+  temporaryPackages = [];
+  return setLockTaskPackages();
+};
+
+/**
+ * Installed, launchable apps among the given packages, for the lock screen grid.
+ * Returns [{ packageName, label, icon }] where icon is a base64 PNG.
+ */
+export const getLaunchableApps = async (packages) => {
+  if (Platform.OS !== 'android' || !DeviceAdminModule) {
+    return [];
+  }
+  try {
+    return await DeviceAdminModule.getLaunchableApps(packages);
+  } catch (error) {
+    console.error('Error listing launchable apps:', error);
+    return [];
+  }
+};
+
+// Launch an allowed app inside lock task mode
+export const launchApp = async (packageName) => {
+  if (Platform.OS !== 'android' || !DeviceAdminModule) {
+    return false;
+  }
+  try {
+    await DeviceAdminModule.launchApp(packageName);
+    return true;
+  } catch (error) {
+    console.error(`Error launching ${packageName}:`, error);
+    return false;
+  }
+};
+
+// Call a number directly, without a dialer app - works under every lock level
+export const placeCall = async (number) => {
+  if (Platform.OS !== 'android' || !DeviceAdminModule) {
+    return false;
+  }
+  try {
+    await DeviceAdminModule.placeCall(number);
+    return true;
+  } catch (error) {
+    console.error('Error placing call:', error);
+    return false;
+  }
+};
+
 // Hide app from launcher
 export const hideAppFromLauncher = async () => {
   if (Platform.OS !== 'android' || !DeviceAdminModule) {
@@ -146,9 +433,124 @@ export const setUserRestrictions = async (enable = true) => {
   }
 };
 
-// Full lockdown (kiosk + hide + restrictions)
-export const enableFullLockdown = async () => {
-  console.log('🔒 Enabling full lockdown...');
+// Factory reset the device (device_admin.xml declares <wipe-data />).
+// Only returns if the wipe could not be started.
+export const wipeData = async () => {
+  if (Platform.OS !== 'android' || !DeviceAdminModule) {
+    console.warn('Wipe only available on Android native builds');
+    return false;
+  }
+  try {
+    await DeviceAdminModule.wipeData();
+    return true;
+  } catch (error) {
+    console.error('Error wiping device:', error);
+    return false;
+  }
+};
+
+// Admin extras bundle from the provisioning QR code ({ activationKey, ... }), or null
+export const getProvisioningExtras = async () => {
+  if (Platform.OS !== 'android' || !DeviceAdminModule) {
+    return null;
+  }
+  try {
+    const extras = await DeviceAdminModule.getProvisioningExtras();
+    return extras ? JSON.parse(extras) : null;
+  } catch (error) {
+    console.error('Error reading provisioning extras:', error);
+    return null;
+  }
+};
+
+// Forget the provisioning extras once they have been used to activate
+export const clearProvisioningExtras = async () => {
+  if (Platform.OS !== 'android' || !DeviceAdminModule) {
+    return false;
+  }
+  try {
+    return await DeviceAdminModule.clearProvisioningExtras();
+  } catch (error) {
+    console.error('Error clearing provisioning extras:', error);
+    return false;
+  }
+};
+
+// Device admin lifecycle events raised by AdminReceiver
+export const ADMIN_EVENTS = {
+  ENABLED: 'admin_enabled',
+  DISABLE_REQUESTED: 'admin_disable_requested',
+  DISABLED: 'admin_disabled',
+  PASSWORD_FAILED: 'password_failed',
+  PROVISIONING_COMPLETE: 'provisioning_complete',
+};
+
+const ADMIN_EVENT_NAME = 'DeviceAdminEvent';
+const ADMIN_EVENTS_KEY = 'adminEvents';
+const MAX_STORED_ADMIN_EVENTS = 100;
+
+let adminEventQueue = Promise.resolve();
+
+async function drainAdminEvents() {
+  const events = JSON.parse(await DeviceAdminModule.consumeAdminEvents());
+  if (events.length === 0) return events;
+
+  const stored = await AsyncStorage.getItem(ADMIN_EVENTS_KEY);
+  const history = [...(stored ? JSON.parse(stored) : []), ...events].slice(-MAX_STORED_ADMIN_EVENTS);
+  await AsyncStorage.setItem(ADMIN_EVENTS_KEY, JSON.stringify(history));
+
+  const keyId = await secureStorage.getItem('keyId') || await secureStorage.getItem('activationKey');
+  for (const event of events) {
+    console.log('🛡️ Device admin event:', event.type);
+    await sendOrQueue('adminEvent', {
+      keyId,
+      eventId: event.id,
+      type: event.type,
+      details: event.details || null,
+      occurredAt: new Date(event.occurredAt).toISOString(),
+    });
+  }
+  return events;
+}
+
+// Move admin events queued by the native receiver into local history and the outbox
+export const syncAdminEvents = () => {
+  if (Platform.OS !== 'android' || !DeviceAdminModule) {
+    return Promise.resolve([]);
+  }
+  // One drain at a time, so events signalled mid-drain are picked up by the next one
+  const run = adminEventQueue.then(drainAdminEvents).catch((error) => {
+    console.error('Error syncing device admin events:', error);
+    return [];
+  });
+  adminEventQueue = run;
+  return run;
+};
+
+// Locally stored admin event history, oldest first
+export const getAdminEvents = async () => {
+  const stored = await AsyncStorage.getItem(ADMIN_EVENTS_KEY);
+  return stored ? JSON.parse(stored) : [];
+};
+
+/**
+ * Report admin events as they happen (and any queued while the app wasn't
+ * running). Returns an unsubscribe function.
+ */
+export const startAdminEventSync = () => {
+  if (Platform.OS !== 'android' || !DeviceAdminModule) {
+    return () => {};
+  }
+  const subscription = DeviceEventEmitter.addListener(ADMIN_EVENT_NAME, () => syncAdminEvents());
+  syncAdminEvents();
+  return () => subscription.remove();
+};
+
+// Lockdown for a lock level (kiosk + hide + restrictions).
+// Only kiosk levels are valid here - a nag lock needs no lockdown.
+export const enableLockdown = async (level = LOCK_LEVELS.FULL) => {
+  const profile = getLockProfile(level);
+  console.log(`🔒 Enabling ${normalizeLockLevel(level)} lockdown...`);
   
   const results = {
     deviceAdmin: await isDeviceAdmin(),
@@ -163,37 +565,78 @@ export const enableFullLockdown = async () => {
     return results;
   }
 
+  // Keep the emergency dialer (and the level's apps) reachable before pinning the screen
+  const allowlist = profile.allowlist ? await getAllowlist() : null;
+  levelPackages = await getLevelPackages(level);
+  await setLockTaskPackages();
+  await setLockTaskFeatures(allowlist ? allowlist.features : []);
   results.kioskMode = await startLockTaskMode();
   results.appHidden = await hideAppFromLauncher();
   results.statusBarDisabled = await disableStatusBar();
   results.restrictionsSet = await setUserRestrictions(true);
 
-  console.log('🔒 Full lockdown results:', results);
+  console.log('🔒 Lockdown results:', results);
   return results;
 };
 
+// Full lockdown (kiosk + hide + restrictions)
+export const enableFullLockdown = () => enableLockdown(LOCK_LEVELS.FULL);
+
 // Disable full lockdown
 export const disableFullLockdown = async () => {
   console.log('🔓 Disabling full lockdown...');
+  levelPackages = [];
+  temporaryPackages = [];
+
+  const results = {
+    kioskModeStopped: await stopLockTaskMode(),
+    appShown: await showAppInLauncher(),
+    statusBarEnabled: await enableStatusBar(),
+    restrictionsCleared: await setUserRestrictions(false),
+  };
   
-  await stopLockTaskMode();
-  await showAppInLauncher();
-  await enableStatusBar();
-  await setUserRestrictions(false);
-  
-  console.log('🔓 Full lockdown disabled');
+  console.log('🔓 Full lockdown disabled:', results);
+  return results;
 };
 
 export default {
+  EMERGENCY_PACKAGES,
+  DIALER_PACKAGES,
+  SMS_PACKAGES,
+  UPI_PACKAGES,
+  PAYMENT_PACKAGES,
+  LOCK_LEVELS,
+  LOCK_TASK_FEATURES,
+  normalizeLockLevel,
+  getLockProfile,
+  saveAllowlist,
+  getAllowlist,
+  getLevelPackages,
   isDeviceAdmin,
+  isDeviceOwner,
   requestDeviceAdmin,
   startLockTaskMode,
   stopLockTaskMode,
+  setLockTaskPackages,
+  setLockTaskFeatures,
+  allowPackagesTemporarily,
+  revokeTemporaryPackages,
+  getLaunchableApps,
+  launchApp,
+  placeCall,
   hideAppFromLauncher,
   showAppInLauncher,
   disableStatusBar,
   enableStatusBar,
   setUserRestrictions,
+  wipeData,
+  getProvisioningExtras,
+  clearProvisioningExtras,
+  ADMIN_EVENTS,
+  syncAdminEvents,
+  getAdminEvents,
+  startAdminEventSync,
+  enableLockdown,
   enableFullLockdown,
   disableFullLockdown,
 };
@@ -0,0 +1,195 @@
+import {
+  LOCK_LEVELS,
+  getLockProfile,
+  enableLockdown,
+  disableFullLockdown,
+  startLockTaskMode,
+  stopLockTaskMode,
+  hideAppFromLauncher,
+  showAppInLauncher,
+  disableStatusBar,
+  enableStatusBar,
+  setUserRestrictions,
+} from './kioskService';
+import { loadLockState, setLocked, setUnlocked, setLockPhase, reportTampering } from './lockStateStore';
+
+/**
+ * Lock Controller
+ * State machine that owns every lock/unlock side-effect:
+ *
+ *   unlocked → locking → locked → unlocking → unlocked
+ *
+ * Every execution path (push, poll, background task, realtime, EMI schedule,
+ * unlock codes) goes through here, so kiosk mode, status bar and user
+ * restrictions always match the lock state. The phase is kept in the signed
+ * lock record (lockStateStore) so an interrupted transition is completed on
+ * the next boot or resume. The lock itself and the phase starting a
+ * transition are written together, so an unlock is only ever completed once
+ * the signed record already says unlocked.
+ *
+ * Lock levels: a 'nag' lock is UI only (dismissable overlay, no lockdown);
+ * 'soft' and 'full' locks apply kiosk lockdown with the level's allowlist.
+ */
+
+export const LOCK_PHASES = {
+  UNLOCKED: 'unlocked',
+  LOCKING: 'locking',
+  LOCKED: 'locked',
+  UNLOCKING: 'unlocking',
+};
+
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 2000;
+
+// Individual kiosk steps, keyed like the enable/disableFullLockdown results
+const LOCK_STEPS = {
+  kioskMode: startLockTaskMode,
+  appHidden: hideAppFromLauncher,
+  statusBarDisabled: disableStatusBar,
+  restrictionsSet: () => setUserRestrictions(true),
+};
+
+const UNLOCK_STEPS = {
+  kioskModeStopped: stopLockTaskMode,
+  appShown: showAppInLauncher,
+  statusBarEnabled: enableStatusBar,
+  restrictionsCleared: () => setUserRestrictions(false),
+};
+
+let transitionQueue = Promise.resolve();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export async function getLockPhase() {
+  const { isLocked, phase } = await loadLockState();
+  if (phase) return phase;
+  return isLocked ? LOCK_PHASES.LOCKED : LOCK_PHASES.UNLOCKED;
+}
+
+// Run transitions one at a time so a lock and an unlock can't interleave
+const serialize = (transition) => {
+  const run = transitionQueue.then(transition);
+  transitionQueue = run.catch(() => {});
+  return run;
+};
+
+// Retry only the steps the results object reports as failed
+async function retryFailedSteps(results, steps) {
+  let failed = Object.keys(steps).filter((step) => !results[step]);
+
+  for (let attempt = 1; attempt < MAX_ATTEMPTS && failed.length > 0; attempt++) {
+    console.log(`🔁 Retrying kiosk steps (attempt ${attempt + 1}):`, failed);
+    await sleep(RETRY_DELAY_MS * attempt);
+    for (const step of failed) {
+      results[step] = await steps[step]();
+    }
+    failed = failed.filter((step) => !results[step]);
+  }
+
+  if (failed.length > 0) {
+    console.warn('⚠️ Kiosk steps still failing:', failed);
+  }
+  return results;
+}
+
+async function applyLockdown(level) {
+  const results = await enableLockdown(level);
+  if (!results.deviceAdmin) {
+    // Nothing to retry without admin rights - the lock screen still covers the UI
+    return results;
+  }
+  return retryFailedSteps(results, LOCK_STEPS);
+}
+
+async function releaseLockdown() {
+  const results = await disableFullLockdown();
+  return retryFailedSteps(results, UNLOCK_STEPS);
+}
+
+// Apply the kiosk side of a lock level, releasing lockdown when stepping down to a nag
+async function enforceLevel(level, wasKiosk) {
+  if (getLockProfile(level).kiosk) {
+    return applyLockdown(level);
+  }
+  return wasKiosk ? releaseLockdown() : null;
+}
+
+/**
+ * Lock the device at the given level and apply its kiosk lockdown.
+ * Also used to escalate or de-escalate an existing lock.
+ * options: { message, level, source, eventId } - see lockStateStore.setLocked
+ */
+export function lockDevice(options = {}) {
+  return serialize(async () => {
+    const previous = await loadLockState();
+    const wasKiosk = previous.isLocked && getLockProfile(previous.lockLevel).kiosk;
+
+    await setLocked({ ...options, phase: LOCK_PHASES.LOCKING });
+    const results = await enforceLevel(options.level || LOCK_LEVELS.FULL, wasKiosk);
+    await setLockPhase(LOCK_PHASES.LOCKED);
+    return results;
+  });
+}
+
+// Unlock the device and release every kiosk restriction
+export function unlockDevice() {
+  return serialize(async () => {
+    await setUnlocked({ phase: LOCK_PHASES.UNLOCKING });
+    const results = await releaseLockdown();
+    await setLockPhase(LOCK_PHASES.UNLOCKED);
+    return results;
+  });
+}
+
+/**
+ * Fail closed when other signed local state (EMI schedule, trusted clock) was
+ * edited or deleted: full lock with source 'integrity', reported to the seller
+ * as `type`. An existing integrity lock is kept as it is, so its unlock code
+ * stays valid.
+ */
+export async function lockForTampering(type) {
+  const { isLocked, lockSource } = await loadLockState();
+  if (isLocked && lockSource === 'integrity') return;
+
+  const eventId = `integrity-${Date.now()}`;
+  console.warn(`🚨 ${type} - locking device`);
+  await lockDevice({ message: '', level: LOCK_LEVELS.FULL, source: 'integrity', eventId });
+  reportTampering(eventId, type).catch((error) => console.error('Error reporting tampering:', error));
+}
+
+/**
+ * Make the device match its stored lock state - on boot and whenever the app
+ * comes back to the foreground. Finishes any transition that was interrupted.
+ */
+export function reassertLockState() {
+  return serialize(async () => {
+    const [phase, { isLocked, lockLevel }] = await Promise.all([getLockPhase(), loadLockState()]);
+
+    // The signed record decides - a phase never unlocks a record that says locked
+    if (!isLocked) {
+      if (phase !== LOCK_PHASES.UNLOCKED) {
+        console.log('🔓 Completing interrupted unlock');
+        await releaseLockdown();
+        await setLockPhase(LOCK_PHASES.UNLOCKED);
+      }
+      return;
+    }
+
+    if (getLockProfile(lockLevel).kiosk) {
+      console.log(`🔒 Re-asserting ${lockLevel} lockdown`);
+      await applyLockdown(lockLevel);
+    }
+    if (phase !== LOCK_PHASES.LOCKED) {
+      await setLockPhase(LOCK_PHASES.LOCKED);
+    }
+  });
+}
+
+export default {
+  LOCK_PHASES,
+  getLockPhase,
+  lockDevice,
+  unlockDevice,
+  lockForTampering,
+  reassertLockState,
+};
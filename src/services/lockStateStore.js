@@ -0,0 +1,163 @@
+import secureStorage from './secureStorage';
+import { LOCK_LEVELS, normalizeLockLevel } from './kioskService';
+import { sendOrQueue } from './outbox';
+
+/**
+ * Lock State Store
+ * Single source of truth for whether the device is locked. Writers (command
+ * handler, EMI scheduler, unlock codes) update it; the UI subscribes instead
+ * of polling AsyncStorage. State is persisted as one HMAC'd record (see
+ * secureStorage); if that record has been edited, deleted or rolled back the
+ * device locks itself ('integrity' source) until the seller unlocks it.
+ * The record also carries the lock controller's transition phase, so an
+ * interrupted lock or unlock can't be steered from outside.
+ */
+
+const RECORD_KEY = 'lockState';
+
+const UNLOCKED_STATE = {
+  isLocked: false,
+  lockMessage: '',
+  lockLevel: null,
+  lockSource: null,
+  lockEventId: null,
+  // See lockController LOCK_PHASES; null when no phase was recorded
+  phase: null,
+};
+
+let state = { ...UNLOCKED_STATE };
+let hydrated = null;
+const listeners = new Set();
+
+const notify = () => {
+  listeners.forEach((listener) => {
+    try {
+      listener(state);
+    } catch (error) {
+      console.error('Lock state listener error:', error);
+    }
+  });
+};
+
+const persist = () => secureStorage.setSignedItem(RECORD_KEY, state);
+
+// Tell the seller why the device locked; the event id doubles as the lock id for an offline unlock code
+export async function reportTampering(eventId, type = 'lock_state_tampered') {
+  const keyId = await secureStorage.getItem('keyId');
+  await sendOrQueue('adminEvent', {
+    keyId,
+    eventId,
+    type,
+    details: null,
+    occurredAt: new Date().toISOString(),
+  });
+}
+
+// Fail closed: a lock record that doesn't verify is treated as a full lock
+async function lockForTampering() {
+  const eventId = `integrity-${Date.now()}`;
+  console.warn('🚨 Lock state failed verification - locking device');
+  state = {
+    isLocked: true,
+    lockMessage: '',
+    lockLevel: LOCK_LEVELS.FULL,
+    lockSource: 'integrity',
+    lockEventId: eventId,
+  };
+  await persist();
+  reportTampering(eventId).catch((error) => console.error('Error reporting lock state tampering:', error));
+}
+
+// Load persisted state once per JS context (app start or headless background task),
+// then resolve to the current state rather than the one first loaded
+export function loadLockState() {
+  if (!hydrated) {
+    hydrated = (async () => {
+      const [{ value, tampered }, activated] = await Promise.all([
+        secureStorage.getSignedItem(RECORD_KEY),
+        secureStorage.hasItem('keyId'),
+      ]);
+      // Activation writes the record, so an activated device without one has had it deleted
+      if (tampered || (!value && activated)) {
+        await lockForTampering();
+      } else if (value) {
+        state = {
+          ...UNLOCKED_STATE,
+          ...value,
+          // Locks stored before levels existed were always full locks
+          lockLevel: value.isLocked ? normalizeLockLevel(value.lockLevel) : null,
+        };
+      }
+      notify();
+    })();
+  }
+  return hydrated.then(() => state);
+}
+
+// Write the record the integrity check expects (at activation, before the keyId is saved)
+export async function initializeLockState() {
+  await loadLockState();
+  await persist();
+}
+
+// Current state (synchronous - call loadLockState first at startup)
+export function getLockState() {
+  return state;
+}
+
+/**
+ * Lock the device.
+ * level: 'nag' | 'soft' | 'full' (unknown levels are treated as 'full')
+ * source: 'server' | 'schedule' | 'integrity'; eventId identifies the lock for offline unlock codes
+ * phase: lock controller phase, written in the same record
+ */
+export async function setLocked({
+  message = '',
+  level = LOCK_LEVELS.FULL,
+  source = 'server',
+  eventId = null,
+  phase = null,
+} = {}) {
+  await loadLockState();
+  state = {
+    isLocked: true,
+    lockMessage: message,
+    lockLevel: normalizeLockLevel(level),
+    lockSource: source,
+    lockEventId: eventId,
+    phase,
+  };
+  await persist();
+  notify();
+}
+
+export async function setUnlocked({ phase = null } = {}) {
+  await loadLockState();
+  state = { ...UNLOCKED_STATE, phase };
+  await persist();
+  notify();
+}
+
+// Record the lock controller's phase without changing the lock itself
+export async function setLockPhase(phase) {
+  await loadLockState();
+  state = { ...state, phase };
+  await persist();
+}
+
+// Subscribe to changes. Returns an unsubscribe function.
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export default {
+  loadLockState,
+  reportTampering,
+  initializeLockState,
+  getLockState,
+  setLocked,
+  setUnlocked,
+  setLockPhase,
+  subscribe,
+};
@@ -0,0 +1,215 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Network from 'expo-network';
+import { deviceAPI } from '../config/api';
+import { NetworkError, ValidationError } from '../api/errors';
+import { COMMAND_STATES, updateState } from './commandJournal';
+
+/**
+ * Outbox
+ * Persistent, ordered queue of reports for the server (command acks, device
+ * updates, offline unlocks, device admin events, TLS failures). Anything that can't be sent
+ * right away is kept and replayed in order once the network is back.
+ */
+
+const OUTBOX_KEY = 'outbox';
+const MAX_ENTRIES = 500;
+// Failed sends (other than being offline) before an entry is given up on
+const MAX_ATTEMPTS = 20;
+
+// How each entry type is delivered
+const senders = {
+  ack: async (payload) => {
+    await deviceAPI.acknowledgeCommand(payload);
+    if (payload.result === COMMAND_STATES.EXECUTED) {
+      await updateState(payload.commandId, COMMAND_STATES.ACKED);
+    } else {
+      await updateState(payload.commandId, payload.result, { ackedAt: Date.now() });
+    }
+  },
+  deviceUpdate: (payload) => deviceAPI.updateDeviceInfo(payload),
+  unlockReport: (payload) => deviceAPI.reportOfflineUnlock(payload),
+  adminEvent: (payload) => deviceAPI.reportAdminEvent(payload),
+  tlsFailure: (payload) => deviceAPI.reportTlsFailure(payload),
+};
+
+let flushInFlight = null;
+let writeQueue = Promise.resolve();
+
+const readOutbox = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(OUTBOX_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch (error) {
+    console.error('Error reading outbox:', error);
+    return [];
+  }
+};
+
+// Every change to the stored outbox goes through here, one at a time, so concurrent writers don't lose entries
+const withOutbox = (mutate) => {
+  const run = writeQueue.then(async () => {
+    const entries = await mutate(await readOutbox());
+    await AsyncStorage.setItem(OUTBOX_KEY, JSON.stringify(entries));
+  });
+  writeQueue = run.catch(() => {});
+  return run;
+};
+
+// Drop the oldest coalescible (telemetry) entries first, then the oldest of anything
+const capEntries = (entries) => {
+  let overflow = entries.length - MAX_ENTRIES;
+  if (overflow <= 0) return entries;
+
+  const kept = entries.filter((entry) => {
+    if (overflow > 0 && entry.coalesceKey) {
+      overflow--;
+      return false;
+    }
+    return true;
+  });
+  console.warn('⚠️ Outbox full - dropping oldest entries');
+  return kept.slice(Math.max(0, kept.length - MAX_ENTRIES));
+};
+
+/**
+ * Add an entry to the outbox. Entries sharing a coalesceKey replace each
+ * other, so only the latest telemetry snapshot is sent.
+ */
+export function enqueue(type, payload, { coalesceKey = null } = {}) {
+  return withOutbox((entries) => {
+    const filtered = coalesceKey ? entries.filter((entry) => entry.coalesceKey !== coalesceKey) : entries;
+
+    filtered.push({
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      type,
+      payload: { ...payload, queuedAt: payload.queuedAt || new Date().toISOString() },
+      coalesceKey,
+      createdAt: Date.now(),
+      attempts: 0,
+    });
+
+    return capEntries(filtered);
+  });
+}
+
+// Whether a failed entry should be dropped instead of holding up the queue
+const shouldDrop = (entry, error) => {
+  if (error instanceof ValidationError) {
+    // The server will never accept this one
+    console.error(`❌ Outbox entry ${entry.type} rejected by server, dropping:`, error.message);
+    return true;
+  }
+  if (!(error instanceof NetworkError) && entry.attempts >= MAX_ATTEMPTS) {
+    console.error(`❌ Outbox entry ${entry.type} failed ${entry.attempts} times, dropping:`, error.message);
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Send everything in the outbox, oldest first. Stops at the first entry that
+ * fails with a retryable error so ordering is preserved; being offline never
+ * uses up an entry's attempts.
+ */
+export function flushOutbox() {
+  if (!flushInFlight) {
+    flushInFlight = (async () => {
+      const entries = await readOutbox();
+      if (entries.length === 0) return 0;
+
+      let sent = 0;
+      const handledIds = new Set();
+      let failed = null;
+      for (const entry of entries) {
+        const send = senders[entry.type];
+        if (!send) {
+          console.error(`❌ Unknown outbox entry type ${entry.type}, dropping`);
+          handledIds.add(entry.id);
+          continue;
+        }
+
+        try {
+          await send(entry.payload);
+          sent++;
+          handledIds.add(entry.id);
+        } catch (error) {
+          if (!(error instanceof NetworkError)) {
+            entry.attempts++;
+          }
+          if (shouldDrop(entry, error)) {
+            handledIds.add(entry.id);
+            continue;
+          }
+          failed = entry;
+          break;
+        }
+      }
+
+      // Entries enqueued (or coalesced away) while we were flushing are left as they are
+      await withOutbox((latest) =>
+        latest
+          .filter((entry) => !handledIds.has(entry.id))
+          .map((entry) => (failed && entry.id === failed.id ? { ...entry, attempts: failed.attempts } : entry))
+      );
+
+      if (sent > 0) {
+        console.log(`📤 Outbox flushed: ${sent} sent, ${entries.length - handledIds.size} pending`);
+      }
+      return sent;
+    })().finally(() => {
+      flushInFlight = null;
+    });
+  }
+  return flushInFlight;
+}
+
+const flushInBackground = () => {
+  flushOutbox().catch((error) => console.error('Error flushing outbox:', error));
+};
+
+/**
+ * Send now if possible, otherwise queue. If older entries are still pending
+ * the new one is queued behind them to keep the server's record in order.
+ */
+export async function sendOrQueue(type, payload, options = {}) {
+  const pending = await readOutbox();
+  if (pending.length === 0) {
+    try {
+      await senders[type]({ ...payload, queuedAt: new Date().toISOString() });
+      return { sent: true };
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        console.error(`❌ ${type} rejected by server:`, error.message);
+        return { sent: false, rejected: true };
+      }
+    }
+  }
+
+  await enqueue(type, payload, options);
+  flushInBackground();
+  return { sent: false, queued: true };
+}
+
+// Number of entries waiting to be sent (for diagnostics)
+export async function getPendingCount() {
+  return (await readOutbox()).length;
+}
+
+// Flush whenever connectivity returns. Returns an unsubscribe function.
+export function startOutboxSync() {
+  flushInBackground();
+  const subscription = Network.addNetworkStateListener((state) => {
+    if (state.isConnected && state.isInternetReachable !== false) {
+      flushInBackground();
+    }
+  });
+  return () => subscription.remove();
+}
+
+export default {
+  enqueue,
+  flushOutbox,
+  sendOrQueue,
+  getPendingCount,
+  startOutboxSync,
+};
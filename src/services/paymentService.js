@@ -0,0 +1,129 @@
+import { Linking } from 'react-native';
+import secureStorage from './secureStorage';
+import { deviceAPI } from '../config/api';
+import { processCommand } from './deviceService';
+import { allowPackagesTemporarily, revokeTemporaryPackages, PAYMENT_PACKAGES } from './kioskService';
+
+/**
+ * Payment Service
+ * Lets a locked customer pay the overdue amount from the lock screen via a
+ * UPI intent or a server-issued payment link, then waits for the server to
+ * confirm and send a signed unlock.
+ */
+
+const PAYMENT_WINDOW_MS = 10 * 60 * 1000;
+const POLL_INTERVAL_MS = 5000;
+
+// Build a UPI deep link as per the NPCI UPI linking specification
+export function buildUpiLink({ vpa, payeeName, amount, note, transactionRef }) {
+  const params = [
+    ['pa', vpa],
+    ['pn', payeeName],
+    ['am', Number(amount).toFixed(2)],
+    ['cu', 'INR'],
+    ['tn', note],
+    ['tr', transactionRef],
+  ]
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+
+  return `upi://pay?${params}`;
+}
+
+/**
+ * Ask the server for a payment for the overdue amount and open it.
+ * Returns the payment ({ paymentId, amount, ... }) to poll on.
+ */
+export async function startPayment() {
+  const keyId = await secureStorage.getItem('keyId') || await secureStorage.getItem('activationKey');
+  const response = await deviceAPI.initiatePayment({ keyId });
+  const payment = response.data.data;
+
+  const url = payment.upi ? buildUpiLink(payment.upi) : payment.paymentLink;
+  if (!url) {
+    throw new Error('No payment method available');
+  }
+
+  // Let the payment apps run inside lock task mode for the payment window
+  await allowPackagesTemporarily(payment.allowedPackages || PAYMENT_PACKAGES, PAYMENT_WINDOW_MS);
+
+  try {
+    await Linking.openURL(url);
+  } catch (error) {
+    // No UPI app installed - fall back to the payment link if we have one
+    if (payment.upi && payment.paymentLink) {
+      await Linking.openURL(payment.paymentLink);
+    } else {
+      await revokeTemporaryPackages();
+      throw error;
+    }
+  }
+
+  console.log('💳 Payment started:', payment.paymentId);
+  return payment;
+}
+
+/**
+ * Poll the payment status until it succeeds, fails or the payment window ends.
+ * On success the signed unlock command from the server goes through the
+ * normal command pipeline. Returns a function that stops polling.
+ */
+export function pollPaymentStatus(paymentId, onStatusChange) {
+  const startedAt = Date.now();
+  let timer = null;
+  let stopped = false;
+
+  const finish = async (status) => {
+    stopped = true;
+    await revokeTemporaryPackages();
+    onStatusChange?.(status);
+  };
+
+  const poll = async () => {
+    if (stopped) return;
+
+    if (Date.now() - startedAt > PAYMENT_WINDOW_MS) {
+      await finish('expired');
+      return;
+    }
+
+    try {
+      const response = await deviceAPI.getPaymentStatus(paymentId);
+      const { status, command } = response.data.data;
+
+      if (status === 'success') {
+        console.log('✅ Payment confirmed by server');
+        if (command) {
+          await processCommand(command, 'payment');
+        }
+        await finish('success');
+        return;
+      }
+
+      if (status === 'failed' || status === 'expired') {
+        await finish(status);
+        return;
+      }
+    } catch (error) {
+      console.log('Payment status check failed, retrying:', error.message);
+    }
+
+    if (!stopped) {
+      timer = setTimeout(poll, POLL_INTERVAL_MS);
+    }
+  };
+
+  timer = setTimeout(poll, POLL_INTERVAL_MS);
+
+  return () => {
+    stopped = true;
+    if (timer) clearTimeout(timer);
+  };
+}
+
+export default {
+  buildUpiLink,
+  startPayment,
+  pollPaymentStatus,
+};
@@ -0,0 +1,137 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import secureStorage from './secureStorage';
+import api from '../config/api';
+import { APP_VERSION, ENVIRONMENT } from '../config/environment';
+import { hostOf } from '../config/pinning';
+import { NetworkError } from '../api/errors';
+import { enqueue } from './outbox';
+
+/**
+ * TLS Failure Reporting
+ * Pins are enforced natively (see config/pinning); a mismatch just looks like
+ * a failed connection. This spots those failures on API calls and the realtime
+ * channel and reports them through the outbox - the API itself is unreachable
+ * at that point, so they are delivered once it can be reached again.
+ * Reports are throttled per host and reason; the latest are kept for diagnostics.
+ */
+
+export const TLS_FAILURE_REASONS = {
+  PIN_MISMATCH: 'pin_mismatch',
+  UNTRUSTED_CERTIFICATE: 'untrusted_certificate',
+};
+
+const FAILURES_KEY = 'tlsFailures';
+const MAX_FAILURES = 20;
+const REPORT_INTERVAL_MS = 60 * 60 * 1000;
+
+// host:reason pairs being recorded right now (retries fail in bursts)
+const inFlight = new Set();
+
+// Native error texts (Android network security config / OkHttp)
+const FAILURE_PATTERNS = [
+  [/Pin verification failed|Certificate pinning failure/i, TLS_FAILURE_REASONS.PIN_MISMATCH],
+  [/Trust anchor for certification path not found|SSLPeerUnverifiedException/i, TLS_FAILURE_REASONS.UNTRUSTED_CERTIFICATE],
+];
+
+// Reason for a native error message, or null if it isn't a TLS trust failure
+export function getTlsFailureReason(message) {
+  if (typeof message !== 'string') return null;
+  const match = FAILURE_PATTERNS.find(([pattern]) => pattern.test(message));
+  return match ? match[1] : null;
+}
+
+async function readFailures() {
+  try {
+    const raw = await AsyncStorage.getItem(FAILURES_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Recorded TLS failures, newest first
+export async function getTlsFailures() {
+  return readFailures();
+}
+
+async function recordAndReport({ host, reason, channel, detail }) {
+  const failures = await readFailures();
+  const now = Date.now();
+  const previous = failures.find((failure) => failure.host === host && failure.reason === reason);
+  const throttled = previous && now - previous.reportedAt < REPORT_INTERVAL_MS;
+
+  const entry = {
+    host,
+    reason,
+    channel,
+    detail: detail ? String(detail).slice(0, 300) : null,
+    occurredAt: now,
+    reportedAt: throttled ? previous.reportedAt : now,
+  };
+  const others = failures.filter((failure) => failure !== previous);
+  await AsyncStorage.setItem(FAILURES_KEY, JSON.stringify([entry, ...others].slice(0, MAX_FAILURES)));
+
+  if (throttled) return false;
+  console.warn(`🚨 TLS ${reason} for ${host} (${channel})`);
+
+  const [keyId, deviceId] = await Promise.all([
+    secureStorage.getItem('keyId'),
+    secureStorage.getItem('deviceId'),
+  ]);
+  const report = {
+    keyId,
+    deviceId,
+    host,
+    reason,
+    channel,
+    detail: entry.detail,
+    environment: ENVIRONMENT.name,
+    appVersion: APP_VERSION,
+    occurredAt: new Date(now).toISOString(),
+  };
+
+  await enqueue('tlsFailure', report, { coalesceKey: `tls:${host}:${reason}` });
+  return true;
+}
+
+/**
+ * Record and report a TLS trust failure for a URL.
+ * channel: 'api' | 'realtime'. Returns true if a report went out (not throttled).
+ */
+export async function reportTlsFailure({ url, reason, channel, detail = null }) {
+  const host = hostOf(url);
+  const id = `${host}:${reason}`;
+  if (!host || !reason || inFlight.has(id)) return false;
+
+  inFlight.add(id);
+  try {
+    return await recordAndReport({ host, reason, channel, detail });
+  } finally {
+    inFlight.delete(id);
+  }
+}
+
+/**
+ * Watch API responses for TLS trust failures.
+ * Returns a function that stops watching.
+ */
+export function startTlsFailureMonitor() {
+  const interceptor = api.interceptors.response.use(undefined, (error) => {
+    const reason = error instanceof NetworkError ? getTlsFailureReason(error.nativeMessage) : null;
+    if (reason) {
+      reportTlsFailure({ url: error.url, reason, channel: 'api', detail: error.nativeMessage })
+        .catch((reportError) => console.error('Error reporting TLS failure:', reportError));
+    }
+    throw error;
+  });
+
+  return () => api.interceptors.response.eject(interceptor);
+}
+
+export default {
+  TLS_FAILURE_REASONS,
+  getTlsFailureReason,
+  getTlsFailures,
+  reportTlsFailure,
+  startTlsFailureMonitor,
+};
@@ -0,0 +1,234 @@
+import { AppState } from 'react-native';
+import { getAccessToken } from './tokenStore';
+import { getServerUrl } from './serverService';
+import { getTlsFailureReason, reportTlsFailure } from './pinningService';
+import { processCommand, syncDeviceStatus, checkForCommand, isDeviceLocked } from './deviceService';
+
+/**
+ * Realtime Command Channel
+ * While the app is in the foreground, keep a WebSocket open to the server so
+ * commands arrive in seconds even when FCM push is blocked. Commands go
+ * through the same processCommand pipeline as push and polling.
+ *
+ * If the socket is down, fall back to adaptive polling of the status endpoint:
+ * fast while locked (so a payment unlock lands quickly), slower otherwise.
+ * The fast polls only check for a command; the full status sync keeps to the
+ * slower interval.
+ *
+ * Server → client messages: { type: 'command', data } | { type: 'pong' }
+ * Client → server messages: { type: 'ping' }
+ */
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const HEARTBEAT_TIMEOUT_MS = 60 * 1000;
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 60 * 1000;
+
+const POLL_LOCKED_MS = 5 * 1000;
+const POLL_MIN_MS = 15 * 1000;
+const POLL_MAX_MS = 2 * 60 * 1000;
+
+let socket = null;
+let running = false;
+let onCommand = null;
+let reconnectAttempt = 0;
+let reconnectTimer = null;
+let heartbeatTimer = null;
+let lastMessageAt = 0;
+let pollTimer = null;
+let pollInterval = POLL_MIN_MS;
+let lastFullSyncAt = 0;
+let appStateSubscription = null;
+
+const clearTimer = (timer) => timer && clearTimeout(timer);
+
+async function handleMessage(event) {
+  lastMessageAt = Date.now();
+
+  let message;
+  try {
+    message = JSON.parse(event.data);
+  } catch (error) {
+    console.warn('Realtime: ignoring malformed message');
+    return;
+  }
+
+  if (message.type === 'command' && message.data?.command) {
+    const result = await processCommand(message.data, 'realtime');
+    if (result.executed && onCommand) {
+      onCommand(message.data.command, message.data);
+    }
+  }
+}
+
+function startHeartbeat() {
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = setInterval(() => {
+    if (!socket || socket.readyState !== WebSocket.OPEN) return;
+
+    // No traffic (not even a pong) for too long - the connection is dead
+    if (Date.now() - lastMessageAt > HEARTBEAT_TIMEOUT_MS) {
+      console.log('💔 Realtime heartbeat timed out');
+      socket.close();
+      return;
+    }
+    socket.send(JSON.stringify({ type: 'ping' }));
+  }, HEARTBEAT_INTERVAL_MS);
+}
+
+function scheduleReconnect() {
+  if (!running) return;
+
+  const delay = Math.random() * Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** reconnectAttempt);
+  reconnectAttempt++;
+  clearTimer(reconnectTimer);
+  reconnectTimer = setTimeout(connect, delay);
+  console.log(`🔌 Realtime reconnect in ${Math.round(delay)}ms`);
+}
+
+async function openSocket() {
+  const token = await getAccessToken();
+  if (!token) {
+    // Tokens may be restored later (refresh, re-activation) - keep trying in the background
+    console.log('Realtime: no access token, polling until one is available');
+    startPolling();
+    scheduleReconnect();
+    return;
+  }
+
+  const streamUrl = `${(await getServerUrl()).replace(/^http/, 'ws')}/device/stream`;
+
+  // React Native's WebSocket accepts headers as a third argument
+  const ws = new WebSocket(streamUrl, null, { headers: { Authorization: `Bearer ${token}` } });
+  socket = ws;
+
+  ws.onopen = () => {
+    console.log('⚡ Realtime channel connected');
+    reconnectAttempt = 0;
+    lastMessageAt = Date.now();
+    stopPolling();
+    startHeartbeat();
+  };
+
+  ws.onmessage = handleMessage;
+
+  ws.onerror = (event) => {
+    console.log('Realtime channel error:', event.message);
+    const reason = getTlsFailureReason(event.message);
+    if (reason) {
+      reportTlsFailure({ url: streamUrl, reason, channel: 'realtime', detail: event.message })
+        .catch((error) => console.error('Error reporting TLS failure:', error));
+    }
+  };
+
+  ws.onclose = () => {
+    if (socket === ws) socket = null;
+    clearInterval(heartbeatTimer);
+    if (running) {
+      startPolling();
+      scheduleReconnect();
+    }
+  };
+}
+
+// Runs from timers, so it never rejects - a failed attempt falls back to polling and retries
+async function connect() {
+  if (!running || socket) return;
+
+  try {
+    await openSocket();
+  } catch (error) {
+    console.error('Realtime: could not connect:', error.message);
+    startPolling();
+    scheduleReconnect();
+  }
+}
+
+// Adaptive fallback polling while the socket is down
+async function poll() {
+  pollTimer = null;
+  if (!running || socket?.readyState === WebSocket.OPEN) return;
+
+  // Between full syncs a locked device only checks for a command
+  const light = (await isDeviceLocked()) && Date.now() - lastFullSyncAt < pollInterval;
+  if (!light) lastFullSyncAt = Date.now();
+  try {
+    const sync = light
+      ? await checkForCommand('realtime-poll', { retries: 0 })
+      : await syncDeviceStatus('realtime-poll', { retries: 0 });
+    if (sync?.commandResult?.executed) {
+      onCommand?.(sync.status.command, sync.status);
+      pollInterval = POLL_MIN_MS;
+    } else if (!light) {
+      pollInterval = Math.min(POLL_MAX_MS, pollInterval * 2);
+    }
+  } catch (error) {
+    if (!light) pollInterval = Math.min(POLL_MAX_MS, pollInterval * 2);
+  }
+
+  // A locked customer is likely waiting on a payment unlock - keep it snappy
+  const interval = (await isDeviceLocked()) ? POLL_LOCKED_MS : pollInterval;
+  if (running && !pollTimer) {
+    pollTimer = setTimeout(poll, interval);
+  }
+}
+
+function startPolling() {
+  if (pollTimer) return;
+  pollInterval = POLL_MIN_MS;
+  pollTimer = setTimeout(poll, POLL_LOCKED_MS);
+}
+
+function stopPolling() {
+  clearTimer(pollTimer);
+  pollTimer = null;
+}
+
+function resume() {
+  if (running) return;
+  running = true;
+  reconnectAttempt = 0;
+  connect();
+}
+
+function pause() {
+  running = false;
+  clearTimer(reconnectTimer);
+  clearInterval(heartbeatTimer);
+  stopPolling();
+  if (socket) {
+    const ws = socket;
+    socket = null;
+    ws.close();
+  }
+}
+
+/**
+ * Start the realtime channel. It runs while the app is active and pauses in
+ * the background (BackgroundFetch takes over there).
+ * Returns a function that stops it.
+ */
+export function startRealtimeChannel(onCommandReceived) {
+  onCommand = onCommandReceived;
+
+  if (AppState.currentState === 'active') resume();
+  appStateSubscription?.remove();
+  appStateSubscription = AppState.addEventListener('change', (nextState) => {
+    if (nextState === 'active') {
+      resume();
+    } else if (nextState === 'background') {
+      pause();
+    }
+  });
+
+  return () => {
+    appStateSubscription?.remove();
+    appStateSubscription = null;
+    onCommand = null;
+    pause();
+  };
+}
+
+export default {
+  startRealtimeChannel,
+};
@@ -0,0 +1,271 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import * as Crypto from 'expo-crypto';
+import nacl from 'tweetnacl';
+import { decodeBase64, decodeUTF8, encodeBase64, encodeUTF8 } from 'tweetnacl-util';
+import { constantTimeEqual, hmacSha512 } from '../utils/hmac';
+
+/**
+ * Secure Storage
+ * Activation secrets and device identity used to sit in plain AsyncStorage,
+ * where anyone with root can read or edit them. Two kinds of storage instead,
+ * both keyed from the platform secure store (Android Keystore / iOS Keychain):
+ *
+ *   getItem/setItem      - encrypted (secretbox) and bound to their key name,
+ *                          so they can't be read, edited or swapped. Values are
+ *                          too big for the keystore itself (deviceInfo), so only
+ *                          the keys live there and the ciphertext in AsyncStorage.
+ *   getSignedItem/...    - readable but HMAC'd, with a write counter in the
+ *                          secure store so an old copy can't be put back (lock state).
+ *
+ * Plaintext copies from older versions are moved over once, on first use.
+ */
+
+// Keys that used to be stored in plain AsyncStorage
+export const SECURE_KEYS = [
+  'activationKey',
+  'keyId',
+  'deviceId',
+  'fcmToken',
+  'deviceInfo',
+  'unlockSecret',
+  'commandPublicKey',
+  'serverSelection',
+];
+
+const LEGACY_LOCK_KEYS = ['isLocked', 'lockMessage', 'lockLevel', 'lockSource', 'lockEventId'];
+const LOCK_STATE_KEY = 'lockState';
+
+const ENCRYPTION_KEY = 'storageEncryptionKey';
+const MAC_KEY = 'storageMacKey';
+const MIGRATED_KEY = 'storageMigrated';
+const ENCRYPTED_PREFIX = 'secure:';
+const SIGNED_PREFIX = 'signed:';
+
+const SECURE_OPTIONS = {
+  keychainAccessible: SecureStore.AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY,
+};
+
+let keys = null;
+let migrated = null;
+let signedWrites = Promise.resolve();
+
+// Key in the secure store, created on first use
+async function loadKey(name, length) {
+  const stored = await SecureStore.getItemAsync(name, SECURE_OPTIONS);
+  if (stored) return decodeBase64(stored);
+
+  await SecureStore.setItemAsync(name, encodeBase64(Crypto.getRandomBytes(length)), SECURE_OPTIONS);
+  // Re-read in case the background task created one at the same time
+  return decodeBase64(await SecureStore.getItemAsync(name, SECURE_OPTIONS));
+}
+
+function loadKeys() {
+  if (!keys) {
+    keys = (async () => ({
+      encryption: await loadKey(ENCRYPTION_KEY, nacl.secretbox.keyLength),
+      mac: await loadKey(MAC_KEY, 64),
+    }))();
+    keys.catch(() => {
+      keys = null;
+    });
+  }
+  return keys;
+}
+
+const seqKey = (key) => `${key}.seq`;
+
+async function writeEncrypted(key, value) {
+  const { encryption } = await loadKeys();
+  const nonce = Crypto.getRandomBytes(nacl.secretbox.nonceLength);
+  const box = nacl.secretbox(decodeUTF8(JSON.stringify([key, value])), nonce, encryption);
+
+  const sealed = new Uint8Array(nonce.length + box.length);
+  sealed.set(nonce);
+  sealed.set(box, nonce.length);
+  await AsyncStorage.setItem(`${ENCRYPTED_PREFIX}${key}`, encodeBase64(sealed));
+}
+
+async function readEncrypted(key) {
+  const sealed = await AsyncStorage.getItem(`${ENCRYPTED_PREFIX}${key}`);
+  if (sealed === null) return null;
+
+  try {
+    const { encryption } = await loadKeys();
+    const bytes = decodeBase64(sealed);
+    const nonceLength = nacl.secretbox.nonceLength;
+    const opened = nacl.secretbox.open(bytes.subarray(nonceLength), bytes.subarray(0, nonceLength), encryption);
+    const [storedKey, value] = opened ? JSON.parse(encodeUTF8(opened)) : [];
+    if (storedKey === key) return value;
+  } catch (error) {
+    // Falls through - unreadable is treated like tampered
+  }
+  console.warn(`⚠️ Stored ${key} failed verification - ignoring it`);
+  return null;
+}
+
+const macOf = (macKey, payload) => encodeBase64(hmacSha512(macKey, decodeUTF8(payload)));
+
+// One signed write at a time, so the record and its counter can't get out of step
+const writeSigned = (key, value) => {
+  const run = signedWrites.then(async () => {
+    const { mac } = await loadKeys();
+    const current = Number(await SecureStore.getItemAsync(seqKey(key), SECURE_OPTIONS)) || 0;
+    const seq = current + 1;
+    const payload = JSON.stringify([key, seq, value]);
+
+    // Record first, then the counter - a crash in between leaves the record one ahead, which is accepted
+    await AsyncStorage.setItem(`${SIGNED_PREFIX}${key}`, JSON.stringify({ payload, mac: macOf(mac, payload) }));
+    await SecureStore.setItemAsync(seqKey(key), String(seq), SECURE_OPTIONS);
+  });
+  signedWrites = run.catch(() => {});
+  return run;
+};
+
+async function readSigned(key) {
+  const [raw, storedSeq] = await Promise.all([
+    AsyncStorage.getItem(`${SIGNED_PREFIX}${key}`),
+    SecureStore.getItemAsync(seqKey(key), SECURE_OPTIONS),
+  ]);
+  const expectedSeq = Number(storedSeq) || 0;
+
+  if (raw === null) {
+    // Never written is fine; written and then deleted is not
+    return { value: null, tampered: expectedSeq > 0 };
+  }
+
+  try {
+    const { mac } = await loadKeys();
+    const record = JSON.parse(raw);
+    if (typeof record.payload === 'string' && typeof record.mac === 'string') {
+      const [storedKey, seq, value] = JSON.parse(record.payload);
+      const authentic = constantTimeEqual(macOf(mac, record.payload), record.mac);
+      if (authentic && storedKey === key && (seq === expectedSeq || seq === expectedSeq + 1)) {
+        return { value, tampered: false };
+      }
+    }
+  } catch (error) {
+    // Falls through
+  }
+  console.warn(`⚠️ Stored ${key} failed verification`);
+  return { value: null, tampered: true };
+}
+
+const UNLOCKED_LEGACY_STATE = {
+  isLocked: false,
+  lockMessage: '',
+  lockLevel: null,
+  lockSource: null,
+  lockEventId: null,
+};
+
+// Old plaintext lock state, in the shape lockStateStore keeps
+async function readLegacyLockState() {
+  const [isLocked, lockMessage, lockLevel, lockSource, lockEventId] = await Promise.all(
+    LEGACY_LOCK_KEYS.map((key) => AsyncStorage.getItem(key))
+  );
+  if (isLocked === null) return null;
+  return {
+    isLocked: isLocked === 'true',
+    lockMessage: lockMessage || '',
+    lockLevel: lockLevel || null,
+    lockSource: lockSource || null,
+    lockEventId: lockEventId || null,
+  };
+}
+
+// Move plaintext values from older versions over and delete them. Safe to re-run after a crash.
+async function migrate() {
+  if (await SecureStore.getItemAsync(MIGRATED_KEY, SECURE_OPTIONS)) return;
+
+  let moved = 0;
+  const activated = (await AsyncStorage.getItem('keyId')) !== null;
+  for (const key of SECURE_KEYS) {
+    const value = await AsyncStorage.getItem(key);
+    if (value !== null) {
+      await writeEncrypted(key, value);
+      await AsyncStorage.removeItem(key);
+      moved++;
+    }
+  }
+
+  // A device that was never locked had no lock keys - it still needs a record once activated
+  const lockState = (await readLegacyLockState()) || (activated ? UNLOCKED_LEGACY_STATE : null);
+  if (lockState) {
+    await writeSigned(LOCK_STATE_KEY, lockState);
+    moved++;
+  }
+  await AsyncStorage.multiRemove([...LEGACY_LOCK_KEYS, 'device_locked']);
+
+  await SecureStore.setItemAsync(MIGRATED_KEY, String(Date.now()), SECURE_OPTIONS);
+  if (moved > 0) {
+    console.log(`🔐 Moved ${moved} stored values to secure storage`);
+  }
+}
+
+// Run the one-time migration once per JS context (app start or headless background task)
+export function migrateToSecureStorage() {
+  if (!migrated) {
+    migrated = migrate();
+    migrated.catch((error) => {
+      console.error('Secure storage migration failed:', error);
+      migrated = null;
+    });
+  }
+  return migrated;
+}
+
+// Is there a stored value for this key (readable or not)?
+export async function hasItem(key) {
+  await migrateToSecureStorage();
+  return (await AsyncStorage.getItem(`${ENCRYPTED_PREFIX}${key}`)) !== null;
+}
+
+// Decrypted value, or null if missing or tampered with
+export async function getItem(key) {
+  await migrateToSecureStorage();
+  return readEncrypted(key);
+}
+
+export async function setItem(key, value) {
+  await migrateToSecureStorage();
+  await writeEncrypted(key, String(value));
+}
+
+export async function removeItem(key) {
+  await migrateToSecureStorage();
+  await AsyncStorage.removeItem(`${ENCRYPTED_PREFIX}${key}`);
+}
+
+export async function multiRemove(keyList) {
+  await migrateToSecureStorage();
+  await AsyncStorage.multiRemove(keyList.map((key) => `${ENCRYPTED_PREFIX}${key}`));
+}
+
+/**
+ * Integrity-protected value: { value, tampered }. value is null if it was
+ * never written or failed verification; tampered is true in the latter case
+ * (edited, deleted or replaced with an older copy).
+ */
+export async function getSignedItem(key) {
+  await migrateToSecureStorage();
+  return readSigned(key);
+}
+
+// Store any JSON value with an HMAC
+export async function setSignedItem(key, value) {
+  await migrateToSecureStorage();
+  await writeSigned(key, value);
+}
+
+export default {
+  SECURE_KEYS,
+  migrateToSecureStorage,
+  hasItem,
+  getItem,
+  setItem,
+  removeItem,
+  multiRemove,
+  getSignedItem,
+  setSignedItem,
+};
@@ -0,0 +1,240 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import Constants from 'expo-constants';
+import secureStorage from './secureStorage';
+import { ENVIRONMENT } from '../config/environment';
+import { PINNING_ENABLED, isPinnedUrl } from '../config/pinning';
+import { canonicalize, isValidPublicKey, verifySignature } from '../utils/signature';
+
+/**
+ * Server Selection
+ * Which API server this device talks to. The build's environment profile
+ * (config/environment) supplies the default; an activation QR or the
+ * provisioning extras may name another server, but only one on the signed
+ * server allowlist. The chosen server is saved with the activation and kept
+ * until the device is deactivated.
+ *
+ * Allowlist: { version, servers: ["https://tenant.example.com/api", ...], signature }
+ * signed over ALLOWLIST_SIGNED_FIELDS with the key pinned in the build
+ * (expo.extra.serverAllowlistPublicKey). The build bundles one
+ * (expo.extra.serverAllowlist); a newer version may arrive in the provisioning extras.
+ * In a build with certificate pins, allowlisted servers must also be on a pinned host.
+ */
+
+export const SERVER_SOURCES = {
+  PROFILE: 'profile',
+  QR: 'qr',
+  PROVISIONING: 'provisioning',
+};
+
+export const ALLOWLIST_SIGNED_FIELDS = ['version', 'servers'];
+
+const SELECTION_KEY = 'serverSelection';
+const ALLOWLIST_KEY = 'serverAllowlist';
+
+const extra = Constants?.expoConfig?.extra ?? {};
+
+const ALLOWLIST_PUBLIC_KEY =
+  process.env.EXPO_PUBLIC_SERVER_ALLOWLIST_PUBLIC_KEY || (extra.serverAllowlistPublicKey ?? null);
+
+// { url, source, keyId, selectedAt } - null means the profile default
+let selection = null;
+// { version, servers, document } - verified
+let allowlist = null;
+let hydrated = null;
+
+export class ServerSelectionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ServerSelectionError';
+    this.code = code;
+  }
+}
+
+// Trimmed URL without trailing slashes, or null if it isn't a usable server URL
+export function normalizeServerUrl(url) {
+  if (typeof url !== 'string') return null;
+  const trimmed = url.trim().replace(/\/+$/, '');
+  const pattern = ENVIRONMENT.allowInsecureServer ? /^https?:\/\/[^\s/]+\S*$/i : /^https:\/\/[^\s/]+\S*$/i;
+  return pattern.test(trimmed) ? trimmed : null;
+}
+
+const sameServer = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+// Verify a signed allowlist (object or JSON string). Returns null unless valid.
+function verifyAllowlist(document) {
+  let doc = document;
+  if (typeof doc === 'string') {
+    try {
+      doc = JSON.parse(doc);
+    } catch (error) {
+      return null;
+    }
+  }
+  if (!doc || !Number.isInteger(doc.version) || !Array.isArray(doc.servers)) return null;
+  if (!ALLOWLIST_PUBLIC_KEY || !isValidPublicKey(ALLOWLIST_PUBLIC_KEY)) return null;
+  if (!verifySignature(canonicalize(doc, ALLOWLIST_SIGNED_FIELDS), doc.signature, ALLOWLIST_PUBLIC_KEY)) {
+    return null;
+  }
+
+  return {
+    version: doc.version,
+    servers: doc.servers.map(normalizeServerUrl).filter(Boolean),
+    document: doc,
+  };
+}
+
+// A server dropped from a newer allowlist (or an unpinned host) is no longer used
+function dropDisallowedSelection() {
+  if (selection && !isAllowedServer(selection.url)) {
+    console.warn(`Saved server ${selection.url} is no longer allowed - using the profile default`);
+    selection = null;
+  }
+}
+
+const newer = (candidate, current) => !!candidate && (!current || candidate.version > current.version);
+
+// Load the saved server selection and allowlist once per JS context
+export function loadServerConfig() {
+  if (!hydrated) {
+    hydrated = (async () => {
+      allowlist = verifyAllowlist(extra.serverAllowlist);
+      if (extra.serverAllowlist && !allowlist) {
+        console.warn('Bundled server allowlist failed verification');
+      }
+
+      try {
+        const [storedSelection, storedAllowlist] = await Promise.all([
+          secureStorage.getItem(SELECTION_KEY),
+          AsyncStorage.getItem(ALLOWLIST_KEY),
+        ]);
+        selection = storedSelection ? JSON.parse(storedSelection) : null;
+
+        // Re-verified on every load, so an edited copy is simply ignored
+        const saved = verifyAllowlist(storedAllowlist);
+        if (newer(saved, allowlist)) {
+          allowlist = saved;
+        }
+        dropDisallowedSelection();
+      } catch (error) {
+        console.error('Error loading server config:', error);
+        selection = null;
+      }
+      return getServerConfig();
+    })();
+  }
+  return hydrated;
+}
+
+// Current server details for diagnostics (synchronous - call loadServerConfig first)
+export function getServerConfig() {
+  return {
+    environment: ENVIRONMENT.name,
+    url: selection?.url ?? ENVIRONMENT.apiUrl,
+    source: selection?.source ?? SERVER_SOURCES.PROFILE,
+    keyId: selection?.keyId ?? null,
+    selectedAt: selection?.selectedAt ?? null,
+    allowlistVersion: allowlist?.version ?? null,
+  };
+}
+
+// Base URL for API calls
+export async function getServerUrl() {
+  await loadServerConfig();
+  const url = selection?.url ?? ENVIRONMENT.apiUrl;
+  if (!url) {
+    throw new ServerSelectionError('not_configured', 'No server is configured for this device.');
+  }
+  return url;
+}
+
+// Is this the profile's server or one on the allowlist? (synchronous - call loadServerConfig first)
+export function isAllowedServer(url) {
+  const normalized = normalizeServerUrl(url);
+  if (!normalized) return false;
+  if (sameServer(normalized, normalizeServerUrl(ENVIRONMENT.apiUrl))) return true;
+  if (PINNING_ENABLED && !isPinnedUrl(normalized)) return false;
+  return !!allowlist && allowlist.servers.some((server) => sameServer(server, normalized));
+}
+
+// Keep a signed allowlist if it verifies and is newer than the current one. Returns true if kept.
+export async function saveServerAllowlist(document) {
+  await loadServerConfig();
+
+  const next = verifyAllowlist(document);
+  if (!next) {
+    console.warn('Server allowlist rejected: bad signature or format');
+    return false;
+  }
+  if (!newer(next, allowlist)) return false;
+
+  allowlist = next;
+  dropDisallowedSelection();
+  await AsyncStorage.setItem(ALLOWLIST_KEY, JSON.stringify(next.document));
+  console.log(`🌐 Server allowlist v${next.version} saved`);
+  return true;
+}
+
+/**
+ * Point API calls at a server for an activation attempt. url null means the
+ * profile default. Not saved until saveServerSelection, so a failed
+ * activation leaves nothing behind after a restart.
+ */
+export async function selectServer(url, source) {
+  await loadServerConfig();
+
+  if (!url) {
+    if (!ENVIRONMENT.apiUrl) {
+      throw new ServerSelectionError(
+        'not_configured',
+        'This app needs to be activated with a QR code from your seller.'
+      );
+    }
+    selection = null;
+    return ENVIRONMENT.apiUrl;
+  }
+
+  const normalized = normalizeServerUrl(url);
+  if (!normalized || !isAllowedServer(normalized)) {
+    throw new ServerSelectionError('not_allowed', 'This server is not approved for this app.');
+  }
+
+  selection = { url: normalized, source, keyId: null, selectedAt: null };
+  console.log(`🌐 Using server ${normalized} (${source})`);
+  return normalized;
+}
+
+// Remember the selected server for this activation
+export async function saveServerSelection(keyId) {
+  await loadServerConfig();
+
+  const saved = {
+    url: selection?.url ?? ENVIRONMENT.apiUrl,
+    source: selection?.source ?? SERVER_SOURCES.PROFILE,
+    keyId,
+    selectedAt: Date.now(),
+  };
+  selection = saved;
+  await secureStorage.setItem(SELECTION_KEY, JSON.stringify(saved));
+}
+
+// Back to the profile default (on deactivation)
+export async function clearServerSelection() {
+  await loadServerConfig();
+  selection = null;
+  await secureStorage.removeItem(SELECTION_KEY);
+}
+
+export default {
+  SERVER_SOURCES,
+  ALLOWLIST_SIGNED_FIELDS,
+  ServerSelectionError,
+  normalizeServerUrl,
+  loadServerConfig,
+  getServerConfig,
+  getServerUrl,
+  isAllowedServer,
+  saveServerAllowlist,
+  selectServer,
+  saveServerSelection,
+  clearServerSelection,
+};
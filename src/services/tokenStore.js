@@ -0,0 +1,53 @@
+import * as SecureStore from 'expo-secure-store';
+
+/**
+ * Token Store
+ * Device access/refresh tokens issued at activation, kept in the platform
+ * secure store (Android Keystore / iOS Keychain) rather than AsyncStorage.
+ */
+
+const ACCESS_TOKEN_KEY = 'deviceAccessToken';
+const REFRESH_TOKEN_KEY = 'deviceRefreshToken';
+
+const SECURE_OPTIONS = {
+  keychainAccessible: SecureStore.AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY,
+};
+
+export async function saveTokens({ accessToken, refreshToken }) {
+  if (accessToken) {
+    await SecureStore.setItemAsync(ACCESS_TOKEN_KEY, accessToken, SECURE_OPTIONS);
+  }
+  if (refreshToken) {
+    await SecureStore.setItemAsync(REFRESH_TOKEN_KEY, refreshToken, SECURE_OPTIONS);
+  }
+}
+
+export async function getAccessToken() {
+  try {
+    return await SecureStore.getItemAsync(ACCESS_TOKEN_KEY, SECURE_OPTIONS);
+  } catch (error) {
+    console.error('Error reading access token:', error);
+    return null;
+  }
+}
+
+export async function getRefreshToken() {
+  try {
+    return await SecureStore.getItemAsync(REFRESH_TOKEN_KEY, SECURE_OPTIONS);
+  } catch (error) {
+    console.error('Error reading refresh token:', error);
+    return null;
+  }
+}
+
+export async function clearTokens() {
+  await SecureStore.deleteItemAsync(ACCESS_TOKEN_KEY, SECURE_OPTIONS);
+  await SecureStore.deleteItemAsync(REFRESH_TOKEN_KEY, SECURE_OPTIONS);
+}
+
+export default {
+  saveTokens,
+  getAccessToken,
+  getRefreshToken,
+  clearTokens,
+};
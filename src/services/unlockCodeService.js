@@ -0,0 +1,170 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { decodeBase64, decodeUTF8 } from 'tweetnacl-util';
+import secureStorage from './secureStorage';
+import { hmacSha512, constantTimeEqual } from '../utils/hmac';
+import { getTrustedNow } from '../utils/trustedClock';
+import { waiveCurrentInstallment } from './emiScheduleService';
+import { sendOrQueue } from './outbox';
+import { loadLockState } from './lockStateStore';
+import { unlockDevice, lockForTampering } from './lockController';
+
+/**
+ * Offline Unlock Codes
+ * The seller's dashboard derives a one-time code from the per-device secret
+ * shared at activation and the current lock event:
+ *
+ *   code = truncate(HMAC-SHA512(secret, "<deviceId>:<lockEventId>")) mod 10^6
+ *
+ * lockEventId is the commandId of a server lock, or
+ * "schedule:<scheduleId>:<installment number>:<nonce>" for a local EMI lock -
+ * the nonce is new for every lock, so a code used once can't unlock a later
+ * lock for the same installment. The lock screen shows it as the lock
+ * reference for the seller.
+ *
+ * The failure counter and the used lock events are signed items (see
+ * secureStorage), so clearing storage doesn't reset the back-off or bring a
+ * used code back.
+ */
+
+export const UNLOCK_SECRET_KEY = 'unlockSecret';
+const USED_EVENTS_KEY = 'usedUnlockEvents';
+const ATTEMPTS_KEY = 'unlockCodeAttempts';
+
+export const CODE_LENGTH = 6;
+const FREE_ATTEMPTS = 3;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+// RFC 4226 dynamic truncation, adapted to a 64-byte digest
+export function deriveUnlockCode(secret, deviceId, lockEventId) {
+  const digest = hmacSha512(secret, decodeUTF8(`${deviceId}:${lockEventId}`));
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary =
+    ((digest[offset] & 0x7f) << 24) |
+    (digest[offset + 1] << 16) |
+    (digest[offset + 2] << 8) |
+    digest[offset + 3];
+
+  return String(binary % 10 ** CODE_LENGTH).padStart(CODE_LENGTH, '0');
+}
+
+// Failure counter; one that was deleted or rolled back starts at the longest back-off
+async function readAttempts() {
+  const { value, tampered } = await secureStorage.getSignedItem(ATTEMPTS_KEY);
+  if (!tampered) {
+    return value || { failures: 0, lockedUntil: 0 };
+  }
+
+  console.warn('⚠️ Unlock attempt counter failed verification');
+  const attempts = { failures: FREE_ATTEMPTS, lockedUntil: (await getTrustedNow()) + MAX_BACKOFF_MS };
+  await secureStorage.setSignedItem(ATTEMPTS_KEY, attempts);
+  return attempts;
+}
+
+/**
+ * Lock events whose code was already used, moving a plaintext list from older
+ * versions over once. A list that fails verification can't say which codes
+ * were used, so the device locks for tampering (a fresh lock event) and the
+ * list starts again.
+ */
+async function readUsedEvents() {
+  const { value, tampered } = await secureStorage.getSignedItem(USED_EVENTS_KEY);
+  if (tampered) {
+    await lockForTampering('unlock_codes_tampered');
+    await secureStorage.setSignedItem(USED_EVENTS_KEY, []);
+    return { usedEvents: [], tampered: true };
+  }
+  if (value) return { usedEvents: value, tampered: false };
+
+  const legacy = await AsyncStorage.getItem(USED_EVENTS_KEY);
+  const usedEvents = legacy ? JSON.parse(legacy) : [];
+  if (legacy) {
+    await secureStorage.setSignedItem(USED_EVENTS_KEY, usedEvents);
+    await AsyncStorage.multiRemove([USED_EVENTS_KEY, ATTEMPTS_KEY]);
+  }
+  return { usedEvents, tampered: false };
+}
+
+// Milliseconds until the next attempt is allowed (0 if allowed now).
+// Trusted time, so moving the device clock forward doesn't end a back-off.
+export async function getRetryDelay() {
+  const { lockedUntil = 0 } = await readAttempts();
+  return Math.max(0, lockedUntil - (await getTrustedNow()));
+}
+
+async function recordFailure() {
+  const attempts = await readAttempts();
+  const failures = attempts.failures + 1;
+  const backoff =
+    failures < FREE_ATTEMPTS
+      ? 0
+      : Math.min(BASE_BACKOFF_MS * 2 ** (failures - FREE_ATTEMPTS), MAX_BACKOFF_MS);
+
+  await secureStorage.setSignedItem(ATTEMPTS_KEY, { failures, lockedUntil: (await getTrustedNow()) + backoff });
+  return backoff;
+}
+
+/**
+ * Check an unlock code entered on the lock screen and unlock if it matches.
+ * Returns { success } or { success: false, reason, retryAfterMs }.
+ */
+export async function submitUnlockCode(code) {
+  const retryAfterMs = await getRetryDelay();
+  if (retryAfterMs > 0) {
+    return { success: false, reason: 'rate_limited', retryAfterMs };
+  }
+
+  // Read the used events first: a tampered list replaces the lock event
+  const { usedEvents, tampered } = await readUsedEvents();
+  if (tampered) {
+    return { success: false, reason: 'invalid', retryAfterMs: await recordFailure() };
+  }
+
+  const [secret, deviceId, { lockEventId }] = await Promise.all([
+    secureStorage.getItem(UNLOCK_SECRET_KEY),
+    secureStorage.getItem('deviceId'),
+    loadLockState(),
+  ]);
+
+  if (!secret || !deviceId || !lockEventId) {
+    return { success: false, reason: 'unavailable', retryAfterMs: 0 };
+  }
+
+  const expected = deriveUnlockCode(decodeBase64(secret), deviceId, lockEventId);
+  const valid = !usedEvents.includes(lockEventId) && constantTimeEqual(expected, String(code).trim());
+
+  if (!valid) {
+    const backoff = await recordFailure();
+    console.warn('🚫 Invalid offline unlock code');
+    return { success: false, reason: 'invalid', retryAfterMs: backoff };
+  }
+
+  // Burn the code for this lock event and reset the attempt counter
+  await secureStorage.setSignedItem(USED_EVENTS_KEY, [...usedEvents, lockEventId].slice(-50));
+  await secureStorage.setSignedItem(ATTEMPTS_KEY, null);
+
+  await unlockDevice();
+  await waiveCurrentInstallment();
+
+  await queueUnlockReport(lockEventId);
+  console.log('🔓 Device unlocked with offline code');
+  return { success: true };
+}
+
+// Remember the unlock so the server learns about it next time we're online
+async function queueUnlockReport(lockEventId) {
+  const keyId = await secureStorage.getItem('keyId') || await secureStorage.getItem('activationKey');
+  await sendOrQueue('unlockReport', {
+    keyId,
+    lockEventId,
+    method: 'offline_code',
+    unlockedAt: new Date().toISOString(),
+  });
+}
+
+export default {
+  CODE_LENGTH,
+  deriveUnlockCode,
+  getRetryDelay,
+  submitUnlockCode,
+};
@@ -0,0 +1,212 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { decodeBase64, decodeUTF8, encodeBase64 } from 'tweetnacl-util';
+import secureStorage from './secureStorage';
+import { hmacSha512, constantTimeEqual } from '../utils/hmac';
+import { sendLocalNotification } from '../utils/notifications';
+import { getTrustedNow } from '../utils/trustedClock';
+import { COMMAND_STATES, updateState } from './commandJournal';
+import { sendOrQueue, flushOutbox, getPendingCount } from './outbox';
+import { wipeData } from './kioskService';
+import { lockForTampering } from './lockController';
+import { UNLOCK_SECRET_KEY } from './unlockCodeService';
+import { t } from '../i18n';
+
+/**
+ * Remote Wipe
+ * A signed `reset` command must also carry a confirmation token derived from
+ * the per-device secret shared at activation:
+ *
+ *   confirmationToken = base64(HMAC-SHA512(secret, "wipe:<deviceId>:<commandId>"))
+ *
+ * so a leaked signing key alone can't wipe devices. The wipe then runs after
+ * a countdown that is persisted, so it survives restarts and can be finished
+ * by the background task. The countdown runs on the trusted clock, so winding
+ * the device clock back doesn't postpone it. The pending wipe is a signed item
+ * (see secureStorage): deleting it to stop the countdown locks the device.
+ */
+
+export const WIPE_COUNTDOWN_MS = 5 * 60 * 1000;
+export const WIPE_STARTED = 'wipe_started';
+
+const PENDING_WIPE_KEY = 'pendingWipe';
+// How long the wipe waits for its "started" ack to reach the server
+const ACK_RETRY_MS = 5000;
+const ACK_ATTEMPTS = 6;
+
+// A reset that can never be carried out - rejected for good instead of retried
+export class WipeRejectedError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'WipeRejectedError';
+    this.code = code;
+  }
+}
+
+let pendingWipe;
+let wipeTimer = null;
+const listeners = new Set();
+
+const notify = () => {
+  listeners.forEach((listener) => {
+    try {
+      listener(pendingWipe);
+    } catch (error) {
+      console.error('Pending wipe listener error:', error);
+    }
+  });
+};
+
+export function deriveConfirmationToken(secret, deviceId, commandId) {
+  return encodeBase64(hmacSha512(secret, decodeUTF8(`wipe:${deviceId}:${commandId}`)));
+}
+
+async function verifyConfirmationToken(data) {
+  const [secret, deviceId] = await Promise.all([
+    secureStorage.getItem(UNLOCK_SECRET_KEY),
+    secureStorage.getItem('deviceId'),
+  ]);
+  if (!secret || !deviceId || typeof data.confirmationToken !== 'string') {
+    return false;
+  }
+
+  const expected = deriveConfirmationToken(decodeBase64(secret), deviceId, data.commandId);
+  return constantTimeEqual(expected, data.confirmationToken);
+}
+
+// Stored wipe, moving a plaintext copy from older versions over once
+async function readStoredWipe() {
+  const { value, tampered } = await secureStorage.getSignedItem(PENDING_WIPE_KEY);
+  if (tampered) {
+    await lockForTampering('pending_wipe_tampered');
+    return null;
+  }
+  if (value) return value;
+
+  const legacy = await AsyncStorage.getItem(PENDING_WIPE_KEY);
+  if (!legacy) return null;
+  const wipe = JSON.parse(legacy);
+  await secureStorage.setSignedItem(PENDING_WIPE_KEY, wipe);
+  await AsyncStorage.removeItem(PENDING_WIPE_KEY);
+  return wipe;
+}
+
+// { commandId, executeAt } (trusted time) or null
+export async function getPendingWipe() {
+  if (pendingWipe === undefined) {
+    pendingWipe = await readStoredWipe();
+  }
+  return pendingWipe;
+}
+
+async function setPendingWipe(wipe) {
+  pendingWipe = wipe;
+  await secureStorage.setSignedItem(PENDING_WIPE_KEY, wipe);
+  notify();
+}
+
+async function reportWipe(commandId, result, errorMessage = null) {
+  const keyId = await secureStorage.getItem('keyId') || await secureStorage.getItem('activationKey');
+  return sendOrQueue('ack', {
+    keyId,
+    commandId,
+    command: 'reset',
+    result,
+    error: errorMessage,
+    executedAt: new Date().toISOString(),
+  });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// The wipe erases the outbox, so the "started" ack has to go out first - retried for a bounded time
+async function reportWipeStarted(commandId) {
+  try {
+    const { queued } = await reportWipe(commandId, WIPE_STARTED);
+    for (let attempt = 0; queued && attempt < ACK_ATTEMPTS; attempt++) {
+      if ((await getPendingCount()) === 0) return;
+      await sleep(ACK_RETRY_MS);
+      await flushOutbox();
+    }
+    if (queued && (await getPendingCount()) > 0) {
+      console.warn('⚠️ Wipe start could not be reported - wiping anyway');
+    }
+  } catch (error) {
+    console.error('⚠️ Could not report wipe start:', error.message);
+  }
+}
+
+async function executeWipe() {
+  const wipe = await getPendingWipe();
+  if (!wipe) return;
+
+  console.log(`🧨 Wiping device for command ${wipe.commandId}`);
+  await reportWipeStarted(wipe.commandId);
+
+  // The pending wipe stays stored until the wipe succeeds, so a crash here retries it
+  if (!(await wipeData())) {
+    await setPendingWipe(null);
+    await updateState(wipe.commandId, COMMAND_STATES.FAILED, { error: 'wipe_failed' });
+    await reportWipe(wipe.commandId, COMMAND_STATES.FAILED, 'wipe_failed');
+  }
+}
+
+/**
+ * Start the wipe countdown for a verified `reset` command.
+ * Throws a WipeRejectedError if the confirmation token is missing or wrong.
+ */
+export async function scheduleWipe(data) {
+  if (!(await verifyConfirmationToken(data))) {
+    throw new WipeRejectedError('invalid_confirmation_token', 'invalid_confirmation_token');
+  }
+
+  const existing = await getPendingWipe();
+  if (!existing) {
+    await setPendingWipe({ commandId: data.commandId, executeAt: (await getTrustedNow()) + WIPE_COUNTDOWN_MS });
+    await sendLocalNotification(
+      t('notifications.wipeTitle'),
+      t('notifications.wipeBody')
+    );
+  }
+
+  return resumePendingWipe();
+}
+
+/**
+ * Continue a stored countdown - on boot, on app start and from the background
+ * task. Wipes right away if the countdown already ran out.
+ */
+export async function resumePendingWipe() {
+  const wipe = await getPendingWipe();
+  if (!wipe) return null;
+
+  const remaining = wipe.executeAt - (await getTrustedNow());
+  if (remaining <= 0) {
+    await executeWipe();
+    return wipe;
+  }
+
+  if (!wipeTimer) {
+    console.log(`⏳ Device wipe in ${Math.ceil(remaining / 1000)}s`);
+    wipeTimer = setTimeout(() => {
+      wipeTimer = null;
+      executeWipe();
+    }, remaining);
+  }
+  return wipe;
+}
+
+// Subscribe to pending wipe changes. Returns an unsubscribe function.
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export default {
+  WIPE_COUNTDOWN_MS,
+  WIPE_STARTED,
+  deriveConfirmationToken,
+  getPendingWipe,
+  scheduleWipe,
+  resumePendingWipe,
+  subscribe,
+};
@@ -0,0 +1,97 @@
+import nacl from 'tweetnacl';
+import { decodeUTF8, encodeBase64 } from 'tweetnacl-util';
+import { canonicalize } from '../signature';
+import { QR_SIGNED_FIELDS, parseActivationQr } from '../activationQr';
+
+const QR_KEY_SEED = new Uint8Array(32).fill(9);
+
+// The pinned QR key is read from expo-constants when the module loads, before
+// this file's constants exist - so the factory derives it from the same seed itself
+jest.mock('expo-constants', () => {
+  const { keyPair } = require('tweetnacl').sign;
+  const { encodeBase64: encode } = require('tweetnacl-util');
+  return {
+    expoConfig: {
+      extra: { activationQrPublicKey: encode(keyPair.fromSeed(new Uint8Array(32).fill(9)).publicKey) },
+    },
+  };
+});
+
+const { secretKey } = nacl.sign.keyPair.fromSeed(QR_KEY_SEED);
+
+const getPath = (payload, fieldPath) =>
+  fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), payload);
+
+const sign = (payload, key = secretKey) => {
+  const signed = Object.fromEntries(QR_SIGNED_FIELDS.map((field) => [field, getPath(payload, field)]));
+  const message = decodeUTF8(canonicalize(signed, QR_SIGNED_FIELDS));
+  return { ...payload, signature: encodeBase64(nacl.sign.detached(message, key)) };
+};
+
+const basePayload = () => ({
+  v: 1,
+  keyId: 'ABCD-1234',
+  seller: { name: 'Sharma Mobiles', phone: '+919876543210' },
+  product: { name: 'Redmi 13C', price: 9999 },
+  emi: { amount: 1250, installments: 8, frequency: 'monthly', firstDueDate: '2026-11-05' },
+  serverUrl: 'https://api.example.com/api',
+});
+
+const codeOf = (text, options) => {
+  try {
+    parseActivationQr(text, options);
+    return null;
+  } catch (error) {
+    return error.code;
+  }
+};
+
+describe('parseActivationQr', () => {
+  it('returns a correctly signed payload', () => {
+    const qr = sign(basePayload());
+    expect(parseActivationQr(JSON.stringify(qr))).toEqual(qr);
+  });
+
+  it('rejects text that is not an activation QR', () => {
+    expect(codeOf('https://example.com')).toBe('not_activation_qr');
+    expect(codeOf('[1,2]')).toBe('not_activation_qr');
+    expect(codeOf('{"keyId":"ABCD-1234"}')).toBe('not_activation_qr');
+  });
+
+  it('rejects other versions', () => {
+    expect(codeOf(JSON.stringify(sign({ ...basePayload(), v: 2 })))).toBe('unsupported_version');
+  });
+
+  it('reports missing and invalid fields', () => {
+    const missing = basePayload();
+    delete missing.emi.amount;
+    expect(codeOf(JSON.stringify(sign(missing)))).toBe('missing_field');
+
+    expect(codeOf(JSON.stringify(sign({ ...basePayload(), serverUrl: 'http://api.example.com/api' })))).toBe(
+      'invalid_field'
+    );
+  });
+
+  it('only accepts plain phone numbers for the seller', () => {
+    const payload = basePayload();
+    payload.seller.phone = '*#06#';
+    expect(codeOf(JSON.stringify(sign(payload)))).toBe('invalid_field');
+  });
+
+  it('rejects a server the build does not trust', () => {
+    const text = JSON.stringify(sign(basePayload()));
+    expect(codeOf(text, { isAllowedServer: () => false })).toBe('wrong_server');
+    expect(codeOf(text, { isAllowedServer: () => true })).toBeNull();
+  });
+
+  it('rejects an altered payload', () => {
+    const qr = sign(basePayload());
+    qr.emi.amount = 1;
+    expect(codeOf(JSON.stringify(qr))).toBe('bad_signature');
+  });
+
+  it('rejects a payload signed with another key', () => {
+    const { secretKey: otherKey } = nacl.sign.keyPair.fromSeed(new Uint8Array(32).fill(3));
+    expect(codeOf(JSON.stringify(sign(basePayload(), otherKey)))).toBe('bad_signature');
+  });
+});
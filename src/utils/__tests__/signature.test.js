@@ -0,0 +1,104 @@
+import nacl from 'tweetnacl';
+import { decodeUTF8, encodeBase64 } from 'tweetnacl-util';
+import { canonicalize, isValidPublicKey, runSignatureSelfTest, verifySignature } from '../signature';
+
+const hexToBytes = (hex) => Uint8Array.from(hex.match(/../g) || [], (byte) => parseInt(byte, 16));
+const hexToBase64 = (hex) => encodeBase64(hexToBytes(hex));
+
+// RFC 8032 section 7.1, TEST 1 - 3
+const RFC8032_VECTORS = [
+  {
+    name: 'TEST 1 (empty message)',
+    publicKey: 'd75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a',
+    message: '',
+    signature:
+      'e5564300c360ac729086e2cc806e828a84877f1eb8e5d974d873e065224901555fb8821590a33bacc61e39701cf9b46bd25bf5f0595bbe24655141438e7a100b',
+  },
+  {
+    name: 'TEST 2 (one byte)',
+    publicKey: '3d4017c3e843895a92b70aa74d1b7ebc9c982ccf2ec4968cc0cd55f12af4660c',
+    message: '72',
+    signature:
+      '92a009a9f0d4cab8720e820b5f642540a2b27b5416503f8fb3762223ebdb69da085ac1e43e15996e458f3613d0f11d8c387b2eaeb4302aeeb00d291612bb0c00',
+  },
+  {
+    name: 'TEST 3 (two bytes)',
+    publicKey: 'fc51cd8e6218a1a38da47ed00230f0580816ed13ba3303ac5deb911548908025',
+    message: 'af82',
+    signature:
+      '6291d657deec24024827e69c3abe01a30ce548a284743a445e3680d7db5ac3ac18ff9b538d16f290ae67f760984dc6594a7c15e9716ed28dc027beceea1ec40a',
+  },
+];
+
+describe('RFC 8032 test vectors', () => {
+  it('pass the built-in self-test', () => {
+    expect(runSignatureSelfTest()).toBe(true);
+  });
+
+  it.each(RFC8032_VECTORS)('$name verifies with tweetnacl', ({ publicKey, message, signature }) => {
+    expect(nacl.sign.detached.verify(hexToBytes(message), hexToBytes(signature), hexToBytes(publicKey))).toBe(true);
+  });
+
+  it.each(RFC8032_VECTORS)('$name fails once the signature is altered', ({ publicKey, message, signature }) => {
+    const altered = hexToBytes(signature);
+    altered[0] ^= 0x01;
+    expect(nacl.sign.detached.verify(hexToBytes(message), altered, hexToBytes(publicKey))).toBe(false);
+  });
+});
+
+describe('verifySignature', () => {
+  const { publicKey, secretKey } = nacl.sign.keyPair.fromSeed(new Uint8Array(32).fill(1));
+  const sign = (message) => encodeBase64(nacl.sign.detached(decodeUTF8(message), secretKey));
+
+  // TEST 1 and 2 are valid UTF-8 ('' and 'r'), so they can go through the app's own entry point
+  it.each(RFC8032_VECTORS.slice(0, 2))('accepts RFC 8032 $name', (vector) => {
+    const text = String.fromCharCode(...hexToBytes(vector.message));
+    expect(verifySignature(text, hexToBase64(vector.signature), hexToBase64(vector.publicKey))).toBe(true);
+  });
+
+  it('accepts a signature over the exact message', () => {
+    expect(verifySignature('["lock","abc"]', sign('["lock","abc"]'), encodeBase64(publicKey))).toBe(true);
+  });
+
+  it('rejects a changed message', () => {
+    expect(verifySignature('["unlock","abc"]', sign('["lock","abc"]'), encodeBase64(publicKey))).toBe(false);
+  });
+
+  it('rejects another key', () => {
+    const other = nacl.sign.keyPair.fromSeed(new Uint8Array(32).fill(2)).publicKey;
+    expect(verifySignature('x', sign('x'), encodeBase64(other))).toBe(false);
+  });
+
+  it('fails instead of throwing on malformed input', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(verifySignature('x', 'not base64!', encodeBase64(publicKey))).toBe(false);
+    expect(verifySignature('x', sign('x'), hexToBase64('00'))).toBe(false);
+    expect(verifySignature('x', undefined, undefined)).toBe(false);
+  });
+});
+
+describe('isValidPublicKey', () => {
+  it('accepts a 32-byte base64 key only', () => {
+    expect(isValidPublicKey(hexToBase64(RFC8032_VECTORS[0].publicKey))).toBe(true);
+    expect(isValidPublicKey(hexToBase64('00ff'))).toBe(false);
+    expect(isValidPublicKey('not base64!')).toBe(false);
+  });
+});
+
+describe('canonicalize', () => {
+  it('serializes the fields in the given order, whatever the key order', () => {
+    const fields = ['command', 'issuedAt', 'lockLevel'];
+    expect(canonicalize({ lockLevel: 'full', command: 'lock', issuedAt: 5 }, fields)).toBe('["lock",5,"full"]');
+    expect(canonicalize({ issuedAt: 5, command: 'lock', lockLevel: 'full' }, fields)).toBe('["lock",5,"full"]');
+  });
+
+  it('writes missing fields as null and ignores unsigned ones', () => {
+    expect(canonicalize({ command: 'lock', extra: 'ignored' }, ['command', 'lockMessage'])).toBe('["lock",null]');
+  });
+
+  it('keeps nested values', () => {
+    expect(canonicalize({ packages: ['a.b', 'c.d'], meta: { x: 1 } }, ['packages', 'meta'])).toBe(
+      '[["a.b","c.d"],{"x":1}]'
+    );
+  });
+});
@@ -0,0 +1,102 @@
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// Keystore stand-in: a plain in-memory map
+jest.mock('expo-secure-store', () => {
+  const store = new Map();
+  return {
+    AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY: 'AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY',
+    getItemAsync: jest.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+    setItemAsync: jest.fn(async (key, value) => {
+      store.set(key, value);
+    }),
+    deleteItemAsync: jest.fn(async (key) => {
+      store.delete(key);
+    }),
+  };
+});
+
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: (length) => new Uint8Array(require('crypto').randomBytes(length)),
+}));
+
+// Time since boot, moved by the tests
+jest.mock('react-native', () => ({
+  NativeModules: {
+    DeviceAdminModule: {
+      getMonotonicClock: jest.fn(),
+    },
+  },
+}));
+
+const SERVER_TIME = Date.parse('2026-10-01T10:00:00.000Z');
+const HOUR = 60 * 60 * 1000;
+
+let AsyncStorage;
+let getMonotonicClock;
+let trustedClock;
+
+const setMonotonic = (elapsedRealtime, bootCount = 7) =>
+  getMonotonicClock.mockResolvedValue({ elapsedRealtime, bootCount });
+
+beforeEach(() => {
+  jest.resetModules();
+  AsyncStorage = require('@react-native-async-storage/async-storage');
+  getMonotonicClock = require('react-native').NativeModules.DeviceAdminModule.getMonotonicClock;
+  trustedClock = require('../trustedClock');
+  setMonotonic(1000);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getTrustedTime', () => {
+  it('is not trusted before the first server sync', async () => {
+    const time = await trustedClock.getTrustedTime();
+
+    expect(time).toMatchObject({ trusted: false, tampered: false });
+  });
+
+  it('counts from the server time on the monotonic clock, whatever the device clock says', async () => {
+    await trustedClock.recordServerTime(SERVER_TIME);
+    setMonotonic(1000 + HOUR);
+    jest.spyOn(Date, 'now').mockReturnValue(SERVER_TIME - 30 * 24 * HOUR);
+
+    expect(await trustedClock.getTrustedTime()).toEqual({ now: SERVER_TIME + HOUR, trusted: true, tampered: false });
+  });
+
+  it('carries on from the last trusted time after a reboot', async () => {
+    await trustedClock.recordServerTime(SERVER_TIME);
+    setMonotonic(1000 + HOUR);
+    await trustedClock.getTrustedTime();
+    setMonotonic(5000, 8);
+
+    expect((await trustedClock.getTrustedTime()).now).toBe(SERVER_TIME + HOUR + 5000);
+  });
+
+  it('reports a deleted anchor as tampered', async () => {
+    await trustedClock.recordServerTime(SERVER_TIME);
+    await AsyncStorage.removeItem('signed:trustedClock');
+
+    expect(await trustedClock.getTrustedTime()).toMatchObject({ trusted: false, tampered: true });
+  });
+
+  it('never goes below the last trusted time without a monotonic clock', async () => {
+    await trustedClock.recordServerTime(SERVER_TIME);
+    getMonotonicClock.mockRejectedValue(new Error('not available'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Date, 'now').mockReturnValue(SERVER_TIME - 24 * HOUR);
+
+    expect(await trustedClock.getTrustedTime()).toEqual({ now: SERVER_TIME, trusted: false, tampered: false });
+  });
+
+  it('is replaced by the next server sync', async () => {
+    await trustedClock.recordServerTime(SERVER_TIME);
+    await trustedClock.recordServerTime(SERVER_TIME + 24 * HOUR);
+
+    expect((await trustedClock.getTrustedTime()).now).toBe(SERVER_TIME + 24 * HOUR);
+  });
+});
@@ -0,0 +1,137 @@
+import Constants from 'expo-constants';
+import { canonicalize, isValidPublicKey, verifySignature } from './signature';
+
+/**
+ * Activation QR codes
+ * The seller dashboard prints one QR per sale. Payload (version 1):
+ *
+ *   {
+ *     v: 1,
+ *     keyId: "ABCD-1234",
+ *     seller: { name, phone },
+ *     product: { name, price },
+ *     emi: { amount, installments, frequency, firstDueDate },
+ *     serverUrl: "https://.../api",
+ *     signature: "<base64 Ed25519>"
+ *   }
+ *
+ * The signature covers QR_SIGNED_FIELDS (dotted paths, in order) and is made
+ * with the dashboard's QR key, whose public half is pinned in the app build
+ * (expo.extra.activationQrPublicKey).
+ */
+
+export const QR_VERSION = 1;
+
+export const QR_SIGNED_FIELDS = [
+  'v',
+  'keyId',
+  'seller.name',
+  'seller.phone',
+  'product.name',
+  'product.price',
+  'emi.amount',
+  'emi.installments',
+  'emi.frequency',
+  'emi.firstDueDate',
+  'serverUrl',
+];
+
+const EMI_FREQUENCIES = ['weekly', 'monthly'];
+
+// Digits with an optional leading + (no *, # or other dialer codes)
+export const PHONE_PATTERN = /^\+?[0-9]{6,15}$/;
+
+const QR_PUBLIC_KEY =
+  process.env.EXPO_PUBLIC_ACTIVATION_QR_PUBLIC_KEY ||
+  (Constants?.expoConfig?.extra?.activationQrPublicKey ?? null);
+
+export class ActivationQrError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ActivationQrError';
+    this.code = code;
+  }
+}
+
+const getPath = (payload, fieldPath) =>
+  fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), payload);
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+// Field checks, in the order errors are reported: [path, label, test]
+const FIELD_RULES = [
+  ['keyId', 'activation key', (value) => typeof value === 'string' && /^[A-Za-z0-9-]{6,64}$/.test(value)],
+  ['seller.name', 'seller name', isNonEmptyString],
+  ['seller.phone', 'seller phone number', (value) => typeof value === 'string' && PHONE_PATTERN.test(value)],
+  ['product.name', 'product name', isNonEmptyString],
+  ['product.price', 'product price', isPositiveNumber],
+  ['emi.amount', 'EMI amount', isPositiveNumber],
+  ['emi.installments', 'number of installments', (value) => Number.isInteger(value) && value > 0 && value <= 120],
+  ['emi.frequency', 'EMI frequency', (value) => EMI_FREQUENCIES.includes(value)],
+  ['emi.firstDueDate', 'first due date', (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value))],
+  ['serverUrl', 'server URL', (value) => typeof value === 'string' && /^https:\/\/[^\s/]+/.test(value)],
+  ['signature', 'signature', isNonEmptyString],
+];
+
+/**
+ * Parse and validate scanned QR text.
+ * Returns the payload, or throws ActivationQrError with a customer-readable message.
+ * isAllowedServer: (url) => boolean - whether this build may talk to the QR's server.
+ */
+export function parseActivationQr(text, { isAllowedServer } = {}) {
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch (error) {
+    payload = null;
+  }
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload) || !('v' in payload)) {
+    throw new ActivationQrError('not_activation_qr', 'This is not a DeviceLock activation QR code.');
+  }
+
+  if (payload.v !== QR_VERSION) {
+    throw new ActivationQrError(
+      'unsupported_version',
+      payload.v > QR_VERSION
+        ? 'This QR code needs a newer version of the app. Please update the app and try again.'
+        : `Unsupported QR code version (${payload.v}).`
+    );
+  }
+
+  for (const [fieldPath, label, test] of FIELD_RULES) {
+    const value = getPath(payload, fieldPath);
+    if (value === undefined || value === null || value === '') {
+      throw new ActivationQrError('missing_field', `The QR code is missing the ${label}.`);
+    }
+    if (!test(value)) {
+      throw new ActivationQrError('invalid_field', `The QR code has an invalid ${label}.`);
+    }
+  }
+
+  if (isAllowedServer && !isAllowedServer(payload.serverUrl)) {
+    throw new ActivationQrError('wrong_server', 'This QR code is for a server this app does not trust.');
+  }
+
+  if (!QR_PUBLIC_KEY || !isValidPublicKey(QR_PUBLIC_KEY)) {
+    throw new ActivationQrError('no_verification_key', 'This app build cannot verify activation QR codes.');
+  }
+
+  const signed = Object.fromEntries(QR_SIGNED_FIELDS.map((field) => [field, getPath(payload, field)]));
+  if (!verifySignature(canonicalize(signed, QR_SIGNED_FIELDS), payload.signature, QR_PUBLIC_KEY)) {
+    throw new ActivationQrError(
+      'bad_signature',
+      "This QR code wasn't issued by your seller's DeviceLock account, or it has been altered."
+    );
+  }
+
+  return payload;
+}
+
+export default {
+  QR_VERSION,
+  PHONE_PATTERN,
+  QR_SIGNED_FIELDS,
+  ActivationQrError,
+  parseActivationQr,
+};
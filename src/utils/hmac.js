@@ -0,0 +1,42 @@
+import nacl from 'tweetnacl';
+
+/**
+ * HMAC-SHA512 (RFC 2104) on top of tweetnacl's SHA-512
+ */
+
+const BLOCK_SIZE = 128;
+
+const concat = (a, b) => {
+  const out = new Uint8Array(a.length + b.length);
+  out.set(a, 0);
+  out.set(b, a.length);
+  return out;
+};
+
+export function hmacSha512(key, message) {
+  let blockKey = key.length > BLOCK_SIZE ? nacl.hash(key) : key;
+  const padded = new Uint8Array(BLOCK_SIZE);
+  padded.set(blockKey);
+  blockKey = padded;
+
+  const inner = new Uint8Array(BLOCK_SIZE);
+  const outer = new Uint8Array(BLOCK_SIZE);
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    inner[i] = blockKey[i] ^ 0x36;
+    outer[i] = blockKey[i] ^ 0x5c;
+  }
+
+  return nacl.hash(concat(outer, nacl.hash(concat(inner, message))));
+}
+
+// Compare two byte arrays or strings without short-circuiting on the first mismatch
+export function constantTimeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    const x = typeof a === 'string' ? a.charCodeAt(i) : a[i];
+    const y = typeof b === 'string' ? b.charCodeAt(i) : b[i];
+    diff |= x ^ y;
+  }
+  return diff === 0;
+}
@@ -0,0 +1,16 @@
+import * as Notifications from 'expo-notifications';
+import { Platform } from 'react-native';
+
+// Send notification with Android channel
+export async function sendLocalNotification(title, body) {
+  await Notifications.scheduleNotificationAsync({
+    content: {
+      title,
+      body,
+      sound: true,
+      priority: Notifications.AndroidNotificationPriority.MAX,
+      ...(Platform.OS === 'android' && { channelId: 'devicelock-critical' }),
+    },
+    trigger: null,
+  });
+}
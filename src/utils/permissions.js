@@ -3,6 +3,7 @@ import * as Location from 'expo-location';
 import * as Notifications from 'expo-notifications';
 import { Alert, Platform, Linking } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { t } from '../i18n';
 
 const PERMISSIONS_KEY = 'permissions_requested';
 
@@ -83,16 +84,11 @@ export async function requestAllPermissions() {
 function showPermissionsExplanation() {
   return new Promise((resolve) => {
     Alert.alert(
-      '🔐 Security Permissions Required',
-      'DeviceLock Customer needs these permissions to protect your device:\n\n' +
-      '📷 Camera - Scan QR code for device activation\n' +
-      '📍 Location (Always) - Track device location for security and EMI compliance\n' +
-      '🔔 Notifications - Receive lock/unlock commands instantly\n' +
-      '🔋 Battery - Run in background for real-time protection\n\n' +
-      '⚠️ These permissions are required for the device lock system to work properly.',
+      t('permissions.explanationTitle'),
+      t('permissions.explanationBody'),
       [
         {
-          text: 'I Understand',
+          text: t('permissions.understand'),
           onPress: resolve,
         },
       ],
@@ -107,15 +103,11 @@ function showPermissionsExplanation() {
 function showBackgroundLocationImportance() {
   return new Promise((resolve) => {
     Alert.alert(
-      '📍 Background Location Required',
-      'Background location access is critical for:\n\n' +
-      '• Device tracking for security\n' +
-      '• EMI compliance monitoring\n' +
-      '• Anti-theft protection\n\n' +
-      'Please select "Allow all the time" in the next screen.',
+      t('permissions.backgroundTitle'),
+      t('permissions.backgroundBody'),
       [
         {
-          text: 'OK',
+          text: t('common.ok'),
           onPress: resolve,
         },
       ]
@@ -131,16 +123,12 @@ async function requestBatteryOptimizationExemption() {
 
   try {
     Alert.alert(
-      '🔋 Battery Optimization',
-      'To ensure DeviceLock works properly in the background, please disable battery optimization.\n\n' +
-      'This allows the app to:\n' +
-      '• Receive lock/unlock commands instantly\n' +
-      '• Track device location continuously\n' +
-      '• Run background security checks',
+      t('permissions.batteryTitle'),
+      t('permissions.batteryBody'),
       [
-        { text: 'Later', style: 'cancel' },
+        { text: t('common.later'), style: 'cancel' },
         {
-          text: 'Open Settings',
+          text: t('common.openSettings'),
           onPress: () => {
             // Note: This requires native module or expo-intent-launcher
             Linking.openSettings();
@@ -158,21 +146,19 @@ async function requestBatteryOptimizationExemption() {
  */
 function showPermissionsDeniedAlert(results) {
   const denied = [];
-  if (!results.camera) denied.push('Camera');
-  if (!results.location) denied.push('Location');
-  if (!results.locationBackground) denied.push('Background Location');
-  if (!results.notifications) denied.push('Notifications');
+  if (!results.camera) denied.push(t('permissions.names.camera'));
+  if (!results.location) denied.push(t('permissions.names.location'));
+  if (!results.locationBackground) denied.push(t('permissions.names.locationBackground'));
+  if (!results.notifications) denied.push(t('permissions.names.notifications'));
 
   if (denied.length > 0) {
     Alert.alert(
-      '⚠️ Critical Permissions Missing',
-      `The following permissions are required:\n\n${denied.join(', ')}\n\n` +
-      '❌ DeviceLock cannot function without these permissions.\n\n' +
-      'Please enable them in Settings to activate your device.',
+      t('permissions.deniedTitle'),
+      t('permissions.deniedBody', { permissions: denied.join(', ') }),
       [
-        { text: 'Exit', style: 'cancel' },
+        { text: t('common.exit'), style: 'cancel' },
         {
-          text: 'Open Settings',
+          text: t('common.openSettings'),
           onPress: () => Linking.openSettings(),
         },
       ]
@@ -218,12 +204,12 @@ export async function verifyCriticalPermissions() {
   
   if (!allGranted) {
     Alert.alert(
-      '⚠️ Permissions Required',
-      'DeviceLock requires all permissions to function. Please grant all permissions in Settings.',
+      t('permissions.requiredTitle'),
+      t('permissions.requiredBody'),
       [
-        { text: 'Cancel', style: 'cancel' },
+        { text: t('common.cancel'), style: 'cancel' },
         {
-          text: 'Open Settings',
+          text: t('common.openSettings'),
           onPress: () => Linking.openSettings(),
         },
       ]
@@ -0,0 +1,131 @@
+import { NativeModules } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import secureStorage from '../services/secureStorage';
+
+const { DeviceAdminModule } = NativeModules;
+
+const CLOCK_KEY = 'trustedClock';
+const DRIFT_WARNING_MS = 5 * 60 * 1000;
+
+/**
+ * Tamper-resistant clock
+ * The device clock can be moved either way by the user, so it isn't used once
+ * we have heard from the server. Trusted time is the last server time plus
+ * the time elapsed since that sync on the monotonic clock (time since boot),
+ * which clock changes don't affect. Each server sync replaces the anchor.
+ *
+ * After a reboot the monotonic clock starts again from zero, so we carry on
+ * from the last trusted time we computed: time spent switched off is missed
+ * until the next sync, which can only make a due date arrive late, never early.
+ *
+ * The anchor is a signed item (see secureStorage), so it can't be edited or
+ * deleted unnoticed. Without an anchor or a monotonic clock the time is not
+ * trusted: callers may use it to lock but never to unlock or accept a command.
+ */
+
+const EMPTY_CLOCK = { anchorTime: 0, anchorElapsed: null, bootCount: null, lastTrusted: 0 };
+
+// One read-modify-write at a time, so a reading can't overwrite a fresh server anchor
+let clockQueue = Promise.resolve();
+
+const withClock = (update) => {
+  const run = clockQueue.then(update);
+  clockQueue = run.catch(() => {});
+  return run;
+};
+
+const readClock = async () => {
+  const { value, tampered } = await secureStorage.getSignedItem(CLOCK_KEY);
+  return { clock: value && value.anchorTime ? value : EMPTY_CLOCK, tampered };
+};
+
+// { elapsed, bootCount } from the native module, or null where it isn't available
+const readMonotonicClock = async () => {
+  if (!DeviceAdminModule?.getMonotonicClock) return null;
+  try {
+    const { elapsedRealtime, bootCount } = await DeviceAdminModule.getMonotonicClock();
+    return { elapsed: elapsedRealtime, bootCount: bootCount >= 0 ? bootCount : null };
+  } catch (error) {
+    console.error('Error reading monotonic clock:', error);
+    return null;
+  }
+};
+
+const sameBoot = (clock, monotonic) =>
+  clock.anchorElapsed !== null &&
+  monotonic.elapsed >= clock.anchorElapsed &&
+  (clock.bootCount === null || monotonic.bootCount === null || clock.bootCount === monotonic.bootCount);
+
+// Record an authoritative time from the server (status payload or HTTP Date header)
+export function recordServerTime(serverTime) {
+  const time = typeof serverTime === 'number' ? serverTime : Date.parse(serverTime);
+  if (!time || Number.isNaN(time)) return Promise.resolve();
+
+  return withClock(async () => {
+    // Without a monotonic clock the server time still serves as a floor
+    const monotonic = await readMonotonicClock();
+    await secureStorage.setSignedItem(CLOCK_KEY, {
+      anchorTime: time,
+      anchorElapsed: monotonic ? monotonic.elapsed : null,
+      bootCount: monotonic ? monotonic.bootCount : null,
+      lastTrusted: time,
+    });
+    // Plaintext anchor from older versions
+    await AsyncStorage.removeItem(CLOCK_KEY);
+  });
+}
+
+/**
+ * Current time and how far it can be trusted: { now, trusted, tampered }.
+ * trusted - derived from a server sync and the monotonic clock
+ * tampered - the stored anchor was edited or deleted
+ * An untrusted time never goes below the last trusted time we computed.
+ */
+export function getTrustedTime() {
+  return withClock(async () => {
+    const [{ clock, tampered }, monotonic] = await Promise.all([readClock(), readMonotonicClock()]);
+    if (!clock.anchorTime) {
+      return { now: Date.now(), trusted: false, tampered };
+    }
+    if (!monotonic) {
+      return { now: Math.max(Date.now(), clock.lastTrusted), trusted: false, tampered };
+    }
+
+    let next = clock;
+    if (!sameBoot(clock, monotonic)) {
+      // Rebooted since the anchor - continue from the last trusted time, counting from this boot
+      next = {
+        anchorTime: clock.lastTrusted || clock.anchorTime,
+        anchorElapsed: 0,
+        bootCount: monotonic.bootCount,
+        lastTrusted: clock.lastTrusted,
+      };
+    }
+
+    const trustedNow = next.anchorTime + (monotonic.elapsed - next.anchorElapsed);
+    if (Math.abs(Date.now() - trustedNow) > DRIFT_WARNING_MS) {
+      console.warn('⏰ Device clock differs from trusted time - using trusted time');
+    }
+
+    await secureStorage.setSignedItem(CLOCK_KEY, { ...next, lastTrusted: trustedNow });
+    return { now: trustedNow, trusted: true, tampered: false };
+  });
+}
+
+// Best available current time (device time before the first sync) - for display and timers
+export async function getTrustedNow() {
+  const { now } = await getTrustedTime();
+  return now;
+}
+
+// Extract server time from an axios response, preferring the payload over the Date header
+export function getServerTimeFromResponse(response) {
+  return response?.data?.data?.serverTime || response?.headers?.date || null;
+}
+
+export default {
+  recordServerTime,
+  getTrustedTime,
+  getTrustedNow,
+  getServerTimeFromResponse,
+};